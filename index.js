@@ -8,14 +8,48 @@ import compression from "compression";
 import zlib from "zlib";
 
 // Import our enhanced YouTube validator system
-import { validateYouTubeUrl } from './utils/youtube-validator.js';
-import { VideoMetadataExtractor } from './services/metadata-extractor.js';
-import { TranscriptStrategySelector } from './services/strategy-selector.js';
-import { UnifiedTranscriptExtractor } from './services/unified-extractor.js';
-import { ResponseFormatter } from './services/response-formatter.js';
+import { validateYouTubeUrl, parseYouTubeUrl, URL_TYPES } from './utils/youtube-validator.js';
+import { metadataExtractor } from './services/metadata-extractor.js';
+import { strategySelector } from './services/strategy-selector.js';
+import { unifiedExtractor as transcriptExtractor } from './services/unified-extractor.js';
+import { responseFormatter } from './services/response-formatter.js';
+import { formatRegistry } from './services/format-registry.js';
+import { transcriptService } from './services/transcript-service.js';
+import { languageHandler } from './services/language-handler.js';
+import { jobQueue, JOB_STATUS } from './services/job-queue.js';
+import { batchProcessor } from './services/batch-processor.js';
+import { transcriptBundler } from './services/transcript-bundler.js';
+import { bilingualAligner } from './services/bilingual-aligner.js';
+import { playlistExpander } from './services/playlist-expander.js';
+import { transcriptionProviders } from './services/transcription-providers.js';
+import { rateLimiter } from './middleware/rate-limiter.js';
+import { authenticator } from './middleware/auth.js';
+import { spendingBudget } from './middleware/budget.js';
+import { costEstimator } from './services/cost-estimator.js';
+import { requestContext } from './middleware/request-context.js';
+import { metrics } from './services/metrics.js';
+import { healthChecker } from './services/health-checker.js';
+import { logger } from './utils/logger.js';
+import { API_SCOPES } from './services/api-key-store.js';
+import { ERROR_CODES, CAPTION_TYPES } from './types/interfaces.js';
 
 const app = express();
-app.use(cors({ origin: "*", exposedHeaders: ["X-Transcript-Source", "Content-Disposition"] }));
+const log = logger.child({ component: "api" });
+
+// Behind a proxy (Vercel, nginx, ...) rate limits need the client IP from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+app.use(cors({
+  origin: "*",
+  exposedHeaders: [
+    "X-Transcript-Source", "X-Caption-Type", "X-Translated-From", "X-Language-Match", "Content-Language", "X-Cache", "Content-Disposition", "Location", "Retry-After", "X-Request-Id",
+    "X-RateLimit-Limit", "X-RateLimit-Remaining", "X-RateLimit-Reset",
+    "X-RateLimit-Daily-Limit", "X-RateLimit-Daily-Remaining"
+  ]
+}));
+app.use(requestContext({ trustIncoming: process.env.TRUST_REQUEST_ID !== "false" }));
+app.use(metrics.httpMiddleware());
 app.use((req, res, next) => {
   req.setTimeout(0);
   res.setTimeout(0);
@@ -25,19 +59,13 @@ app.use((req, res, next) => {
 });
 app.use(compression({ threshold: 1024 }));
 
-// Initialize our services
-const metadataExtractor = new VideoMetadataExtractor();
-const strategySelector = new TranscriptStrategySelector();
-const transcriptExtractor = new UnifiedTranscriptExtractor();
-const responseFormatter = new ResponseFormatter();
-
 // Helper to send gzipped responses
-function sendGzippedText(res, filename, text, source = "enhanced") {
+function sendGzippedText(res, filename, text, source = "enhanced", contentType = "text/plain; charset=utf-8") {
   const buf = Buffer.isBuffer(text) ? text : Buffer.from(String(text), "utf8");
   const gz = zlib.gzipSync(buf, { level: zlib.constants.Z_BEST_COMPRESSION });
   res.setHeader("X-Transcript-Source", source);
   res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
-  res.setHeader("Content-Type", "text/plain; charset=utf-8");
+  res.setHeader("Content-Type", contentType);
   res.setHeader("Content-Encoding", "gzip");
   res.setHeader("Content-Length", String(gz.length));
   res.end(gz);
@@ -53,127 +81,627 @@ function sendGzippedJson(res, data, source = "enhanced") {
   res.end(gz);
 }
 
-app.get("/health", (_req, res) => res.json({ 
-  ok: true, 
-  version: "enhanced",
-  methods: ["youtube-transcript", "youtube-caption-extractor", "whisper-audio"]
-}));
+// Open a Server-Sent Events stream on the response
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.flushHeaders();
+
+  const flush = () => {
+    // compression() buffers output unless explicitly flushed
+    if (typeof res.flush === "function") res.flush();
+  };
+
+  const heartbeat = setInterval(() => {
+    res.write(": keep-alive\n\n");
+    flush();
+  }, 15000);
+
+  let eventId = 0;
+  return {
+    send(event, data) {
+      if (res.writableEnded) return;
+      res.write(`id: ${++eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      flush();
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+// Authentication (no-op unless API_KEYS or API_KEYS_FILE is set); health checks and /metrics stay public
+const authenticate = authenticator.middleware();
+const PUBLIC_PATHS = ["/health", "/health/live", "/health/ready", "/metrics"];
+app.use((req, res, next) => (PUBLIC_PATHS.includes(req.path) ? next() : authenticate(req, res, next)));
+
+// Rate limits: one request per call, one per item for batches and per video a
+// playlist page may queue (the requested page size, charged before expansion)
+const limitRequests = rateLimiter.middleware();
+const limitBatch = rateLimiter.middleware({
+  cost: (req) => Array.isArray(req.body) ? req.body.length : (req.body?.items?.length || 1)
+});
+const limitPlaylistJobs = rateLimiter.middleware({
+  cost: (req) => {
+    const params = { ...(req.query || {}), ...(req.body || {}) };
+    return String(params.transcribe) === "false" ? 1 : playlistExpander.getPageLimit(params.limit);
+  }
+});
+
+// Extraction method guard for a request: API key scopes, the daily spending budget,
+// then the whisper-audio rate limit. Guards may return settle(result) callbacks, e.g. to
+// replace a budget reservation with the actual cost. The rate limit goes last because
+// its tokens cannot be refunded, while a budget reservation is released on a later veto.
+function methodGuard(req) {
+  const guards = [
+    authenticator.methodGuard(req.client),
+    spendingBudget.methodGuard(req),
+    req.rateLimit?.authorizeMethod
+  ].filter(Boolean);
+  if (guards.length === 0) return undefined;
+
+  return async (method, context) => {
+    const settlers = [];
+    const settleAll = (result) => Promise.all(settlers.map(settle => settle(result)));
+
+    try {
+      for (const guard of guards) {
+        const settle = await guard(method, context);
+        if (typeof settle === "function") settlers.push(settle);
+      }
+    } catch (error) {
+      // Release reservations made by earlier guards - the method will not run
+      await settleAll(null);
+      throw error;
+    }
+
+    return settlers.length > 0 ? settleAll : undefined;
+  };
+}
+
+// Send a formatted error, adding Retry-After for rate limit and quota errors
+function sendError(res, { response, httpStatus }) {
+  if (response.retryAfter) {
+    res.setHeader("Retry-After", String(response.retryAfter));
+  }
+  return res.status(httpStatus).json(response);
+}
+
+// Prometheus metrics; METRICS_TOKEN requires scrapers to send it as a bearer token
+metrics.trackJobQueue(jobQueue);
+jobQueue.on("completed", (job) => metrics.recordProcessingTime(
+  "job", Date.parse(job.finishedAt) - Date.parse(job.startedAt), job.result?.cacheStatus
+));
+
+app.get("/metrics", (req, res) => {
+  if (process.env.METRICS_ENABLED === "false") {
+    return res.status(404).end();
+  }
+
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get("authorization") !== `Bearer ${token}`) {
+    const { response, httpStatus } = responseFormatter.formatAuthError(
+      ERROR_CODES.UNAUTHORIZED, "Metrics token required"
+    );
+    res.setHeader("WWW-Authenticate", "Bearer");
+    return res.status(httpStatus).json(response);
+  }
+
+  res.setHeader("Content-Type", metrics.contentType);
+  return res.send(metrics.render());
+});
+
+// Liveness: the process is up (restart it otherwise)
+app.get("/health/live", (_req, res) => res.json(healthChecker.checkLiveness()));
+
+// Readiness: per-method readiness and dependency checks, 503 when no method can work;
+// ?deep=true also runs a canned extraction against a local fixture
+app.get("/health/ready", async (req, res) => {
+  const readiness = await healthChecker.checkReadiness({ deep: req.query.deep === "true" });
+  const { response, httpStatus } = responseFormatter.formatHealthResponse(readiness);
+  res.setHeader("Cache-Control", "no-store");
+  return res.status(httpStatus).json(response);
+});
+
+// Summary for humans and dashboards; always 200 with ok: true so existing probes keep
+// working (orchestrators should use /health/ready). Public, so it serves a readiness
+// snapshot instead of running the checks on every hit.
+app.get("/health", async (_req, res) => {
+  const readiness = await healthChecker.getReadinessSnapshot();
+  return res.json({
+    ok: true,
+    ready: readiness.ready,
+    version: "enhanced",
+    status: readiness.status,
+    methods: ["youtube-timedtext", "youtube-transcript", "youtube-caption-extractor", "whisper-audio"],
+    methodReadiness: readiness.methods,
+    methodHealth: strategySelector.getMethodHealth(),
+    checks: readiness.checks,
+    transcriptionProviders: transcriptionProviders.list()
+  });
+});
+
+// Send a transcript outcome either as wrapped JSON or as a raw file download
+function sendTranscript(res, outcome, { format, wrap, startTime }) {
+  const { result, metadata, preferences, config } = outcome;
+  if (result.captionType) {
+    res.setHeader("X-Caption-Type", result.captionType);
+  }
+  if (result.translation) {
+    res.setHeader("X-Translated-From", result.translation.sourceLanguage);
+  }
+  // Whisper may report a language name rather than a tag; those are not announced
+  const contentLanguage = languageHandler.parseLanguageTag(result.language || "");
+  if (contentLanguage) {
+    res.setHeader("Content-Language", contentLanguage.tag);
+  }
+  const negotiation = result.languageNegotiation;
+  if (negotiation) {
+    res.setHeader("X-Language-Match", `${negotiation.matchType}; confidence=${negotiation.confidence}`);
+    if (negotiation.source !== "lang") {
+      res.vary("Accept-Language");
+    }
+  }
+  const transcript = format === result.format
+    ? result.transcript
+    : transcriptExtractor.renderTranscript(result, format, config);
+
+  // Step 5: Format response
+  if (wrap === "json") {
+    const formattedResponse = responseFormatter.formatResponse(
+      { ...result, format, transcript },
+      metadata,
+      { ...preferences, format }
+    );
+    
+    // Add processing time
+    formattedResponse.data.totalProcessingTime = Date.now() - startTime;
+    return sendGzippedJson(res, formattedResponse, result.method);
+  }
+
+  // Return raw transcript
+  const outputFormat = formatRegistry.get(format);
+  const filename = `${metadata.videoId}.${outputFormat.extension}`;
+  return sendGzippedText(res, filename, transcript, result.method, outputFormat.mimeType);
+}
+
+// Send a multi-language bundle as JSON (wrap=json or format=json) or as a zip of transcript files
+async function sendBundle(res, request, { wrap, startTime, authorizeMethod }) {
+  const { videoId, options } = request;
+  const bundle = await transcriptBundler.build(videoId, options, { authorizeMethod });
+  const summary = transcriptBundler.toJSON(bundle, options);
+
+  // Without a single transcript a zip would be empty, so failures are always JSON
+  if (summary.succeeded === 0 || wrap === "json" || options.format === "json") {
+    summary.totalProcessingTime = Date.now() - startTime;
+    res.status(summary.succeeded > 0 ? 200 : bundle.results[0].httpStatus);
+    return sendGzippedJson(res, {
+      success: summary.succeeded > 0,
+      data: summary,
+      message: `Bundle extracted: ${summary.succeeded} of ${summary.total} languages succeeded`
+    }, "bundle");
+  }
+
+  // Zip entries are already deflated
+  const { filename, buffer } = transcriptBundler.toZip(bundle, options);
+  res.setHeader("X-Transcript-Source", "bundle");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Length", String(buffer.length));
+  return res.end(buffer);
+}
+
+// Send a bilingual transcript as JSON (bilingualFormat=json or wrap=json) or as dual-line subtitles
+async function sendBilingual(res, request, { wrap, startTime, authorizeMethod }) {
+  const { videoId, options } = request;
+  const bilingual = await bilingualAligner.build(videoId, options, { authorizeMethod });
+  const { format } = options.bilingual;
+  const { primary, secondary } = bilingual;
+
+  res.setHeader("X-Cache", bilingual.cacheStatus);
+  // Content-Language lists every language of the intended audience
+  const languages = [primary.result.language, secondary.result.language]
+    .map(language => languageHandler.parseLanguageTag(language || "")?.tag)
+    .filter(Boolean);
+  if (languages.length > 0) {
+    res.setHeader("Content-Language", languages.join(", "));
+  }
+  if (options.languageSource !== "lang") {
+    res.vary("Accept-Language");
+  }
+
+  const transcript = format === "json"
+    ? undefined
+    : bilingualAligner.render(bilingual, format, options.formatOptions);
+
+  if (transcript === undefined || wrap === "json") {
+    const data = bilingualAligner.toJSON(bilingual, options, transcript);
+    data.totalProcessingTime = Date.now() - startTime;
+    return sendGzippedJson(res, {
+      success: true,
+      data,
+      message: `Bilingual transcript aligned: ${primary.result.language} + ${secondary.result.language} (${data.alignment.paired} paired cues)`
+    }, "bilingual");
+  }
+
+  const outputFormat = formatRegistry.get(format);
+  const filename = `${videoId}.${primary.result.language}.${secondary.result.language}.${outputFormat.extension}`;
+  return sendGzippedText(res, filename, transcript, "bilingual", outputFormat.mimeType);
+}
 
 // Enhanced transcript endpoint with multiple extraction methods
-app.get("/transcript", async (req, res) => {
+app.get("/transcript", limitRequests, async (req, res) => {
   const startTime = Date.now();
-  const { 
-    url, 
-    format = "txt", 
-    lang = "en", 
-    wrap,
-    method = "auto", // auto, youtube-transcript, youtube-caption-extractor, whisper-audio
-    fallbackToAudio = "true"
-  } = req.query || {};
+  const { url, wrap } = req.query || {};
 
   try {
-    // Step 1: Validate URL
-    if (!url) {
+    // Step 1: Validate request
+    const request = transcriptService.parseRequest(req.query || {}, {
+      acceptLanguage: req.get("accept-language"),
+      allowBundle: true,
+      allowBilingual: true
+    });
+    if (!request.isValid) {
       const { response, httpStatus } = responseFormatter.formatValidationError(
-        'url', '', 'URL parameter is required'
+        request.field, request.value, request.error
       );
       return res.status(httpStatus).json(response);
     }
 
-    console.log(`🎬 Processing: ${url}`);
-    
-    const urlValidation = validateYouTubeUrl(url);
-    if (!urlValidation.isValid) {
-      const { response, httpStatus } = responseFormatter.formatValidationError(
-        'url', url, urlValidation.error
-      );
-      return res.status(httpStatus).json(response);
+    // lang=all or langs=...: every requested language in one response
+    if (request.options.bundle) {
+      log.info("Processing transcript bundle request", { url, videoId: request.videoId });
+      return await sendBundle(res, request, { wrap, startTime, authorizeMethod: methodGuard(req) });
     }
 
-    const videoId = urlValidation.videoId;
-    console.log(`✅ Valid video ID: ${videoId}`);
+    // format=bilingual: the lang and secondaryLang tracks aligned cue by cue
+    if (request.options.bilingual) {
+      log.info("Processing bilingual transcript request", { url, videoId: request.videoId });
+      return await sendBilingual(res, request, { wrap, startTime, authorizeMethod: methodGuard(req) });
+    }
 
-    // Step 2: Get video metadata (optional - continue if it fails)
-    let metadata = null;
-    try {
-      console.log(`🔍 Extracting metadata...`);
-      metadata = await metadataExtractor.getVideoMetadata(videoId);
-      console.log(`✅ Metadata extracted: ${metadata.title}`);
-    } catch (metadataError) {
-      console.log(`⚠️ Metadata extraction failed: ${metadataError.message}`);
-      console.log(`⚠️ Continuing with transcript extraction anyway...`);
-      // Create minimal metadata object
-      metadata = {
-        videoId: videoId,
-        title: `Video ${videoId}`,
-        hasClosedCaptions: false,
-        availableLanguages: []
-      };
+    log.info("Processing transcript request", { url, videoId: request.videoId });
+
+    // Steps 2-4: Metadata, strategy selection and extraction
+    const outcome = await transcriptService.getTranscript(request.videoId, request.options, {
+      authorizeMethod: methodGuard(req)
+    });
+
+    res.setHeader("X-Cache", outcome.cacheStatus);
+    metrics.recordProcessingTime("transcript", Date.now() - startTime, outcome.cacheStatus);
+    return sendTranscript(res, outcome, { format: request.options.format, wrap, startTime });
+
+  } catch (error) {
+    log.error("Error processing transcript request", { url, error });
+    
+    return sendError(res, responseFormatter.formatError(error, error.context || 'processing'));
+  }
+});
+
+// Transcript extraction with live progress as Server-Sent Events
+app.get("/transcript/stream", limitRequests, async (req, res) => {
+  const startTime = Date.now();
+  const { url } = req.query || {};
+
+  // Validation errors are returned as regular JSON before the stream opens
+  const request = transcriptService.parseRequest(req.query || {}, { acceptLanguage: req.get("accept-language") });
+  if (!request.isValid) {
+    const { response, httpStatus } = responseFormatter.formatValidationError(
+      request.field, request.value, request.error
+    );
+    return res.status(httpStatus).json(response);
+  }
+
+  log.info("Streaming transcript request", { url, videoId: request.videoId });
+
+  const stream = openEventStream(res);
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+
+  try {
+    const outcome = await transcriptService.getTranscript(request.videoId, request.options, {
+      signal: controller.signal,
+      onProgress: (event) => stream.send(event.stage, event),
+      authorizeMethod: methodGuard(req)
+    });
+
+    const { result, metadata, preferences } = outcome;
+    const formattedResponse = responseFormatter.formatResponse(result, metadata, preferences);
+    formattedResponse.data.totalProcessingTime = Date.now() - startTime;
+    formattedResponse.data.cacheStatus = outcome.cacheStatus;
+    metrics.recordProcessingTime("stream", formattedResponse.data.totalProcessingTime, outcome.cacheStatus);
+    stream.send("result", formattedResponse);
+
+  } catch (error) {
+    if (error.name !== "AbortError") {
+      log.error("Error streaming transcript request", { url, error });
+      const { response, httpStatus } = responseFormatter.formatError(error, error.context || 'processing');
+      stream.send("error", { ...response, httpStatus });
     }
+  } finally {
+    stream.close();
+  }
+});
 
-    // Step 3: Determine extraction strategy
-    const preferences = {
-      preferredLanguage: lang,
-      format: format,
-      fallbackToAudio: fallbackToAudio === "true"
+// Batch transcript extraction; NDJSON streaming with ?stream=ndjson or Accept: application/x-ndjson
+app.post("/transcripts/batch", authenticator.requireScope(API_SCOPES.BATCH), express.json({ limit: "1mb" }), limitBatch, async (req, res) => {
+  const batch = batchProcessor.parseBatch(req.body);
+  if (!batch.isValid) {
+    const { response, httpStatus } = responseFormatter.formatValidationError(
+      batch.field, batch.value, batch.error
+    );
+    return res.status(httpStatus).json(response);
+  }
+
+  log.info("Processing batch", { items: batch.items.length, concurrency: batch.concurrency });
+
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+
+  const streamNdjson = req.query.stream === "ndjson" || (req.get("accept") || "").includes("application/x-ndjson");
+
+  if (streamNdjson) {
+    res.status(200);
+    res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.flushHeaders();
+
+    const writeLine = (data) => {
+      if (res.writableEnded) return;
+      res.write(JSON.stringify(data) + "\n");
+      if (typeof res.flush === "function") res.flush();
     };
 
-    let strategies;
-    if (method === "auto") {
-      // If no captions detected or metadata failed, prioritize transcript methods that don't need metadata
-      if (!metadata.hasClosedCaptions || metadata.title.startsWith('Video ')) {
-        strategies = ['youtube-transcript', 'youtube-caption-extractor'];
-        if (fallbackToAudio === "true") {
-          strategies.push('whisper-audio');
-        }
-      } else {
-        strategies = strategySelector.selectStrategy(metadata, preferences);
-      }
-    } else {
-      // Force specific method
-      strategies = [method];
-      if (fallbackToAudio === "true" && method !== "whisper-audio") {
-        strategies.push("whisper-audio");
+    try {
+      const summary = await batchProcessor.run(batch.items, {
+        concurrency: batch.concurrency,
+        signal: controller.signal,
+        authorizeMethod: methodGuard(req),
+        onItem: (itemResult) => writeLine({ type: "item", ...itemResult })
+      });
+
+      writeLine({ type: "summary", total: summary.total, succeeded: summary.succeeded, failed: summary.failed, totalCost: summary.totalCost });
+    } catch (error) {
+      // The status line is already sent; the error travels as the last line instead
+      if (error.name !== "AbortError") {
+        log.error("Error processing batch", { items: batch.items.length, error });
+        const { response, httpStatus } = responseFormatter.formatError(error, error.context || 'processing');
+        writeLine({ type: "error", ...response, httpStatus });
       }
+    } finally {
+      res.end();
     }
+    return;
+  }
 
-    console.log(`🎯 Using strategies: ${strategies.join(' → ')}`);
+  try {
+    const summary = await batchProcessor.run(batch.items, {
+      concurrency: batch.concurrency,
+      signal: controller.signal,
+      authorizeMethod: methodGuard(req)
+    });
 
-    // Step 4: Extract transcript
-    console.log(`📝 Extracting transcript...`);
-    const config = strategySelector.getMethodConfig(strategies[0], metadata, preferences);
+    return sendGzippedJson(res, {
+      success: true,
+      data: summary,
+      message: `Batch processed: ${summary.succeeded} succeeded, ${summary.failed} failed`
+    }, "batch");
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    log.error("Error processing batch", { items: batch.items.length, error });
+    return sendError(res, responseFormatter.formatError(error, error.context || 'processing'));
+  }
+});
 
-    const result = await transcriptExtractor.extractWithFallback(videoId, strategies, config);
+// Expand a playlist/channel and optionally queue a transcript job per video
+async function handlePlaylist(res, params, { transcribe = false, authorizeMethod, owner = null, acceptLanguage } = {}) {
+  const { url, limit, pageToken } = params;
 
-    if (!result.success) {
-      const error = new Error(result.error);
-      const { response, httpStatus } = responseFormatter.formatError(error, 'extraction');
+  try {
+    if (!url && !pageToken) {
+      const { response, httpStatus } = responseFormatter.formatValidationError(
+        'url', '', 'URL parameter is required'
+      );
       return res.status(httpStatus).json(response);
     }
 
-    console.log(`✅ Transcript extracted using ${result.method} (${result.extractionTime}ms)`);
+    const parsedUrl = parseYouTubeUrl(url || "");
+    if (!pageToken && (!parsedUrl.isValid || (parsedUrl.type === URL_TYPES.VIDEO && !parsedUrl.playlistId))) {
+      const { response, httpStatus } = responseFormatter.formatValidationError(
+        'url', url, parsedUrl.error || 'URL must point to a playlist or channel'
+      );
+      return res.status(httpStatus).json(response);
+    }
 
-    // Step 5: Format response
-    const formattedResponse = responseFormatter.formatResponse(result, metadata, preferences);
-    
-    // Add processing time
-    formattedResponse.data.totalProcessingTime = Date.now() - startTime;
+    // Validate transcription options once before expanding
+    let transcriptOptions = null;
+    if (transcribe) {
+      const parsedOptions = transcriptService.parseOptions(params, { acceptLanguage });
+      if (!parsedOptions.isValid) {
+        const { response, httpStatus } = responseFormatter.formatValidationError(
+          parsedOptions.field, parsedOptions.value, parsedOptions.error
+        );
+        return res.status(httpStatus).json(response);
+      }
+      transcriptOptions = parsedOptions.options;
+    }
 
-    // Return based on requested format
-    if (wrap === "json") {
-      return sendGzippedJson(res, formattedResponse, result.method);
+    const page = await playlistExpander.expand(parsedUrl, { limit, pageToken });
+
+    const videos = page.videos.map(video => {
+      if (!transcriptOptions) return video;
+
+      try {
+        const job = jobQueue.enqueue({
+          videoId: video.videoId,
+          options: { ...transcriptOptions, url: video.videoId },
+          authorizeMethod,
+          owner
+        });
+        return { ...video, jobId: job.id, statusUrl: `/jobs/${job.id}` };
+      } catch (error) {
+        const { response } = responseFormatter.formatError(error, 'jobs');
+        return { ...video, jobError: response };
+      }
+    });
+
+    return sendGzippedJson(res, {
+      success: true,
+      data: {
+        type: parsedUrl.type || URL_TYPES.PLAYLIST,
+        playlistId: page.playlistId,
+        title: page.title,
+        count: videos.length,
+        videos,
+        nextPageToken: page.nextPageToken
+      }
+    }, "playlist");
+
+  } catch (error) {
+    return sendError(res, responseFormatter.formatError(error, error.context || 'metadata'));
+  }
+}
+
+// List the videos of a playlist or channel
+app.get("/playlist", limitRequests, (req, res) => handlePlaylist(res, req.query || {}));
+
+// List the videos of a playlist or channel and queue a transcript job for each
+app.post("/playlist", authenticator.requireScope(API_SCOPES.JOBS), express.json(), limitPlaylistJobs, (req, res) => handlePlaylist(
+  res,
+  { ...(req.query || {}), ...(req.body || {}) },
+  {
+    transcribe: String((req.body || {}).transcribe ?? req.query.transcribe) !== "false",
+    authorizeMethod: methodGuard(req),
+    owner: jobOwner(req),
+    acceptLanguage: req.get("accept-language")
+  }
+));
+
+// Submit an asynchronous transcript job (for long whisper-audio extractions)
+app.post("/jobs", authenticator.requireScope(API_SCOPES.JOBS), express.json(), limitRequests, (req, res) => {
+  try {
+    const request = transcriptService.parseRequest(
+      { ...(req.query || {}), ...(req.body || {}) },
+      { acceptLanguage: req.get("accept-language") }
+    );
+    if (!request.isValid) {
+      const { response, httpStatus } = responseFormatter.formatValidationError(
+        request.field, request.value, request.error
+      );
+      return res.status(httpStatus).json(response);
     }
 
-    // Return raw transcript
-    const filename = `${videoId}.${format === 'srt' ? 'srt' : 'txt'}`;
-    return sendGzippedText(res, filename, result.transcript, result.method);
+    const job = jobQueue.enqueue({
+      videoId: request.videoId,
+      options: request.options,
+      authorizeMethod: methodGuard(req),
+      owner: jobOwner(req)
+    });
+    log.info("Queued job", { jobId: job.id, videoId: request.videoId });
+
+    return res.status(202).location(`/jobs/${job.id}`).json({
+      success: true,
+      data: {
+        ...jobQueue.toJSON(job),
+        videoId: request.videoId,
+        statusUrl: `/jobs/${job.id}`,
+        resultUrl: `/jobs/${job.id}/result`
+      },
+      message: 'Job queued'
+    });
 
   } catch (error) {
-    console.error(`❌ Error processing ${url}:`, error.message);
-    
-    const { response, httpStatus } = responseFormatter.formatError(error, 'processing');
+    return sendError(res, responseFormatter.formatError(error, error.context || 'jobs'));
+  }
+});
+
+// Jobs belong to the API key that queued them, or to the IP for requests without one
+function jobOwner(req) {
+  return req.client?.id ? `key:${req.client.id}` : `ip:${req.ip}`;
+}
+
+// Other clients see a job as unknown
+function findClientJob(req) {
+  const job = jobQueue.get(req.params.id);
+  if (!job || job.payload.owner !== jobOwner(req)) return null;
+  return job;
+}
+
+// Job status, current strategy and progress
+app.get("/jobs/:id", authenticator.requireScope(API_SCOPES.JOBS), (req, res) => {
+  const job = findClientJob(req);
+  if (!job) {
+    const { response, httpStatus } = responseFormatter.formatJobError(
+      ERROR_CODES.JOB_NOT_FOUND, `Job ${req.params.id} not found`
+    );
     return res.status(httpStatus).json(response);
   }
+
+  return res.json({
+    success: true,
+    data: {
+      ...jobQueue.toJSON(job),
+      videoId: job.payload.videoId,
+      queue: jobQueue.getStats()
+    }
+  });
+});
+
+// Job result in any registered format
+app.get("/jobs/:id/result", authenticator.requireScope(API_SCOPES.JOBS), (req, res) => {
+  const startTime = Date.now();
+  const job = findClientJob(req);
+  if (!job) {
+    const { response, httpStatus } = responseFormatter.formatJobError(
+      ERROR_CODES.JOB_NOT_FOUND, `Job ${req.params.id} not found`
+    );
+    return res.status(httpStatus).json(response);
+  }
+
+  if (job.status === JOB_STATUS.FAILED) {
+    const { response, httpStatus } = responseFormatter.formatError(
+      job.errorObject || new Error(job.error), job.errorObject?.context || 'extraction'
+    );
+    return res.status(httpStatus).json(response);
+  }
+
+  if (job.status !== JOB_STATUS.COMPLETED) {
+    const { response, httpStatus } = responseFormatter.formatJobError(
+      ERROR_CODES.JOB_NOT_READY, `Job ${job.id} is ${job.status}`
+    );
+    return res.status(httpStatus).json(response);
+  }
+
+  const { format = job.payload.options.format, wrap } = req.query || {};
+  if (!formatRegistry.has(format)) {
+    const { response, httpStatus } = responseFormatter.formatValidationError(
+      'format', format, `Unsupported format '${format}'`
+    );
+    return res.status(httpStatus).json(response);
+  }
+
+  res.setHeader("X-Cache", job.result.cacheStatus);
+  return sendTranscript(res, job.result, { format, wrap, startTime });
+});
+
+// Cancel a queued or running job
+app.delete("/jobs/:id", authenticator.requireScope(API_SCOPES.JOBS), (req, res) => {
+  if (!findClientJob(req)) {
+    const { response, httpStatus } = responseFormatter.formatJobError(
+      ERROR_CODES.JOB_NOT_FOUND, `Job ${req.params.id} not found`
+    );
+    return res.status(httpStatus).json(response);
+  }
+
+  const job = jobQueue.cancel(req.params.id);
+
+  return res.json({
+    success: true,
+    data: jobQueue.toJSON(job),
+    message: job.status === JOB_STATUS.CANCELLED ? 'Job cancelled' : `Job already ${job.status}`
+  });
 });
 
 // Legacy endpoint for backward compatibility
@@ -184,7 +712,7 @@ app.get("/transcript-legacy", async (req, res) => {
 });
 
 // New endpoint for video information only
-app.get("/video-info", async (req, res) => {
+app.get("/video-info", limitRequests, async (req, res) => {
   const { url } = req.query || {};
 
   try {
@@ -210,6 +738,8 @@ app.get("/video-info", async (req, res) => {
         publishDate: metadata.publishDate,
         hasClosedCaptions: metadata.hasClosedCaptions,
         availableLanguages: metadata.availableLanguages,
+        captionTracks: responseFormatter.formatCaptionTracks(metadata.captionTracks),
+        translationLanguages: metadata.translationLanguages || [],
         thumbnailUrl: metadata.thumbnailUrl,
         isAvailable: availability.isAvailable,
         isPrivate: availability.isPrivate,
@@ -226,21 +756,60 @@ app.get("/video-info", async (req, res) => {
 });
 
 // Endpoint to get available extraction methods for a video
-app.get("/extraction-methods", async (req, res) => {
-  const { url, lang = "en" } = req.query || {};
+app.get("/extraction-methods", limitRequests, async (req, res) => {
+  const {
+    url,
+    lang,
+    provider = transcriptionProviders.defaultName,
+    captionType = CAPTION_TYPES.ANY,
+    translate = "false"
+  } = req.query || {};
 
   try {
     if (!url) {
       return res.status(400).json({ error: "URL parameter is required" });
     }
 
+    if (!transcriptionProviders.has(provider)) {
+      const { response, httpStatus } = responseFormatter.formatValidationError(
+        'provider', provider, `Unsupported transcription provider '${provider}'`
+      );
+      return res.status(httpStatus).json(response);
+    }
+
+    if (!Object.values(CAPTION_TYPES).includes(captionType)) {
+      const { response, httpStatus } = responseFormatter.formatValidationError(
+        'captionType', captionType, `Unsupported captionType '${captionType}' (use manual, auto or any)`
+      );
+      return res.status(httpStatus).json(response);
+    }
+
+    // Same precedence as /transcript: lang, then Accept-Language, then English
+    const languages = languageHandler.parseLanguagePreferences(lang || req.get("accept-language"));
+    if (lang && (languages.length === 0 || languageHandler.findMalformedLanguages(lang).length > 0)) {
+      const { response, httpStatus } = responseFormatter.formatValidationError(
+        'lang', lang, 'lang must be a language tag or a ranked list such as fr,de;q=0.8,en;q=0.5'
+      );
+      return res.status(httpStatus).json(response);
+    }
+    const preferredLanguages = languages.length > 0 ? languages : [{ language: "en", quality: 1 }];
+    if (!lang) {
+      res.vary("Accept-Language");
+    }
+
     const urlValidation = validateYouTubeUrl(url);
     if (!urlValidation.isValid) {
       return res.status(400).json({ error: urlValidation.error });
     }
 
     const metadata = await metadataExtractor.getVideoMetadata(urlValidation.videoId);
-    const preferences = { preferredLanguage: lang, fallbackToAudio: true };
+    const preferences = {
+      preferredLanguage: preferredLanguages[0].language,
+      preferredLanguages,
+      fallbackToAudio: true,
+      captionType,
+      translate: translate === "true"
+    };
     
     const strategies = strategySelector.selectStrategy(metadata, preferences);
     const primaryStrategy = strategySelector.getPrimaryStrategy(metadata, preferences);
@@ -248,8 +817,12 @@ app.get("/extraction-methods", async (req, res) => {
     const methodDetails = strategies.map(method => ({
       method,
       estimatedTime: strategySelector.estimateExtractionTime(method, metadata),
+      estimatedCost: costEstimator.estimate(method, metadata, provider),
       recommended: method === primaryStrategy,
-      config: strategySelector.getMethodConfig(method, metadata, preferences)
+      config: {
+        ...strategySelector.getMethodConfig(method, metadata, preferences),
+        captionTracks: undefined
+      }
     }));
 
     const response = {
@@ -259,6 +832,7 @@ app.get("/extraction-methods", async (req, res) => {
         title: metadata.title,
         hasClosedCaptions: metadata.hasClosedCaptions,
         availableLanguages: metadata.availableLanguages,
+        captionTracks: responseFormatter.formatCaptionTracks(metadata.captionTracks),
         recommendedMethod: primaryStrategy,
         availableMethods: methodDetails
       }
@@ -272,13 +846,35 @@ app.get("/extraction-methods", async (req, res) => {
   }
 });
 
+// A shared limiter store must be reachable before traffic is accepted; otherwise every request gets 503
+if (typeof rateLimiter.store.connect === "function") {
+  try {
+    await rateLimiter.store.connect();
+  } catch (error) {
+    log.error("Rate limiter store unavailable", { error });
+    process.exit(1);
+  }
+}
+
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
-  console.log(`🚀 Enhanced YouTube Transcript API listening on :${PORT}`);
-  console.log(`📋 Available endpoints:`);
-  console.log(`   GET /health - Health check`);
-  console.log(`   GET /transcript - Enhanced transcript extraction`);
-  console.log(`   GET /video-info - Video metadata only`);
-  console.log(`   GET /extraction-methods - Available extraction methods`);
-  console.log(`   GET /transcript-legacy - Legacy endpoint (redirects)`);
+  log.info("Enhanced YouTube Transcript API listening", { port: PORT });
+  [
+    "GET /health - Health check",
+    "GET /health/live - Liveness probe",
+    "GET /health/ready - Readiness probe (?deep=true runs a fixture extraction)",
+    "GET /metrics - Prometheus metrics",
+    "GET /transcript - Enhanced transcript extraction",
+    "GET /transcript/stream - Transcript extraction with SSE progress",
+    "GET /video-info - Video metadata only",
+    "GET /extraction-methods - Available extraction methods",
+    "GET /transcript-legacy - Legacy endpoint (redirects)",
+    "POST /transcripts/batch - Batch transcript extraction",
+    "GET /playlist - Expand a playlist or channel into videos",
+    "POST /playlist - Expand and queue transcript jobs",
+    "POST /jobs - Queue an asynchronous transcript job",
+    "GET /jobs/:id - Job status and progress",
+    "GET /jobs/:id/result - Job result",
+    "DELETE /jobs/:id - Cancel a job"
+  ].forEach(endpoint => log.debug(`Endpoint ${endpoint}`));
 });
\ No newline at end of file
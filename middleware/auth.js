@@ -0,0 +1,185 @@
+// middleware/auth.js
+// API key authentication, scopes and per-client restrictions
+
+import { ERROR_CODES } from '../types/interfaces.js';
+import { TRANSCRIPT_METHODS } from '../services/strategy-selector.js';
+import { API_SCOPES, createApiKeyStore } from '../services/api-key-store.js';
+import { responseFormatter as defaultResponseFormatter } from '../services/response-formatter.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'auth' });
+
+/**
+ * Scope required to run each extraction method
+ */
+const METHOD_SCOPES = {
+  [TRANSCRIPT_METHODS.YOUTUBE_TIMEDTEXT]: API_SCOPES.CAPTIONS,
+  [TRANSCRIPT_METHODS.YOUTUBE_TRANSCRIPT]: API_SCOPES.CAPTIONS,
+  [TRANSCRIPT_METHODS.YOUTUBE_CAPTION_EXTRACTOR]: API_SCOPES.CAPTIONS,
+  [TRANSCRIPT_METHODS.WHISPER_AUDIO]: API_SCOPES.AUDIO
+};
+
+/**
+ * Authenticator class producing Express middleware and method guards
+ *
+ * When no key store is configured every request is let through unchanged.
+ */
+export class Authenticator {
+  /**
+   * @param {Object} options
+   * @param {Object|null} [options.store] - Key store with async findByKey(key)
+   * @param {string[]} [options.anonymousScopes=[]] - Scopes for requests without a key (empty: key required)
+   * @param {ResponseFormatter} [options.responseFormatter] - Formatter for 401/403 responses
+   */
+  constructor({ store = null, anonymousScopes = [], responseFormatter = defaultResponseFormatter } = {}) {
+    this.store = store;
+    this.anonymousScopes = anonymousScopes;
+    this.responseFormatter = responseFormatter;
+  }
+
+  /**
+   * @returns {boolean} - Whether API keys are checked
+   */
+  isEnabled() {
+    return Boolean(this.store);
+  }
+
+  /**
+   * Read the API key from `Authorization: Bearer` or `X-API-Key`
+   * @param {Object} req - Express request
+   * @returns {string|null}
+   */
+  getApiKey(req) {
+    const authorization = req.get('authorization') || '';
+    if (authorization.toLowerCase().startsWith('bearer ')) {
+      return authorization.slice(7).trim() || null;
+    }
+    return req.get('x-api-key') || null;
+  }
+
+  /**
+   * Create middleware resolving the API key into req.client
+   * @returns {Function} - Express middleware
+   */
+  middleware() {
+    return async (req, res, next) => {
+      if (!this.isEnabled()) return next();
+
+      const apiKey = this.getApiKey(req);
+
+      if (!apiKey) {
+        if (this.anonymousScopes.length === 0) {
+          return this._reject(res, ERROR_CODES.UNAUTHORIZED,
+            'API key required (Authorization: Bearer <key> or X-API-Key header)');
+        }
+
+        req.client = {
+          id: null,
+          name: 'anonymous',
+          scopes: this.anonymousScopes,
+          maxDurationSeconds: null,
+          allowedOrigins: null,
+          rateLimit: {}
+        };
+        return next();
+      }
+
+      let client;
+      try {
+        client = await this.store.findByKey(apiKey);
+      } catch (error) {
+        log.error('API key lookup failed', { error });
+        return this._reject(res, ERROR_CODES.UNAUTHORIZED, 'API key could not be verified');
+      }
+
+      if (!client) {
+        return this._reject(res, ERROR_CODES.UNAUTHORIZED, 'Invalid or expired API key');
+      }
+
+      // Browsers always send Origin on cross-origin requests; server-side callers are not restricted
+      const origin = req.get('origin');
+      if (origin && client.allowedOrigins && !client.allowedOrigins.includes(origin)) {
+        return this._reject(res, ERROR_CODES.FORBIDDEN, `API key is not allowed from origin ${origin}`);
+      }
+
+      req.client = client;
+      next();
+    };
+  }
+
+  /**
+   * Create middleware requiring a scope
+   * @param {string} scope - One of API_SCOPES
+   * @returns {Function} - Express middleware
+   */
+  requireScope(scope) {
+    return (req, res, next) => {
+      if (!this.isEnabled() || this.hasScope(req.client, scope)) return next();
+      return this._reject(res, ERROR_CODES.FORBIDDEN, `API key lacks the '${scope}' scope`);
+    };
+  }
+
+  /**
+   * @param {ApiClient} client - Client from req.client
+   * @param {string} scope - Scope
+   * @returns {boolean}
+   */
+  hasScope(client, scope) {
+    return Boolean(client?.scopes?.includes(scope));
+  }
+
+  /**
+   * Build the method guard for a request's client
+   * @param {ApiClient} client - Client from req.client
+   * @returns {Function|null} - async (method, { metadata }) => void, throwing FORBIDDEN
+   */
+  methodGuard(client) {
+    if (!this.isEnabled() || !client) return null;
+
+    return async (method, { metadata } = {}) => {
+      const scope = METHOD_SCOPES[method];
+      if (scope && !this.hasScope(client, scope)) {
+        const error = new Error(`API key lacks the '${scope}' scope required for ${method}`);
+        error.code = ERROR_CODES.FORBIDDEN;
+        throw error;
+      }
+
+      if (method === TRANSCRIPT_METHODS.WHISPER_AUDIO && client.maxDurationSeconds &&
+          metadata?.duration > client.maxDurationSeconds) {
+        const error = new Error(
+          `Video is ${Math.round(metadata.duration / 60)} minutes long; this API key may transcribe audio ` +
+          `up to ${Math.round(client.maxDurationSeconds / 60)} minutes`
+        );
+        error.code = ERROR_CODES.FORBIDDEN;
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Send a 401/403 response
+   * @private
+   */
+  _reject(res, code, message) {
+    const { response, httpStatus } = this.responseFormatter.formatAuthError(code, message);
+    if (code === ERROR_CODES.UNAUTHORIZED) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+    }
+    return res.status(httpStatus).json(response);
+  }
+}
+
+/**
+ * Create the authenticator from environment configuration
+ * @param {Object} env - Environment variables
+ * @returns {Authenticator}
+ */
+export function createAuthenticator(env = process.env) {
+  return new Authenticator({
+    store: createApiKeyStore(env),
+    anonymousScopes: (env.AUTH_ANONYMOUS_SCOPES || '').split(',').map(scope => scope.trim()).filter(Boolean)
+  });
+}
+
+// Export singleton instance
+export const authenticator = createAuthenticator();
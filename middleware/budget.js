@@ -0,0 +1,185 @@
+// middleware/budget.js
+// Daily spending budgets per client for paid extraction methods
+
+import { ERROR_CODES } from '../types/interfaces.js';
+import { MemoryRateLimitStore, RedisRateLimitStore } from './rate-limiter.js';
+import { costEstimator as defaultCostEstimator } from '../services/cost-estimator.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'budget' });
+
+/**
+ * Limit used when adjusting a reservation, which must never be refused
+ */
+const UNLIMITED = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Retry-After sent while the budget store cannot be reached
+ */
+const STORE_RETRY_AFTER_SECONDS = 30;
+
+/**
+ * SpendingBudget class producing method guards that reserve a method's estimated
+ * cost against the client's daily budget and settle it with the actual cost
+ */
+export class SpendingBudget {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.store] - Counter store with consumeQuota() (shared with the rate limiter)
+   * @param {number} [options.defaultDailyBudget=0] - Budget for clients without their own (0: unlimited)
+   * @param {CostEstimator} [options.costEstimator] - Prices results for settlement
+   */
+  constructor({
+    store = new MemoryRateLimitStore(),
+    defaultDailyBudget = 0,
+    costEstimator = defaultCostEstimator
+  } = {}) {
+    this.store = store;
+    this.defaultDailyBudget = defaultDailyBudget;
+    this.costEstimator = costEstimator;
+  }
+
+  /**
+   * Get the daily budget and budget key for a request
+   * @param {Object} req - Express request
+   * @returns {Object} - { key, dailyBudget }
+   */
+  identify(req) {
+    const dailyBudget = req.client?.dailyBudget ?? this.defaultDailyBudget;
+    const id = req.client?.id ? `key:${req.client.id}` : `ip:${req.ip}`;
+    return { key: id, dailyBudget };
+  }
+
+  /**
+   * Build the method guard for a request
+   *
+   * The guard reserves the estimated cost before a paid method runs and returns
+   * a settle(result) callback that replaces the reservation with the actual cost
+   * (for a failure, only the audio transcribed before it failed). Paid methods are
+   * refused when the budget store cannot be reached.
+   * @param {Object} req - Express request
+   * @returns {Function|null} - async (method, { metadata, cost }) => settle, throwing BUDGET_EXCEEDED
+   *   or SERVICE_UNAVAILABLE
+   */
+  methodGuard(req) {
+    const { key, dailyBudget } = this.identify(req);
+    if (!(dailyBudget > 0)) return null;
+
+    return async (method, { metadata, cost } = {}) => {
+      // Free methods and cache hits never touch the budget
+      if (!cost || cost.pricePerMinute === 0 || cost.amount === 0) return undefined;
+
+      if (cost.amount === null) {
+        throw this._budgetError(
+          `Cost of ${method} cannot be estimated because the video duration is unknown ` +
+          `(daily budget ${this._formatAmount(dailyBudget)})`
+        );
+      }
+
+      const counterKey = `spend:${this._today()}:${key}`;
+      let reservation;
+      try {
+        reservation = await this.store.consumeQuota(counterKey, {
+          limit: dailyBudget,
+          cost: cost.amount,
+          ttlSeconds: 2 * 24 * 60 * 60
+        });
+      } catch (error) {
+        // Running a paid method unchecked could overspend the budget
+        log.error('Budget store unavailable', { error });
+        const unavailable = new Error(`Spending budget cannot be checked for ${method}: budget store unavailable`);
+        unavailable.code = ERROR_CODES.SERVICE_UNAVAILABLE;
+        unavailable.retryAfter = STORE_RETRY_AFTER_SECONDS;
+        throw unavailable;
+      }
+
+      if (!reservation.allowed) {
+        const remaining = Math.max(0, dailyBudget - reservation.used);
+        const error = this._budgetError(
+          `Daily spending budget exceeded: ${method} would cost ${this._formatAmount(cost.amount)}, ` +
+          `${this._formatAmount(remaining)} of ${this._formatAmount(dailyBudget)} left today`
+        );
+        error.retryAfter = this._secondsUntilTomorrow();
+        throw error;
+      }
+
+      log.debug('Reserved estimated cost', { method, client: key, amount: cost.amount });
+
+      return async (result) => {
+        // Failures are charged for the audio already transcribed (chunks before the error)
+        const actual = result
+          ? this.costEstimator.forResult(result, metadata).amount ?? cost.amount
+          : 0;
+        const adjustment = this.costEstimator.round(actual - cost.amount);
+        if (adjustment === 0) return;
+
+        try {
+          await this.store.consumeQuota(counterKey, {
+            limit: UNLIMITED,
+            cost: adjustment,
+            ttlSeconds: 2 * 24 * 60 * 60
+          });
+        } catch (error) {
+          log.error('Could not settle spend', { client: key, error });
+        }
+      };
+    };
+  }
+
+  /**
+   * @param {string} message - Error message
+   * @returns {Error} - Error with code BUDGET_EXCEEDED
+   * @private
+   */
+  _budgetError(message) {
+    const error = new Error(message);
+    error.code = ERROR_CODES.BUDGET_EXCEEDED;
+    return error;
+  }
+
+  /**
+   * @param {number} amount - Amount in the price table currency
+   * @returns {string}
+   * @private
+   */
+  _formatAmount(amount) {
+    return `${amount.toFixed(4)} ${this.costEstimator.currency}`;
+  }
+
+  /**
+   * @returns {string} - Current UTC day (YYYY-MM-DD)
+   * @private
+   */
+  _today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  /**
+   * @returns {number} - Seconds until the next UTC midnight
+   * @private
+   */
+  _secondsUntilTomorrow() {
+    const now = new Date();
+    const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((tomorrow - now.getTime()) / 1000);
+  }
+}
+
+/**
+ * Create the spending budget from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {SpendingBudget}
+ */
+export function createSpendingBudget(env = process.env) {
+  const store = env.RATE_LIMIT_BACKEND === 'redis'
+    ? new RedisRateLimitStore({ url: env.REDIS_URL, prefix: env.BUDGET_PREFIX || 'yt-budget:' })
+    : new MemoryRateLimitStore();
+
+  return new SpendingBudget({
+    store,
+    defaultDailyBudget: parseFloat(env.COST_DAILY_BUDGET) || 0
+  });
+}
+
+// Export singleton instance
+export const spendingBudget = createSpendingBudget();
@@ -0,0 +1,446 @@
+// middleware/rate-limiter.js
+// Token-bucket rate limits and daily quotas per client (API key or IP)
+
+import { ERROR_CODES } from '../types/interfaces.js';
+import { TRANSCRIPT_METHODS } from '../services/strategy-selector.js';
+import { responseFormatter as defaultResponseFormatter } from '../services/response-formatter.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'rate-limiter' });
+
+/**
+ * Retry-After sent while the limiter store cannot be reached
+ */
+const STORE_RETRY_AFTER_SECONDS = 30;
+
+/**
+ * In-memory limiter store (per process)
+ */
+export class MemoryRateLimitStore {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxKeys=10000] - Expired entries are swept once this many keys exist
+   */
+  constructor({ maxKeys = 10000 } = {}) {
+    this.maxKeys = maxKeys;
+    this.buckets = new Map();
+    this.counters = new Map();
+  }
+
+  /**
+   * Take tokens from a bucket that refills continuously
+   * @param {string} key - Bucket key
+   * @param {Object} bucket - { capacity, refillPerSecond, cost }
+   * @returns {Promise<Object>} - { allowed, remaining }
+   */
+  async consumeTokens(key, { capacity, refillPerSecond, cost = 1 }) {
+    const now = Date.now();
+    const state = this.buckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    const elapsedSeconds = (now - state.updatedAt) / 1000;
+    let tokens = Math.min(capacity, state.tokens + elapsedSeconds * refillPerSecond);
+
+    const allowed = tokens >= cost;
+    if (allowed) tokens -= cost;
+
+    this.buckets.set(key, {
+      tokens,
+      updatedAt: now,
+      expiresAt: now + (capacity / refillPerSecond) * 1000
+    });
+    this._sweep(now);
+
+    return { allowed, remaining: tokens };
+  }
+
+  /**
+   * Add to a counter unless that would exceed the limit
+   * @param {string} key - Counter key
+   * @param {Object} quota - { limit, cost, ttlSeconds }
+   * @returns {Promise<Object>} - { allowed, used }
+   */
+  async consumeQuota(key, { limit, cost = 1, ttlSeconds }) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+    if (!counter || counter.expiresAt <= now) {
+      counter = { used: 0, expiresAt: now + ttlSeconds * 1000 };
+    }
+
+    const allowed = counter.used + cost <= limit;
+    if (allowed) counter.used += cost;
+
+    this.counters.set(key, counter);
+    this._sweep(now);
+
+    return { allowed, used: counter.used };
+  }
+
+  /**
+   * Drop expired entries when the store grows large
+   * @param {number} now - Current time in ms
+   * @private
+   */
+  _sweep(now) {
+    if (this.buckets.size + this.counters.size < this.maxKeys) return;
+
+    for (const [key, entry] of this.buckets) {
+      if (entry.expiresAt <= now) this.buckets.delete(key);
+    }
+    for (const [key, entry] of this.counters) {
+      if (entry.expiresAt <= now) this.counters.delete(key);
+    }
+  }
+}
+
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(state[1]) or capacity
+local ts = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + (now - ts) / 1000 * rate)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / rate * 1000))
+return {allowed, tostring(tokens)}
+`;
+
+const QUOTA_SCRIPT = `
+local limit = tonumber(ARGV[1])
+local cost = tonumber(ARGV[2])
+local used = tonumber(redis.call('GET', KEYS[1]) or '0')
+if used + cost > limit then
+  return {0, tostring(used)}
+end
+used = tonumber(redis.call('INCRBYFLOAT', KEYS[1], cost))
+if redis.call('TTL', KEYS[1]) < 0 then
+  redis.call('EXPIRE', KEYS[1], ARGV[3])
+end
+return {1, tostring(used)}
+`;
+
+/**
+ * Redis limiter store shared by all instances (works with node-redis v4 and ioredis clients)
+ */
+export class RedisRateLimitStore {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.client] - Connected Redis-compatible client
+   * @param {string} [options.url] - Redis URL used when no client is given
+   * @param {string} [options.prefix='yt-ratelimit:'] - Key prefix
+   */
+  constructor({ client = null, url = null, prefix = 'yt-ratelimit:' } = {}) {
+    this.client = client;
+    this.url = url;
+    this.prefix = prefix;
+    this.clientPromise = null;
+  }
+
+  async consumeTokens(key, { capacity, refillPerSecond, cost = 1 }) {
+    const [allowed, remaining] = await this._eval(TOKEN_BUCKET_SCRIPT, this.prefix + key, [
+      capacity, refillPerSecond, Date.now(), cost
+    ]);
+    return { allowed: Number(allowed) === 1, remaining: parseFloat(remaining) };
+  }
+
+  async consumeQuota(key, { limit, cost = 1, ttlSeconds }) {
+    const [allowed, used] = await this._eval(QUOTA_SCRIPT, this.prefix + key, [limit, cost, ttlSeconds]);
+    return { allowed: Number(allowed) === 1, used: parseFloat(used) };
+  }
+
+  /**
+   * Run a Lua script against one key
+   * @param {string} script - Lua source
+   * @param {string} key - Full Redis key
+   * @param {Array} args - Script arguments
+   * @returns {Promise<Array>}
+   * @private
+   */
+  async _eval(script, key, args) {
+    const client = await this._getClient();
+    const stringArgs = args.map(String);
+
+    // ioredis: eval(script, numKeys, ...keys, ...args); node-redis v4: eval(script, { keys, arguments })
+    if (client.setex) {
+      return client.eval(script, 1, key, ...stringArgs);
+    }
+    return client.eval(script, { keys: [key], arguments: stringArgs });
+  }
+
+  /**
+   * Connect now rather than on the first request, so a missing package or an
+   * unreachable server shows up at startup
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    await this._getClient();
+  }
+
+  /**
+   * Get (and lazily connect) the Redis client
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _getClient() {
+    if (this.client) return this.client;
+
+    if (!this.clientPromise) {
+      this.clientPromise = (async () => {
+        if (!this.url) {
+          throw new Error('Redis rate limit store requires a client or url');
+        }
+        let createClient;
+        try {
+          ({ createClient } = await import('redis'));
+        } catch (error) {
+          throw new Error(`RATE_LIMIT_BACKEND=redis requires the optional 'redis' package (npm install redis): ${error.message}`);
+        }
+        const client = createClient({ url: this.url });
+        await client.connect();
+        this.client = client;
+        return client;
+      })().catch((error) => {
+        this.clientPromise = null;
+        throw error;
+      });
+    }
+
+    return this.clientPromise;
+  }
+}
+
+/**
+ * RateLimiter class producing Express middleware and method guards
+ *
+ * Every client (verified API key, otherwise IP) gets a request bucket and
+ * a daily request quota. whisper-audio has its own, stricter bucket and quota that
+ * is only charged when the method actually runs.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.store] - Limiter store (MemoryRateLimitStore or RedisRateLimitStore)
+   * @param {Object} [options.limits] - Per-minute, per-hour and daily limits (0 disables a limit)
+   * @param {boolean} [options.enabled=true] - Disable to let every request through
+   * @param {ResponseFormatter} [options.responseFormatter] - Formatter for 429 responses
+   */
+  constructor({
+    store = new MemoryRateLimitStore(),
+    limits = {},
+    enabled = true,
+    responseFormatter = defaultResponseFormatter
+  } = {}) {
+    this.store = store;
+    this.enabled = enabled;
+    this.responseFormatter = responseFormatter;
+    this.limits = {
+      ipPerMinute: 60,
+      keyPerMinute: 300,
+      dailyQuota: 5000,
+      whisperPerHour: 10,
+      whisperDailyQuota: 50,
+      ...limits
+    };
+  }
+
+  /**
+   * Identify the client a request is charged to
+   * @param {Object} req - Express request
+   * @returns {Object} - { id, type: 'key'|'ip', limits }
+   */
+  identify(req) {
+    // Only verified keys are charged by ID, with their own limit overrides; an
+    // unverified header would let callers mint a fresh bucket per request
+    if (req.client?.id) {
+      return { id: `key:${req.client.id}`, type: 'key', limits: { ...this.limits, ...req.client.rateLimit } };
+    }
+
+    return { id: `ip:${req.ip}`, type: 'ip', limits: this.limits };
+  }
+
+  /**
+   * Create middleware charging the request bucket and daily quota
+   * @param {Object} options
+   * @param {Function} [options.cost] - (req) => number of requests this call counts as
+   * @returns {Function} - Express middleware
+   */
+  middleware({ cost = () => 1 } = {}) {
+    return async (req, res, next) => {
+      if (!this.enabled) return next();
+
+      const client = this.identify(req);
+      const requestCost = Math.max(1, cost(req) || 1);
+
+      try {
+        const { limits } = client;
+        const perMinute = limits.perMinute ?? (client.type === 'key' ? limits.keyPerMinute : limits.ipPerMinute);
+        if (perMinute > 0) {
+          const bucket = await this.store.consumeTokens(`req:${client.id}`, {
+            capacity: perMinute,
+            refillPerSecond: perMinute / 60,
+            cost: requestCost
+          });
+
+          res.setHeader('X-RateLimit-Limit', String(perMinute));
+          res.setHeader('X-RateLimit-Remaining', String(Math.floor(bucket.remaining)));
+          res.setHeader('X-RateLimit-Reset', String(Math.ceil((perMinute - bucket.remaining) / (perMinute / 60))));
+
+          if (!bucket.allowed) {
+            const retryAfter = Math.ceil((requestCost - bucket.remaining) / (perMinute / 60));
+            return this._reject(res, ERROR_CODES.RATE_LIMIT_EXCEEDED, retryAfter,
+              `Rate limit exceeded (${perMinute} requests per minute)`);
+          }
+        }
+
+        if (limits.dailyQuota > 0) {
+          const quota = await this.store.consumeQuota(`day:${this._today()}:${client.id}`, {
+            limit: limits.dailyQuota,
+            cost: requestCost,
+            ttlSeconds: 2 * 24 * 60 * 60
+          });
+
+          res.setHeader('X-RateLimit-Daily-Limit', String(limits.dailyQuota));
+          res.setHeader('X-RateLimit-Daily-Remaining', String(Math.max(0, limits.dailyQuota - quota.used)));
+
+          if (!quota.allowed) {
+            return this._reject(res, ERROR_CODES.QUOTA_EXCEEDED, this._secondsUntilTomorrow(),
+              `Daily quota exceeded (${limits.dailyQuota} requests per day)`);
+          }
+        }
+
+      } catch (error) {
+        // Letting requests through would silently switch limiting off
+        log.error('Rate limiter unavailable', { error });
+        return this._reject(res, ERROR_CODES.SERVICE_UNAVAILABLE, STORE_RETRY_AFTER_SECONDS,
+          'Rate limiter unavailable');
+      }
+
+      req.rateLimit = {
+        client,
+        authorizeMethod: (method, context) => this.authorizeMethod(client, method, context)
+      };
+      next();
+    };
+  }
+
+  /**
+   * Charge the whisper-audio bucket and quota just before the method runs
+   * @param {Object} client - Client from identify()
+   * @param {TranscriptMethod} method - Method about to run
+   * @param {Object} [context] - { cached } is true when a cached transcript is served instead
+   * @returns {Promise<void>}
+   * @throws {Error} - With code RATE_LIMIT_EXCEEDED, QUOTA_EXCEEDED or SERVICE_UNAVAILABLE and retryAfter
+   */
+  async authorizeMethod(client, method, { cached = false } = {}) {
+    if (!this.enabled || cached || method !== TRANSCRIPT_METHODS.WHISPER_AUDIO) return;
+
+    const { limits } = client;
+
+    let bucket = { allowed: true };
+    let quota = { allowed: true };
+    try {
+      if (limits.whisperPerHour > 0) {
+        bucket = await this.store.consumeTokens(`whisper:${client.id}`, {
+          capacity: limits.whisperPerHour,
+          refillPerSecond: limits.whisperPerHour / 3600
+        });
+      }
+
+      if (bucket.allowed && limits.whisperDailyQuota > 0) {
+        quota = await this.store.consumeQuota(`whisper-day:${this._today()}:${client.id}`, {
+          limit: limits.whisperDailyQuota,
+          ttlSeconds: 2 * 24 * 60 * 60
+        });
+      }
+    } catch (error) {
+      log.error('Rate limiter unavailable', { error });
+      const unavailable = new Error('whisper-audio rate limits cannot be checked: rate limiter unavailable');
+      unavailable.code = ERROR_CODES.SERVICE_UNAVAILABLE;
+      unavailable.retryAfter = STORE_RETRY_AFTER_SECONDS;
+      throw unavailable;
+    }
+
+    if (!bucket.allowed) {
+      const error = new Error(`whisper-audio rate limit exceeded (${limits.whisperPerHour} per hour)`);
+      error.code = ERROR_CODES.RATE_LIMIT_EXCEEDED;
+      error.retryAfter = Math.ceil((1 - bucket.remaining) / (limits.whisperPerHour / 3600));
+      throw error;
+    }
+
+    if (!quota.allowed) {
+      const error = new Error(`whisper-audio daily quota exceeded (${limits.whisperDailyQuota} per day)`);
+      error.code = ERROR_CODES.QUOTA_EXCEEDED;
+      error.retryAfter = this._secondsUntilTomorrow();
+      throw error;
+    }
+  }
+
+  /**
+   * Send a 429 response with Retry-After
+   * @private
+   */
+  _reject(res, code, retryAfter, message) {
+    const { response, httpStatus } = this.responseFormatter.formatRateLimitError(retryAfter, code, message);
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(httpStatus).json(response);
+  }
+
+  /**
+   * @returns {string} - Current UTC day (YYYY-MM-DD)
+   * @private
+   */
+  _today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  /**
+   * @returns {number} - Seconds until the next UTC midnight
+   * @private
+   */
+  _secondsUntilTomorrow() {
+    const now = new Date();
+    const tomorrow = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((tomorrow - now.getTime()) / 1000);
+  }
+}
+
+/**
+ * Create the rate limiter from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {RateLimiter}
+ */
+export function createRateLimiter(env = process.env) {
+  if (env.RATE_LIMIT_BACKEND === 'redis' && !env.REDIS_URL) {
+    throw new Error('RATE_LIMIT_BACKEND=redis requires REDIS_URL');
+  }
+
+  const store = env.RATE_LIMIT_BACKEND === 'redis'
+    ? new RedisRateLimitStore({ url: env.REDIS_URL, prefix: env.RATE_LIMIT_PREFIX || 'yt-ratelimit:' })
+    : new MemoryRateLimitStore();
+
+  const readLimit = (value, fallback) => {
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+
+  return new RateLimiter({
+    store,
+    enabled: env.RATE_LIMIT_ENABLED !== 'false',
+    limits: {
+      ipPerMinute: readLimit(env.RATE_LIMIT_IP_PER_MINUTE, 60),
+      keyPerMinute: readLimit(env.RATE_LIMIT_KEY_PER_MINUTE, 300),
+      dailyQuota: readLimit(env.RATE_LIMIT_DAILY_QUOTA, 5000),
+      whisperPerHour: readLimit(env.RATE_LIMIT_WHISPER_PER_HOUR, 10),
+      whisperDailyQuota: readLimit(env.RATE_LIMIT_WHISPER_DAILY_QUOTA, 50)
+    }
+  });
+}
+
+// Export singleton instance
+export const rateLimiter = createRateLimiter();
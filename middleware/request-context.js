@@ -0,0 +1,48 @@
+// middleware/request-context.js
+// Per-request correlation IDs and access logging
+
+import crypto from 'crypto';
+import { logger as defaultLogger } from '../utils/logger.js';
+
+/**
+ * Incoming IDs are reused only if they are short and free of control characters
+ */
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Create middleware assigning each request a correlation ID
+ *
+ * The ID is taken from the incoming X-Request-Id header when valid (so IDs from a
+ * gateway carry through), otherwise generated. It is returned as X-Request-Id,
+ * stored as req.id and added to every log entry written while the request runs.
+ * @param {Object} options
+ * @param {Logger} [options.logger] - Logger whose context receives the ID
+ * @param {boolean} [options.trustIncoming=true] - Reuse a valid incoming X-Request-Id
+ * @returns {Function} - Express middleware
+ */
+export function requestContext({ logger = defaultLogger, trustIncoming = true } = {}) {
+  const log = logger.child({ component: 'http' });
+
+  return (req, res, next) => {
+    const incoming = trustIncoming ? req.get('x-request-id') : null;
+    const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    const startTime = Date.now();
+
+    req.id = requestId;
+    res.setHeader('X-Request-Id', requestId);
+
+    logger.runWithContext({ requestId }, () => {
+      res.on('finish', () => {
+        log.info('Request completed', {
+          method: req.method,
+          path: req.path,
+          status: res.statusCode,
+          durationMs: Date.now() - startTime,
+          client: req.client?.id || undefined
+        });
+      });
+
+      next();
+    });
+  };
+}
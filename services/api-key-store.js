@@ -0,0 +1,178 @@
+// services/api-key-store.js
+// API key lookup with per-client scopes, limits and allowed origins
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'api-keys' });
+
+/**
+ * Scopes a key can be granted
+ */
+export const API_SCOPES = {
+  CAPTIONS: 'captions', // youtube-timedtext, youtube-transcript and youtube-caption-extractor
+  AUDIO: 'audio',       // whisper-audio (paid transcription)
+  BATCH: 'batch',       // POST /transcripts/batch
+  JOBS: 'jobs'          // POST /jobs and POST /playlist
+};
+
+/**
+ * @typedef {Object} ApiClient
+ * @property {string} id - Stable client ID (used for rate limits and logs)
+ * @property {string} name - Display name
+ * @property {string[]} scopes - Granted API_SCOPES
+ * @property {number|null} maxDurationSeconds - Longest video the client may transcribe with whisper-audio
+ * @property {string[]|null} allowedOrigins - Browser origins the key may be used from (null: any)
+ * @property {number|null} dailyBudget - Daily spending limit for paid methods (null: COST_DAILY_BUDGET)
+ * @property {Object} rateLimit - Overrides for the rate limiter ({ perMinute, dailyQuota, whisperPerHour, whisperDailyQuota })
+ */
+
+/**
+ * Hash an API key for storage and comparison
+ * @param {string} key - Raw API key
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Normalize a key entry from configuration into an ApiClient with its key hash
+ * @param {Object|string} entry - Key entry, or a bare key string
+ * @param {number} index - Position in the configuration (for error messages)
+ * @returns {Object} - { keyHash, client, disabled, expiresAt }
+ */
+function normalizeEntry(entry, index) {
+  // Bare keys get the same captions-only default as entries without scopes; paid
+  // audio access has to be granted explicitly
+  const config = typeof entry === 'string' ? { key: entry } : entry;
+  const keyHash = (config.keyHash || (config.key ? hashApiKey(config.key) : '')).toLowerCase();
+
+  if (!keyHash) {
+    throw new Error(`API key entry ${index} needs a key or keyHash`);
+  }
+
+  const id = config.id || `key-${keyHash.slice(0, 8)}`;
+  return {
+    keyHash,
+    disabled: config.disabled === true,
+    expiresAt: config.expiresAt ? Date.parse(config.expiresAt) : null,
+    client: {
+      id,
+      name: config.name || id,
+      scopes: config.scopes || [API_SCOPES.CAPTIONS],
+      maxDurationSeconds: config.maxDurationSeconds || null,
+      allowedOrigins: config.allowedOrigins || null,
+      dailyBudget: config.dailyBudget ?? null,
+      rateLimit: config.rateLimit || {}
+    }
+  };
+}
+
+/**
+ * Parse key configuration: JSON ({ keys: [...] } or [...]) or a comma-separated key list
+ * @param {string} text - Configuration text
+ * @returns {Object[]} - Normalized entries
+ */
+export function parseApiKeyConfig(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return [];
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const parsed = JSON.parse(trimmed);
+    const entries = Array.isArray(parsed) ? parsed : (parsed.keys || []);
+    return entries.map(normalizeEntry);
+  }
+
+  return trimmed.split(',').map(key => key.trim()).filter(Boolean).map(normalizeEntry);
+}
+
+/**
+ * Key store backed by a fixed list of entries (e.g. from the API_KEYS variable)
+ *
+ * Any object with an async findByKey(key) returning an ApiClient or null can be
+ * used as a store, e.g. one backed by a database table.
+ */
+export class StaticApiKeyStore {
+  /**
+   * @param {Object[]} entries - Normalized entries from parseApiKeyConfig
+   */
+  constructor(entries = []) {
+    this.entries = new Map(entries.map(entry => [entry.keyHash, entry]));
+  }
+
+  /**
+   * @param {string} key - Raw API key
+   * @returns {Promise<ApiClient|null>}
+   */
+  async findByKey(key) {
+    return this._lookup(key);
+  }
+
+  /**
+   * @param {string} key - Raw API key
+   * @returns {ApiClient|null}
+   * @private
+   */
+  _lookup(key) {
+    const entry = this.entries.get(hashApiKey(key));
+    if (!entry || entry.disabled) return null;
+    if (entry.expiresAt && entry.expiresAt < Date.now()) return null;
+    return entry.client;
+  }
+}
+
+/**
+ * Key store backed by a JSON file, reloaded when the file changes
+ */
+export class FileApiKeyStore extends StaticApiKeyStore {
+  /**
+   * @param {string} filePath - JSON file ({ keys: [...] })
+   */
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.loadedMtimeMs = 0;
+  }
+
+  async findByKey(key) {
+    await this._reloadIfChanged();
+    return this._lookup(key);
+  }
+
+  /**
+   * Re-read the file when its modification time changes; keep the old keys if it is broken
+   * @private
+   */
+  async _reloadIfChanged() {
+    try {
+      const stats = await fs.promises.stat(this.filePath);
+      if (stats.mtimeMs === this.loadedMtimeMs) return;
+
+      const entries = parseApiKeyConfig(await fs.promises.readFile(this.filePath, 'utf8'));
+      this.entries = new Map(entries.map(entry => [entry.keyHash, entry]));
+      this.loadedMtimeMs = stats.mtimeMs;
+      log.info('Loaded API keys', { count: entries.length, file: this.filePath });
+    } catch (error) {
+      log.warn('Could not load API keys', { file: this.filePath, error });
+    }
+  }
+}
+
+/**
+ * Create the key store from environment configuration
+ * @param {Object} env - Environment variables
+ * @returns {StaticApiKeyStore|FileApiKeyStore|null} - null when no keys are configured
+ */
+export function createApiKeyStore(env = process.env) {
+  if (env.API_KEYS_FILE) {
+    return new FileApiKeyStore(env.API_KEYS_FILE);
+  }
+
+  if (env.API_KEYS) {
+    return new StaticApiKeyStore(parseApiKeyConfig(env.API_KEYS));
+  }
+
+  return null;
+}
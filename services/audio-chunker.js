@@ -0,0 +1,190 @@
+// services/audio-chunker.js
+// Splits long audio into overlapping chunks and stitches chunk transcripts back together
+
+import path from 'path';
+import { runCommand } from '../utils/child-process.js';
+
+/**
+ * AudioChunker class for time-based audio splitting with ffmpeg
+ */
+export class AudioChunker {
+  /**
+   * @param {Object} options
+   * @param {string} [options.ffmpegPath] - ffmpeg binary (default: FFMPEG_PATH or 'ffmpeg')
+   * @param {string} [options.ffprobePath] - ffprobe binary (default: FFPROBE_PATH or 'ffprobe')
+   * @param {number} [options.chunkSeconds=600] - Chunk length in seconds
+   * @param {number} [options.overlapSeconds=5] - Overlap between consecutive chunks in seconds
+   */
+  constructor({
+    ffmpegPath = process.env.FFMPEG_PATH || 'ffmpeg',
+    ffprobePath = process.env.FFPROBE_PATH || 'ffprobe',
+    chunkSeconds = parseInt(process.env.WHISPER_CHUNK_SECONDS) || 600,
+    overlapSeconds = parseInt(process.env.WHISPER_CHUNK_OVERLAP_SECONDS) || 5
+  } = {}) {
+    this.ffmpegPath = ffmpegPath;
+    this.ffprobePath = ffprobePath;
+    this.chunkSeconds = chunkSeconds;
+    this.overlapSeconds = Math.min(overlapSeconds, Math.floor(chunkSeconds / 4));
+  }
+
+  /**
+   * Plan overlapping chunk windows for the given duration
+   * @param {number} durationSeconds - Total audio duration
+   * @returns {Object[]} - [{ index, startSeconds, durationSeconds }]
+   */
+  planChunks(durationSeconds) {
+    const chunks = [];
+    const step = this.chunkSeconds - this.overlapSeconds;
+
+    for (let start = 0, index = 0; start < durationSeconds; start += step, index++) {
+      chunks.push({
+        index,
+        startSeconds: start,
+        durationSeconds: Math.min(this.chunkSeconds, durationSeconds - start)
+      });
+
+      if (start + this.chunkSeconds >= durationSeconds) break;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Split an audio file into overlapping mono chunks
+   * @param {string} inputPath - Source audio file
+   * @param {string} outputDir - Directory for chunk files
+   * @param {number} durationSeconds - Total audio duration
+   * @param {AbortSignal} [signal] - Abort signal
+   * @returns {Promise<Object[]>} - [{ index, path, startSeconds, durationSeconds }]
+   */
+  async splitAudio(inputPath, outputDir, durationSeconds, signal) {
+    const chunks = this.planChunks(durationSeconds);
+
+    // Chunks are encoded sequentially: ffmpeg is CPU-bound and the transcription
+    // calls are where parallelism pays off
+    for (const chunk of chunks) {
+      chunk.path = path.join(outputDir, `chunk-${String(chunk.index).padStart(4, '0')}.mp3`);
+      await this._run(this.ffmpegPath, [
+        '-hide_banner', '-loglevel', 'error', '-y',
+        '-ss', String(chunk.startSeconds),
+        '-t', String(chunk.durationSeconds),
+        '-i', inputPath,
+        '-vn', '-ac', '1', '-ar', '16000', '-b:a', '48k',
+        chunk.path
+      ], signal);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Get audio duration with ffprobe
+   * @param {string} inputPath - Audio file
+   * @returns {Promise<number>} - Duration in seconds
+   */
+  async probeDuration(inputPath) {
+    const output = await this._run(this.ffprobePath, [
+      '-v', 'error',
+      '-show_entries', 'format=duration',
+      '-of', 'default=noprint_wrappers=1:nokey=1',
+      inputPath
+    ]);
+
+    const duration = parseFloat(output.trim());
+    if (!duration || Number.isNaN(duration)) {
+      throw new Error('Could not determine audio duration');
+    }
+    return duration;
+  }
+
+  /**
+   * Stitch per-chunk segments into one timeline
+   *
+   * Segments are shifted by their chunk's start offset. Each chunk keeps the
+   * segments that start before the midpoint of its overlap with the next chunk,
+   * including one that runs past it: the next chunk did not hear its beginning.
+   * The next chunk then continues with the segments that end after the last kept
+   * one. Words repeated across the seam are removed.
+   *
+   * @param {Object[]} chunkResults - [{ startSeconds, durationSeconds, segments }] with
+   *   segments as { text, start, end } in seconds relative to the chunk
+   * @returns {Object[]} - Whisper-style segments ({ text, start, end } in seconds)
+   */
+  stitchSegments(chunkResults) {
+    const ordered = [...chunkResults].sort((a, b) => a.startSeconds - b.startSeconds);
+    const stitched = [];
+    const tolerance = 0.2;
+
+    ordered.forEach((chunk, i) => {
+      const next = ordered[i + 1];
+
+      // Midpoint of the overlap with the next chunk (absolute seconds)
+      const cut = next
+        ? (next.startSeconds + chunk.startSeconds + chunk.durationSeconds) / 2
+        : Infinity;
+      const lastEnd = stitched.length > 0 ? stitched[stitched.length - 1].end : -Infinity;
+
+      const kept = (chunk.segments || [])
+        .map(segment => ({
+          ...segment,
+          text: (segment.text || '').trim(),
+          start: segment.start + chunk.startSeconds,
+          end: segment.end + chunk.startSeconds
+        }))
+        .filter(segment => segment.end > lastEnd + tolerance && segment.start < cut)
+        .map(segment => ({ ...segment, start: Math.max(segment.start, lastEnd) }));
+
+      if (kept.length > 0 && stitched.length > 0) {
+        kept[0] = this._removeOverlappingWords(stitched[stitched.length - 1], kept[0]);
+        if (!kept[0].text) kept.shift();
+      }
+
+      stitched.push(...kept);
+    });
+
+    return stitched;
+  }
+
+  /**
+   * Remove leading words of `segment` that repeat the trailing words of `previous`
+   * @param {Object} previous - Last kept segment
+   * @param {Object} segment - First segment after the cut
+   * @returns {Object} - Segment with duplicated words removed
+   * @private
+   */
+  _removeOverlappingWords(previous, segment) {
+    const normalize = word => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+    const previousWords = previous.text.trim().split(/\s+/).map(normalize);
+    const words = segment.text.trim().split(/\s+/);
+    const normalizedWords = words.map(normalize);
+
+    const maxOverlap = Math.min(previousWords.length, normalizedWords.length, 20);
+    for (let size = maxOverlap; size > 0; size--) {
+      const tail = previousWords.slice(-size).join(' ');
+      const head = normalizedWords.slice(0, size).join(' ');
+      if (tail && tail === head) {
+        return { ...segment, text: words.slice(size).join(' ') };
+      }
+    }
+
+    return segment;
+  }
+
+  /**
+   * Run ffmpeg/ffprobe
+   * @param {string} command - Binary
+   * @param {string[]} args - Arguments
+   * @param {AbortSignal} [signal] - Abort signal
+   * @returns {Promise<string>}
+   * @private
+   */
+  _run(command, args, signal) {
+    return runCommand(command, args, {
+      signal,
+      notFoundMessage: `${command} not found - install ffmpeg or set FFMPEG_PATH/FFPROBE_PATH to enable audio chunking`
+    });
+  }
+}
+
+// Export singleton instance
+export const audioChunker = new AudioChunker();
@@ -0,0 +1,159 @@
+// services/batch-processor.js
+// Batch transcript extraction for many videos in one request
+
+import { transcriptService as defaultTranscriptService } from './transcript-service.js';
+import { responseFormatter as defaultResponseFormatter } from './response-formatter.js';
+import { metrics as defaultMetrics } from './metrics.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'batch' });
+
+/**
+ * BatchProcessor class that runs the transcript pipeline for many items
+ * with bounded concurrency and per-item error isolation
+ */
+export class BatchProcessor {
+  /**
+   * @param {Object} options
+   * @param {TranscriptService} [options.transcriptService] - Transcript pipeline
+   * @param {ResponseFormatter} [options.responseFormatter] - Formatter for per-item results
+   * @param {TranscriptMetrics} [options.metrics] - Metrics recorder
+   * @param {number} [options.concurrency=3] - Default number of items processed at once
+   * @param {number} [options.maxConcurrency=5] - Upper bound for the request's `concurrency`
+   * @param {number} [options.maxItems=100] - Maximum items per batch
+   */
+  constructor({
+    transcriptService = defaultTranscriptService,
+    responseFormatter = defaultResponseFormatter,
+    metrics = defaultMetrics,
+    concurrency = 3,
+    maxConcurrency = 5,
+    maxItems = 100
+  } = {}) {
+    this.transcriptService = transcriptService;
+    this.responseFormatter = responseFormatter;
+    this.metrics = metrics;
+    this.concurrency = concurrency;
+    this.maxConcurrency = maxConcurrency;
+    this.maxItems = maxItems;
+  }
+
+  /**
+   * Validate the batch request body
+   * @param {Object|Array} body - `{ items, defaults, concurrency }` or a bare array of items
+   * @returns {Object} - { isValid, items, concurrency } or { isValid: false, field, value, error }
+   */
+  parseBatch(body) {
+    const { items, defaults = {}, concurrency } = Array.isArray(body) ? { items: body } : (body || {});
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return { isValid: false, field: 'items', value: '', error: 'items must be a non-empty array of URLs or objects' };
+    }
+
+    if (items.length > this.maxItems) {
+      return {
+        isValid: false,
+        field: 'items',
+        value: String(items.length),
+        error: `Batch size ${items.length} exceeds the maximum of ${this.maxItems}`
+      };
+    }
+
+    // Each item is either a URL/ID string or an object with per-item parameters
+    const normalizedItems = items.map(item => (
+      typeof item === 'string' ? { ...defaults, url: item } : { ...defaults, ...(item || {}) }
+    ));
+
+    const requestedConcurrency = parseInt(concurrency) || this.concurrency;
+
+    return {
+      isValid: true,
+      items: normalizedItems,
+      concurrency: Math.max(1, Math.min(requestedConcurrency, this.maxConcurrency))
+    };
+  }
+
+  /**
+   * Process all items, reporting each result as soon as it finishes
+   * @param {Object[]} items - Normalized batch items
+   * @param {Object} options
+   * @param {number} [options.concurrency] - Items processed at once
+   * @param {Function} [options.onItem] - Called with each item result as it completes
+   * @param {AbortSignal} [options.signal] - Cancels remaining work
+   * @param {Function} [options.authorizeMethod] - Vetoes extraction methods (rate limits, scopes)
+   * @returns {Promise<Object>} - { total, succeeded, failed, totalCost, results }
+   */
+  async run(items, { concurrency = this.concurrency, onItem, signal, authorizeMethod } = {}) {
+    const results = await mapWithConcurrency(items, concurrency, async (item, index) => {
+      const itemResult = await logger.runWithContext(
+        { batchIndex: index },
+        () => this.processItem(item, index, { signal, authorizeMethod })
+      );
+      if (onItem) onItem(itemResult);
+      return itemResult;
+    });
+
+    return this.summarize(results);
+  }
+
+  /**
+   * Process a single batch item, never throwing
+   * @param {Object} item - Batch item parameters
+   * @param {number} index - Position in the batch
+   * @param {Object} [hooks] - { signal, authorizeMethod } passed to the transcript pipeline
+   * @returns {Promise<Object>} - Per-item success or structured error
+   */
+  async processItem(item, index, hooks = {}) {
+    const startTime = Date.now();
+    const request = this.transcriptService.parseRequest(item);
+
+    if (!request.isValid) {
+      const { response, httpStatus } = this.responseFormatter.formatValidationError(
+        request.field, request.value, request.error
+      );
+      return { index, url: item.url || null, httpStatus, ...response };
+    }
+
+    try {
+      const outcome = await this.transcriptService.getTranscript(request.videoId, request.options, hooks);
+      const formattedResponse = this.responseFormatter.formatResponse(
+        outcome.result, outcome.metadata, outcome.preferences
+      );
+      formattedResponse.data.totalProcessingTime = Date.now() - startTime;
+      formattedResponse.data.cacheStatus = outcome.cacheStatus;
+      this.metrics.recordProcessingTime('batch', formattedResponse.data.totalProcessingTime, outcome.cacheStatus);
+
+      return { index, url: item.url, httpStatus: 200, ...formattedResponse };
+
+    } catch (error) {
+      log.warn('Batch item failed', { index, url: item.url, error });
+      const { response, httpStatus } = this.responseFormatter.formatError(error, error.context || 'processing');
+      return { index, url: item.url, httpStatus, ...response };
+    }
+  }
+
+  /**
+   * Build the batch summary from per-item results
+   * @param {Object[]} results - Per-item results
+   * @returns {Object}
+   */
+  summarize(results) {
+    const succeeded = results.filter(result => result.success).length;
+    const totalCost = results.reduce((sum, result) => sum + (result.data?.cost?.amount || 0), 0);
+    return {
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      totalCost: Math.round(totalCost * 10000) / 10000,
+      results
+    };
+  }
+}
+
+// Export singleton instance
+export const batchProcessor = new BatchProcessor({
+  concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 3,
+  maxConcurrency: parseInt(process.env.BATCH_MAX_CONCURRENCY) || 5,
+  maxItems: parseInt(process.env.BATCH_MAX_ITEMS) || 100
+});
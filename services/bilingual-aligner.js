@@ -0,0 +1,251 @@
+// services/bilingual-aligner.js
+// Bilingual transcripts: a primary and a secondary language track paired cue by cue
+
+import { ERROR_CODES, CAPTION_TYPES } from '../types/interfaces.js';
+import { transcriptService as defaultTranscriptService } from './transcript-service.js';
+import { languageHandler } from './language-handler.js';
+import { formatRegistry } from './format-registry.js';
+import { metrics as defaultMetrics } from './metrics.js';
+import { alignSegments, DEFAULT_MAX_GAP_MS } from '../utils/segment-aligner.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'bilingual' });
+
+/**
+ * BilingualAligner class that extracts two language tracks of a video and aligns
+ * their segments by timestamp overlap
+ */
+export class BilingualAligner {
+  /**
+   * @param {Object} options
+   * @param {TranscriptService} [options.transcriptService] - Transcript pipeline
+   * @param {TranscriptMetrics} [options.metrics] - Metrics recorder
+   * @param {number} [options.maxGap=1000] - Largest gap (ms) bridged between non-overlapping segments
+   */
+  constructor({
+    transcriptService = defaultTranscriptService,
+    metrics = defaultMetrics,
+    maxGap = DEFAULT_MAX_GAP_MS
+  } = {}) {
+    this.transcriptService = transcriptService;
+    this.metrics = metrics;
+    this.maxGap = maxGap;
+  }
+
+  /**
+   * Extract both tracks and pair their cues
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} options - Normalized options from parseRequest (with `bilingual`)
+   * @param {Object} [hooks] - { signal, authorizeMethod } passed to the transcript pipeline
+   * @returns {Promise<Object>} - { metadata, primary, secondary, cues } where primary and
+   *   secondary are the tracks' TranscriptOutcomes
+   * @throws {Error} - NO_CAPTIONS_AVAILABLE when either language has no track, or the
+   *   error of the track whose extraction failed
+   */
+  async build(videoId, options, hooks = {}) {
+    const startTime = Date.now();
+    const { secondaryLanguage, format } = options.bilingual;
+    const metadata = await this.transcriptService.getMetadata(videoId, options);
+
+    const tracks = [
+      { role: 'Primary', languages: options.languages, fallbackToAudio: options.fallbackToAudio },
+      // Audio transcription yields the spoken language, never the secondary one
+      { role: 'Secondary', languages: [{ language: secondaryLanguage, quality: 1 }], fallbackToAudio: false }
+    ];
+    for (const track of tracks) {
+      this._checkAvailable(metadata, options, track);
+    }
+
+    log.info('Extracting bilingual tracks', { videoId, primary: options.lang, secondary: secondaryLanguage });
+
+    const [primary, secondary] = await Promise.all(tracks.map(track => this._extractTrack(videoId, metadata, {
+      ...options,
+      format,
+      lang: track.languages[0].language,
+      languages: track.languages,
+      languageSource: track.role === 'Primary' ? options.languageSource : 'lang',
+      bilingual: null,
+      fallbackToAudio: track.fallbackToAudio
+    }, track, hooks)));
+
+    // A ranked primary list may name the secondary language too
+    if (languageHandler.isSameLanguage(primary.result.language, secondary.result.language)) {
+      const error = new Error(`Both tracks are in ${secondary.result.language}; choose a primary language other than secondaryLang`);
+      error.code = ERROR_CODES.NO_CAPTIONS_AVAILABLE;
+      error.context = 'extraction';
+      throw error;
+    }
+
+    const cues = alignSegments(primary.result.segments, secondary.result.segments, { maxGap: this.maxGap });
+    log.info('Bilingual tracks aligned', {
+      videoId,
+      primary: primary.result.language,
+      secondary: secondary.result.language,
+      cues: cues.length
+    });
+
+    const cacheStatus = primary.cacheStatus === 'HIT' && secondary.cacheStatus === 'HIT' ? 'HIT' : 'MISS';
+    this.metrics.recordProcessingTime('bilingual', Date.now() - startTime, cacheStatus);
+
+    return { metadata, primary, secondary, cues, cacheStatus };
+  }
+
+  /**
+   * Render aligned cues as dual-line subtitles, primary line first
+   * @param {Object} bilingual - Result of build()
+   * @param {string} format - srt or vtt
+   * @param {Object} [formatOptions] - Serializer options (cueSettings, vttNotes)
+   * @returns {string}
+   */
+  render({ metadata, primary, secondary, cues }, format, formatOptions = {}) {
+    const segments = cues.map(cue => ({
+      start: cue.start,
+      duration: cue.duration,
+      text: [cue.primary, cue.secondary].filter(Boolean).join('\n')
+    }));
+
+    return formatRegistry.render(format, segments, {
+      ...formatOptions,
+      videoId: metadata.videoId,
+      title: metadata.title,
+      language: primary.result.language,
+      source: [...new Set([primary.result.method, secondary.result.method])].join(', ')
+    });
+  }
+
+  /**
+   * Build the JSON body of a bilingual response
+   * @param {Object} bilingual - Result of build()
+   * @param {Object} options - Normalized options (bilingual)
+   * @param {string} [transcript] - Rendered srt/vtt text, included for wrapped subtitle output
+   * @returns {Object} - Response data: tracks, alignment counts, cues and the combined cost
+   */
+  toJSON({ metadata, primary, secondary, cues, cacheStatus }, options, transcript) {
+    const paired = cues.filter(cue => cue.primary !== null && cue.secondary !== null).length;
+    const primaryOnly = cues.filter(cue => cue.secondary === null).length;
+    const amounts = [primary, secondary].map(track => track.result.cost?.amount);
+
+    const data = {
+      videoId: metadata.videoId,
+      videoTitle: metadata.title,
+      format: 'bilingual',
+      bilingualFormat: options.bilingual.format,
+      primary: this._describeTrack(primary),
+      secondary: this._describeTrack(secondary),
+      alignment: {
+        cues: cues.length,
+        paired,
+        primaryOnly,
+        secondaryOnly: cues.length - paired - primaryOnly
+      },
+      cost: {
+        // Unknown when either track's cost is unknown
+        amount: amounts.includes(null) ? null : Math.round(amounts.reduce((sum, amount) => sum + (amount || 0), 0) * 10000) / 10000,
+        currency: primary.result.cost?.currency ?? secondary.result.cost?.currency
+      },
+      cacheStatus,
+      cues
+    };
+
+    if (transcript !== undefined) {
+      data.transcript = transcript;
+    }
+    data.availableLanguages = metadata.availableLanguages;
+
+    return data;
+  }
+
+  /**
+   * Fail early when the metadata lists caption languages and none serves a track
+   * @param {VideoMetadata} metadata - Video metadata
+   * @param {Object} options - Normalized options (captionType, translate)
+   * @param {Object} track - { role, languages }
+   * @private
+   */
+  _checkAvailable(metadata, options, track) {
+    const available = metadata.availableLanguages || [];
+    // Without a language list (metadata failed) the extraction itself has to find out
+    if (available.length === 0 || options.translate) return;
+
+    const match = languageHandler.findBestLanguageMatch(available, track.languages, {
+      captionType: options.captionType,
+      captionTracks: metadata.captionTracks || []
+    });
+    if (!match.matchedPreference) {
+      throw this._noTrackError(track, options.captionType);
+    }
+  }
+
+  /**
+   * Extract one track, rejecting results in a language the track did not ask for
+   * @param {string} videoId - YouTube video ID
+   * @param {VideoMetadata} metadata - Video metadata (fetched once for both tracks)
+   * @param {Object} trackOptions - Options for this track
+   * @param {Object} track - { role, languages }
+   * @param {Object} hooks - { signal, authorizeMethod }
+   * @returns {Promise<TranscriptOutcome>}
+   * @private
+   */
+  async _extractTrack(videoId, metadata, trackOptions, track, hooks) {
+    let outcome;
+    try {
+      outcome = await this.transcriptService.extractForMetadata(videoId, metadata, trackOptions, hooks);
+    } catch (error) {
+      error.message = `${track.role} track (${track.languages[0].language}): ${error.message}`;
+      throw error;
+    }
+
+    // The fallback chain may settle on another language; a bilingual pair cannot use it
+    const { result } = outcome;
+    const matches = result.translation
+      || track.languages.some(preference => languageHandler.isSameLanguage(preference.language, result.language));
+    if (!matches) {
+      log.warn('Track extracted in an unrequested language', { videoId, role: track.role, language: result.language });
+      throw this._noTrackError(track, trackOptions.captionType);
+    }
+
+    return outcome;
+  }
+
+  /**
+   * @param {Object} track - { role, languages }
+   * @param {string} captionType - Requested caption type
+   * @returns {Error}
+   * @private
+   */
+  _noTrackError(track, captionType) {
+    const kind = captionType === CAPTION_TYPES.ANY ? '' : `${captionType} `;
+    const requested = track.languages.map(preference => preference.language).join(', ');
+    const error = new Error(`${track.role} track: no ${kind}captions available in ${requested}`);
+    error.code = ERROR_CODES.NO_CAPTIONS_AVAILABLE;
+    error.context = 'extraction';
+    return error;
+  }
+
+  /**
+   * @param {TranscriptOutcome} outcome - Track outcome
+   * @returns {Object} - Language, method and provenance of the track
+   * @private
+   */
+  _describeTrack({ result, cacheStatus }) {
+    const track = {
+      language: result.language,
+      method: result.method,
+      segments: result.segments?.length || 0,
+      captionType: result.captionType ?? null,
+      cacheStatus
+    };
+    if (result.translation) {
+      track.translation = result.translation;
+    }
+    if (result.languageNegotiation) {
+      track.languageNegotiation = result.languageNegotiation;
+    }
+    return track;
+  }
+}
+
+// Export singleton instance
+export const bilingualAligner = new BilingualAligner({
+  maxGap: parseInt(process.env.BILINGUAL_MAX_GAP_MS) || DEFAULT_MAX_GAP_MS
+});
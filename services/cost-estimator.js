@@ -0,0 +1,157 @@
+// services/cost-estimator.js
+// Per-method cost estimates and actual spend from a configurable price table
+
+import { TRANSCRIPT_METHODS } from './strategy-selector.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'cost-estimator' });
+
+/**
+ * Prices per audio minute. Keys are extraction methods or, for whisper-audio,
+ * transcription provider names (a provider price wins over the method price).
+ */
+export const DEFAULT_PRICE_TABLE = {
+  [TRANSCRIPT_METHODS.YOUTUBE_TIMEDTEXT]: 0,
+  [TRANSCRIPT_METHODS.YOUTUBE_TRANSCRIPT]: 0,
+  [TRANSCRIPT_METHODS.YOUTUBE_CAPTION_EXTRACTOR]: 0,
+  [TRANSCRIPT_METHODS.WHISPER_AUDIO]: 0,
+  openai: 0.006,
+  'openai-compatible': 0,
+  local: 0,
+  stub: 0
+};
+
+/**
+ * @typedef {Object} CostEstimate
+ * @property {number|null} amount - Cost in `currency` (null when the duration is unknown)
+ * @property {string} currency - ISO currency code
+ * @property {number} pricePerMinute - Price per audio minute applied
+ * @property {number|null} billableSeconds - Audio seconds billed
+ * @property {TranscriptMethod} method - Extraction method
+ * @property {string} [provider] - Transcription provider (whisper-audio only)
+ */
+
+/**
+ * CostEstimator class pricing extraction methods by audio duration
+ */
+export class CostEstimator {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.prices] - Price overrides per method or provider (per audio minute)
+   * @param {string} [options.currency='USD'] - Currency of the price table
+   */
+  constructor({ prices = {}, currency = 'USD' } = {}) {
+    this.prices = { ...DEFAULT_PRICE_TABLE, ...prices };
+    this.currency = currency;
+  }
+
+  /**
+   * Get the price per audio minute for a method
+   * @param {TranscriptMethod} method - Extraction method
+   * @param {string} [provider] - Transcription provider for whisper-audio
+   * @returns {number}
+   */
+  getPricePerMinute(method, provider) {
+    if (method === TRANSCRIPT_METHODS.WHISPER_AUDIO && provider && this.prices[provider] !== undefined) {
+      return this.prices[provider];
+    }
+    return this.prices[method] || 0;
+  }
+
+  /**
+   * Estimate what running a method on a video would cost
+   * @param {TranscriptMethod} method - Extraction method
+   * @param {VideoMetadata} metadata - Video metadata (duration in seconds)
+   * @param {string} [provider] - Transcription provider for whisper-audio
+   * @returns {CostEstimate}
+   */
+  estimate(method, metadata, provider) {
+    return this._price(method, provider, metadata?.duration || null);
+  }
+
+  /**
+   * Calculate what producing a result actually cost
+   *
+   * Cache hits cost nothing; whisper-audio is billed for the downloaded audio length,
+   * or for the chunks already transcribed when it failed part way.
+   * @param {TranscriptResult} result - Extraction or cache result
+   * @param {VideoMetadata} [metadata] - Video metadata (fallback duration)
+   * @returns {CostEstimate}
+   */
+  forResult(result, metadata = {}) {
+    const provider = result.transcriptionProvider;
+
+    if (result.cached) {
+      return { ...this._price(result.method, provider, 0), billableSeconds: 0 };
+    }
+    // Failed attempts only cost the audio that was transcribed before they failed
+    if (!result.success) {
+      return this._price(result.method, provider, result.transcribedSeconds || 0);
+    }
+
+    return this._price(result.method, provider, result.audioDurationSeconds || metadata.duration || null);
+  }
+
+  /**
+   * @param {TranscriptMethod} method - Extraction method
+   * @param {string} [provider] - Transcription provider
+   * @param {number|null} seconds - Billable seconds (null when unknown)
+   * @returns {CostEstimate}
+   * @private
+   */
+  _price(method, provider, seconds) {
+    const pricePerMinute = this.getPricePerMinute(method, provider);
+
+    // Free methods cost nothing whatever the duration
+    let amount = null;
+    if (pricePerMinute === 0) {
+      amount = 0;
+    } else if (seconds !== null) {
+      amount = this.round(seconds / 60 * pricePerMinute);
+    }
+
+    const estimate = {
+      amount,
+      currency: this.currency,
+      pricePerMinute,
+      billableSeconds: seconds,
+      method
+    };
+
+    if (method === TRANSCRIPT_METHODS.WHISPER_AUDIO && provider) {
+      estimate.provider = provider;
+    }
+
+    return estimate;
+  }
+
+  /**
+   * Round an amount to 1/10000 of the currency unit
+   * @param {number} amount - Amount
+   * @returns {number}
+   */
+  round(amount) {
+    return Math.round(amount * 10000) / 10000;
+  }
+}
+
+/**
+ * Create the cost estimator from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {CostEstimator}
+ */
+export function createCostEstimator(env = process.env) {
+  let prices = {};
+  if (env.COST_PRICE_TABLE) {
+    try {
+      prices = JSON.parse(env.COST_PRICE_TABLE);
+    } catch (error) {
+      log.warn('Ignoring invalid COST_PRICE_TABLE', { error });
+    }
+  }
+
+  return new CostEstimator({ prices, currency: env.COST_CURRENCY || 'USD' });
+}
+
+// Export singleton instance
+export const costEstimator = createCostEstimator();
@@ -0,0 +1,264 @@
+// services/format-registry.js
+// Pluggable output format registry for rendering canonical transcript segments
+
+/**
+ * Cue settings allowed by the WebVTT spec
+ */
+const VTT_CUE_SETTINGS = ['vertical', 'line', 'position', 'size', 'align', 'region'];
+
+/**
+ * Characters allowed in a cue setting value (90%, -1,end, line-left, region ids)
+ */
+const VTT_CUE_SETTING_VALUE = /^[A-Za-z0-9%.,_-]+$/;
+
+/**
+ * FormatRegistry class that maps format names to serializers
+ */
+export class FormatRegistry {
+  constructor() {
+    this.formats = new Map();
+  }
+
+  /**
+   * Register an output format
+   * @param {OutputFormat} definition - Format definition
+   * @returns {FormatRegistry} - The registry, for chaining
+   */
+  register(definition) {
+    const { name, extension, mimeType, serialize } = definition || {};
+
+    if (!name || typeof name !== 'string') {
+      throw new Error('Output format requires a name');
+    }
+    if (typeof serialize !== 'function') {
+      throw new Error(`Output format '${name}' requires a serialize function`);
+    }
+
+    this.formats.set(name, {
+      name,
+      extension: extension || name,
+      mimeType: mimeType || 'text/plain; charset=utf-8',
+      serialize
+    });
+
+    return this;
+  }
+
+  /**
+   * Remove a registered output format
+   * @param {string} name - Format name
+   * @returns {boolean} - True if the format was registered
+   */
+  unregister(name) {
+    return this.formats.delete(name);
+  }
+
+  /**
+   * Get a registered output format
+   * @param {string} name - Format name
+   * @returns {OutputFormat|null}
+   */
+  get(name) {
+    return this.formats.get(name) || null;
+  }
+
+  /**
+   * Check whether a format is registered
+   * @param {string} name - Format name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.formats.has(name);
+  }
+
+  /**
+   * List registered format names
+   * @returns {string[]}
+   */
+  list() {
+    return [...this.formats.keys()];
+  }
+
+  /**
+   * Render canonical segments in the requested format
+   * @param {string} name - Format name
+   * @param {TranscriptSegment[]} segments - Canonical transcript segments
+   * @param {FormatContext} context - Transcript context (videoId, language, source, ...)
+   * @returns {string}
+   */
+  render(name, segments, context = {}) {
+    const format = this.get(name);
+    if (!format) {
+      throw new Error(`Unsupported format: ${name}`);
+    }
+
+    return format.serialize(segments || [], context);
+  }
+}
+
+/**
+ * Format time as HH:MM:SS<separator>mmm
+ * @param {number} milliseconds - Time in milliseconds
+ * @param {string} separator - Millisecond separator (',' for SRT, '.' for WebVTT)
+ * @returns {string}
+ */
+export function formatTimestamp(milliseconds, separator = ',') {
+  const total = Math.max(0, Math.round(milliseconds || 0));
+  const totalSeconds = Math.floor(total / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const ms = total % 1000;
+
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}${separator}${ms.toString().padStart(3, '0')}`;
+}
+
+/**
+ * Serialize segments as plain text
+ * @param {TranscriptSegment[]} segments
+ * @returns {string}
+ */
+function serializeText(segments) {
+  return segments.map(s => s.text).join(' ');
+}
+
+/**
+ * Serialize segments as SRT subtitles
+ * @param {TranscriptSegment[]} segments
+ * @returns {string}
+ */
+function serializeSrt(segments) {
+  return segments.map((segment, index) => {
+    const startTime = formatTimestamp(segment.start, ',');
+    const endTime = formatTimestamp(segment.start + segment.duration, ',');
+    // A timing arrow inside the text would be read as the next cue's timing line
+    const text = normalizeCueText(segment.text).replace(/-->/g, '->');
+    return `${index + 1}\n${startTime} --> ${endTime}\n${text}\n`;
+  }).join('\n');
+}
+
+/**
+ * Serialize segments as WebVTT
+ * @param {TranscriptSegment[]} segments
+ * @param {FormatContext} context - language, videoId, title, source, cueSettings, vttNotes
+ * @returns {string}
+ */
+function serializeVtt(segments, context) {
+  const header = ['WEBVTT', 'Kind: captions'];
+  if (context.language && context.language !== 'auto-detected') {
+    header.push(`Language: ${context.language}`);
+  }
+
+  const blocks = [header.join('\n')];
+
+  // Optional NOTE block with metadata about the transcript
+  if (context.vttNotes !== false) {
+    const noteLines = [];
+    const title = context.videoDetails?.title || context.title;
+    if (context.videoId) noteLines.push(`Video: ${context.videoId}`);
+    if (title) noteLines.push(`Title: ${title}`);
+    if (context.source) noteLines.push(`Source: ${context.source}`);
+    if (context.translation) {
+      noteLines.push(`Machine-translated from: ${context.translation.sourceLanguage} (${context.translation.sourceTrackName})`);
+    }
+    if (noteLines.length > 0) {
+      // "-->" is not allowed inside NOTE blocks, and a blank line would end one early
+      blocks.push(`NOTE\n${normalizeCueText(noteLines.join('\n')).replace(/-->/g, '->')}`);
+    }
+  }
+
+  segments.forEach((segment, index) => {
+    const startTime = formatTimestamp(segment.start, '.');
+    const endTime = formatTimestamp(segment.start + segment.duration, '.');
+    const settings = formatVttCueSettings(segment.settings || context.cueSettings);
+    const text = escapeVttText(normalizeCueText(segment.text));
+    const payload = segment.speaker
+      ? `<v ${escapeVttText(String(segment.speaker).replace(/\s+/g, ' '))}>${text}`
+      : text;
+
+    blocks.push(`${index + 1}\n${startTime} --> ${endTime}${settings ? ` ${settings}` : ''}\n${payload}`);
+  });
+
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Serialize segments as JSON
+ * @param {TranscriptSegment[]} segments
+ * @param {FormatContext} context - source, videoDetails
+ * @returns {string}
+ */
+function serializeJson(segments, context) {
+  return JSON.stringify({
+    segments,
+    source: context.source || null,
+    videoDetails: context.videoDetails || null
+  }, null, 2);
+}
+
+/**
+ * Parse WebVTT cue settings into allowed key:value pairs
+ *
+ * Settings end up on the cue timing line, so line breaks and anything that is
+ * not a single allowed `key:value` token are rejected rather than copied.
+ * @param {string|Object} settings - Settings string ("line:90% align:center") or object
+ * @returns {Array<[string, string]>|null} - Pairs, or null when any setting is invalid
+ */
+export function parseVttCueSettings(settings) {
+  if (!settings) return [];
+
+  const pairs = typeof settings === 'string'
+    ? (/[\r\n]/.test(settings) ? null : settings.trim().split(/\s+/).filter(Boolean).map(token => {
+      const separator = token.indexOf(':');
+      return separator > 0 ? [token.slice(0, separator), token.slice(separator + 1)] : [token, ''];
+    }))
+    : Object.entries(settings)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => [key, String(value)]);
+
+  if (!pairs) return null;
+
+  const valid = pairs.every(([key, value]) => VTT_CUE_SETTINGS.includes(key) && VTT_CUE_SETTING_VALUE.test(value));
+  return valid ? pairs : null;
+}
+
+/**
+ * Format WebVTT cue settings
+ * @param {string|Object} settings - Settings string ("line:90% align:center") or object
+ * @returns {string} - Empty when the settings are invalid
+ */
+function formatVttCueSettings(settings) {
+  const pairs = parseVttCueSettings(settings);
+  return pairs ? pairs.map(([key, value]) => `${key}:${value}`).join(' ') : '';
+}
+
+/**
+ * Keep cue and NOTE text on consecutive lines: a blank line would end the block early
+ * @param {string} text - Cue text
+ * @returns {string}
+ */
+function normalizeCueText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]*(?=\n)/g, '')
+    .trim();
+}
+
+/**
+ * Escape characters that have special meaning in WebVTT cue text
+ * @param {string} text - Cue text
+ * @returns {string}
+ */
+function escapeVttText(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Export singleton instance with the built-in formats
+export const formatRegistry = new FormatRegistry()
+  .register({ name: 'txt', extension: 'txt', mimeType: 'text/plain; charset=utf-8', serialize: serializeText })
+  .register({ name: 'srt', extension: 'srt', mimeType: 'text/plain; charset=utf-8', serialize: serializeSrt })
+  .register({ name: 'vtt', extension: 'vtt', mimeType: 'text/vtt; charset=utf-8', serialize: serializeVtt })
+  .register({ name: 'json', extension: 'json', mimeType: 'application/json; charset=utf-8', serialize: serializeJson });
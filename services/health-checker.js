@@ -0,0 +1,438 @@
+// services/health-checker.js
+// Liveness and readiness checks for each extraction backend
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TRANSCRIPT_METHODS, strategySelector as defaultStrategySelector } from './strategy-selector.js';
+import { CIRCUIT_STATES } from './method-health.js';
+import { transcriptCache as defaultCache } from './transcript-cache.js';
+import { transcriptionProviders as defaultTranscriptionProviders } from './transcription-providers.js';
+import { unifiedExtractor as defaultTranscriptExtractor } from './unified-extractor.js';
+import { formatRegistry } from './format-registry.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'health' });
+
+/**
+ * Caption fixture used by the deep check
+ */
+const DEFAULT_FIXTURE_PATH = fileURLToPath(new URL('../fixtures/health-check-captions.json', import.meta.url));
+
+/**
+ * Result of a single check
+ */
+export const CHECK_STATUS = {
+  PASS: 'pass',
+  WARN: 'warn',   // Works, but something needs attention
+  FAIL: 'fail',
+  SKIP: 'skip'    // Not applicable (e.g. caching disabled)
+};
+
+/**
+ * Overall readiness
+ */
+export const READINESS_STATUS = {
+  READY: 'ready',
+  DEGRADED: 'degraded',       // Serving, but some methods or dependencies are down
+  UNAVAILABLE: 'unavailable'  // No extraction method can work
+};
+
+/**
+ * @typedef {Object} Readiness
+ * @property {string} status - One of READINESS_STATUS
+ * @property {boolean} ready - Whether traffic should be routed here
+ * @property {Object.<string, Object>} methods - Per-method { ready, circuit, reasons }
+ * @property {Object.<string, Object>} checks - Dependency checks ({ status, ... })
+ * @property {string} checkedAt - ISO timestamp
+ * @property {number} durationMs - Time the checks took
+ */
+
+/**
+ * HealthChecker class reporting liveness and per-method readiness
+ */
+export class HealthChecker {
+  /**
+   * @param {Object} options
+   * @param {TranscriptCache} [options.cache] - Transcript cache (backend reachability)
+   * @param {TranscriptionProviderRegistry} [options.transcriptionProviders] - Providers for whisper-audio
+   * @param {TranscriptStrategySelector} [options.strategySelector] - Method list and circuit states
+   * @param {UnifiedTranscriptExtractor} [options.transcriptExtractor] - Pipeline exercised by the deep check
+   * @param {string} [options.tempDir] - Directory audio is downloaded to
+   * @param {number} [options.minFreeDiskBytes] - Free space whisper-audio needs in tempDir
+   * @param {number} [options.timeoutMs=3000] - Timeout per dependency check
+   * @param {string} [options.fixturePath] - Caption fixture for the deep check
+   * @param {boolean} [options.deepTranscribe=false] - Let the deep check send one second of silence to the provider
+   * @param {number} [options.snapshotTtlMs=10000] - How long getReadinessSnapshot reuses a check
+   */
+  constructor({
+    cache = defaultCache,
+    transcriptionProviders = defaultTranscriptionProviders,
+    strategySelector = defaultStrategySelector,
+    transcriptExtractor = defaultTranscriptExtractor,
+    tempDir = os.tmpdir(),
+    minFreeDiskBytes = 100 * 1024 * 1024,
+    timeoutMs = 3000,
+    fixturePath = DEFAULT_FIXTURE_PATH,
+    deepTranscribe = false,
+    snapshotTtlMs = 10000
+  } = {}) {
+    this.cache = cache;
+    this.transcriptionProviders = transcriptionProviders;
+    this.strategySelector = strategySelector;
+    this.transcriptExtractor = transcriptExtractor;
+    this.tempDir = tempDir;
+    this.minFreeDiskBytes = minFreeDiskBytes;
+    this.timeoutMs = timeoutMs;
+    this.fixturePath = fixturePath;
+    this.deepTranscribe = deepTranscribe;
+    this.snapshotTtlMs = snapshotTtlMs;
+    this.snapshot = null;
+    this.pendingSnapshot = null;
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Liveness: the process is up and its event loop responds
+   * @returns {Object} - { status, uptimeSeconds, timestamp }
+   */
+  checkLiveness() {
+    return {
+      status: 'ok',
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Readiness: whether each extraction method can currently work
+   * @param {Object} options
+   * @param {boolean} [options.deep=false] - Also run a canned extraction against the local fixture
+   * @returns {Promise<Readiness>}
+   */
+  async checkReadiness({ deep = false } = {}) {
+    const startTime = Date.now();
+
+    const [tempDir, diskSpace, cache] = await Promise.all([
+      this._runCheck('tempDir', () => this._checkTempDir()),
+      this._runCheck('diskSpace', () => this._checkDiskSpace()),
+      this._runCheck('cache', () => this._checkCache())
+    ]);
+    const checks = {
+      tempDir,
+      diskSpace,
+      cache,
+      transcriptionProvider: this._checkTranscriptionProvider()
+    };
+
+    if (deep) {
+      // The deep check may include a provider call with its own timeout
+      checks.deepExtraction = await this._runCheck('deepExtraction', () => this._runDeepCheck(), this.timeoutMs * 2);
+    }
+
+    const methods = this._getMethodReadiness(checks);
+    const readyMethods = Object.values(methods).filter(method => method.ready);
+
+    // A broken fixture extraction means no method can produce output
+    const ready = readyMethods.length > 0 && checks.deepExtraction?.status !== CHECK_STATUS.FAIL;
+    const degraded = readyMethods.length < Object.keys(methods).length ||
+      Object.values(checks).some(check => check.status === CHECK_STATUS.FAIL || check.status === CHECK_STATUS.WARN);
+
+    const readiness = {
+      status: !ready
+        ? READINESS_STATUS.UNAVAILABLE
+        : degraded ? READINESS_STATUS.DEGRADED : READINESS_STATUS.READY,
+      ready,
+      methods,
+      checks,
+      checkedAt: new Date().toISOString(),
+      durationMs: Date.now() - startTime
+    };
+
+    if (!ready) {
+      log.warn('Service not ready', { methods, checks });
+    }
+
+    return readiness;
+  }
+
+  /**
+   * Readiness from a recent shallow check, for public endpoints that must stay cheap
+   * @returns {Promise<Readiness>} - Re-checked at most every snapshotTtlMs; concurrent callers share one check
+   */
+  async getReadinessSnapshot() {
+    if (this.snapshot && Date.now() - this.snapshot.takenAt < this.snapshotTtlMs) {
+      return this.snapshot.readiness;
+    }
+
+    if (!this.pendingSnapshot) {
+      this.pendingSnapshot = this.checkReadiness()
+        .then(readiness => {
+          this.snapshot = { readiness, takenAt: Date.now() };
+          return readiness;
+        })
+        .finally(() => {
+          this.pendingSnapshot = null;
+        });
+    }
+    return this.pendingSnapshot;
+  }
+
+  /**
+   * Work out per-method readiness from the dependency checks and circuit states
+   * @param {Object} checks - Dependency checks
+   * @returns {Object.<string, Object>} - { ready, circuit, reasons }
+   * @private
+   */
+  _getMethodReadiness(checks) {
+    const health = this.strategySelector.getMethodHealth();
+    const methods = {};
+
+    for (const method of this.strategySelector.methodPriority) {
+      const circuit = health[method]?.state || CIRCUIT_STATES.CLOSED;
+      const reasons = [];
+
+      if (circuit === CIRCUIT_STATES.OPEN) {
+        reasons.push(`Circuit open after ${health[method].consecutiveFailures} consecutive failures`);
+      }
+
+      if (method === TRANSCRIPT_METHODS.WHISPER_AUDIO) {
+        for (const name of ['transcriptionProvider', 'tempDir', 'diskSpace']) {
+          if (checks[name].status === CHECK_STATUS.FAIL) {
+            reasons.push(checks[name].error);
+          }
+        }
+        if (checks.deepExtraction?.transcription?.status === CHECK_STATUS.FAIL) {
+          reasons.push(checks.deepExtraction.transcription.error);
+        }
+      }
+
+      methods[method] = { ready: reasons.length === 0, circuit, reasons };
+    }
+
+    return methods;
+  }
+
+  /**
+   * Check that audio downloads can be written to the temp directory
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _checkTempDir() {
+    const probePath = path.join(this.tempDir, `yt-health-${process.pid}-${Date.now()}.tmp`);
+
+    try {
+      await fs.promises.writeFile(probePath, 'ok');
+      await fs.promises.rm(probePath, { force: true });
+    } catch (error) {
+      return { status: CHECK_STATUS.FAIL, path: this.tempDir, error: `Temp directory not writable: ${error.message}` };
+    }
+
+    return { status: CHECK_STATUS.PASS, path: this.tempDir };
+  }
+
+  /**
+   * Check free disk space in the temp directory
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _checkDiskSpace() {
+    let freeBytes;
+    try {
+      const stats = await fs.promises.statfs(this.tempDir);
+      freeBytes = stats.bavail * stats.bsize;
+    } catch {
+      return { status: CHECK_STATUS.SKIP, path: this.tempDir }; // statfs is unavailable on some platforms
+    }
+
+    if (freeBytes < this.minFreeDiskBytes) {
+      return {
+        status: CHECK_STATUS.FAIL,
+        path: this.tempDir,
+        freeBytes,
+        requiredBytes: this.minFreeDiskBytes,
+        error: `Insufficient disk space in ${this.tempDir} (${freeBytes} bytes free, ${this.minFreeDiskBytes} required)`
+      };
+    }
+
+    return { status: CHECK_STATUS.PASS, path: this.tempDir, freeBytes, requiredBytes: this.minFreeDiskBytes };
+  }
+
+  /**
+   * Check the cache backend is reachable (failures only cost cache hits)
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _checkCache() {
+    if (!this.cache.isEnabled()) {
+      return { status: CHECK_STATUS.SKIP, backend: 'none' };
+    }
+
+    const backend = this.cache.store.constructor.name;
+    const startTime = Date.now();
+    try {
+      await this.cache.ping();
+    } catch (error) {
+      return { status: CHECK_STATUS.WARN, backend, error: `Cache unreachable: ${error.message}` };
+    }
+
+    return { status: CHECK_STATUS.PASS, backend, latencyMs: Date.now() - startTime };
+  }
+
+  /**
+   * Check the default transcription provider is configured
+   * @returns {Object}
+   * @private
+   */
+  _checkTranscriptionProvider() {
+    const name = this.transcriptionProviders.defaultName;
+    const provider = this.transcriptionProviders.get(name);
+
+    if (!provider) {
+      return { status: CHECK_STATUS.FAIL, provider: name, error: `Unknown transcription provider '${name}'` };
+    }
+
+    if (!provider.isConfigured()) {
+      return {
+        status: CHECK_STATUS.FAIL,
+        provider: name,
+        error: `Transcription provider '${name}' is not configured (${provider.configurationHint})`
+      };
+    }
+
+    return { status: CHECK_STATUS.PASS, provider: name };
+  }
+
+  /**
+   * Run the caption fixture through the extraction pipeline and every output format,
+   * and optionally transcribe one second of silence with the default provider
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _runDeepCheck() {
+    const fixture = JSON.parse(await fs.promises.readFile(this.fixturePath, 'utf8'));
+    const context = { videoId: fixture.videoId, title: fixture.title, language: fixture.language };
+
+    const result = this.transcriptExtractor.formatCaptions(fixture.captions, { ...context, format: 'txt' }, 'fixture');
+    if (!result.transcript.includes(fixture.expectedText)) {
+      return { status: CHECK_STATUS.FAIL, error: 'Fixture extraction returned unexpected text' };
+    }
+
+    const formats = formatRegistry.list();
+    for (const format of formats) {
+      try {
+        this.transcriptExtractor.renderTranscript(result, format, context);
+      } catch (error) {
+        return { status: CHECK_STATUS.FAIL, format, error: `Rendering ${format} failed: ${error.message}` };
+      }
+    }
+
+    const check = { status: CHECK_STATUS.PASS, segments: result.segments.length, formats };
+
+    if (this.deepTranscribe) {
+      check.transcription = await this._runCheck('transcription', () => this._checkTranscription());
+      if (check.transcription.status === CHECK_STATUS.FAIL) {
+        check.status = CHECK_STATUS.WARN;
+      }
+    }
+
+    return check;
+  }
+
+  /**
+   * Transcribe a generated second of silence with the default provider
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _checkTranscription() {
+    let provider;
+    try {
+      provider = this.transcriptionProviders.resolve();
+    } catch (error) {
+      return { status: CHECK_STATUS.SKIP, error: error.message };
+    }
+
+    const audioPath = path.join(this.tempDir, `yt-health-${process.pid}-${Date.now()}.wav`);
+    const startTime = Date.now();
+    try {
+      await fs.promises.writeFile(audioPath, this._createSilentWav(1));
+      await provider.transcribe(audioPath, { language: 'en', signal: AbortSignal.timeout(this.timeoutMs) });
+    } catch (error) {
+      return { status: CHECK_STATUS.FAIL, provider: provider.name, error: `Transcription failed: ${error.message}` };
+    } finally {
+      await fs.promises.rm(audioPath, { force: true });
+    }
+
+    return { status: CHECK_STATUS.PASS, provider: provider.name, latencyMs: Date.now() - startTime };
+  }
+
+  /**
+   * Build a 16 kHz mono 16-bit PCM WAV file of silence
+   * @param {number} seconds - Length
+   * @returns {Buffer}
+   * @private
+   */
+  _createSilentWav(seconds) {
+    const sampleRate = 16000;
+    const dataBytes = sampleRate * 2 * seconds;
+    const buffer = Buffer.alloc(44 + dataBytes);
+
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + dataBytes, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);            // fmt chunk size
+    buffer.writeUInt16LE(1, 20);             // PCM
+    buffer.writeUInt16LE(1, 22);             // mono
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28); // byte rate
+    buffer.writeUInt16LE(2, 32);             // block align
+    buffer.writeUInt16LE(16, 34);            // bits per sample
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(dataBytes, 40);
+
+    return buffer;
+  }
+
+  /**
+   * Run a check with a timeout, turning exceptions into failed checks
+   * @param {string} name - Check name (for logs)
+   * @param {Function} check - async () => check result
+   * @param {number} [timeoutMs] - Timeout (defaults to the per-check timeout)
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _runCheck(name, check, timeoutMs = this.timeoutMs) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+
+    try {
+      return await Promise.race([check(), timeout]);
+    } catch (error) {
+      log.warn('Health check failed', { check: name, error });
+      return { status: CHECK_STATUS.FAIL, error: `${name} check failed: ${error.message}` };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Create the health checker from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {HealthChecker}
+ */
+export function createHealthChecker(env = process.env) {
+  return new HealthChecker({
+    minFreeDiskBytes: parseInt(env.AUDIO_MIN_FREE_DISK_BYTES) || undefined,
+    timeoutMs: parseInt(env.HEALTH_CHECK_TIMEOUT_MS) || undefined,
+    deepTranscribe: env.HEALTH_DEEP_TRANSCRIBE === 'true',
+    snapshotTtlMs: parseInt(env.HEALTH_SNAPSHOT_TTL_MS) || undefined
+  });
+}
+
+// Export singleton instance
+export const healthChecker = createHealthChecker();
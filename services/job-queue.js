@@ -0,0 +1,270 @@
+// services/job-queue.js
+// Local in-process job queue for long-running transcript extractions
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { ERROR_CODES } from '../types/interfaces.js';
+import { transcriptService } from './transcript-service.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'job-queue' });
+
+/**
+ * Job lifecycle states
+ */
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// Suggested wait when the queue is full; running jobs usually free slots within this time
+const QUEUE_FULL_RETRY_AFTER_SECONDS = 30;
+
+/**
+ * JobQueue class running jobs with a concurrency limit
+ *
+ * Emits 'progress', 'completed', 'failed' and 'cancelled' events with the job.
+ */
+export class JobQueue extends EventEmitter {
+  /**
+   * @param {Function} processor - async (payload, { onProgress, signal }) => result
+   * @param {Object} options
+   * @param {number} [options.concurrency=2] - Maximum jobs running at once
+   * @param {number} [options.maxPending=100] - Maximum queued jobs before rejecting new ones
+   * @param {number} [options.ttlSeconds=3600] - How long finished jobs are kept
+   */
+  constructor(processor, { concurrency = 2, maxPending = 100, ttlSeconds = 3600 } = {}) {
+    super();
+    this.processor = processor;
+    this.concurrency = concurrency;
+    this.maxPending = maxPending;
+    this.ttlSeconds = ttlSeconds;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} payload - Data passed to the processor
+   * @returns {Job}
+   */
+  enqueue(payload) {
+    this._purgeExpired();
+
+    if (this.pending.length >= this.maxPending) {
+      const error = new Error(`Job queue is full (${this.maxPending} pending jobs)`);
+      error.code = ERROR_CODES.QUEUE_FULL;
+      error.retryAfter = QUEUE_FULL_RETRY_AFTER_SECONDS;
+      throw error;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      // Jobs outlive the request that queued them; its ID keeps their logs correlated
+      requestId: logger.getContext().requestId || null,
+      status: JOB_STATUS.QUEUED,
+      payload,
+      progress: { stage: 'queued' },
+      currentStrategy: null,
+      attempts: [],
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this._drain();
+
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {Job|null}
+   */
+  get(id) {
+    this._purgeExpired();
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job ID
+   * @returns {Job|null} - The job, or null if it does not exist
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return job;
+    }
+
+    if (job.status === JOB_STATUS.QUEUED) {
+      this.pending = this.pending.filter(pendingJob => pendingJob.id !== id);
+    }
+
+    job.controller.abort();
+    this._finish(job, JOB_STATUS.CANCELLED, { error: 'Job cancelled' });
+    return job;
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      queued: this.pending.length,
+      running: this.running,
+      total: this.jobs.size,
+      concurrency: this.concurrency
+    };
+  }
+
+  /**
+   * Serialize a job for API responses (without payload internals or results)
+   * @param {Job} job - Job
+   * @returns {Object}
+   */
+  toJSON(job) {
+    return {
+      jobId: job.id,
+      requestId: job.requestId,
+      status: job.status,
+      currentStrategy: job.currentStrategy,
+      progress: job.progress,
+      attempts: job.attempts,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  /**
+   * Start pending jobs while below the concurrency limit
+   * @private
+   */
+  _drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.pending.shift();
+      // Run in the job's own context, not that of whichever request or job triggered the drain
+      logger.runWithContext({ requestId: job.requestId, jobId: job.id }, () => this._run(job));
+    }
+  }
+
+  /**
+   * Run a single job
+   * @param {Job} job - Job to run
+   * @private
+   */
+  async _run(job) {
+    this.running++;
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    log.info('Job started', { videoId: job.payload.videoId });
+
+    try {
+      const result = await this.processor(job.payload, {
+        signal: job.controller.signal,
+        onProgress: (event) => this._updateProgress(job, event)
+      });
+
+      if (job.status === JOB_STATUS.RUNNING) {
+        this._finish(job, JOB_STATUS.COMPLETED, { result });
+      }
+    } catch (error) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        const status = error.name === 'AbortError' ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED;
+        this._finish(job, status, { error: error.message, errorObject: error });
+      }
+    } finally {
+      this.running--;
+      this._drain();
+    }
+  }
+
+  /**
+   * Record a progress event on the job
+   * @param {Job} job - Job
+   * @param {Object} event - Progress event from the transcript pipeline
+   * @private
+   */
+  _updateProgress(job, event) {
+    if (job.status !== JOB_STATUS.RUNNING) return;
+
+    if (event.stage === 'method_start') {
+      job.currentStrategy = event.method;
+    }
+
+    if (event.stage === 'method_failed' || event.stage === 'method_skipped') {
+      job.attempts.push({ method: event.method, error: event.reason });
+    }
+
+    const progress = { ...event };
+    if (event.stage === 'download_progress' && event.totalBytes) {
+      progress.percent = Math.round((event.downloadedBytes / event.totalBytes) * 100);
+    }
+
+    job.progress = progress;
+    this.emit('progress', job, event);
+  }
+
+  /**
+   * Move a job into a finished state
+   * @param {Job} job - Job
+   * @param {string} status - Final status
+   * @param {Object} details - { result } or { error, errorObject }
+   * @private
+   */
+  _finish(job, status, { result = null, error = null, errorObject = null } = {}) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.errorObject = errorObject;
+    job.finishedAt = new Date().toISOString();
+    job.progress = { stage: status };
+    log.info('Job finished', { jobId: job.id, status, error: error || undefined });
+    this.emit(status, job);
+  }
+
+  /**
+   * Drop finished jobs older than the TTL
+   * @private
+   */
+  _purgeExpired() {
+    const cutoff = Date.now() - this.ttlSeconds * 1000;
+
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+// Export singleton instance running the transcript pipeline
+export const jobQueue = new JobQueue(
+  (payload, hooks) => transcriptService.getTranscript(payload.videoId, payload.options, {
+    ...hooks,
+    authorizeMethod: payload.authorizeMethod
+  }),
+  {
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+    maxPending: parseInt(process.env.JOB_MAX_PENDING) || 100,
+    ttlSeconds: parseInt(process.env.JOB_TTL_SECONDS) || 3600
+  }
+);
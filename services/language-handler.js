@@ -1,93 +1,13 @@
 // services/language-handler.js
 // Language detection and multi-language support service
 
-/**
- * Common language codes and their variants
- */
-export const LANGUAGE_MAPPINGS = {
-  // English variants
-  'en': ['en', 'en-US', 'en-GB', 'en-CA', 'en-AU'],
-  'en-US': ['en-US', 'en'],
-  'en-GB': ['en-GB', 'en'],
-  
-  // Spanish variants
-  'es': ['es', 'es-ES', 'es-MX', 'es-AR'],
-  'es-ES': ['es-ES', 'es'],
-  'es-MX': ['es-MX', 'es'],
-  
-  // French variants
-  'fr': ['fr', 'fr-FR', 'fr-CA'],
-  'fr-FR': ['fr-FR', 'fr'],
-  'fr-CA': ['fr-CA', 'fr'],
-  
-  // German variants
-  'de': ['de', 'de-DE', 'de-AT', 'de-CH'],
-  'de-DE': ['de-DE', 'de'],
-  
-  // Portuguese variants
-  'pt': ['pt', 'pt-BR', 'pt-PT'],
-  'pt-BR': ['pt-BR', 'pt'],
-  'pt-PT': ['pt-PT', 'pt'],
-  
-  // Italian
-  'it': ['it', 'it-IT'],
-  
-  // Japanese
-  'ja': ['ja', 'ja-JP'],
-  
-  // Korean
-  'ko': ['ko', 'ko-KR'],
-  
-  // Chinese variants
-  'zh': ['zh', 'zh-CN', 'zh-TW', 'zh-HK'],
-  'zh-CN': ['zh-CN', 'zh'],
-  'zh-TW': ['zh-TW', 'zh'],
-  
-  // Russian
-  'ru': ['ru', 'ru-RU'],
-  
-  // Arabic
-  'ar': ['ar', 'ar-SA', 'ar-EG'],
-  
-  // Hindi
-  'hi': ['hi', 'hi-IN'],
-  
-  // Dutch
-  'nl': ['nl', 'nl-NL'],
-  
-  // Swedish
-  'sv': ['sv', 'sv-SE'],
-  
-  // Norwegian
-  'no': ['no', 'nb', 'nn'],
-  
-  // Danish
-  'da': ['da', 'da-DK'],
-  
-  // Finnish
-  'fi': ['fi', 'fi-FI'],
-  
-  // Polish
-  'pl': ['pl', 'pl-PL'],
-  
-  // Turkish
-  'tr': ['tr', 'tr-TR'],
-  
-  // Hebrew
-  'he': ['he', 'iw'],
-  
-  // Thai
-  'th': ['th', 'th-TH'],
-  
-  // Vietnamese
-  'vi': ['vi', 'vi-VN'],
-  
-  // Indonesian
-  'id': ['id', 'id-ID'],
-  
-  // Malay
-  'ms': ['ms', 'ms-MY']
-};
+import { CAPTION_TYPES } from '../types/interfaces.js';
+import { formatLanguageTag, parseLanguagePriorityList, parseLanguageTag } from '../utils/bcp47.js';
+import { identifyLanguage, IDENTIFIABLE_LANGUAGES } from '../utils/language-identifier.js';
+import { languageRegistry } from './language-registry.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'language-handler' });
 
 /**
  * Language priority for fallbacks (most common languages first)
@@ -96,225 +16,391 @@ export const LANGUAGE_PRIORITY = [
   'en', 'es', 'fr', 'de', 'pt', 'it', 'ja', 'ko', 'zh', 'ru', 'ar', 'hi'
 ];
 
+/**
+ * How closely a candidate tag matches a requested one, best last
+ */
+export const LANGUAGE_MATCH_SCORES = {
+  NONE: 0,
+  LANGUAGE: 1,  // Same language in another script (zh-Hant for zh)
+  SCRIPT: 2,    // Same language and script (en-GB for en-US)
+  RANGE: 3,     // One tag refines the other (en-GB for en, pt for pt-BR)
+  EXACT: 4      // Same canonical tag
+};
+
 /**
  * LanguageHandler class for managing multi-language support
  */
 export class LanguageHandler {
-  constructor() {
-    this.supportedLanguages = new Set(Object.keys(LANGUAGE_MAPPINGS));
+  /**
+   * @param {Object} [options]
+   * @param {LanguageRegistry} [options.registry] - Known languages, aliases and variants
+   */
+  constructor({ registry = languageRegistry } = {}) {
+    this.registry = registry;
+  }
+
+  /**
+   * Parse a BCP-47 tag, resolving ISO 639-2/3 and deprecated codes to registered ones
+   * @param {string} languageCode - Language tag (case-insensitive, '_' allowed as separator)
+   * @returns {ParsedLanguageTag|null} - null when the tag is not well-formed
+   */
+  parseLanguageTag(languageCode) {
+    const parts = parseLanguageTag(languageCode);
+    if (!parts) return null;
+
+    // An extended language subtag names the language itself (zh-yue is yue)
+    const extlang = parts.extlangs.find(subtag => this.registry.has(subtag));
+    const language = this.registry.resolve(extlang || parts.language);
+    const extlangs = extlang ? [] : parts.extlangs;
+
+    return {
+      tag: formatLanguageTag({ ...parts, language, extlangs }),
+      language,
+      script: parts.script,
+      region: parts.region,
+      likelyScript: parts.script || this.registry.getLikelyScript(language, parts.region),
+      known: this.registry.has(language)
+    };
   }
 
   /**
-   * Normalize language code to standard format
+   * Normalize language code to canonical BCP-47 form (pt-br → pt-BR, iw → he, zh_hant → zh-Hant)
+   *
+   * Unknown but well-formed codes are kept; malformed ones (english, ../x) are rejected.
    * @param {string} languageCode - Input language code
-   * @returns {string} - Normalized language code
+   * @returns {string|null} - Normalized language code ('en' when empty, null when malformed)
    */
   normalizeLanguageCode(languageCode) {
-    if (!languageCode || typeof languageCode !== 'string') {
+    if (!languageCode || typeof languageCode !== 'string' || !languageCode.trim()) {
       return 'en';
     }
 
-    const normalized = languageCode.toLowerCase().trim();
-    
-    // Direct match
-    if (this.supportedLanguages.has(normalized)) {
-      return normalized;
-    }
+    return this.parseLanguageTag(languageCode)?.tag || null;
+  }
 
-    // Check for base language (e.g., 'en' from 'en-US')
-    const baseLang = normalized.split('-')[0];
-    if (this.supportedLanguages.has(baseLang)) {
-      return baseLang;
-    }
+  /**
+   * Get the registered primary language of a tag (pt-BR → pt, iw → he, zh-yue → yue)
+   * @param {string} languageCode - Language tag
+   * @returns {string|null} - null when empty
+   */
+  getBaseLanguage(languageCode) {
+    if (!languageCode || typeof languageCode !== 'string') return null;
 
-    // Check for common variants
-    for (const [key, variants] of Object.entries(LANGUAGE_MAPPINGS)) {
-      if (variants.includes(normalized)) {
-        return key;
+    return this.parseLanguageTag(languageCode)?.language ||
+      languageCode.trim().toLowerCase().split(/[-_]/)[0] ||
+      null;
+  }
+
+  /**
+   * Parse a ranked language list (fr,de;q=0.8,en;q=0.5) into canonical preferences
+   *
+   * The wildcard '*' is dropped: any available language is the last resort anyway.
+   * Malformed tags are skipped; use findMalformedLanguages to reject them instead.
+   * @param {string|Array<string|LanguagePreference>} value - Priority list, single tag, or list
+   * @returns {LanguagePreference[]} - Best first without duplicates; empty when nothing acceptable is named
+   */
+  parseLanguagePreferences(value) {
+    const preferences = [];
+    for (const { range, quality } of this._toRanges(value)) {
+      if (!range || range === '*' || quality <= 0) continue;
+
+      const language = this.normalizeLanguageCode(range);
+      if (language && !preferences.some(preference => preference.language === language)) {
+        preferences.push({ language, quality });
       }
     }
+    return preferences;
+  }
+
+  /**
+   * Find the entries of a ranked language list that are not well-formed tags
+   * @param {string|Array<string|LanguagePreference>} value - Priority list, single tag, or list
+   * @returns {string[]} - Malformed ranges as given (empty when every entry is a tag or '*')
+   */
+  findMalformedLanguages(value) {
+    return this._toRanges(value)
+      .map(({ range }) => range)
+      .filter(range => range && range !== '*' && !this.parseLanguageTag(range));
+  }
+
+  /**
+   * Score how well an available language serves a requested one
+   * @param {string} requested - Requested language tag
+   * @param {string} candidate - Available language tag
+   * @returns {number} - One of LANGUAGE_MATCH_SCORES
+   */
+  compareLanguages(requested, candidate) {
+    const want = this.parseLanguageTag(requested);
+    const have = this.parseLanguageTag(candidate);
+    if (!want || !have || want.language !== have.language) {
+      return LANGUAGE_MATCH_SCORES.NONE;
+    }
 
-    // Default to English if not found
-    return 'en';
+    if (want.tag === have.tag) return LANGUAGE_MATCH_SCORES.EXACT;
+    if (want.likelyScript !== have.likelyScript) return LANGUAGE_MATCH_SCORES.LANGUAGE;
+
+    const refines = (a, b) => (a.script === null || a.script === b.script) && (a.region === null || a.region === b.region);
+    return refines(want, have) || refines(have, want) ? LANGUAGE_MATCH_SCORES.RANGE : LANGUAGE_MATCH_SCORES.SCRIPT;
   }
 
   /**
    * Find the best matching language from available options
+   *
+   * Preferences are tried in order; a readable match (same script) for any of them
+   * beats a match in another script, and only when none of them is available does
+   * the global LANGUAGE_PRIORITY apply. Confidence is scaled by the preference's weight.
    * @param {string[]} availableLanguages - Languages available in the video
-   * @param {string} preferredLanguage - User's preferred language
-   * @returns {Object} - Best match result
+   * @param {string|LanguagePreference[]} preferredLanguage - Preferred language, or a ranked list
+   * @param {Object} [options]
+   * @param {string} [options.captionType='any'] - Only consider languages with tracks of this type
+   * @param {CaptionTrack[]} [options.captionTracks] - Track descriptors the type is checked against
+   * @returns {Object} - { selectedLanguage, matchType, confidence, matchedPreference, availableAlternatives }
    */
-  findBestLanguageMatch(availableLanguages, preferredLanguage = 'en') {
+  findBestLanguageMatch(availableLanguages, preferredLanguage = 'en', { captionType = CAPTION_TYPES.ANY, captionTracks = [] } = {}) {
+    // Without track descriptors the type cannot be checked, so every language qualifies
+    if (captionType !== CAPTION_TYPES.ANY && captionTracks.length > 0) {
+      availableLanguages = this.getLanguagesForCaptionType(captionTracks, captionType);
+    }
+
+    const preferences = this._toPreferences(preferredLanguage);
+
     if (!availableLanguages || availableLanguages.length === 0) {
       return {
-        selectedLanguage: preferredLanguage,
+        selectedLanguage: preferences[0].language,
         matchType: 'none',
         confidence: 0,
+        matchedPreference: null,
         availableAlternatives: []
       };
     }
 
-    const normalizedPreferred = this.normalizeLanguageCode(preferredLanguage);
-    const normalizedAvailable = availableLanguages.map(lang => 
-      this.normalizeLanguageCode(lang)
-    );
-
-    console.log(`🌍 Finding best match for '${preferredLanguage}' from: ${availableLanguages.join(', ')}`);
-
-    // 1. Exact match
-    const exactMatch = availableLanguages.find(lang => 
-      this.normalizeLanguageCode(lang) === normalizedPreferred
-    );
-    if (exactMatch) {
-      console.log(`✅ Exact match found: ${exactMatch}`);
-      return {
-        selectedLanguage: exactMatch,
-        matchType: 'exact',
-        confidence: 1.0,
-        availableAlternatives: availableLanguages.filter(lang => lang !== exactMatch)
-      };
-    }
+    log.debug('Finding best language match', { preferences, availableLanguages });
 
-    // 2. Language family match (e.g., 'en-US' matches 'en')
-    const familyMatch = availableLanguages.find(lang => {
-      const normalized = this.normalizeLanguageCode(lang);
-      const baseLang = normalizedPreferred.split('-')[0];
-      return normalized.startsWith(baseLang) || normalized === baseLang;
+    const match = (selectedLanguage, matchType, confidence, preference = null) => ({
+      selectedLanguage,
+      matchType,
+      confidence: Math.round(confidence * (preference?.quality ?? 1) * 1000) / 1000,
+      matchedPreference: preference?.language ?? null,
+      availableAlternatives: availableLanguages.filter(lang => lang !== selectedLanguage)
     });
-    if (familyMatch) {
-      console.log(`✅ Language family match found: ${familyMatch}`);
-      return {
-        selectedLanguage: familyMatch,
-        matchType: 'family',
-        confidence: 0.8,
-        availableAlternatives: availableLanguages.filter(lang => lang !== familyMatch)
-      };
+
+    // 1. Exact match (the same tag, or a regional form of a bare language)
+    // 2. Language family match (same language, closest script and region first)
+    for (const minScore of [LANGUAGE_MATCH_SCORES.SCRIPT, LANGUAGE_MATCH_SCORES.LANGUAGE]) {
+      for (const preference of preferences) {
+        const { language: bestMatch, score } = this._findClosestLanguageOrFallback(availableLanguages, preference.language);
+        if (score < minScore) continue;
+
+        if (score >= LANGUAGE_MATCH_SCORES.RANGE) {
+          log.debug('Exact language match found', { language: bestMatch, preference: preference.language });
+          return match(bestMatch, 'exact', 1.0, preference);
+        }
+        log.debug('Language family match found', { language: bestMatch, preference: preference.language });
+        // Another script is the same language but not what the reader can read
+        return match(bestMatch, 'family', score === LANGUAGE_MATCH_SCORES.SCRIPT ? 0.8 : 0.7, preference);
+      }
     }
 
     // 3. Priority language fallback
     for (const priorityLang of LANGUAGE_PRIORITY) {
       const priorityMatch = availableLanguages.find(lang => 
-        this.normalizeLanguageCode(lang) === priorityLang
+        this.getBaseLanguage(lang) === priorityLang
       );
       if (priorityMatch) {
-        console.log(`✅ Priority fallback match found: ${priorityMatch}`);
-        return {
-          selectedLanguage: priorityMatch,
-          matchType: 'priority_fallback',
-          confidence: 0.6,
-          availableAlternatives: availableLanguages.filter(lang => lang !== priorityMatch)
-        };
+        log.debug('Priority fallback language match found', { language: priorityMatch });
+        return match(priorityMatch, 'priority_fallback', 0.6);
       }
     }
 
     // 4. First available language
     const firstAvailable = availableLanguages[0];
-    console.log(`⚠️ Using first available language: ${firstAvailable}`);
-    return {
-      selectedLanguage: firstAvailable,
-      matchType: 'first_available',
-      confidence: 0.3,
-      availableAlternatives: availableLanguages.slice(1)
-    };
+    log.debug('No language match, using first available language', { language: firstAvailable });
+    return match(firstAvailable, 'first_available', 0.3);
   }
 
   /**
    * Get language variants for fallback attempts
-   * @param {string} languageCode - Base language code
-   * @returns {string[]} - Array of language variants to try
+   * @param {string} languageCode - Language code
+   * @returns {string[]} - The canonical tag, then registered variants closest first, then the base language
    */
   getLanguageVariants(languageCode) {
     const normalized = this.normalizeLanguageCode(languageCode);
-    const variants = LANGUAGE_MAPPINGS[normalized] || [normalized];
-    
-    // Add common variants
-    const baseLang = normalized.split('-')[0];
-    if (baseLang !== normalized && LANGUAGE_MAPPINGS[baseLang]) {
-      variants.push(...LANGUAGE_MAPPINGS[baseLang]);
-    }
+    const parsed = normalized && this.parseLanguageTag(normalized);
+    if (!parsed) return [];
+
+    const registered = this.registry.get(parsed.language)?.variants || [];
+    const variants = registered
+      .map(variant => ({ variant, score: this.compareLanguages(normalized, variant) }))
+      .sort((a, b) => b.score - a.score)
+      .map(({ variant }) => variant);
 
-    // Remove duplicates and return
-    return [...new Set(variants)];
+    // Remove duplicates and return; related languages are only tried after the language itself
+    return [...new Set([normalized, ...variants, parsed.language, ...this._getFallbacks(parsed.language)])];
   }
 
   /**
-   * Detect language from transcript text (basic implementation)
+   * Detect language from transcript text
    * @param {string} text - Transcript text sample
-   * @returns {Object} - Language detection result
+   * @returns {Object} - { detectedLanguage, confidence, method, candidates } (detectedLanguage is null for too little text)
    */
   detectLanguageFromText(text) {
-    if (!text || text.length < 50) {
-      return {
-        detectedLanguage: 'en',
-        confidence: 0.1,
-        method: 'default'
-      };
-    }
+    const identification = identifyLanguage(text);
+    return {
+      detectedLanguage: identification.language,
+      confidence: identification.confidence,
+      method: identification.method,
+      candidates: identification.candidates
+    };
+  }
 
-    // Simple heuristic-based detection
-    const lowerText = text.toLowerCase();
-    
-    // English indicators
-    if (this._hasEnglishIndicators(lowerText)) {
-      return {
-        detectedLanguage: 'en',
-        confidence: 0.7,
-        method: 'heuristic'
-      };
+  /**
+   * Check a reported language against the language of the text itself
+   *
+   * Caption libraries echo the requested language and uploaders mislabel tracks, so
+   * the reported code is compared with what the content looks like. Languages the
+   * identifier does not know cannot be checked; reports that are not language codes
+   * at all (Whisper's "english") never match.
+   * @param {string} reportedLanguage - Language the extraction reported
+   * @param {string} text - Transcript text
+   * @returns {LanguageDetection}
+   */
+  verifyLanguage(reportedLanguage, text) {
+    const detection = this.detectLanguageFromText(text);
+
+    let matches = null; // Too little text, or a language the identifier does not know
+    if (detection.detectedLanguage) {
+      if (!reportedLanguage || !this.parseLanguageTag(reportedLanguage)) {
+        matches = false;
+      } else if (IDENTIFIABLE_LANGUAGES.some(language => this.isSameLanguage(language, reportedLanguage))) {
+        matches = this.isSameLanguage(reportedLanguage, detection.detectedLanguage);
+      }
     }
 
-    // Spanish indicators
-    if (this._hasSpanishIndicators(lowerText)) {
-      return {
-        detectedLanguage: 'es',
-        confidence: 0.7,
-        method: 'heuristic'
-      };
-    }
+    return {
+      reportedLanguage: reportedLanguage || null,
+      detectedLanguage: detection.detectedLanguage,
+      confidence: detection.confidence,
+      candidates: detection.candidates,
+      matches
+    };
+  }
 
-    // French indicators
-    if (this._hasFrenchIndicators(lowerText)) {
-      return {
-        detectedLanguage: 'fr',
-        confidence: 0.7,
-        method: 'heuristic'
-      };
+  /**
+   * Check whether an available language can serve a requested one: the same language,
+   * or a registered fallback of it (no for nb)
+   * @param {string} requested - Requested language code
+   * @param {string} available - Available language code
+   * @returns {boolean}
+   */
+  servesLanguage(requested, available) {
+    return this.isSameLanguage(requested, available) ||
+      this._getFallbacks(this.getBaseLanguage(requested)).includes(this.getBaseLanguage(available));
+  }
+
+  /**
+   * Check whether two language codes name the same language (en-GB and en, iw and he)
+   * @param {string} a - Language code
+   * @param {string} b - Language code
+   * @returns {boolean}
+   */
+  isSameLanguage(a, b) {
+    const baseA = this.getBaseLanguage(a);
+    return baseA !== null && baseA === this.getBaseLanguage(b);
+  }
+
+  /**
+   * Get the languages that have caption tracks of a type
+   * @param {CaptionTrack[]} captionTracks - Track descriptors from the metadata
+   * @param {string} captionType - One of CAPTION_TYPES
+   * @returns {string[]}
+   */
+  getLanguagesForCaptionType(captionTracks, captionType) {
+    const tracks = captionType === CAPTION_TYPES.ANY
+      ? captionTracks
+      : captionTracks.filter(track => track.type === captionType);
+
+    return [...new Set(tracks.map(track => track.languageCode).filter(Boolean))];
+  }
+
+  /**
+   * Decide whether a caption track has to be machine-translated into the preferred language
+   *
+   * Translation is only planned when no track (of the requested type) matches any
+   * preferred language and YouTube can translate at least one of them into one; the
+   * highest-ranked language YouTube can translate into is the target.
+   * @param {CaptionTrack[]} captionTracks - Track descriptors from the metadata
+   * @param {string|LanguagePreference[]} preferredLanguage - Preferred language, or a ranked list
+   * @param {Object} [options]
+   * @param {string} [options.captionType='any'] - Only translate tracks of this type
+   * @param {string[]} [options.translationLanguages] - Supported targets (unrestricted when empty)
+   * @returns {Object|null} - { sourceLanguage, targetLanguage, requestedLanguage, quality }, or null when no
+   *   translation is needed or possible
+   */
+  planTranslation(captionTracks, preferredLanguage, { captionType = CAPTION_TYPES.ANY, translationLanguages = [] } = {}) {
+    const tracks = captionType === CAPTION_TYPES.ANY
+      ? captionTracks || []
+      : (captionTracks || []).filter(track => track.type === captionType);
+    if (tracks.length === 0) return null;
+
+    const preferences = this._toPreferences(preferredLanguage);
+    if (tracks.some(track => preferences.some(preference => this.servesLanguage(preference.language, track.languageCode)))) {
+      return null;
     }
 
-    // German indicators
-    if (this._hasGermanIndicators(lowerText)) {
-      return {
-        detectedLanguage: 'de',
-        confidence: 0.7,
-        method: 'heuristic'
-      };
+    const target = preferences
+      .map(preference => ({ preference, targetLanguage: this._findTranslationTarget(translationLanguages, preference.language) }))
+      .find(candidate => candidate.targetLanguage);
+    const translatable = tracks.filter(track => track.isTranslatable);
+    if (!target || translatable.length === 0) {
+      log.debug('No translation to the preferred language available', { preferredLanguage });
+      return null;
     }
 
-    // Default to English with low confidence
+    // Translating speech recognition output compounds its errors, so manual sources
+    // win; among those the native fallback order applies (English first)
+    const manual = translatable.filter(track => track.type === CAPTION_TYPES.MANUAL);
+    const sourceMatch = this.findBestLanguageMatch(
+      this.getLanguagesForCaptionType(manual.length > 0 ? manual : translatable, CAPTION_TYPES.ANY),
+      preferences
+    );
+
     return {
-      detectedLanguage: 'en',
-      confidence: 0.3,
-      method: 'fallback'
+      sourceLanguage: sourceMatch.selectedLanguage,
+      targetLanguage: target.targetLanguage,
+      requestedLanguage: target.preference.language,
+      quality: target.preference.quality
     };
   }
 
   /**
    * Create language-aware extraction configuration
-   * @param {string} preferredLanguage - User's preferred language
+   * @param {string|LanguagePreference[]} preferredLanguage - User's preferred language, or a ranked list
    * @param {string[]} availableLanguages - Available languages in video
    * @param {string} extractionMethod - Extraction method being used
+   * @param {Object} [trackOptions] - { captionType, captionTracks } passed to findBestLanguageMatch,
+   *   plus { translate, translationLanguages } to plan a machine translation
    * @returns {Object} - Language configuration
    */
-  createLanguageConfig(preferredLanguage, availableLanguages, extractionMethod) {
-    const matchResult = this.findBestLanguageMatch(availableLanguages, preferredLanguage);
-    const variants = this.getLanguageVariants(preferredLanguage);
+  createLanguageConfig(preferredLanguage, availableLanguages, extractionMethod, trackOptions = {}) {
+    const preferences = this._toPreferences(preferredLanguage);
+    const matchResult = this.findBestLanguageMatch(availableLanguages, preferences, trackOptions);
+
+    // Variants of the matched preference first, then those of the others in rank order
+    const matched = matchResult.matchedPreference || preferences[0].language;
+    const variants = [...new Set([matched, ...preferences.map(preference => preference.language)]
+      .flatMap(language => this.getLanguageVariants(language)))];
 
     const config = {
       primaryLanguage: matchResult.selectedLanguage,
       fallbackLanguages: variants,
       availableLanguages: availableLanguages,
       matchConfidence: matchResult.confidence,
-      matchType: matchResult.matchType
+      matchType: matchResult.matchType,
+      matchedPreference: matchResult.matchedPreference,
+      preferences,
+      translation: trackOptions.translate
+        ? this.planTranslation(trackOptions.captionTracks, preferences, trackOptions)
+        : null
     };
 
     // Method-specific adjustments
@@ -330,7 +416,7 @@ export class LanguageHandler {
 
       case 'whisper-audio':
         // Whisper auto-detects, but we can provide a hint
-        config.languageHint = this.normalizeLanguageCode(preferredLanguage);
+        config.languageHint = this.getBaseLanguage(matched);
         break;
     }
 
@@ -338,85 +424,106 @@ export class LanguageHandler {
   }
 
   /**
-   * Check for English language indicators
-   * @param {string} text - Text to check
-   * @returns {boolean}
+   * Split a priority list, single tag, or list of tags and preferences into weighted ranges
+   * @param {string|Array<string|LanguagePreference>} value - Priority list, single tag, or list
+   * @returns {WeightedLanguageRange[]}
    * @private
    */
-  _hasEnglishIndicators(text) {
-    const englishWords = ['the', 'and', 'that', 'have', 'for', 'not', 'with', 'you', 'this', 'but'];
-    const matches = englishWords.filter(word => text.includes(` ${word} `)).length;
-    return matches >= 3;
+  _toRanges(value) {
+    return Array.isArray(value)
+      ? value.map(item => (typeof item === 'string'
+        ? { range: item, quality: 1 }
+        : { range: item?.language, quality: item?.quality ?? 1 }))
+      : parseLanguagePriorityList(value);
   }
 
   /**
-   * Check for Spanish language indicators
-   * @param {string} text - Text to check
-   * @returns {boolean}
+   * Turn a preferred language or ranked list into preferences, English when none is usable
+   * @param {string|Array<string|LanguagePreference>} preferredLanguage - Preferred language, or a ranked list
+   * @returns {LanguagePreference[]} - At least one preference
    * @private
    */
-  _hasSpanishIndicators(text) {
-    const spanishWords = ['que', 'de', 'no', 'la', 'el', 'en', 'es', 'se', 'te', 'lo'];
-    const matches = spanishWords.filter(word => text.includes(` ${word} `)).length;
-    return matches >= 3;
+  _toPreferences(preferredLanguage) {
+    const preferences = this.parseLanguagePreferences(preferredLanguage);
+    return preferences.length > 0 ? preferences : [{ language: 'en', quality: 1 }];
   }
 
   /**
-   * Check for French language indicators
-   * @param {string} text - Text to check
-   * @returns {boolean}
+   * Find the available language closest to a requested one
+   * @param {string[]} availableLanguages - Available language tags
+   * @param {string} requested - Requested language tag
+   * @returns {Object} - { language, score }; the first of equally close languages wins
    * @private
    */
-  _hasFrenchIndicators(text) {
-    const frenchWords = ['le', 'de', 'et', 'à', 'un', 'il', 'être', 'et', 'en', 'avoir'];
-    const matches = frenchWords.filter(word => text.includes(` ${word} `)).length;
-    return matches >= 3;
+  _findClosestLanguage(availableLanguages, requested) {
+    let best = { language: null, score: LANGUAGE_MATCH_SCORES.NONE };
+    for (const language of availableLanguages) {
+      const score = this.compareLanguages(requested, language);
+      if (score > best.score) best = { language, score };
+    }
+    return best;
   }
 
   /**
-   * Check for German language indicators
-   * @param {string} text - Text to check
-   * @returns {boolean}
+   * Find the available language closest to a requested one, else to one of its fallbacks
+   *
+   * A fallback match counts as a family match at best: nb readers get the no track,
+   * but it is not the Bokmål track they asked for.
+   * @param {string[]} availableLanguages - Available language tags
+   * @param {string} requested - Requested language tag
+   * @returns {Object} - { language, score }
    * @private
    */
-  _hasGermanIndicators(text) {
-    const germanWords = ['der', 'die', 'und', 'in', 'den', 'von', 'zu', 'das', 'mit', 'sich'];
-    const matches = germanWords.filter(word => text.includes(` ${word} `)).length;
-    return matches >= 3;
+  _findClosestLanguageOrFallback(availableLanguages, requested) {
+    const closest = this._findClosestLanguage(availableLanguages, requested);
+    if (closest.score > LANGUAGE_MATCH_SCORES.NONE) return closest;
+
+    for (const fallback of this._getFallbacks(this.getBaseLanguage(requested))) {
+      const match = this._findClosestLanguage(availableLanguages, fallback);
+      if (match.score > LANGUAGE_MATCH_SCORES.NONE) {
+        return { language: match.language, score: Math.min(match.score, LANGUAGE_MATCH_SCORES.SCRIPT) };
+      }
+    }
+    return closest;
+  }
+
+  /**
+   * @param {string|null} language - Registered language code
+   * @returns {string[]} - Languages that serve it when it has no track of its own
+   * @private
+   */
+  _getFallbacks(language) {
+    return (language && this.registry.get(language)?.fallbacks) || [];
+  }
+
+  /**
+   * Find the translation target code YouTube uses for a language
+   * @param {string[]} translationLanguages - Supported targets (unrestricted when empty)
+   * @param {string} preferredLanguage - User's preferred language
+   * @returns {string|null} - Target code, or null when YouTube cannot translate into the language
+   * @private
+   */
+  _findTranslationTarget(translationLanguages, preferredLanguage) {
+    const requested = (preferredLanguage || '').trim();
+    if (!requested) return null;
+    if (translationLanguages.length === 0) return this.normalizeLanguageCode(requested);
+
+    return this._findClosestLanguage(translationLanguages, requested).language;
   }
 
   /**
    * Get appropriate country code for language
    * @param {string} languageCode - Language code
-   * @returns {string} - Country code
+   * @returns {string} - The tag's region, else the language's default country, else US
    * @private
    */
   _getCountryForLanguage(languageCode) {
-    const countryMappings = {
-      'en': 'US',
-      'en-US': 'US',
-      'en-GB': 'GB',
-      'en-CA': 'CA',
-      'en-AU': 'AU',
-      'es': 'ES',
-      'es-MX': 'MX',
-      'es-AR': 'AR',
-      'fr': 'FR',
-      'fr-CA': 'CA',
-      'de': 'DE',
-      'pt': 'BR',
-      'pt-BR': 'BR',
-      'pt-PT': 'PT',
-      'it': 'IT',
-      'ja': 'JP',
-      'ko': 'KR',
-      'zh': 'CN',
-      'zh-CN': 'CN',
-      'zh-TW': 'TW',
-      'ru': 'RU'
-    };
+    const parsed = this.parseLanguageTag(languageCode);
+    if (!parsed) return 'US';
 
-    return countryMappings[languageCode] || 'US';
+    // UN M.49 regions (es-419) are not countries
+    if (parsed.region && /^[A-Z]{2}$/.test(parsed.region)) return parsed.region;
+    return this.registry.get(parsed.language)?.country || 'US';
   }
 }
 
@@ -0,0 +1,258 @@
+// services/language-registry.js
+// Data-driven registry of languages, their aliases, regional variants and countries
+
+/**
+ * Built-in languages: ISO 639-1 code where one exists, otherwise ISO 639-3.
+ * Aliases cover ISO 639-2/B, 639-2/T and 639-3 codes plus deprecated codes that
+ * YouTube and older clients still send (iw, in, ji, jw, mo). Norwegian Bokmål (nb)
+ * stays distinct from the Norwegian macrolanguage (no); each falls back to the other
+ * only when a video has no track of its own. Variants are the regional tags tried
+ * as caption fallbacks; country is the default region for region-aware sources.
+ */
+const BUILT_IN_LANGUAGES = [
+  { code: 'en', name: 'English', aliases: ['eng'], variants: ['en-US', 'en-GB', 'en-CA', 'en-AU', 'en-IE', 'en-IN', 'en-NZ'], country: 'US' },
+  { code: 'es', name: 'Spanish', aliases: ['spa'], variants: ['es-ES', 'es-MX', 'es-419', 'es-AR', 'es-US'], country: 'ES' },
+  { code: 'fr', name: 'French', aliases: ['fra', 'fre'], variants: ['fr-FR', 'fr-CA', 'fr-BE', 'fr-CH'], country: 'FR' },
+  { code: 'de', name: 'German', aliases: ['deu', 'ger'], variants: ['de-DE', 'de-AT', 'de-CH'], country: 'DE' },
+  { code: 'pt', name: 'Portuguese', aliases: ['por'], variants: ['pt-BR', 'pt-PT'], country: 'BR' },
+  { code: 'it', name: 'Italian', aliases: ['ita'], variants: ['it-IT'], country: 'IT' },
+  { code: 'ja', name: 'Japanese', aliases: ['jpn'], variants: ['ja-JP'], country: 'JP' },
+  { code: 'ko', name: 'Korean', aliases: ['kor'], variants: ['ko-KR'], country: 'KR' },
+  {
+    code: 'zh',
+    name: 'Chinese',
+    aliases: ['zho', 'chi'],
+    variants: ['zh-Hans', 'zh-Hant', 'zh-CN', 'zh-TW', 'zh-HK', 'zh-SG'],
+    country: 'CN',
+    defaultScript: 'Hans',
+    regionScripts: { TW: 'Hant', HK: 'Hant', MO: 'Hant' }
+  },
+  { code: 'yue', name: 'Cantonese', variants: ['yue-HK'], country: 'HK', defaultScript: 'Hant', regionScripts: { CN: 'Hans' } },
+  { code: 'ru', name: 'Russian', aliases: ['rus'], variants: ['ru-RU'], country: 'RU' },
+  { code: 'ar', name: 'Arabic', aliases: ['ara'], variants: ['ar-SA', 'ar-EG', 'ar-AE'], country: 'SA' },
+  { code: 'hi', name: 'Hindi', aliases: ['hin'], variants: ['hi-IN', 'hi-Latn'], country: 'IN', defaultScript: 'Deva' },
+  { code: 'nl', name: 'Dutch', aliases: ['nld', 'dut'], variants: ['nl-NL', 'nl-BE'], country: 'NL' },
+  { code: 'sv', name: 'Swedish', aliases: ['swe'], variants: ['sv-SE'], country: 'SE' },
+  { code: 'no', name: 'Norwegian', aliases: ['nor'], variants: ['no-NO'], fallbacks: ['nb'], country: 'NO' },
+  { code: 'nb', name: 'Norwegian Bokmål', aliases: ['nob'], variants: ['nb-NO'], fallbacks: ['no'], country: 'NO' },
+  { code: 'nn', name: 'Norwegian Nynorsk', aliases: ['nno'], variants: ['nn-NO'], country: 'NO' },
+  { code: 'da', name: 'Danish', aliases: ['dan'], variants: ['da-DK'], country: 'DK' },
+  { code: 'fi', name: 'Finnish', aliases: ['fin'], variants: ['fi-FI'], country: 'FI' },
+  { code: 'is', name: 'Icelandic', aliases: ['isl', 'ice'], country: 'IS' },
+  { code: 'pl', name: 'Polish', aliases: ['pol'], variants: ['pl-PL'], country: 'PL' },
+  { code: 'cs', name: 'Czech', aliases: ['ces', 'cze'], country: 'CZ' },
+  { code: 'sk', name: 'Slovak', aliases: ['slk', 'slo'], country: 'SK' },
+  { code: 'hu', name: 'Hungarian', aliases: ['hun'], country: 'HU' },
+  { code: 'ro', name: 'Romanian', aliases: ['ron', 'rum', 'mo', 'mol'], country: 'RO' },
+  { code: 'bg', name: 'Bulgarian', aliases: ['bul'], country: 'BG' },
+  { code: 'el', name: 'Greek', aliases: ['ell', 'gre'], country: 'GR' },
+  { code: 'uk', name: 'Ukrainian', aliases: ['ukr'], country: 'UA' },
+  { code: 'be', name: 'Belarusian', aliases: ['bel'], country: 'BY' },
+  { code: 'hr', name: 'Croatian', aliases: ['hrv'], country: 'HR' },
+  { code: 'sr', name: 'Serbian', aliases: ['srp'], variants: ['sr-Cyrl', 'sr-Latn'], country: 'RS', defaultScript: 'Cyrl' },
+  { code: 'bs', name: 'Bosnian', aliases: ['bos'], country: 'BA' },
+  { code: 'sl', name: 'Slovenian', aliases: ['slv'], country: 'SI' },
+  { code: 'mk', name: 'Macedonian', aliases: ['mkd', 'mac'], country: 'MK' },
+  { code: 'sq', name: 'Albanian', aliases: ['sqi', 'alb'], country: 'AL' },
+  { code: 'lt', name: 'Lithuanian', aliases: ['lit'], country: 'LT' },
+  { code: 'lv', name: 'Latvian', aliases: ['lav'], country: 'LV' },
+  { code: 'et', name: 'Estonian', aliases: ['est'], country: 'EE' },
+  { code: 'ca', name: 'Catalan', aliases: ['cat'], country: 'ES' },
+  { code: 'eu', name: 'Basque', aliases: ['eus', 'baq'], country: 'ES' },
+  { code: 'gl', name: 'Galician', aliases: ['glg'], country: 'ES' },
+  { code: 'ga', name: 'Irish', aliases: ['gle'], country: 'IE' },
+  { code: 'gd', name: 'Scottish Gaelic', aliases: ['gla'], country: 'GB' },
+  { code: 'cy', name: 'Welsh', aliases: ['cym', 'wel'], country: 'GB' },
+  { code: 'lb', name: 'Luxembourgish', aliases: ['ltz'], country: 'LU' },
+  { code: 'mt', name: 'Maltese', aliases: ['mlt'], country: 'MT' },
+  { code: 'fy', name: 'Western Frisian', aliases: ['fry'], country: 'NL' },
+  { code: 'co', name: 'Corsican', aliases: ['cos'], country: 'FR' },
+  { code: 'la', name: 'Latin', aliases: ['lat'] },
+  { code: 'eo', name: 'Esperanto', aliases: ['epo'] },
+  { code: 'tr', name: 'Turkish', aliases: ['tur'], variants: ['tr-TR'], country: 'TR' },
+  { code: 'az', name: 'Azerbaijani', aliases: ['aze'], country: 'AZ' },
+  { code: 'kk', name: 'Kazakh', aliases: ['kaz'], country: 'KZ' },
+  { code: 'ky', name: 'Kyrgyz', aliases: ['kir'], country: 'KG' },
+  { code: 'uz', name: 'Uzbek', aliases: ['uzb'], country: 'UZ' },
+  { code: 'tk', name: 'Turkmen', aliases: ['tuk'], country: 'TM' },
+  { code: 'tt', name: 'Tatar', aliases: ['tat'], country: 'RU' },
+  { code: 'tg', name: 'Tajik', aliases: ['tgk'], country: 'TJ' },
+  { code: 'mn', name: 'Mongolian', aliases: ['mon'], country: 'MN' },
+  { code: 'ka', name: 'Georgian', aliases: ['kat', 'geo'], country: 'GE' },
+  { code: 'hy', name: 'Armenian', aliases: ['hye', 'arm'], country: 'AM' },
+  { code: 'he', name: 'Hebrew', aliases: ['heb', 'iw'], variants: ['he-IL'], country: 'IL' },
+  { code: 'yi', name: 'Yiddish', aliases: ['yid', 'ji'] },
+  { code: 'fa', name: 'Persian', aliases: ['fas', 'per'], country: 'IR' },
+  { code: 'ps', name: 'Pashto', aliases: ['pus'], country: 'AF' },
+  { code: 'ku', name: 'Kurdish', aliases: ['kur'], country: 'IQ' },
+  { code: 'ur', name: 'Urdu', aliases: ['urd'], country: 'PK' },
+  { code: 'sd', name: 'Sindhi', aliases: ['snd'], country: 'PK' },
+  { code: 'bn', name: 'Bengali', aliases: ['ben'], country: 'BD' },
+  { code: 'pa', name: 'Punjabi', aliases: ['pan'], country: 'IN', defaultScript: 'Guru', regionScripts: { PK: 'Arab' } },
+  { code: 'gu', name: 'Gujarati', aliases: ['guj'], country: 'IN' },
+  { code: 'mr', name: 'Marathi', aliases: ['mar'], country: 'IN' },
+  { code: 'ta', name: 'Tamil', aliases: ['tam'], country: 'IN' },
+  { code: 'te', name: 'Telugu', aliases: ['tel'], country: 'IN' },
+  { code: 'kn', name: 'Kannada', aliases: ['kan'], country: 'IN' },
+  { code: 'ml', name: 'Malayalam', aliases: ['mal'], country: 'IN' },
+  { code: 'or', name: 'Odia', aliases: ['ori'], country: 'IN' },
+  { code: 'as', name: 'Assamese', aliases: ['asm'], country: 'IN' },
+  { code: 'si', name: 'Sinhala', aliases: ['sin'], country: 'LK' },
+  { code: 'ne', name: 'Nepali', aliases: ['nep'], country: 'NP' },
+  { code: 'th', name: 'Thai', aliases: ['tha'], variants: ['th-TH'], country: 'TH' },
+  { code: 'lo', name: 'Lao', aliases: ['lao'], country: 'LA' },
+  { code: 'km', name: 'Khmer', aliases: ['khm'], country: 'KH' },
+  { code: 'my', name: 'Burmese', aliases: ['mya', 'bur'], country: 'MM' },
+  { code: 'vi', name: 'Vietnamese', aliases: ['vie'], variants: ['vi-VN'], country: 'VN' },
+  { code: 'id', name: 'Indonesian', aliases: ['ind', 'in'], variants: ['id-ID'], country: 'ID' },
+  { code: 'ms', name: 'Malay', aliases: ['msa', 'may', 'zsm'], variants: ['ms-MY'], country: 'MY' },
+  { code: 'jv', name: 'Javanese', aliases: ['jav', 'jw'], country: 'ID' },
+  { code: 'su', name: 'Sundanese', aliases: ['sun'], country: 'ID' },
+  { code: 'fil', name: 'Filipino', variants: ['fil-PH'], country: 'PH' },
+  { code: 'tl', name: 'Tagalog', aliases: ['tgl'], country: 'PH' },
+  { code: 'ceb', name: 'Cebuano', country: 'PH' },
+  { code: 'haw', name: 'Hawaiian', country: 'US' },
+  { code: 'mi', name: 'Maori', aliases: ['mri', 'mao'], country: 'NZ' },
+  { code: 'sm', name: 'Samoan', aliases: ['smo'], country: 'WS' },
+  { code: 'sw', name: 'Swahili', aliases: ['swa', 'swh'], country: 'KE' },
+  { code: 'am', name: 'Amharic', aliases: ['amh'], country: 'ET' },
+  { code: 'so', name: 'Somali', aliases: ['som'], country: 'SO' },
+  { code: 'ha', name: 'Hausa', aliases: ['hau'], country: 'NG' },
+  { code: 'yo', name: 'Yoruba', aliases: ['yor'], country: 'NG' },
+  { code: 'ig', name: 'Igbo', aliases: ['ibo'], country: 'NG' },
+  { code: 'zu', name: 'Zulu', aliases: ['zul'], country: 'ZA' },
+  { code: 'xh', name: 'Xhosa', aliases: ['xho'], country: 'ZA' },
+  { code: 'af', name: 'Afrikaans', aliases: ['afr'], country: 'ZA' },
+  { code: 'st', name: 'Southern Sotho', aliases: ['sot'], country: 'LS' },
+  { code: 'sn', name: 'Shona', aliases: ['sna'], country: 'ZW' },
+  { code: 'ny', name: 'Chichewa', aliases: ['nya'], country: 'MW' },
+  { code: 'rw', name: 'Kinyarwanda', aliases: ['kin'], country: 'RW' },
+  { code: 'mg', name: 'Malagasy', aliases: ['mlg'], country: 'MG' },
+  { code: 'ht', name: 'Haitian Creole', aliases: ['hat'], country: 'HT' }
+];
+
+/**
+ * A primary language subtag: an ISO 639 code of 2-3 letters
+ */
+const LANGUAGE_SUBTAG = /^[a-z]{2,3}$/;
+
+/**
+ * LanguageRegistry class that maps language codes and aliases to language definitions
+ */
+export class LanguageRegistry {
+  constructor() {
+    this.languages = new Map();
+    this.aliases = new Map();
+  }
+
+  /**
+   * Register a language (replaces an existing definition with the same code)
+   * @param {LanguageDefinition} definition - Language definition
+   * @returns {LanguageRegistry} - The registry, for chaining
+   */
+  register(definition) {
+    const { code, name, aliases = [], variants = [], fallbacks = [], country, defaultScript, regionScripts = {} } = definition || {};
+    const primary = typeof code === 'string' ? code.toLowerCase() : '';
+
+    if (!LANGUAGE_SUBTAG.test(primary)) {
+      throw new Error(`Language definition requires a valid language code, got '${code}'`);
+    }
+    if (!name || typeof name !== 'string') {
+      throw new Error(`Language '${primary}' requires a name`);
+    }
+
+    this.unregister(primary);
+    this.languages.set(primary, {
+      code: primary,
+      name,
+      aliases: aliases.map(alias => alias.toLowerCase()),
+      variants: [...variants],
+      fallbacks: fallbacks.map(fallback => fallback.toLowerCase()),
+      country: country ? country.toUpperCase() : null,
+      defaultScript: defaultScript || null,
+      regionScripts: { ...regionScripts }
+    });
+    for (const alias of aliases) {
+      this.aliases.set(alias.toLowerCase(), primary);
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove a registered language and its aliases
+   * @param {string} code - Language code
+   * @returns {boolean} - True if the language was registered
+   */
+  unregister(code) {
+    const primary = (code || '').toLowerCase();
+    const definition = this.languages.get(primary);
+    if (!definition) return false;
+
+    for (const alias of definition.aliases) {
+      if (this.aliases.get(alias) === primary) this.aliases.delete(alias);
+    }
+    return this.languages.delete(primary);
+  }
+
+  /**
+   * Resolve a primary language subtag or alias to its registered code
+   * @param {string} code - Language subtag (eng, iw, nob, ...)
+   * @returns {string} - Registered code, or the lowercased input when unknown
+   */
+  resolve(code) {
+    const lower = (code || '').toLowerCase();
+    if (this.languages.has(lower)) return lower;
+    return this.aliases.get(lower) || lower;
+  }
+
+  /**
+   * Get a registered language by code or alias
+   * @param {string} code - Language subtag
+   * @returns {LanguageDefinition|null}
+   */
+  get(code) {
+    return this.languages.get(this.resolve(code)) || null;
+  }
+
+  /**
+   * Check whether a language (or alias) is registered
+   * @param {string} code - Language subtag
+   * @returns {boolean}
+   */
+  has(code) {
+    return this.languages.has(this.resolve(code));
+  }
+
+  /**
+   * List registered language codes
+   * @returns {string[]}
+   */
+  list() {
+    return [...this.languages.keys()];
+  }
+
+  /**
+   * Get the script a language is most likely written in for a region
+   * @param {string} code - Language subtag
+   * @param {string|null} [region] - Region subtag
+   * @returns {string|null} - ISO 15924 script, or null when the language has no script distinction
+   */
+  getLikelyScript(code, region = null) {
+    const definition = this.get(code);
+    if (!definition) return null;
+    return (region && definition.regionScripts[region]) || definition.defaultScript;
+  }
+}
+
+/**
+ * Create a registry with the built-in languages
+ * @param {LanguageDefinition[]} [definitions] - Language definitions
+ * @returns {LanguageRegistry}
+ */
+export function createLanguageRegistry(definitions = BUILT_IN_LANGUAGES) {
+  return definitions.reduce((registry, definition) => registry.register(definition), new LanguageRegistry());
+}
+
+// Export singleton instance
+export const languageRegistry = createLanguageRegistry();
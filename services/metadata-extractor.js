@@ -2,7 +2,10 @@
 // Video metadata extraction service using ytdl-core
 
 import ytdl from '@distube/ytdl-core';
-import { ERROR_CODES } from '../types/interfaces.js';
+import { ERROR_CODES, CAPTION_TYPES } from '../types/interfaces.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'metadata-extractor' });
 
 /**
  * VideoMetadataExtractor class for fetching YouTube video information
@@ -52,13 +55,15 @@ export class VideoMetadataExtractor {
         isUpcoming: videoDetails.isUpcoming || false,
         hasClosedCaptions: captionInfo.hasClosedCaptions,
         availableLanguages: captionInfo.availableLanguages,
+        captionTracks: captionInfo.captionTracks,
+        translationLanguages: captionInfo.translationLanguages,
         thumbnailUrl: this._getBestThumbnail(videoDetails.thumbnails),
         channelName: videoDetails.author || videoDetails.ownerChannelName || 'Unknown Channel',
         publishDate: videoDetails.publishDate || videoDetails.uploadDate || 'Unknown'
       };
 
     } catch (error) {
-      console.error(`Failed to get metadata for ${videoId}:`, error.message);
+      log.warn('Failed to get metadata', { videoId, error });
       throw this._createMetadataError(error);
     }
   }
@@ -112,7 +117,7 @@ export class VideoMetadataExtractor {
       };
 
     } catch (error) {
-      console.error(`Failed to check availability for ${videoId}:`, error.message);
+      log.warn('Failed to check availability', { videoId, error });
       
       // Determine specific error type
       if (error.message.includes('Video unavailable')) {
@@ -192,7 +197,7 @@ export class VideoMetadataExtractor {
         });
       } catch (error) {
         lastError = error;
-        console.log(`Client ${client} failed:`, error.message);
+        log.debug('ytdl client failed', { client, error });
       }
     }
     
@@ -207,12 +212,15 @@ export class VideoMetadataExtractor {
    */
   _extractCaptionInfo(playerResponse) {
     try {
-      const captions = playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks;
+      const renderer = playerResponse?.captions?.playerCaptionsTracklistRenderer;
+      const captions = renderer?.captionTracks;
       
       if (!captions || !Array.isArray(captions) || captions.length === 0) {
         return {
           hasClosedCaptions: false,
-          availableLanguages: []
+          availableLanguages: [],
+          captionTracks: [],
+          translationLanguages: []
         };
       }
 
@@ -220,16 +228,38 @@ export class VideoMetadataExtractor {
         return caption.languageCode || caption.vssId || 'unknown';
       }).filter(lang => lang !== 'unknown');
 
+      // Keep the track URLs so youtube-timedtext can fetch captions without another request
+      const captionTracks = captions
+        .filter(caption => caption.baseUrl)
+        .map(caption => ({
+          languageCode: caption.languageCode || null,
+          name: caption.name?.simpleText || caption.name?.runs?.map(run => run.text).join('') || caption.languageCode || '',
+          type: caption.kind === 'asr' ? CAPTION_TYPES.AUTO : CAPTION_TYPES.MANUAL,
+          kind: caption.kind || null,
+          vssId: caption.vssId || null,
+          isTranslatable: Boolean(caption.isTranslatable),
+          baseUrl: caption.baseUrl
+        }));
+
+      // Targets for YouTube's machine translation (tlang) of translatable tracks
+      const translationLanguages = (renderer.translationLanguages || [])
+        .map(language => language.languageCode)
+        .filter(Boolean);
+
       return {
         hasClosedCaptions: true,
-        availableLanguages: [...new Set(availableLanguages)] // Remove duplicates
+        availableLanguages: [...new Set(availableLanguages)], // Remove duplicates
+        captionTracks,
+        translationLanguages
       };
 
     } catch (error) {
-      console.log('Failed to extract caption info:', error.message);
+      log.warn('Failed to extract caption info', { error });
       return {
         hasClosedCaptions: false,
-        availableLanguages: []
+        availableLanguages: [],
+        captionTracks: [],
+        translationLanguages: []
       };
     }
   }
@@ -282,7 +312,7 @@ export class VideoMetadataExtractor {
       
       return false;
     } catch (error) {
-      console.log('Error checking restrictions:', error.message);
+      log.warn('Error checking restrictions', { error });
       return false;
     }
   }
@@ -0,0 +1,291 @@
+// services/method-health.js
+// Rolling success/latency stats and circuit breakers per extraction method
+
+import { ERROR_CODES } from '../types/interfaces.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'method-health' });
+
+/**
+ * Circuit breaker states
+ */
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',       // Method is used normally
+  OPEN: 'open',           // Method is skipped until the cooldown ends
+  HALF_OPEN: 'half-open'  // Cooldown over; a single trial attempt decides
+};
+
+/**
+ * Error codes describing the video or the client rather than the method
+ */
+const NON_METHOD_ERROR_CODES = new Set([
+  ERROR_CODES.NO_CAPTIONS_AVAILABLE,
+  ERROR_CODES.VIDEO_NOT_FOUND,
+  ERROR_CODES.VIDEO_PRIVATE,
+  ERROR_CODES.VIDEO_RESTRICTED,
+  ERROR_CODES.UNAUTHORIZED,
+  ERROR_CODES.FORBIDDEN,
+  ERROR_CODES.COST_LIMIT_EXCEEDED,
+  ERROR_CODES.BUDGET_EXCEEDED
+]);
+
+/**
+ * Check whether a failed attempt says anything about the method's health
+ *
+ * Only infrastructure failures (network errors, 5xx responses, timeouts, parse
+ * errors) count. A video without captions or with audio over the limits, and a
+ * client without the scope, fail every method alike and must not open circuits.
+ * @param {Object} error - Error or failed result ({ code, methodFault })
+ * @returns {boolean}
+ */
+export function isMethodFailure(error) {
+  if (error?.methodFault === false) return false;
+  return !NON_METHOD_ERROR_CODES.has(error?.code);
+}
+
+/**
+ * @typedef {Object} MethodHealthSnapshot
+ * @property {string} state - Circuit state (closed, open, half-open)
+ * @property {number} samples - Attempts in the rolling window
+ * @property {number|null} successRate - Share of successful attempts in the window (null without samples)
+ * @property {number|null} averageLatencyMs - Mean attempt duration in the window
+ * @property {number} consecutiveFailures - Failures since the last success
+ * @property {string|null} openUntil - When an open circuit allows a trial attempt (ISO)
+ * @property {string|null} lastFailure - Error of the most recent failure
+ */
+
+/**
+ * MethodHealthTracker class keeping per-method outcome windows and circuit breakers
+ */
+export class MethodHealthTracker {
+  /**
+   * @param {Object} options
+   * @param {number} [options.windowSize=50] - Attempts kept per method
+   * @param {number} [options.windowMs=900000] - Maximum age of attempts in the window
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+   * @param {number} [options.cooldownMs=60000] - Time an open circuit skips the method (and
+   *   the longest a half-open trial may run before another request may probe)
+   * @param {Function} [options.now] - Clock (ms)
+   */
+  constructor({
+    windowSize = 50,
+    windowMs = 15 * 60 * 1000,
+    failureThreshold = 5,
+    cooldownMs = 60 * 1000,
+    now = Date.now
+  } = {}) {
+    this.windowSize = windowSize;
+    this.windowMs = windowMs;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.methods = new Map();
+  }
+
+  /**
+   * Record the outcome of one method attempt
+   * @param {TranscriptMethod} method - Extraction method
+   * @param {Object} outcome
+   * @param {boolean} outcome.success - Whether the method produced a transcript
+   * @param {number} [outcome.latencyMs] - Attempt duration
+   * @param {string} [outcome.error] - Failure reason
+   */
+  record(method, { success, latencyMs, error }) {
+    const entry = this._getEntry(method);
+    const now = this.now();
+
+    entry.trialStartedAt = null;
+    entry.attempts.push({ success, latencyMs: latencyMs ?? null, at: now });
+    if (entry.attempts.length > this.windowSize) {
+      entry.attempts.shift();
+    }
+
+    if (success) {
+      if (entry.openedAt !== null) {
+        log.info('Circuit closed', { method });
+      }
+      entry.consecutiveFailures = 0;
+      entry.openedAt = null;
+      return;
+    }
+
+    entry.consecutiveFailures++;
+    entry.lastFailure = error || null;
+
+    // A failed trial after the cooldown reopens the circuit straight away
+    const state = this.getState(method);
+    if (state === CIRCUIT_STATES.HALF_OPEN ||
+        (state === CIRCUIT_STATES.CLOSED && entry.consecutiveFailures >= this.failureThreshold)) {
+      entry.openedAt = now;
+      log.warn('Circuit opened', {
+        method,
+        consecutiveFailures: entry.consecutiveFailures,
+        cooldownMs: this.cooldownMs,
+        error
+      });
+    }
+  }
+
+  /**
+   * Claim an attempt of a method; a half-open circuit admits one trial at a time
+   *
+   * The claim ends with record() or, when the attempt says nothing about the
+   * method (see isMethodFailure), with releaseAttempt().
+   * @param {TranscriptMethod} method - Extraction method
+   * @returns {boolean} - False while another request's trial probes the half-open circuit
+   */
+  beginAttempt(method) {
+    if (this.getState(method) !== CIRCUIT_STATES.HALF_OPEN) return true;
+    if (this._trialInFlight(method)) return false;
+
+    this._getEntry(method).trialStartedAt = this.now();
+    log.info('Circuit half-open, trial attempt started', { method });
+    return true;
+  }
+
+  /**
+   * End a claimed attempt without an outcome, letting the next request probe
+   * @param {TranscriptMethod} method - Extraction method
+   */
+  releaseAttempt(method) {
+    const entry = this.methods.get(method);
+    if (entry) {
+      entry.trialStartedAt = null;
+    }
+  }
+
+  /**
+   * Get the circuit state of a method
+   * @param {TranscriptMethod} method - Extraction method
+   * @returns {string} - One of CIRCUIT_STATES
+   */
+  getState(method) {
+    const entry = this.methods.get(method);
+    if (!entry || entry.openedAt === null) return CIRCUIT_STATES.CLOSED;
+
+    return this.now() - entry.openedAt < this.cooldownMs
+      ? CIRCUIT_STATES.OPEN
+      : CIRCUIT_STATES.HALF_OPEN;
+  }
+
+  /**
+   * Check whether a method may be attempted (closed circuit, or half-open without a trial running)
+   * @param {TranscriptMethod} method - Extraction method
+   * @returns {boolean}
+   */
+  isAvailable(method) {
+    const state = this.getState(method);
+    if (state === CIRCUIT_STATES.HALF_OPEN) return !this._trialInFlight(method);
+    return state !== CIRCUIT_STATES.OPEN;
+  }
+
+  /**
+   * Get rolling stats for a method
+   * @param {TranscriptMethod} method - Extraction method
+   * @returns {Object} - { samples, successRate, averageLatencyMs }
+   */
+  getStats(method) {
+    const attempts = this._recentAttempts(method);
+    if (attempts.length === 0) {
+      return { samples: 0, successRate: null, averageLatencyMs: null };
+    }
+
+    const successes = attempts.filter(attempt => attempt.success).length;
+    const latencies = attempts.map(attempt => attempt.latencyMs).filter(latency => latency !== null);
+
+    return {
+      samples: attempts.length,
+      successRate: successes / attempts.length,
+      averageLatencyMs: latencies.length > 0
+        ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+        : null
+    };
+  }
+
+  /**
+   * Get the health of every method seen so far (for /health)
+   * @param {TranscriptMethod[]} [methods] - Methods to always include
+   * @returns {Object.<string, MethodHealthSnapshot>}
+   */
+  getSnapshot(methods = []) {
+    const snapshot = {};
+    for (const method of new Set([...methods, ...this.methods.keys()])) {
+      const entry = this.methods.get(method);
+      const stats = this.getStats(method);
+      const openUntil = entry?.openedAt != null ? entry.openedAt + this.cooldownMs : null;
+
+      snapshot[method] = {
+        state: this.getState(method),
+        samples: stats.samples,
+        successRate: stats.successRate === null ? null : Math.round(stats.successRate * 1000) / 1000,
+        averageLatencyMs: stats.averageLatencyMs,
+        consecutiveFailures: entry?.consecutiveFailures || 0,
+        openUntil: openUntil !== null ? new Date(openUntil).toISOString() : null,
+        lastFailure: entry?.lastFailure || null
+      };
+    }
+    return snapshot;
+  }
+
+  /**
+   * Forget all recorded outcomes and close every circuit
+   */
+  reset() {
+    this.methods.clear();
+  }
+
+  /**
+   * @param {TranscriptMethod} method - Extraction method
+   * @returns {Object} - Mutable state of the method
+   * @private
+   */
+  _getEntry(method) {
+    let entry = this.methods.get(method);
+    if (!entry) {
+      entry = { attempts: [], consecutiveFailures: 0, openedAt: null, lastFailure: null, trialStartedAt: null };
+      this.methods.set(method, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * @param {TranscriptMethod} method - Extraction method
+   * @returns {boolean} - Whether a trial claimed within the last cooldownMs is still running
+   * @private
+   */
+  _trialInFlight(method) {
+    const startedAt = this.methods.get(method)?.trialStartedAt;
+    // A trial that never reported (crashed request) stops blocking after a cooldown
+    return startedAt != null && this.now() - startedAt < this.cooldownMs;
+  }
+
+  /**
+   * @param {TranscriptMethod} method - Extraction method
+   * @returns {Object[]} - Attempts younger than windowMs
+   * @private
+   */
+  _recentAttempts(method) {
+    const entry = this.methods.get(method);
+    if (!entry) return [];
+
+    const cutoff = this.now() - this.windowMs;
+    return entry.attempts.filter(attempt => attempt.at >= cutoff);
+  }
+}
+
+/**
+ * Create the method health tracker from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {MethodHealthTracker}
+ */
+export function createMethodHealthTracker(env = process.env) {
+  return new MethodHealthTracker({
+    windowSize: parseInt(env.METHOD_HEALTH_WINDOW) || undefined,
+    windowMs: parseInt(env.METHOD_HEALTH_WINDOW_MS) || undefined,
+    failureThreshold: parseInt(env.CIRCUIT_FAILURE_THRESHOLD) || undefined,
+    cooldownMs: parseInt(env.CIRCUIT_COOLDOWN_MS) || undefined
+  });
+}
+
+// Export singleton instance
+export const methodHealth = createMethodHealthTracker();
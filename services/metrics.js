@@ -0,0 +1,226 @@
+// services/metrics.js
+// Prometheus metrics for extraction outcomes, latency, audio usage and HTTP traffic
+
+import { MetricsRegistry } from '../utils/metrics-registry.js';
+
+/**
+ * Buckets for per-method extraction time (seconds): captions take well under a
+ * second, whisper-audio runs for minutes
+ */
+const EXTRACTION_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300, 600, 1200];
+
+/**
+ * TranscriptMetrics class recording service metrics into a registry
+ */
+export class TranscriptMetrics {
+  /**
+   * @param {Object} options
+   * @param {MetricsRegistry} [options.registry] - Registry the metrics are added to
+   */
+  constructor({ registry = new MetricsRegistry({ prefix: 'yt_transcript_' }) } = {}) {
+    this.registry = registry;
+    this.startedAt = Date.now();
+
+    this.methodAttempts = registry.counter({
+      name: 'method_attempts_total',
+      help: 'Extraction method attempts by outcome (success, failure, skipped) and error code',
+      labelNames: ['method', 'outcome', 'error_code']
+    });
+
+    this.extractions = registry.counter({
+      name: 'extractions_total',
+      help: 'Fallback extractions by the method that produced the transcript (none if all failed) and whether earlier methods failed first',
+      labelNames: ['method', 'outcome', 'fell_through']
+    });
+
+    this.extractionDuration = registry.histogram({
+      name: 'extraction_duration_seconds',
+      help: 'Time spent in a single extraction method attempt',
+      labelNames: ['method', 'outcome'],
+      buckets: EXTRACTION_BUCKETS
+    });
+
+    this.processingDuration = registry.histogram({
+      name: 'processing_duration_seconds',
+      help: 'Total transcript processing time per request (metadata, strategy, extraction, formatting)',
+      labelNames: ['endpoint', 'cache'],
+      buckets: EXTRACTION_BUCKETS
+    });
+
+    this.audioBytes = registry.counter({
+      name: 'audio_downloaded_bytes_total',
+      help: 'Audio bytes downloaded for whisper-audio',
+      labelNames: ['provider']
+    });
+
+    this.transcribedSeconds = registry.counter({
+      name: 'whisper_transcribed_seconds_total',
+      help: 'Seconds of audio transcribed by whisper-audio',
+      labelNames: ['provider']
+    });
+
+    this.cacheLookups = registry.counter({
+      name: 'cache_lookups_total',
+      help: 'Cache lookups by cache (transcript, metadata) and result (hit, miss)',
+      labelNames: ['cache', 'result']
+    });
+
+    this.httpRequests = registry.counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests by route and status code',
+      labelNames: ['method', 'route', 'status']
+    });
+
+    this.httpDuration = registry.histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request duration by route',
+      labelNames: ['method', 'route']
+    });
+
+    this.inFlight = registry.gauge({
+      name: 'http_requests_in_flight',
+      help: 'HTTP requests currently being processed'
+    });
+    this.inFlight.set({}, 0);
+
+    registry.gauge({
+      name: 'process_uptime_seconds',
+      help: 'Seconds since the process started',
+      collect: (gauge) => gauge.set({}, Math.round((Date.now() - this.startedAt) / 1000))
+    });
+
+    registry.gauge({
+      name: 'process_resident_memory_bytes',
+      help: 'Resident memory size in bytes',
+      collect: (gauge) => gauge.set({}, process.memoryUsage().rss)
+    });
+  }
+
+  /**
+   * Record one extraction method attempt
+   * @param {Object} attempt
+   * @param {TranscriptMethod} attempt.method - Method
+   * @param {'success'|'failure'|'skipped'} attempt.outcome - Outcome
+   * @param {string} [attempt.errorCode] - Error code for failures and skips
+   * @param {number} [attempt.extractionTime] - Attempt duration in ms (not for skips)
+   */
+  recordAttempt({ method, outcome, errorCode, extractionTime }) {
+    this.methodAttempts.inc({ method, outcome, error_code: errorCode || '' });
+
+    if (extractionTime !== undefined) {
+      this.extractionDuration.observe({ method, outcome }, extractionTime / 1000);
+    }
+  }
+
+  /**
+   * Record the result of a fallback extraction
+   * @param {Object} extraction
+   * @param {TranscriptMethod|'none'} extraction.method - Method that succeeded, or 'none'
+   * @param {boolean} extraction.success - Whether any method succeeded
+   * @param {boolean} extraction.fellThrough - Whether at least one earlier method failed or was skipped
+   */
+  recordExtraction({ method, success, fellThrough }) {
+    this.extractions.inc({
+      method,
+      outcome: success ? 'success' : 'failure',
+      fell_through: String(fellThrough)
+    });
+  }
+
+  /**
+   * @param {string} provider - Transcription provider
+   * @param {number} bytes - Downloaded bytes
+   */
+  recordAudioDownload(provider, bytes) {
+    this.audioBytes.inc({ provider }, bytes);
+  }
+
+  /**
+   * @param {string} provider - Transcription provider
+   * @param {number} seconds - Transcribed audio seconds
+   */
+  recordTranscribedAudio(provider, seconds) {
+    this.transcribedSeconds.inc({ provider }, seconds || 0);
+  }
+
+  /**
+   * @param {'transcript'|'metadata'} cache - Cache that was consulted
+   * @param {boolean} hit - Whether the lookup hit
+   */
+  recordCacheLookup(cache, hit) {
+    this.cacheLookups.inc({ cache, result: hit ? 'hit' : 'miss' });
+  }
+
+  /**
+   * @param {string} endpoint - Endpoint (transcript, stream, batch, job)
+   * @param {number} totalProcessingTime - Duration in ms
+   * @param {'HIT'|'MISS'} cacheStatus - Transcript cache status
+   */
+  recordProcessingTime(endpoint, totalProcessingTime, cacheStatus) {
+    this.processingDuration.observe(
+      { endpoint, cache: String(cacheStatus || 'MISS').toLowerCase() },
+      totalProcessingTime / 1000
+    );
+  }
+
+  /**
+   * Expose job queue sizes as gauges
+   * @param {JobQueue} queue - Job queue with getStats()
+   */
+  trackJobQueue(queue) {
+    this.registry.gauge({
+      name: 'jobs',
+      help: 'Jobs in the queue by state',
+      labelNames: ['state'],
+      collect: (gauge) => {
+        const stats = queue.getStats();
+        gauge.set({ state: 'queued' }, stats.queued);
+        gauge.set({ state: 'running' }, stats.running);
+      }
+    });
+  }
+
+  /**
+   * Create middleware tracking in-flight requests and request duration per route
+   * @returns {Function} - Express middleware
+   */
+  httpMiddleware() {
+    return (req, res, next) => {
+      const startTime = Date.now();
+      this.inFlight.inc();
+
+      let done = false;
+      const finish = () => {
+        if (done) return;
+        done = true;
+        this.inFlight.dec();
+
+        // Route patterns (/jobs/:id) keep label cardinality bounded; unmatched paths are grouped
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        this.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        this.httpDuration.observe({ method: req.method, route }, (Date.now() - startTime) / 1000);
+      };
+
+      res.on('finish', finish);
+      res.on('close', finish);
+      next();
+    };
+  }
+
+  /**
+   * @returns {string} - Metrics in the Prometheus text exposition format
+   */
+  render() {
+    return this.registry.render();
+  }
+
+  /**
+   * @returns {string} - Content-Type of render()
+   */
+  get contentType() {
+    return this.registry.contentType;
+  }
+}
+
+// Export singleton instance
+export const metrics = new TranscriptMetrics();
@@ -0,0 +1,309 @@
+// services/playlist-expander.js
+// Expands playlists and channels into video lists using YouTube's InnerTube API
+
+import { ERROR_CODES } from '../types/interfaces.js';
+import { URL_TYPES } from '../utils/youtube-validator.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'playlist-expander' });
+
+const INNERTUBE_BASE_URL = 'https://www.youtube.com/youtubei/v1';
+
+/**
+ * PlaylistExpander class for listing the videos of a playlist or channel
+ */
+export class PlaylistExpander {
+  constructor() {
+    this.userAgent = process.env.YTDL_UA ||
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36';
+
+    this.cookieHeader = process.env.YTDL_COOKIE || '';
+    this.clientVersion = process.env.YT_INNERTUBE_CLIENT_VERSION || '2.20240101.00.00';
+    this.maxLimit = parseInt(process.env.PLAYLIST_MAX_LIMIT) || 500;
+  }
+
+  /**
+   * Clamp a requested page size to 1..PLAYLIST_MAX_LIMIT
+   * @param {number|string} [limit] - Requested maximum videos (default 50)
+   * @returns {number}
+   */
+  getPageLimit(limit) {
+    return Math.max(1, Math.min(parseInt(limit) || 50, this.maxLimit));
+  }
+
+  /**
+   * Expand a parsed playlist/channel URL into a page of videos
+   * @param {ParsedYouTubeUrl} parsedUrl - Result of parseYouTubeUrl
+   * @param {Object} options
+   * @param {number} [options.limit=50] - Maximum videos to return
+   * @param {string} [options.pageToken] - Token from a previous response's nextPageToken
+   * @returns {Promise<Object>} - { playlistId, title, videos, nextPageToken }
+   */
+  async expand(parsedUrl, { limit = 50, pageToken = null } = {}) {
+    const pageLimit = this.getPageLimit(limit);
+    const cursor = pageToken ? this._decodePageToken(pageToken) : null;
+    const playlistId = cursor?.playlistId || await this._resolvePlaylistId(parsedUrl);
+
+    log.info('Expanding playlist', { playlistId, limit: pageLimit });
+
+    const videos = [];
+    let title = null;
+    let continuation = cursor?.continuation || null;
+    let skip = cursor?.skip || 0;
+    let position = cursor?.position || 0;
+
+    while (videos.length < pageLimit) {
+      const pageContinuation = continuation;
+      const response = pageContinuation
+        ? await this._innertube('browse', { continuation: pageContinuation })
+        : await this._innertube('browse', { browseId: `VL${playlistId}` });
+
+      if (!pageContinuation) {
+        title = this._extractPlaylistTitle(response);
+      }
+
+      const page = this._parsePlaylistPage(response);
+      if (!pageContinuation && page.videos.length === 0 && !page.continuation) {
+        const error = new Error(`Playlist ${playlistId} not found or empty`);
+        error.code = ERROR_CODES.PLAYLIST_NOT_FOUND;
+        throw error;
+      }
+
+      const remaining = page.videos.slice(skip);
+      const needed = pageLimit - videos.length;
+      const taken = remaining.slice(0, needed);
+
+      taken.forEach(video => {
+        videos.push({ ...video, position: ++position });
+      });
+
+      // Stopped in the middle of a page: resume from the same page next time
+      if (taken.length < remaining.length) {
+        return {
+          playlistId,
+          title,
+          videos,
+          nextPageToken: this._encodePageToken({
+            playlistId,
+            continuation: pageContinuation,
+            skip: skip + taken.length,
+            position
+          })
+        };
+      }
+
+      skip = 0;
+      continuation = page.continuation;
+      if (!continuation) break;
+    }
+
+    return {
+      playlistId,
+      title,
+      videos,
+      nextPageToken: continuation
+        ? this._encodePageToken({ playlistId, continuation, skip: 0, position })
+        : null
+    };
+  }
+
+  /**
+   * Resolve the playlist to list for a parsed URL
+   * Channels are listed through their uploads playlist (UC... -> UU...).
+   * @param {ParsedYouTubeUrl} parsedUrl - Result of parseYouTubeUrl
+   * @returns {Promise<string>} - Playlist ID
+   * @private
+   */
+  async _resolvePlaylistId(parsedUrl) {
+    if (parsedUrl.playlistId) {
+      return parsedUrl.playlistId;
+    }
+
+    let channelId = parsedUrl.channelId;
+    if (!channelId && (parsedUrl.type === URL_TYPES.HANDLE || parsedUrl.customName)) {
+      channelId = await this._resolveChannelId(parsedUrl.normalizedUrl);
+    }
+
+    if (!channelId) {
+      const error = new Error('Could not resolve a playlist or channel from the URL');
+      error.code = ERROR_CODES.PLAYLIST_NOT_FOUND;
+      throw error;
+    }
+
+    return `UU${channelId.slice(2)}`;
+  }
+
+  /**
+   * Resolve a handle or custom channel URL to a channel ID
+   * @param {string} url - Channel URL
+   * @returns {Promise<string|null>} - Channel ID
+   * @private
+   */
+  async _resolveChannelId(url) {
+    const response = await this._innertube('navigation/resolve_url', { url });
+    const browseId = response?.endpoint?.browseEndpoint?.browseId;
+
+    if (!browseId || !browseId.startsWith('UC')) {
+      const error = new Error(`Channel not found for ${url}`);
+      error.code = ERROR_CODES.PLAYLIST_NOT_FOUND;
+      throw error;
+    }
+
+    return browseId;
+  }
+
+  /**
+   * Call an InnerTube endpoint
+   * @param {string} endpoint - Endpoint path (e.g. 'browse')
+   * @param {Object} body - Request body (without context)
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _innertube(endpoint, body) {
+    const headers = {
+      'content-type': 'application/json',
+      'user-agent': this.userAgent,
+      'accept-language': 'en-US,en;q=0.9',
+      'origin': 'https://www.youtube.com'
+    };
+
+    if (this.cookieHeader) {
+      headers.cookie = this.cookieHeader;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${INNERTUBE_BASE_URL}/${endpoint}?prettyPrint=false`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          context: {
+            client: { clientName: 'WEB', clientVersion: this.clientVersion, hl: 'en', gl: 'US' }
+          },
+          ...body
+        })
+      });
+    } catch (error) {
+      throw new Error(`YouTube ${endpoint} request failed: ${error.message}`);
+    }
+
+    if (response.status === 404) {
+      const error = new Error('Playlist not found');
+      error.code = ERROR_CODES.PLAYLIST_NOT_FOUND;
+      throw error;
+    }
+
+    if (!response.ok) {
+      throw new Error(`YouTube ${endpoint} request failed with status ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Extract videos and the continuation token from a browse response
+   * @param {Object} response - InnerTube browse response
+   * @returns {Object} - { videos, continuation }
+   * @private
+   */
+  _parsePlaylistPage(response) {
+    const videos = [];
+    let continuation = null;
+
+    this._walk(response, (node) => {
+      if (node.playlistVideoRenderer) {
+        const renderer = node.playlistVideoRenderer;
+        if (renderer.videoId && renderer.isPlayable !== false) {
+          videos.push({
+            videoId: renderer.videoId,
+            title: this._getText(renderer.title) || `Video ${renderer.videoId}`,
+            durationSeconds: renderer.lengthSeconds ? parseInt(renderer.lengthSeconds) : null
+          });
+        }
+        return false;
+      }
+
+      if (node.continuationItemRenderer) {
+        const token = node.continuationItemRenderer.continuationEndpoint?.continuationCommand?.token;
+        if (token) continuation = token;
+        return false;
+      }
+
+      return true;
+    });
+
+    return { videos, continuation };
+  }
+
+  /**
+   * Extract the playlist title from a browse response
+   * @param {Object} response - InnerTube browse response
+   * @returns {string|null}
+   * @private
+   */
+  _extractPlaylistTitle(response) {
+    return response?.metadata?.playlistMetadataRenderer?.title ||
+      this._getText(response?.header?.playlistHeaderRenderer?.title) ||
+      null;
+  }
+
+  /**
+   * Depth-first walk over a JSON tree; the visitor returns false to skip children
+   * @param {*} node - Current node
+   * @param {Function} visit - Visitor
+   * @private
+   */
+  _walk(node, visit) {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+      node.forEach(child => this._walk(child, visit));
+      return;
+    }
+
+    if (visit(node) === false) return;
+    Object.values(node).forEach(child => this._walk(child, visit));
+  }
+
+  /**
+   * Get plain text from an InnerTube text object ({ simpleText } or { runs })
+   * @param {Object} textObject - InnerTube text
+   * @returns {string|null}
+   * @private
+   */
+  _getText(textObject) {
+    if (!textObject) return null;
+    if (textObject.simpleText) return textObject.simpleText;
+    if (Array.isArray(textObject.runs)) return textObject.runs.map(run => run.text).join('');
+    return null;
+  }
+
+  /**
+   * @param {Object} cursor - { playlistId, continuation, skip, position }
+   * @returns {string}
+   * @private
+   */
+  _encodePageToken(cursor) {
+    return Buffer.from(JSON.stringify(cursor), 'utf8').toString('base64url');
+  }
+
+  /**
+   * @param {string} token - Page token
+   * @returns {Object}
+   * @private
+   */
+  _decodePageToken(token) {
+    try {
+      const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+      if (!cursor.playlistId) throw new Error('missing playlistId');
+      return cursor;
+    } catch {
+      const error = new Error('Invalid pageToken');
+      error.code = ERROR_CODES.MISSING_PARAMETERS;
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const playlistExpander = new PlaylistExpander();
@@ -1,7 +1,8 @@
 // services/response-formatter.js
 // Response formatting and error handling service
 
-import { ERROR_CODES, SUPPORTED_FORMATS } from '../types/interfaces.js';
+import { ERROR_CODES } from '../types/interfaces.js';
+import { formatRegistry } from './format-registry.js';
 
 /**
  * ResponseFormatter class for consistent API responses
@@ -15,12 +16,21 @@ export class ResponseFormatter {
       [ERROR_CODES.VIDEO_NOT_FOUND]: 'Check if the video exists and is publicly accessible',
       [ERROR_CODES.VIDEO_PRIVATE]: 'This video is private or unlisted and cannot be accessed',
       [ERROR_CODES.VIDEO_RESTRICTED]: 'This video may have age restrictions or geographic limitations',
+      [ERROR_CODES.PLAYLIST_NOT_FOUND]: 'Check that the playlist or channel exists and is public',
       [ERROR_CODES.NO_CAPTIONS_AVAILABLE]: 'Try using fallbackToAudio=true to use audio transcription instead',
       [ERROR_CODES.AUDIO_DOWNLOAD_FAILED]: 'The video audio could not be downloaded. It may be restricted or unavailable',
       [ERROR_CODES.WHISPER_API_ERROR]: 'Check your OpenAI API key and quota limits',
       [ERROR_CODES.ALL_METHODS_FAILED]: 'All transcript extraction methods failed. The video may not have captions and audio may be inaccessible',
+      [ERROR_CODES.UNAUTHORIZED]: 'Send a valid API key in the Authorization: Bearer header or the X-API-Key header',
+      [ERROR_CODES.FORBIDDEN]: 'Your API key is not allowed to do this. Check its scopes, allowed origins and maximum video duration',
       [ERROR_CODES.RATE_LIMIT_EXCEEDED]: 'Please wait before making another request',
-      [ERROR_CODES.QUOTA_EXCEEDED]: 'Daily API quota exceeded. Please try again tomorrow'
+      [ERROR_CODES.QUOTA_EXCEEDED]: 'Daily API quota exceeded. Please try again tomorrow',
+      [ERROR_CODES.COST_LIMIT_EXCEEDED]: 'Raise maxCost, or check GET /extraction-methods for the estimated cost of each method',
+      [ERROR_CODES.BUDGET_EXCEEDED]: 'The daily spending budget for paid transcription is used up. Caption methods remain available; try again tomorrow',
+      [ERROR_CODES.JOB_NOT_FOUND]: 'The job ID is unknown or the job has expired. Submit a new job with POST /jobs',
+      [ERROR_CODES.JOB_NOT_READY]: 'Poll GET /jobs/:id until the status is completed before fetching the result',
+      [ERROR_CODES.QUEUE_FULL]: 'Too many jobs are pending. Please retry later',
+      [ERROR_CODES.SERVICE_UNAVAILABLE]: 'A storage backend the API depends on is unreachable. Please retry later'
     };
   }
 
@@ -44,7 +54,9 @@ export class ResponseFormatter {
         segments: result.segments?.length || 0,
         extractionTime: result.extractionTime || 0
       },
-      message: `Transcript extracted successfully using ${result.method}`
+      message: result.translation
+        ? `Transcript extracted successfully using ${result.method} (machine-translated from ${result.translation.sourceLanguage})`
+        : `Transcript extracted successfully using ${result.method}`
     };
 
     // Add optional fields if available
@@ -60,6 +72,36 @@ export class ResponseFormatter {
       response.data.audioSizeBytes = result.audioSizeBytes;
     }
 
+    if (result.transcriptionProvider) {
+      response.data.transcriptionProvider = result.transcriptionProvider;
+    }
+
+    // Which kind of captions the transcript came from (null when unknown or for audio)
+    if (result.captionType !== undefined) {
+      response.data.captionType = result.captionType;
+    }
+
+    if (result.translation) {
+      response.data.translation = result.translation;
+    }
+
+    if (result.languageDetection) {
+      response.data.languageDetection = result.languageDetection;
+    }
+
+    if (result.languageNegotiation) {
+      response.data.languageNegotiation = result.languageNegotiation;
+    }
+
+    if (result.cost) {
+      response.data.cost = result.cost;
+    }
+
+    if (result.cached) {
+      response.data.cached = true;
+      response.data.cachedAt = result.cachedAt;
+    }
+
     // Add metadata for JSON format
     if (preferences.format === 'json') {
       response.data.metadata = {
@@ -68,6 +110,7 @@ export class ResponseFormatter {
         thumbnailUrl: metadata.thumbnailUrl,
         hasClosedCaptions: metadata.hasClosedCaptions,
         availableLanguages: metadata.availableLanguages,
+        captionTracks: this.formatCaptionTracks(metadata.captionTracks),
         requestedLanguage: preferences.preferredLanguage,
         detectedLanguage: result.language
       };
@@ -93,7 +136,7 @@ export class ResponseFormatter {
     if (error.message === undefined || error.message === null) {
       error.message = 'Unknown error occurred';
     }
-    const errorCode = error.code || this._determineErrorCode(error.message);
+    const errorCode = this.getErrorCode(error);
     const httpStatus = this._getHttpStatusForError(errorCode);
     
     const response = {
@@ -113,8 +156,9 @@ export class ResponseFormatter {
       response.availableLanguages = additionalInfo.availableLanguages;
     }
 
-    if (additionalInfo.retryAfter) {
-      response.retryAfter = additionalInfo.retryAfter;
+    const retryAfter = additionalInfo.retryAfter || error.retryAfter;
+    if (retryAfter) {
+      response.retryAfter = retryAfter;
     }
 
     return {
@@ -136,7 +180,7 @@ export class ResponseFormatter {
 
     const additionalInfo = {};
     if (field === 'format') {
-      additionalInfo.supportedFormats = SUPPORTED_FORMATS;
+      additionalInfo.supportedFormats = formatRegistry.list();
     }
 
     return this.formatError(error, 'validation', additionalInfo);
@@ -145,15 +189,43 @@ export class ResponseFormatter {
   /**
    * Format rate limiting error
    * @param {number} retryAfter - Seconds to wait before retry
+   * @param {string} [code] - RATE_LIMIT_EXCEEDED, QUOTA_EXCEEDED or SERVICE_UNAVAILABLE
+   * @param {string} [message] - Error message naming the exhausted limit
    * @returns {Object} - Formatted rate limit error
    */
-  formatRateLimitError(retryAfter = 60) {
-    const error = new Error('Rate limit exceeded');
-    error.code = ERROR_CODES.RATE_LIMIT_EXCEEDED;
+  formatRateLimitError(retryAfter = 60, code = ERROR_CODES.RATE_LIMIT_EXCEEDED, message = 'Rate limit exceeded') {
+    const error = new Error(message);
+    error.code = code;
 
     return this.formatError(error, 'rate_limiting', { retryAfter });
   }
 
+  /**
+   * Format authentication or authorization error
+   * @param {string} code - UNAUTHORIZED or FORBIDDEN
+   * @param {string} message - Error message
+   * @returns {Object} - Formatted auth error
+   */
+  formatAuthError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+
+    return this.formatError(error, 'auth');
+  }
+
+  /**
+   * Format job lookup or queue error
+   * @param {string} code - Job error code (JOB_NOT_FOUND, JOB_NOT_READY, QUEUE_FULL)
+   * @param {string} message - Error message
+   * @returns {Object} - Formatted job error
+   */
+  formatJobError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+
+    return this.formatError(error, 'jobs');
+  }
+
   /**
    * Format method-specific error with fallback suggestions
    * @param {string} method - Failed extraction method
@@ -184,19 +256,51 @@ export class ResponseFormatter {
   }
 
   /**
-   * Create success response for health checks
-   * @returns {Object} - Health check response
+   * Describe caption tracks for API responses (without the signed track URLs)
+   * @param {CaptionTrack[]} [captionTracks] - Tracks from the metadata
+   * @returns {Object[]} - [{ languageCode, name, type, kind, vssId, isTranslatable }]
    */
-  formatHealthResponse() {
+  formatCaptionTracks(captionTracks = []) {
+    return captionTracks.map(({ baseUrl, ...track }) => track);
+  }
+
+  /**
+   * Create response for health checks
+   * @param {Readiness} readiness - Readiness from the health checker
+   * @returns {Object} - { response, httpStatus } (503 when not ready)
+   */
+  formatHealthResponse(readiness) {
+    const messages = {
+      ready: 'YouTube transcript service is healthy',
+      degraded: 'YouTube transcript service is degraded',
+      unavailable: 'YouTube transcript service is unavailable'
+    };
+
     return {
-      success: true,
-      message: 'YouTube transcript service is healthy',
-      timestamp: new Date().toISOString(),
-      supportedFormats: SUPPORTED_FORMATS,
-      availableMethods: ['youtube-transcript', 'youtube-caption-extractor', 'whisper-audio']
+      response: {
+        success: readiness.ready,
+        status: readiness.status,
+        message: messages[readiness.status],
+        timestamp: readiness.checkedAt,
+        durationMs: readiness.durationMs,
+        supportedFormats: formatRegistry.list(),
+        availableMethods: Object.keys(readiness.methods).filter(method => readiness.methods[method].ready),
+        methods: readiness.methods,
+        checks: readiness.checks
+      },
+      httpStatus: readiness.ready ? 200 : 503
     };
   }
 
+  /**
+   * Get the error code for an error, classifying it by message when it has none
+   * @param {Error|Object} error - Error ({ message, code? })
+   * @returns {string} - Error code
+   */
+  getErrorCode(error) {
+    return error?.code || this._determineErrorCode(error?.message);
+  }
+
   /**
    * Determine error code from error message
    * @param {string} message - Error message
@@ -263,12 +367,29 @@ export class ResponseFormatter {
       case ERROR_CODES.MISSING_PARAMETERS:
         return 400; // Bad Request
 
+      case ERROR_CODES.UNAUTHORIZED:
+        return 401; // Unauthorized
+
+      case ERROR_CODES.COST_LIMIT_EXCEEDED:
+      case ERROR_CODES.BUDGET_EXCEEDED:
+        return 402; // Payment Required
+
       case ERROR_CODES.VIDEO_PRIVATE:
+      case ERROR_CODES.FORBIDDEN:
         return 403; // Forbidden
 
       case ERROR_CODES.VIDEO_NOT_FOUND:
+      case ERROR_CODES.PLAYLIST_NOT_FOUND:
+      case ERROR_CODES.JOB_NOT_FOUND:
         return 404; // Not Found
 
+      case ERROR_CODES.JOB_NOT_READY:
+        return 409; // Conflict
+
+      case ERROR_CODES.QUEUE_FULL:
+      case ERROR_CODES.SERVICE_UNAVAILABLE:
+        return 503; // Service Unavailable
+
       case ERROR_CODES.RATE_LIMIT_EXCEEDED:
       case ERROR_CODES.QUOTA_EXCEEDED:
         return 429; // Too Many Requests
@@ -300,6 +421,8 @@ export class ResponseFormatter {
       metadata: 'Failed to get video information',
       extraction: 'Transcript extraction failed',
       rate_limiting: 'Request rate limited',
+      auth: 'Request not authorized',
+      jobs: 'Job request failed',
       unknown: 'An error occurred'
     };
 
@@ -316,10 +439,28 @@ export class ResponseFormatter {
         return 'The video is private and cannot be accessed';
       case ERROR_CODES.VIDEO_RESTRICTED:
         return 'The video has access restrictions';
+      case ERROR_CODES.PLAYLIST_NOT_FOUND:
+        return 'The requested playlist or channel could not be found';
       case ERROR_CODES.NO_CAPTIONS_AVAILABLE:
         return 'No captions are available for this video';
       case ERROR_CODES.ALL_METHODS_FAILED:
         return 'All transcript extraction methods failed';
+      case ERROR_CODES.JOB_NOT_FOUND:
+        return 'The requested job could not be found';
+      case ERROR_CODES.JOB_NOT_READY:
+        return 'The job has not completed yet';
+      case ERROR_CODES.QUEUE_FULL:
+        return 'The job queue is full';
+      case ERROR_CODES.UNAUTHORIZED:
+        return 'Authentication required';
+      case ERROR_CODES.FORBIDDEN:
+        return 'The API key is not allowed to perform this request';
+      case ERROR_CODES.COST_LIMIT_EXCEEDED:
+        return 'The estimated cost exceeds maxCost';
+      case ERROR_CODES.BUDGET_EXCEEDED:
+        return 'The daily spending budget is exhausted';
+      case ERROR_CODES.SERVICE_UNAVAILABLE:
+        return 'A required service is temporarily unavailable';
       default:
         return baseMessage;
     }
@@ -360,6 +501,9 @@ export class ResponseFormatter {
    */
   _getMethodSpecificHint(method, errorMessage) {
     switch (method) {
+      case 'youtube-timedtext':
+        return 'The caption track URLs from the video metadata may have expired; retry with cache=refresh.';
+
       case 'youtube-transcript':
         return 'The video may not have auto-generated captions available.';
       
@@ -367,8 +511,8 @@ export class ResponseFormatter {
         return 'The video may not have closed captions or they may be in a different format.';
       
       case 'whisper-audio':
-        if (errorMessage.includes('API key')) {
-          return 'Check your OpenAI API key configuration.';
+        if (errorMessage.includes('API key') || errorMessage.includes('not configured')) {
+          return 'Check your transcription provider configuration (OPENAI_API_KEY or TRANSCRIPTION_PROVIDER).';
         }
         if (errorMessage.includes('quota') || errorMessage.includes('limit')) {
           return 'Check your OpenAI API usage and billing.';
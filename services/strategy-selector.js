@@ -1,25 +1,65 @@
 // services/strategy-selector.js
 // Transcript extraction strategy selector
 
-import { DEFAULT_PREFERENCES } from '../types/interfaces.js';
+import { DEFAULT_PREFERENCES, CAPTION_TYPES } from '../types/interfaces.js';
 import { languageHandler } from './language-handler.js';
+import { methodHealth as defaultMethodHealth } from './method-health.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'strategy-selector' });
 
 /**
  * Transcript extraction methods in order of preference
  */
 export const TRANSCRIPT_METHODS = {
+  YOUTUBE_TIMEDTEXT: 'youtube-timedtext',
   YOUTUBE_TRANSCRIPT: 'youtube-transcript',
   YOUTUBE_CAPTION_EXTRACTOR: 'youtube-caption-extractor', 
   WHISPER_AUDIO: 'whisper-audio'
 };
 
+/**
+ * Caption methods are reordered among themselves by observed health; audio
+ * transcription is slow and may be paid, so it always stays the last resort
+ */
+const CAPTION_METHODS = [
+  TRANSCRIPT_METHODS.YOUTUBE_TIMEDTEXT,
+  TRANSCRIPT_METHODS.YOUTUBE_TRANSCRIPT,
+  TRANSCRIPT_METHODS.YOUTUBE_CAPTION_EXTRACTOR
+];
+
+/**
+ * Success rates are compared in bands of this width so that small differences
+ * do not reshuffle the order on every request
+ */
+const SUCCESS_RATE_BAND = 0.2;
+
+/**
+ * Attempts needed before a method's stats are trusted
+ */
+const MIN_HEALTH_SAMPLES = 5;
+
+/**
+ * Success rate assumed for methods without enough samples: measured methods that
+ * succeed more often stay ahead, clearly failing ones drop behind
+ */
+const UNMEASURED_SUCCESS_RATE = 0.6;
+
 /**
  * TranscriptStrategySelector class for choosing optimal extraction method
  */
 export class TranscriptStrategySelector {
-  constructor() {
-    // Method priority order (fastest to slowest)
+  /**
+   * @param {Object} options
+   * @param {MethodHealthTracker} [options.health] - Observed method health used to order strategies
+   */
+  constructor({ health = defaultMethodHealth } = {}) {
+    this.health = health;
+
+    // Default priority order (fastest to slowest), used until there are enough stats.
+    // youtube-timedtext reuses the caption tracks from the metadata call, so it goes first.
     this.methodPriority = [
+      TRANSCRIPT_METHODS.YOUTUBE_TIMEDTEXT,
       TRANSCRIPT_METHODS.YOUTUBE_TRANSCRIPT,
       TRANSCRIPT_METHODS.YOUTUBE_CAPTION_EXTRACTOR,
       TRANSCRIPT_METHODS.WHISPER_AUDIO
@@ -36,57 +76,113 @@ export class TranscriptStrategySelector {
     // Merge with default preferences
     const prefs = { ...DEFAULT_PREFERENCES, ...preferences };
     
-    console.log(`🎯 Selecting strategy for video: ${metadata.videoId}`);
-    console.log(`📋 Video has captions: ${metadata.hasClosedCaptions}`);
-    console.log(`🌍 Available languages: ${metadata.availableLanguages.join(', ')}`);
-    console.log(`⚙️ User preferences:`, prefs);
+    log.debug('Selecting strategy', {
+      videoId: metadata.videoId,
+      hasClosedCaptions: metadata.hasClosedCaptions,
+      availableLanguages: metadata.availableLanguages,
+      preferences: prefs
+    });
 
     const strategies = [];
 
     // Check if video is suitable for transcript extraction
     if (!this._isVideoSuitableForExtraction(metadata)) {
-      console.log('⚠️ Video not suitable for extraction, using audio-only method');
+      log.warn('Video not suitable for caption extraction, using audio-only method', { videoId: metadata.videoId });
       return prefs.fallbackToAudio ? [TRANSCRIPT_METHODS.WHISPER_AUDIO] : [];
     }
 
     // If video has captions, prioritize caption-based methods
     if (metadata.hasClosedCaptions) {
-      console.log('✅ Video has captions, prioritizing caption methods');
+      log.debug('Video has captions, prioritizing caption methods');
       
       // Check if preferred language is available
       const hasPreferredLanguage = this._hasPreferredLanguage(
         metadata.availableLanguages, 
-        prefs.preferredLanguage
+        prefs.preferredLanguages || prefs.preferredLanguage
       );
 
       if (hasPreferredLanguage) {
-        console.log(`🎯 Preferred language '${prefs.preferredLanguage}' is available`);
-        // Add caption methods in priority order
-        strategies.push(TRANSCRIPT_METHODS.YOUTUBE_TRANSCRIPT);
-        strategies.push(TRANSCRIPT_METHODS.YOUTUBE_CAPTION_EXTRACTOR);
+        log.debug('Preferred language is available', { language: prefs.preferredLanguage });
       } else {
-        console.log(`⚠️ Preferred language '${prefs.preferredLanguage}' not available`);
-        console.log(`📋 Will try caption methods with available languages`);
         // Still try caption methods, they might auto-select best available language
-        strategies.push(TRANSCRIPT_METHODS.YOUTUBE_TRANSCRIPT);
-        strategies.push(TRANSCRIPT_METHODS.YOUTUBE_CAPTION_EXTRACTOR);
+        log.debug('Preferred language not available, trying caption methods with available languages', {
+          language: prefs.preferredLanguage
+        });
       }
+      strategies.push(...this._getCaptionMethods(metadata, prefs));
     } else {
-      console.log('⚠️ No captions detected, will rely on audio transcription');
+      log.debug('No captions detected, relying on audio transcription');
     }
 
     // Add audio transcription as fallback if enabled
     if (prefs.fallbackToAudio) {
-      console.log('🔄 Adding audio transcription as fallback method');
+      log.debug('Adding audio transcription as fallback method');
       strategies.push(TRANSCRIPT_METHODS.WHISPER_AUDIO);
     }
 
-    // Remove duplicates while preserving order
-    const uniqueStrategies = [...new Set(strategies)];
+    // Remove duplicates, then order by observed method health
+    const orderedStrategies = this.orderByHealth([...new Set(strategies)]);
     
-    console.log(`📋 Final strategy order: ${uniqueStrategies.join(' → ')}`);
+    log.info('Strategy selected', { strategies: orderedStrategies });
     
-    return uniqueStrategies;
+    return orderedStrategies;
+  }
+
+  /**
+   * Select strategies when metadata is missing or reports no captions
+   *
+   * Caption detection is unreliable, so the scraper-based caption methods are
+   * still tried before falling back to audio transcription.
+   * @param {VideoMetadata} metadata - Video metadata (possibly the minimal fallback)
+   * @param {ExtractionPreferences} preferences - User preferences
+   * @returns {TranscriptMethod[]} - Ordered list of methods to try
+   */
+  selectBlindStrategy(metadata, preferences = {}) {
+    const prefs = { ...DEFAULT_PREFERENCES, ...preferences };
+    const strategies = this._getCaptionMethods(metadata, prefs);
+    if (prefs.fallbackToAudio) {
+      strategies.push(TRANSCRIPT_METHODS.WHISPER_AUDIO);
+    }
+
+    return this.orderByHealth(strategies);
+  }
+
+  /**
+   * Order methods by observed health and drop methods whose circuit is open
+   *
+   * Caption methods are sorted by success rate (in bands), then by latency, with
+   * the default priority as tie-breaker. Open circuits are skipped unless that
+   * would leave nothing to try.
+   * @param {TranscriptMethod[]} methods - Candidate methods
+   * @returns {TranscriptMethod[]} - Methods in the order they should be tried
+   */
+  orderByHealth(methods) {
+    const available = methods.filter(method => this.health.isAvailable(method));
+    if (available.length < methods.length) {
+      log.info('Skipping methods with open circuit', {
+        methods: methods.filter(method => !available.includes(method))
+      });
+    }
+
+    const candidates = available.length > 0 ? available : methods;
+    const keys = new Map(candidates.map(method => [method, this._healthSortKey(method)]));
+
+    return [...candidates].sort((a, b) => {
+      const keyA = keys.get(a);
+      const keyB = keys.get(b);
+      for (let i = 0; i < keyA.length; i++) {
+        if (keyA[i] !== keyB[i]) return keyA[i] - keyB[i];
+      }
+      return 0;
+    });
+  }
+
+  /**
+   * Get the health of all methods (for /health)
+   * @returns {Object.<string, MethodHealthSnapshot>}
+   */
+  getMethodHealth() {
+    return this.health.getSnapshot(this.methodPriority);
   }
 
   /**
@@ -124,19 +220,41 @@ export class TranscriptStrategySelector {
     
     // Create language-aware configuration
     const languageConfig = languageHandler.createLanguageConfig(
-      prefs.preferredLanguage,
+      prefs.preferredLanguages || prefs.preferredLanguage,
       metadata.availableLanguages,
-      method
+      method,
+      {
+        captionType: prefs.captionType,
+        captionTracks: metadata.captionTracks || [],
+        translate: prefs.translate,
+        translationLanguages: metadata.translationLanguages || []
+      }
     );
     
     const baseConfig = {
       videoId: metadata.videoId,
-      language: languageConfig.primaryLanguage,
+      title: metadata.title,
+      // A planned translation delivers the preferred language, which is also what gets cached
+      language: languageConfig.translation?.targetLanguage || languageConfig.primaryLanguage,
       format: prefs.format,
-      languageConfig: languageConfig
+      formatOptions: prefs.formatOptions || {},
+      languageConfig: languageConfig,
+      // Speech-to-text backend for whisper-audio, which may run as a fallback
+      // with the first method's config (null selects the default provider)
+      provider: prefs.transcriptionProvider || null,
+      // Caption track URLs for youtube-timedtext, which may also run as a fallback
+      captionTracks: metadata.captionTracks || [],
+      captionType: prefs.captionType,
+      translation: languageConfig.translation
     };
 
     switch (method) {
+      case TRANSCRIPT_METHODS.YOUTUBE_TIMEDTEXT:
+        return {
+          ...baseConfig,
+          fallbackLanguages: languageConfig.fallbackLanguages || this._getFallbackLanguages(metadata.availableLanguages, prefs.preferredLanguage)
+        };
+
       case TRANSCRIPT_METHODS.YOUTUBE_TRANSCRIPT:
         return {
           ...baseConfig,
@@ -154,13 +272,8 @@ export class TranscriptStrategySelector {
       case TRANSCRIPT_METHODS.WHISPER_AUDIO:
         return {
           ...baseConfig,
-          title: metadata.title,
           description: metadata.description,
           duration: metadata.duration,
-          // Whisper-specific settings
-          model: 'whisper-1',
-          response_format: prefs.format === 'srt' ? 'srt' : 'verbose_json',
-          timestamp_granularities: prefs.format === 'json' ? ['word'] : undefined,
           languageHint: languageConfig.languageHint
         };
 
@@ -179,6 +292,9 @@ export class TranscriptStrategySelector {
     const duration = metadata.duration || 300; // Default 5 minutes if unknown
 
     switch (method) {
+      case TRANSCRIPT_METHODS.YOUTUBE_TIMEDTEXT:
+        return Math.min(5, duration * 0.01); // Single request for the track, max 5s
+
       case TRANSCRIPT_METHODS.YOUTUBE_TRANSCRIPT:
         return Math.min(10, duration * 0.02); // ~2% of video duration, max 10s
 
@@ -194,6 +310,68 @@ export class TranscriptStrategySelector {
     }
   }
 
+  /**
+   * Get the caption methods that can run for a video
+   *
+   * Only youtube-timedtext sees track kinds and can request translations, so a manual
+   * or auto captionType limits the caption methods to it (and to videos that list a
+   * track of that type), as does a planned machine translation.
+   * @param {VideoMetadata} metadata - Video metadata
+   * @param {ExtractionPreferences} prefs - Preferences (captionType, translate, preferredLanguage(s))
+   * @returns {TranscriptMethod[]} - youtube-timedtext only when the metadata listed caption tracks
+   * @private
+   */
+  _getCaptionMethods(metadata, { captionType = CAPTION_TYPES.ANY, translate = false, preferredLanguage, preferredLanguages } = {}) {
+    const captionTracks = metadata?.captionTracks || [];
+
+    if (translate) {
+      const translation = languageHandler.planTranslation(captionTracks, preferredLanguages || preferredLanguage, {
+        captionType,
+        translationLanguages: metadata?.translationLanguages || []
+      });
+      if (translation) {
+        log.info('Preferred language needs machine translation', { videoId: metadata?.videoId, ...translation });
+        return [TRANSCRIPT_METHODS.YOUTUBE_TIMEDTEXT];
+      }
+    }
+
+    if (captionType !== CAPTION_TYPES.ANY) {
+      if (languageHandler.getLanguagesForCaptionType(captionTracks, captionType).length === 0) {
+        log.info('No caption tracks of the requested type', { videoId: metadata?.videoId, captionType });
+        return [];
+      }
+      return [TRANSCRIPT_METHODS.YOUTUBE_TIMEDTEXT];
+    }
+
+    return CAPTION_METHODS.filter(method =>
+      method !== TRANSCRIPT_METHODS.YOUTUBE_TIMEDTEXT || captionTracks.length > 0
+    );
+  }
+
+  /**
+   * Build the ascending sort key [tier, success band, latency band, priority] of a method
+   * @param {TranscriptMethod} method - Extraction method
+   * @returns {number[]}
+   * @private
+   */
+  _healthSortKey(method) {
+    const priority = this.methodPriority.indexOf(method);
+    const tier = CAPTION_METHODS.includes(method) ? 0 : 1;
+    const stats = this.health.getStats(method);
+
+    if (tier !== 0 || stats.samples < MIN_HEALTH_SAMPLES) {
+      // Without evidence assume a middling success rate and rank behind measured latencies
+      return [tier, -Math.round(UNMEASURED_SUCCESS_RATE / SUCCESS_RATE_BAND), Number.MAX_SAFE_INTEGER, priority];
+    }
+
+    // Latency bands double in width (<0.5s, <1s, <2s, ...) so only big differences count
+    const latencyBand = stats.averageLatencyMs === null
+      ? 0
+      : Math.max(0, Math.floor(Math.log2(stats.averageLatencyMs / 250)));
+
+    return [tier, -Math.round(stats.successRate / SUCCESS_RATE_BAND), latencyBand, priority];
+  }
+
   /**
    * Check if video is suitable for transcript extraction
    * @param {VideoMetadata} metadata - Video metadata
@@ -203,25 +381,25 @@ export class TranscriptStrategySelector {
   _isVideoSuitableForExtraction(metadata) {
     // Skip live videos (they might not have stable captions)
     if (metadata.isLive) {
-      console.log('⚠️ Skipping live video');
+      log.warn('Skipping live video', { videoId: metadata.videoId });
       return false;
     }
 
     // Skip upcoming/scheduled videos
     if (metadata.isUpcoming) {
-      console.log('⚠️ Skipping upcoming video');
+      log.warn('Skipping upcoming video', { videoId: metadata.videoId });
       return false;
     }
 
     // Skip very short videos (likely not worth transcribing)
     if (metadata.duration > 0 && metadata.duration < 10) {
-      console.log('⚠️ Skipping very short video (< 10 seconds)');
+      log.warn('Skipping very short video (< 10 seconds)', { videoId: metadata.videoId, duration: metadata.duration });
       return false;
     }
 
     // Skip very long videos for audio transcription (cost/time concerns)
     if (metadata.duration > 7200) { // 2 hours
-      console.log('⚠️ Very long video detected (> 2 hours)');
+      log.info('Very long video detected (> 2 hours)', { videoId: metadata.videoId, duration: metadata.duration });
       // Still suitable, but will affect strategy selection
     }
 
@@ -229,10 +407,10 @@ export class TranscriptStrategySelector {
   }
 
   /**
-   * Check if preferred language is available in the video
+   * Check if any preferred language is available in the video
    * @param {string[]} availableLanguages - Available caption languages
-   * @param {string} preferredLanguage - Preferred language code
-   * @returns {boolean} - True if preferred language is available
+   * @param {string|LanguagePreference[]} preferredLanguage - Preferred language code, or a ranked list
+   * @returns {boolean} - True if a preferred language is available
    * @private
    */
   _hasPreferredLanguage(availableLanguages, preferredLanguage) {
@@ -240,14 +418,10 @@ export class TranscriptStrategySelector {
       return false;
     }
 
-    // Direct match
-    if (availableLanguages.includes(preferredLanguage)) {
-      return true;
-    }
-
-    // Check for language variants (e.g., 'en-US' matches 'en')
-    const langPrefix = preferredLanguage.split('-')[0];
-    return availableLanguages.some(lang => lang.startsWith(langPrefix));
+    // Check for language variants (e.g., 'en-US' matches 'en', 'iw' matches 'he', 'no' serves 'nb')
+    return languageHandler.parseLanguagePreferences(preferredLanguage).some(({ language }) =>
+      availableLanguages.some(lang => languageHandler.servesLanguage(language, lang))
+    );
   }
 
   /**
@@ -263,23 +437,22 @@ export class TranscriptStrategySelector {
     }
 
     const fallbacks = [];
-    const langPrefix = preferredLanguage.split('-')[0];
 
     // Add exact match first
     if (availableLanguages.includes(preferredLanguage)) {
       fallbacks.push(preferredLanguage);
     }
 
-    // Add language variants
-    availableLanguages.forEach(lang => {
-      if (lang.startsWith(langPrefix) && !fallbacks.includes(lang)) {
-        fallbacks.push(lang);
-      }
-    });
+    // Add language variants, closest script and region first
+    availableLanguages
+      .map(lang => ({ lang, score: languageHandler.compareLanguages(preferredLanguage, lang) }))
+      .filter(({ lang, score }) => score > 0 && !fallbacks.includes(lang))
+      .sort((a, b) => b.score - a.score)
+      .forEach(({ lang }) => fallbacks.push(lang));
 
     // Add English as universal fallback if not already included
-    if (!fallbacks.some(lang => lang.startsWith('en'))) {
-      const englishLangs = availableLanguages.filter(lang => lang.startsWith('en'));
+    if (!fallbacks.some(lang => languageHandler.isSameLanguage(lang, 'en'))) {
+      const englishLangs = availableLanguages.filter(lang => languageHandler.isSameLanguage(lang, 'en'));
       fallbacks.push(...englishLangs);
     }
 
@@ -0,0 +1,241 @@
+// services/transcript-bundler.js
+// Multi-language transcript bundles: several caption languages of one video in one request
+
+import { ERROR_CODES, CAPTION_TYPES } from '../types/interfaces.js';
+import { transcriptService as defaultTranscriptService } from './transcript-service.js';
+import { responseFormatter as defaultResponseFormatter } from './response-formatter.js';
+import { languageHandler } from './language-handler.js';
+import { formatRegistry } from './format-registry.js';
+import { metrics as defaultMetrics } from './metrics.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { createZip } from '../utils/zip.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'bundle' });
+
+/**
+ * TranscriptBundler class that extracts many languages of a video concurrently,
+ * reporting each language's failure without failing the rest
+ */
+export class TranscriptBundler {
+  /**
+   * @param {Object} options
+   * @param {TranscriptService} [options.transcriptService] - Transcript pipeline
+   * @param {ResponseFormatter} [options.responseFormatter] - Formatter for per-language results
+   * @param {TranscriptMetrics} [options.metrics] - Metrics recorder
+   * @param {number} [options.concurrency=3] - Languages extracted at once
+   * @param {number} [options.maxLanguages=50] - Languages extracted per bundle; the rest are reported as omitted
+   */
+  constructor({
+    transcriptService = defaultTranscriptService,
+    responseFormatter = defaultResponseFormatter,
+    metrics = defaultMetrics,
+    concurrency = 3,
+    maxLanguages = 50
+  } = {}) {
+    this.transcriptService = transcriptService;
+    this.responseFormatter = responseFormatter;
+    this.metrics = metrics;
+    this.concurrency = concurrency;
+    this.maxLanguages = maxLanguages;
+  }
+
+  /**
+   * Extract every language of a bundle request
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} options - Normalized options from parseRequest (with `bundle`)
+   * @param {Object} [hooks] - { signal, authorizeMethod } passed to the transcript pipeline
+   * @returns {Promise<Object>} - { metadata, results, omittedLanguages }; results hold
+   *   { language, httpStatus, response, result } in request order
+   * @throws {Error} - NO_CAPTIONS_AVAILABLE when lang=all finds no caption languages
+   */
+  async build(videoId, options, hooks = {}) {
+    const startTime = Date.now();
+    const metadata = await this.transcriptService.getMetadata(videoId, options);
+
+    const requested = this.resolveLanguages(metadata, options);
+    if (requested.length === 0) {
+      const error = new Error(options.captionType === CAPTION_TYPES.ANY
+        ? 'No caption languages are listed for this video'
+        : `No ${options.captionType} captions available for this video`);
+      error.code = ERROR_CODES.NO_CAPTIONS_AVAILABLE;
+      error.context = 'extraction';
+      throw error;
+    }
+
+    const included = requested.slice(0, this.maxLanguages);
+    const omittedLanguages = requested.slice(this.maxLanguages).map(entry => entry.language);
+    if (omittedLanguages.length > 0) {
+      log.warn('Bundle exceeds the language limit', { videoId, maxLanguages: this.maxLanguages, omitted: omittedLanguages.length });
+    }
+
+    log.info('Extracting transcript bundle', { videoId, languages: included.map(entry => entry.language) });
+
+    const results = await mapWithConcurrency(included, this.concurrency, (entry) => logger.runWithContext(
+      { bundleLanguage: entry.language },
+      () => this._extractLanguage(videoId, metadata, options, entry, hooks)
+    ));
+
+    const allCached = results.every(result => result.result?.cached);
+    this.metrics.recordProcessingTime('bundle', Date.now() - startTime, allCached ? 'HIT' : 'MISS');
+
+    return { metadata, results, omittedLanguages };
+  }
+
+  /**
+   * Decide which caption track language serves each requested language
+   *
+   * lang=all takes every listed language (of the requested caption type). Explicit
+   * languages map to the closest listed track; languages without one are kept so
+   * they are reported as failures, or translated when translate=true.
+   * @param {VideoMetadata} metadata - Video metadata
+   * @param {Object} options - Normalized options (bundle, captionType, translate)
+   * @returns {Array} - [{ language, trackLanguage }] where trackLanguage is null when nothing matches
+   */
+  resolveLanguages(metadata, options) {
+    const { bundle, captionType = CAPTION_TYPES.ANY, translate = false } = options;
+    const captionTracks = metadata.captionTracks || [];
+    const available = captionType !== CAPTION_TYPES.ANY && captionTracks.length > 0
+      ? languageHandler.getLanguagesForCaptionType(captionTracks, captionType)
+      : [...new Set(metadata.availableLanguages || [])];
+
+    if (bundle.all) {
+      return available.map(language => ({ language, trackLanguage: language }));
+    }
+
+    return bundle.languages.map(language => {
+      const match = languageHandler.findBestLanguageMatch(available, language, { captionType, captionTracks });
+      if (match.matchedPreference) {
+        return { language, trackLanguage: match.selectedLanguage };
+      }
+      // The translation plan picks the source track itself
+      return { language, trackLanguage: translate ? language : null };
+    });
+  }
+
+  /**
+   * Build the JSON bundle keyed by language
+   * @param {Object} bundle - Result of build()
+   * @param {Object} options - Normalized options
+   * @returns {Object} - { videoId, title, format, total, succeeded, failed, totalCost, omittedLanguages, languages }
+   */
+  toJSON({ metadata, results, omittedLanguages }, options) {
+    const languages = {};
+    for (const { language, httpStatus, response } of results) {
+      languages[language] = { httpStatus, ...response };
+    }
+
+    return {
+      ...this._summarize(metadata, results, omittedLanguages, options),
+      languages
+    };
+  }
+
+  /**
+   * Build a zip with one transcript file per extracted language and a manifest.json
+   * describing every language, including the failed ones
+   * @param {Object} bundle - Result of build()
+   * @param {Object} options - Normalized options (format)
+   * @returns {Object} - { filename, buffer }
+   */
+  toZip({ metadata, results, omittedLanguages }, options) {
+    const { extension } = formatRegistry.get(options.format);
+    const files = [];
+    const manifest = {};
+
+    for (const { language, httpStatus, response, result } of results) {
+      if (!result) {
+        manifest[language] = { httpStatus, ...response };
+        continue;
+      }
+
+      const filename = `${metadata.videoId}.${language}.${extension}`;
+      files.push({ name: filename, content: result.transcript });
+      // The transcript itself is the file; the manifest only describes it
+      const { transcript, ...data } = response.data;
+      manifest[language] = { httpStatus, success: true, file: filename, data };
+    }
+
+    files.push({
+      name: 'manifest.json',
+      content: JSON.stringify({
+        ...this._summarize(metadata, results, omittedLanguages, options),
+        languages: manifest
+      }, null, 2)
+    });
+
+    return { filename: `${metadata.videoId}.transcripts.zip`, buffer: createZip(files) };
+  }
+
+  /**
+   * Extract one language of the bundle, never throwing
+   * @param {string} videoId - YouTube video ID
+   * @param {VideoMetadata} metadata - Video metadata (fetched once per bundle)
+   * @param {Object} options - Normalized bundle options
+   * @param {Object} entry - { language, trackLanguage } from resolveLanguages
+   * @param {Object} hooks - { signal, authorizeMethod }
+   * @returns {Promise<Object>} - { language, httpStatus, response, result } (result is null on failure)
+   * @private
+   */
+  async _extractLanguage(videoId, metadata, options, entry, hooks) {
+    const { language, trackLanguage } = entry;
+
+    try {
+      if (!trackLanguage) {
+        const error = new Error(`No ${options.captionType === CAPTION_TYPES.ANY ? '' : `${options.captionType} `}captions available in ${language}`);
+        error.code = ERROR_CODES.NO_CAPTIONS_AVAILABLE;
+        error.context = 'extraction';
+        throw error;
+      }
+
+      // Each language runs the usual fallback chain, restricted to its own variants
+      const outcome = await this.transcriptService.extractForMetadata(videoId, metadata, {
+        ...options,
+        lang: trackLanguage,
+        languages: [{ language: trackLanguage, quality: 1 }],
+        languageSource: 'lang',
+        bundle: null,
+        // Audio transcription yields the spoken language, not the requested one
+        fallbackToAudio: false
+      }, hooks);
+
+      const response = this.responseFormatter.formatResponse(outcome.result, outcome.metadata, outcome.preferences);
+      response.data.cacheStatus = outcome.cacheStatus;
+      return { language, httpStatus: 200, response, result: outcome.result };
+
+    } catch (error) {
+      log.warn('Bundle language failed', { videoId, language, error });
+      const { response, httpStatus } = this.responseFormatter.formatError(error, error.context || 'processing');
+      return { language, httpStatus, response, result: null };
+    }
+  }
+
+  /**
+   * @param {VideoMetadata} metadata - Video metadata
+   * @param {Object[]} results - Per-language results
+   * @param {string[]} omittedLanguages - Languages beyond the limit
+   * @param {Object} options - Normalized options
+   * @returns {Object}
+   * @private
+   */
+  _summarize(metadata, results, omittedLanguages, options) {
+    const succeeded = results.filter(result => result.result).length;
+    const totalCost = results.reduce((sum, result) => sum + (result.result?.cost?.amount || 0), 0);
+    return {
+      videoId: metadata.videoId,
+      title: metadata.title,
+      format: options.format,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      totalCost: Math.round(totalCost * 10000) / 10000,
+      omittedLanguages
+    };
+  }
+}
+
+// Export singleton instance
+export const transcriptBundler = new TranscriptBundler({
+  concurrency: parseInt(process.env.BUNDLE_CONCURRENCY) || 3,
+  maxLanguages: parseInt(process.env.BUNDLE_MAX_LANGUAGES) || 50
+});
@@ -0,0 +1,433 @@
+// services/transcript-cache.js
+// Transcript and metadata cache with pluggable storage backends
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'cache' });
+
+/**
+ * Cache modes accepted by the `cache` query parameter
+ */
+export const CACHE_MODES = {
+  USE: 'use',         // read from and write to the cache (default)
+  BYPASS: 'bypass',   // neither read nor write
+  REFRESH: 'refresh'  // skip the read, overwrite with a fresh result
+};
+
+/**
+ * In-memory LRU cache store
+ */
+export class MemoryCacheStore {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxEntries=500] - Maximum number of entries before evicting
+   */
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+    });
+
+    // Evict least recently used entries
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Filesystem cache store (one JSON file per key)
+ */
+export class FileCacheStore {
+  /**
+   * @param {Object} options
+   * @param {string} [options.directory] - Cache directory (default: <tmpdir>/yt-transcript-cache)
+   */
+  constructor({ directory } = {}) {
+    this.directory = directory || path.join(os.tmpdir(), 'yt-transcript-cache');
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  async get(key) {
+    const filePath = this._getFilePath(key);
+
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch {
+      return null;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    const filePath = this._getFilePath(key);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const entry = {
+      key,
+      value,
+      expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+    };
+
+    // Write atomically so concurrent readers never see partial files
+    await fs.promises.writeFile(tmpPath, JSON.stringify(entry), 'utf8');
+    await fs.promises.rename(tmpPath, filePath);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this._getFilePath(key), { force: true });
+  }
+
+  async clear() {
+    const files = await fs.promises.readdir(this.directory);
+    await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => fs.promises.rm(path.join(this.directory, file), { force: true })));
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {string} - File path for the key
+   * @private
+   */
+  _getFilePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+}
+
+/**
+ * Redis-compatible cache store
+ *
+ * Works with any client exposing `get(key)`, `set(key, value, ...)` and `del(key)`
+ * (node-redis v4 and ioredis both qualify). When only a URL is given, the `redis`
+ * package is loaded lazily on first use.
+ */
+export class RedisCacheStore {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.client] - Connected Redis-compatible client
+   * @param {string} [options.url] - Redis URL used when no client is given
+   * @param {string} [options.prefix='yt-transcript:'] - Key prefix
+   */
+  constructor({ client = null, url = null, prefix = 'yt-transcript:' } = {}) {
+    this.client = client;
+    this.url = url;
+    this.prefix = prefix;
+    this.clientPromise = null;
+  }
+
+  async get(key) {
+    const client = await this._getClient();
+    const raw = await client.get(this.prefix + key);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    const client = await this._getClient();
+    const raw = JSON.stringify(value);
+
+    if (!ttlSeconds) {
+      await client.set(this.prefix + key, raw);
+    } else if (client.setex) {
+      // ioredis style
+      await client.setex(this.prefix + key, ttlSeconds, raw);
+    } else {
+      // node-redis v4 style
+      await client.set(this.prefix + key, raw, { EX: ttlSeconds });
+    }
+  }
+
+  async delete(key) {
+    const client = await this._getClient();
+    await client.del(this.prefix + key);
+  }
+
+  async clear() {
+    // Intentionally a no-op: flushing a shared Redis database is not safe.
+    // Rely on TTLs or a dedicated database instead.
+  }
+
+  /**
+   * Get (and lazily connect) the Redis client
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _getClient() {
+    if (this.client) return this.client;
+
+    if (!this.clientPromise) {
+      this.clientPromise = (async () => {
+        if (!this.url) {
+          throw new Error('Redis cache store requires a client or url');
+        }
+        const { createClient } = await import('redis');
+        const client = createClient({ url: this.url });
+        await client.connect();
+        this.client = client;
+        return client;
+      })().catch(error => {
+        this.clientPromise = null;
+        throw error;
+      });
+    }
+
+    return this.clientPromise;
+  }
+}
+
+/**
+ * TranscriptCache class storing canonical segments and video metadata
+ */
+export class TranscriptCache {
+  /**
+   * @param {Object|null} store - Cache store (null disables caching)
+   * @param {Object} options
+   * @param {number} [options.ttlSeconds] - TTL for transcripts
+   * @param {number} [options.metadataTtlSeconds] - TTL for video metadata
+   * @param {Object} [options.methodTtlSeconds] - Per-method transcript TTL overrides
+   */
+  constructor(store, { ttlSeconds = 7 * 24 * 3600, metadataTtlSeconds = 3600, methodTtlSeconds = {} } = {}) {
+    this.store = store;
+    this.ttlSeconds = ttlSeconds;
+    this.metadataTtlSeconds = metadataTtlSeconds;
+    this.methodTtlSeconds = methodTtlSeconds;
+  }
+
+  /**
+   * Whether a cache backend is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(this.store);
+  }
+
+  /**
+   * Write and read back a probe entry (health checks)
+   * @returns {Promise<void>}
+   * @throws {Error} - When the backend is unreachable or returns a different value
+   */
+  async ping() {
+    if (!this.store) return;
+
+    const key = `health:${process.pid}`;
+    const token = Date.now();
+    await this.store.set(key, token, 60);
+
+    if (await this.store.get(key) !== token) {
+      throw new Error('Cache returned a different value than was written');
+    }
+  }
+
+  /**
+   * Build the cache key for a transcript
+   * @param {string} videoId - YouTube video ID
+   * @param {string} language - Resolved language
+   * @param {TranscriptMethod} method - Extraction method
+   * @param {string} [variant] - Backend variant (e.g. the whisper-audio transcription provider)
+   * @param {CachedTrack} [track] - Caption kind and translation source, so manual, auto and
+   *   machine-translated tracks of one language do not overwrite each other
+   * @returns {string}
+   */
+  buildTranscriptKey(videoId, language, method, variant, { captionType = null, translatedFrom = null } = {}) {
+    const parts = [`transcript:${videoId}:${language || 'auto'}:${method}`];
+    if (captionType) parts.push(captionType);
+    if (translatedFrom) parts.push(`tlang-${translatedFrom}`);
+    if (variant) parts.push(variant);
+    return parts.join(':');
+  }
+
+  /**
+   * Get cached video metadata
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<VideoMetadata|null>}
+   */
+  async getMetadata(videoId) {
+    return this._safeGet(`metadata:${videoId}`);
+  }
+
+  /**
+   * Store video metadata
+   * @param {VideoMetadata} metadata - Video metadata
+   * @returns {Promise<void>}
+   */
+  async setMetadata(metadata) {
+    await this._safeSet(`metadata:${metadata.videoId}`, metadata, this.metadataTtlSeconds);
+  }
+
+  /**
+   * Find the first cached transcript for any of the given methods
+   * @param {string} videoId - YouTube video ID
+   * @param {string} language - Resolved language
+   * @param {TranscriptMethod[]} methods - Methods in order of preference
+   * @param {Object} [variants] - Backend variant per method (e.g. { 'whisper-audio': 'openai' })
+   * @param {CachedTrack[]} [tracks] - Tracks acceptable to the request, in order of preference
+   * @returns {Promise<CachedTranscript|null>}
+   */
+  async findTranscript(videoId, language, methods, variants = {}, tracks = [{}]) {
+    for (const method of methods) {
+      for (const track of tracks) {
+        const entry = await this._safeGet(this.buildTranscriptKey(videoId, language, method, variants[method], track));
+        if (entry) {
+          return entry;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Store a successful extraction result as canonical segments
+   * @param {string} videoId - YouTube video ID
+   * @param {string} language - Resolved language the extraction was configured for
+   * @param {TranscriptResult} result - Successful extraction result
+   * @returns {Promise<void>}
+   */
+  async setTranscript(videoId, language, result) {
+    const entry = {
+      videoId,
+      language: result.language,
+      method: result.method,
+      source: result.source || result.method,
+      segments: result.segments || [],
+      confidence: result.confidence,
+      captionType: result.captionType ?? null,
+      translation: result.translation || null,
+      languageDetection: result.languageDetection || null,
+      audioSizeBytes: result.audioSizeBytes,
+      transcriptionProvider: result.transcriptionProvider,
+      videoDetails: result.videoDetails || null,
+      cachedAt: new Date().toISOString()
+    };
+
+    const ttl = this.methodTtlSeconds[result.method] || this.ttlSeconds;
+    await this._safeSet(
+      this.buildTranscriptKey(videoId, language, result.method, result.transcriptionProvider, {
+        captionType: entry.captionType,
+        translatedFrom: entry.translation?.sourceLanguage
+      }),
+      entry,
+      ttl
+    );
+  }
+
+  /**
+   * Read from the store, treating backend failures as misses
+   * @param {string} key - Cache key
+   * @returns {Promise<*>}
+   * @private
+   */
+  async _safeGet(key) {
+    if (!this.store) return null;
+
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      log.warn('Cache read failed', { key, error });
+      return null;
+    }
+  }
+
+  /**
+   * Write to the store, ignoring backend failures
+   * @param {string} key - Cache key
+   * @param {*} value - Value to store
+   * @param {number} ttlSeconds - Time to live
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _safeSet(key, value, ttlSeconds) {
+    if (!this.store) return;
+
+    try {
+      await this.store.set(key, value, ttlSeconds);
+    } catch (error) {
+      log.warn('Cache write failed', { key, error });
+    }
+  }
+}
+
+/**
+ * Create a cache store from environment configuration
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} - Cache store or null when caching is disabled
+ */
+export function createCacheStore(env = process.env) {
+  const backend = (env.TRANSCRIPT_CACHE_BACKEND || 'memory').toLowerCase();
+
+  switch (backend) {
+    case 'none':
+    case 'off':
+      return null;
+
+    case 'file':
+      return new FileCacheStore({ directory: env.TRANSCRIPT_CACHE_DIR });
+
+    case 'redis':
+      return new RedisCacheStore({ url: env.REDIS_URL, prefix: env.TRANSCRIPT_CACHE_PREFIX });
+
+    case 'memory':
+    default:
+      return new MemoryCacheStore({
+        maxEntries: parseInt(env.TRANSCRIPT_CACHE_MAX_ENTRIES) || 500
+      });
+  }
+}
+
+/**
+ * Create a transcript cache from environment configuration
+ * @param {Object} env - Environment variables
+ * @returns {TranscriptCache}
+ */
+export function createTranscriptCache(env = process.env) {
+  return new TranscriptCache(createCacheStore(env), {
+    ttlSeconds: parseInt(env.TRANSCRIPT_CACHE_TTL) || 7 * 24 * 3600,
+    metadataTtlSeconds: parseInt(env.TRANSCRIPT_CACHE_METADATA_TTL) || 3600,
+    methodTtlSeconds: {
+      'whisper-audio': parseInt(env.TRANSCRIPT_CACHE_WHISPER_TTL) || 30 * 24 * 3600
+    }
+  });
+}
+
+// Export singleton instance
+export const transcriptCache = createTranscriptCache();
@@ -0,0 +1,711 @@
+// services/transcript-service.js
+// End-to-end transcript pipeline shared by the HTTP endpoints and background jobs
+
+import { validateYouTubeUrl } from '../utils/youtube-validator.js';
+import { ERROR_CODES, CAPTION_TYPES } from '../types/interfaces.js';
+import { metadataExtractor as defaultMetadataExtractor } from './metadata-extractor.js';
+import { strategySelector as defaultStrategySelector, TRANSCRIPT_METHODS } from './strategy-selector.js';
+import { languageHandler } from './language-handler.js';
+import { unifiedExtractor as defaultTranscriptExtractor } from './unified-extractor.js';
+import { transcriptCache as defaultCache, CACHE_MODES } from './transcript-cache.js';
+import { formatRegistry, parseVttCueSettings } from './format-registry.js';
+import { transcriptionProviders as defaultTranscriptionProviders } from './transcription-providers.js';
+import { costEstimator as defaultCostEstimator } from './cost-estimator.js';
+import { metrics as defaultMetrics } from './metrics.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'transcript-service' });
+
+/**
+ * format=bilingual pairs two language tracks; these are the formats it can be rendered in
+ */
+const BILINGUAL_FORMAT = 'bilingual';
+const BILINGUAL_OUTPUT_FORMATS = ['json', 'srt', 'vtt'];
+
+/**
+ * TranscriptService class running validation, metadata, strategy selection,
+ * caching and extraction for a single video
+ */
+export class TranscriptService {
+  /**
+   * @param {Object} dependencies - Service dependencies (defaults to the shared singletons)
+   */
+  constructor({
+    metadataExtractor = defaultMetadataExtractor,
+    strategySelector = defaultStrategySelector,
+    transcriptExtractor = defaultTranscriptExtractor,
+    cache = defaultCache,
+    transcriptionProviders = defaultTranscriptionProviders,
+    costEstimator = defaultCostEstimator,
+    metrics = defaultMetrics
+  } = {}) {
+    this.metadataExtractor = metadataExtractor;
+    this.strategySelector = strategySelector;
+    this.transcriptExtractor = transcriptExtractor;
+    this.cache = cache;
+    this.transcriptionProviders = transcriptionProviders;
+    this.costEstimator = costEstimator;
+    this.metrics = metrics;
+  }
+
+  /**
+   * Validate and normalize raw request parameters (query string or JSON body)
+   * @param {Object} input - Raw request parameters
+   * @param {Object} [context] - { acceptLanguage } from the request headers, used when lang is absent
+   * @returns {Object} - { isValid, videoId, options } or { isValid: false, field, value, error }
+   */
+  parseRequest(input = {}, context = {}) {
+    const { url } = input;
+
+    if (!url) {
+      return { isValid: false, field: 'url', value: '', error: 'URL parameter is required' };
+    }
+
+    const parsedOptions = this.parseOptions(input, context);
+    if (!parsedOptions.isValid) {
+      return parsedOptions;
+    }
+
+    const urlValidation = validateYouTubeUrl(url);
+    if (!urlValidation.isValid) {
+      return { isValid: false, field: 'url', value: url, error: urlValidation.error };
+    }
+
+    return {
+      isValid: true,
+      videoId: urlValidation.videoId,
+      options: { ...parsedOptions.options, url }
+    };
+  }
+
+  /**
+   * Validate and normalize extraction options without a URL
+   *
+   * `lang` may be a single tag or a ranked list (fr,de;q=0.8,en;q=0.5); without it the
+   * Accept-Language header is used, and English when that names nothing usable either.
+   * `lang=all` or `langs=en,es` ask for a bundle of several languages instead, which
+   * only callers passing allowBundle can serve. `format=bilingual` pairs the `lang`
+   * track with the `secondaryLang` track, for callers passing allowBilingual.
+   * @param {Object} input - Raw request parameters
+   * @param {Object} [context] - { acceptLanguage } from the request headers, { allowBundle, allowBilingual }
+   * @returns {Object} - { isValid, options } or { isValid: false, field, value, error }
+   */
+  parseOptions(input = {}, { acceptLanguage, allowBundle = false, allowBilingual = false } = {}) {
+    const {
+      format = 'txt',
+      lang,
+      langs,
+      method = 'auto',
+      fallbackToAudio = 'true',
+      cueSettings,
+      vttNotes = 'true',
+      cache = CACHE_MODES.USE,
+      provider,
+      maxCost,
+      captionType = CAPTION_TYPES.ANY,
+      translate = 'false',
+      secondaryLang,
+      bilingualFormat = 'json'
+    } = input;
+
+    if (format !== BILINGUAL_FORMAT && !formatRegistry.has(format)) {
+      return { isValid: false, field: 'format', value: format, error: `Unsupported format '${format}'` };
+    }
+
+    const bundle = this._parseBundle(lang, langs);
+    if (bundle?.error) {
+      return { isValid: false, field: bundle.field, value: bundle.value, error: bundle.error };
+    }
+    if (bundle && !allowBundle) {
+      return {
+        isValid: false,
+        field: langs ? 'langs' : 'lang',
+        value: langs || lang,
+        error: 'Multi-language bundles (lang=all, langs) are only supported by GET /transcript'
+      };
+    }
+    if (bundle && method === TRANSCRIPT_METHODS.WHISPER_AUDIO) {
+      return {
+        isValid: false,
+        field: 'method',
+        value: method,
+        error: `Multi-language bundles need caption tracks; ${TRANSCRIPT_METHODS.WHISPER_AUDIO} only transcribes the spoken language`
+      };
+    }
+
+    const languages = bundle
+      ? { preferences: [{ language: bundle.languages[0] || 'en', quality: 1 }], source: 'lang' }
+      : this._parseLanguages(lang, acceptLanguage);
+    if (!languages) {
+      return {
+        isValid: false,
+        field: 'lang',
+        value: lang,
+        error: 'lang must be a language tag or a ranked list such as fr,de;q=0.8,en;q=0.5'
+      };
+    }
+
+    let bilingual = null;
+    if (format === BILINGUAL_FORMAT) {
+      bilingual = this._parseBilingual(secondaryLang, bilingualFormat, languages.preferences);
+      if (bilingual.error) {
+        return { isValid: false, field: bilingual.field, value: bilingual.value, error: bilingual.error };
+      }
+      if (!allowBilingual) {
+        return { isValid: false, field: 'format', value: format, error: 'format=bilingual is only supported by GET /transcript' };
+      }
+      if (bundle) {
+        return {
+          isValid: false,
+          field: 'format',
+          value: format,
+          error: 'format=bilingual pairs two languages and cannot be combined with lang=all or langs'
+        };
+      }
+      if (method === TRANSCRIPT_METHODS.WHISPER_AUDIO) {
+        return {
+          isValid: false,
+          field: 'method',
+          value: method,
+          error: `format=bilingual needs caption tracks; ${TRANSCRIPT_METHODS.WHISPER_AUDIO} only transcribes the spoken language`
+        };
+      }
+    }
+
+    if (method !== 'auto' && !Object.values(TRANSCRIPT_METHODS).includes(method)) {
+      return { isValid: false, field: 'method', value: method, error: `Unsupported method '${method}'` };
+    }
+
+    if (!Object.values(CAPTION_TYPES).includes(captionType)) {
+      return {
+        isValid: false,
+        field: 'captionType',
+        value: captionType,
+        error: `Unsupported captionType '${captionType}' (use manual, auto or any)`
+      };
+    }
+
+    // Only youtube-timedtext knows whether a track is manual or automatic; whisper-audio
+    // transcribes the audio and has no caption track at all
+    const captionMethods = ['auto', TRANSCRIPT_METHODS.YOUTUBE_TIMEDTEXT];
+    if (captionType !== CAPTION_TYPES.ANY && !captionMethods.includes(method)) {
+      return {
+        isValid: false,
+        field: 'captionType',
+        value: captionType,
+        error: `captionType '${captionType}' requires method auto or ${TRANSCRIPT_METHODS.YOUTUBE_TIMEDTEXT}`
+      };
+    }
+
+    // Only youtube-timedtext can ask YouTube for a translated track; whisper-audio would
+    // silently return the spoken language
+    const wantsTranslation = String(translate) === 'true';
+    if (wantsTranslation && !captionMethods.includes(method)) {
+      return {
+        isValid: false,
+        field: 'translate',
+        value: translate,
+        error: `translate requires method auto or ${TRANSCRIPT_METHODS.YOUTUBE_TIMEDTEXT}`
+      };
+    }
+
+    if (cueSettings !== undefined && parseVttCueSettings(cueSettings) === null) {
+      return {
+        isValid: false,
+        field: 'cueSettings',
+        value: cueSettings,
+        error: 'cueSettings must be space-separated key:value pairs using vertical, line, position, size, align or region'
+      };
+    }
+
+    if (!Object.values(CACHE_MODES).includes(cache)) {
+      return {
+        isValid: false,
+        field: 'cache',
+        value: cache,
+        error: `Unsupported cache mode '${cache}' (use bypass or refresh)`
+      };
+    }
+
+    if (provider && !this.transcriptionProviders.has(provider)) {
+      return {
+        isValid: false,
+        field: 'provider',
+        value: provider,
+        error: `Unsupported transcription provider '${provider}'`
+      };
+    }
+
+    const hasMaxCost = maxCost !== undefined && maxCost !== null && maxCost !== '';
+    if (hasMaxCost && !(Number(maxCost) >= 0)) {
+      return { isValid: false, field: 'maxCost', value: maxCost, error: 'maxCost must be a non-negative number' };
+    }
+
+    return {
+      isValid: true,
+      options: {
+        format,
+        lang: languages.preferences[0].language,
+        languages: languages.preferences,
+        languageSource: languages.source,
+        bundle,
+        bilingual,
+        method,
+        // Accept both query-string ("true"/"false") and JSON (boolean) values
+        fallbackToAudio: String(fallbackToAudio) === 'true',
+        cache,
+        provider: provider || this.transcriptionProviders.defaultName,
+        maxCost: hasMaxCost ? Number(maxCost) : null,
+        captionType,
+        translate: wantsTranslation,
+        formatOptions: {
+          cueSettings,
+          vttNotes: String(vttNotes) !== 'false'
+        }
+      }
+    };
+  }
+
+  /**
+   * Run the full transcript pipeline for a video
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} options - Normalized options from parseRequest
+   * @param {Object} hooks - Optional { onProgress(event), signal, authorizeMethod(method, { videoId, metadata, cost }) }
+   * @returns {Promise<TranscriptOutcome>}
+   */
+  async getTranscript(videoId, options, hooks = {}) {
+    const { onProgress } = hooks;
+    const emit = (event) => {
+      if (onProgress) onProgress(event);
+    };
+
+    // Step 1: Get video metadata (optional - continue if it fails)
+    const metadata = await this.getMetadata(videoId, options);
+    emit({
+      stage: 'metadata',
+      videoId,
+      title: metadata.title,
+      duration: metadata.duration,
+      hasClosedCaptions: metadata.hasClosedCaptions,
+      availableLanguages: metadata.availableLanguages
+    });
+
+    return this.extractForMetadata(videoId, metadata, options, hooks);
+  }
+
+  /**
+   * Get video metadata honouring the request's cache mode (minimal metadata when it fails)
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} options - Normalized options from parseRequest
+   * @returns {Promise<VideoMetadata>}
+   */
+  getMetadata(videoId, options) {
+    return this._getMetadata(videoId, options.cache === CACHE_MODES.USE, options.cache !== CACHE_MODES.BYPASS);
+  }
+
+  /**
+   * Run strategy selection, caching and extraction once the metadata is known
+   *
+   * Bundles extracting several languages of one video fetch the metadata once and
+   * call this per language.
+   * @param {string} videoId - YouTube video ID
+   * @param {VideoMetadata} metadata - Video metadata
+   * @param {Object} options - Normalized options from parseRequest
+   * @param {Object} hooks - Optional { onProgress(event), signal, authorizeMethod(method, { videoId, metadata, cost }) }
+   * @returns {Promise<TranscriptOutcome>}
+   */
+  async extractForMetadata(videoId, metadata, options, hooks = {}) {
+    const { onProgress, signal, authorizeMethod } = hooks;
+    const emit = (event) => {
+      if (onProgress) onProgress(event);
+    };
+
+    const readFromCache = options.cache === CACHE_MODES.USE;
+    const writeToCache = options.cache !== CACHE_MODES.BYPASS;
+
+    // Step 2: Determine extraction strategy
+    const preferences = {
+      preferredLanguage: options.lang,
+      preferredLanguages: options.languages,
+      format: options.format,
+      fallbackToAudio: options.fallbackToAudio,
+      formatOptions: options.formatOptions,
+      transcriptionProvider: options.provider,
+      captionType: options.captionType,
+      translate: options.translate
+    };
+
+    const strategies = this._selectStrategies(metadata, preferences, options.method);
+    log.info('Using strategies', { videoId, strategies });
+    emit({ stage: 'strategy', strategies });
+
+    // Step 3: Extract transcript (or serve it from cache)
+    const config = {
+      ...this.strategySelector.getMethodConfig(strategies[0], metadata, preferences),
+      onProgress,
+      signal,
+      authorizeMethod: this._createMethodGuard(videoId, metadata, options, authorizeMethod)
+    };
+
+    let cached = readFromCache
+      ? await this.cache.findTranscript(videoId, config.language, strategies, {
+        [TRANSCRIPT_METHODS.WHISPER_AUDIO]: options.provider
+      }, this._cacheTracks(options, config))
+      : null;
+    if (cached && !this._matchesCaptionType(cached, options.captionType)) {
+      log.debug('Cached transcript has a different caption type', { videoId, captionType: cached.captionType });
+      cached = null;
+    }
+    if (cached?.translation && !options.translate) {
+      log.debug('Cached transcript is machine-translated', { videoId, sourceLanguage: cached.translation.sourceLanguage });
+      cached = null;
+    }
+
+    // A cached transcript is only served to clients allowed to run the method that
+    // produced it (scopes, duration limits); the hit itself costs nothing
+    let settleCacheHit = null;
+    if (cached && config.authorizeMethod) {
+      try {
+        settleCacheHit = await config.authorizeMethod(cached.method, { cached });
+      } catch (error) {
+        log.info('Cached transcript not served', { videoId, method: cached.method, reason: error.message, code: error.code });
+        cached = null;
+      }
+    }
+    if (readFromCache) {
+      this.metrics.recordCacheLookup('transcript', Boolean(cached));
+    }
+
+    let result;
+    if (cached) {
+      emit({ stage: 'cache_hit', method: cached.method, cachedAt: cached.cachedAt });
+      log.info('Transcript served from cache', { videoId, method: cached.method, cachedAt: cached.cachedAt });
+      result = {
+        ...cached,
+        success: true,
+        format: options.format,
+        transcript: this.transcriptExtractor.renderTranscript(cached, options.format, config),
+        extractionTime: 0,
+        cached: true
+      };
+      if (typeof settleCacheHit === 'function') {
+        await settleCacheHit(result);
+      }
+    } else {
+      result = await this.transcriptExtractor.extractWithFallback(videoId, strategies, config);
+
+      if (!result.success) {
+        const error = new Error(result.error);
+        error.code = result.errorCode;
+        error.retryAfter = result.retryAfter;
+        error.context = 'extraction';
+        throw error;
+      }
+
+      if (result.captionType === undefined) {
+        result.captionType = this._inferCaptionType(metadata, result);
+      }
+
+      log.info('Transcript extracted', {
+        videoId,
+        method: result.method,
+        captionType: result.captionType,
+        translatedFrom: result.translation?.sourceLanguage,
+        extractionTime: result.extractionTime
+      });
+
+      if (writeToCache) {
+        await this.cache.setTranscript(videoId, config.language, result);
+      }
+    }
+
+    result.cost = this.costEstimator.forResult(result, metadata);
+    if (result.cost.amount > 0) {
+      log.info('Extraction cost', { videoId, method: result.method, amount: result.cost.amount, currency: result.cost.currency });
+    }
+
+    // Negotiated per request, so never part of the cached entry
+    const { languageConfig, translation } = config;
+    const negotiated = result.translation
+      ? {
+        matchType: 'translated',
+        matchedPreference: translation?.requestedLanguage ?? result.translation.targetLanguage,
+        confidence: translation?.quality ?? 1
+      }
+      : {
+        matchType: languageConfig.matchType,
+        matchedPreference: languageConfig.matchedPreference,
+        confidence: languageConfig.matchConfidence
+      };
+    result.languageNegotiation = {
+      requested: options.languages,
+      source: options.languageSource,
+      selectedLanguage: result.language,
+      ...negotiated
+    };
+
+    emit({ stage: 'completed', method: result.method, cached: Boolean(cached) });
+
+    return {
+      result,
+      metadata,
+      preferences,
+      config,
+      cacheStatus: cached ? 'HIT' : 'MISS'
+    };
+  }
+
+  /**
+   * Resolve the ranked language preferences of a request
+   *
+   * A lang parameter with a malformed tag (english, ../x) is the caller's mistake; a
+   * header that names nothing usable (only '*', q=0 or malformed tags) is ignored like
+   * an absent one.
+   * @param {string} [lang] - lang parameter
+   * @param {string} [acceptLanguage] - Accept-Language header
+   * @returns {Object|null} - { preferences, source: 'lang'|'accept-language'|'default' }, null for an unusable lang
+   * @private
+   */
+  _parseLanguages(lang, acceptLanguage) {
+    if (lang !== undefined && lang !== null && lang !== '') {
+      // Canonical tags keep pt-br and pt-BR on one cache entry
+      if (languageHandler.findMalformedLanguages(String(lang)).length > 0) return null;
+
+      const preferences = languageHandler.parseLanguagePreferences(String(lang));
+      return preferences.length > 0 ? { preferences, source: 'lang' } : null;
+    }
+
+    const preferences = languageHandler.parseLanguagePreferences(acceptLanguage);
+    return preferences.length > 0
+      ? { preferences, source: 'accept-language' }
+      : { preferences: [{ language: 'en', quality: 1 }], source: 'default' };
+  }
+
+  /**
+   * Recognise a multi-language bundle request
+   * @param {string} [lang] - lang parameter ('all' requests every caption language)
+   * @param {string} [langs] - Comma-separated languages
+   * @returns {Object|null} - { all, languages }, { error, field, value }, or null for a single-language request
+   * @private
+   */
+  _parseBundle(lang, langs) {
+    if (langs !== undefined && langs !== null && langs !== '') {
+      if (lang) {
+        return { error: 'Use either lang or langs, not both', field: 'langs', value: langs };
+      }
+      if (String(langs).trim().toLowerCase() === 'all') {
+        return { all: true, languages: [] };
+      }
+
+      const languages = languageHandler.parseLanguagePreferences(String(langs)).map(preference => preference.language);
+      return languages.length > 0 && languageHandler.findMalformedLanguages(String(langs)).length === 0
+        ? { all: false, languages }
+        : { error: 'langs must be a comma-separated list of language tags such as en,es,ja', field: 'langs', value: langs };
+    }
+
+    return String(lang || '').trim().toLowerCase() === 'all' ? { all: true, languages: [] } : null;
+  }
+
+  /**
+   * Validate the second language and output format of a bilingual request
+   * @param {string} [secondaryLang] - Language paired with the primary track
+   * @param {string} outputFormat - json, srt or vtt
+   * @param {LanguagePreference[]} primaryLanguages - Preferences for the primary track
+   * @returns {Object} - { secondaryLanguage, format } or { error, field, value }
+   * @private
+   */
+  _parseBilingual(secondaryLang, outputFormat, primaryLanguages) {
+    const preferences = languageHandler.parseLanguagePreferences(String(secondaryLang ?? ''));
+    if (preferences.length !== 1 || languageHandler.findMalformedLanguages(String(secondaryLang)).length > 0) {
+      return {
+        error: 'format=bilingual requires secondaryLang, a single language tag such as es',
+        field: 'secondaryLang',
+        value: secondaryLang
+      };
+    }
+
+    const secondaryLanguage = preferences[0].language;
+    if (languageHandler.isSameLanguage(secondaryLanguage, primaryLanguages[0].language)) {
+      return {
+        error: `secondaryLang must differ from the primary language '${primaryLanguages[0].language}'`,
+        field: 'secondaryLang',
+        value: secondaryLang
+      };
+    }
+
+    if (!BILINGUAL_OUTPUT_FORMATS.includes(outputFormat)) {
+      return {
+        error: `Unsupported bilingualFormat '${outputFormat}' (use ${BILINGUAL_OUTPUT_FORMATS.join(', ')})`,
+        field: 'bilingualFormat',
+        value: outputFormat
+      };
+    }
+
+    return { secondaryLanguage, format: outputFormat };
+  }
+
+  /**
+   * List the cached tracks a request accepts, best first
+   *
+   * A planned translation is looked up before the original track (which a translate
+   * request also accepts); entries without a caption kind (audio transcripts, tracks
+   * of unknown kind) come last and are checked by _matchesCaptionType.
+   * @param {Object} options - Normalized options
+   * @param {Object} config - Method configuration with the planned translation
+   * @returns {CachedTrack[]}
+   * @private
+   */
+  _cacheTracks(options, config) {
+    const captionTypes = options.captionType === CAPTION_TYPES.ANY
+      ? [CAPTION_TYPES.MANUAL, CAPTION_TYPES.AUTO, null]
+      : [options.captionType, null];
+    const sources = options.translate && config.translation ? [config.translation.sourceLanguage, null] : [null];
+
+    return sources.flatMap(translatedFrom => captionTypes.map(captionType => ({ captionType, translatedFrom })));
+  }
+
+  /**
+   * Wrap the caller's method guard with the request's maxCost check
+   * @param {string} videoId - YouTube video ID
+   * @param {VideoMetadata} metadata - Video metadata
+   * @param {Object} options - Normalized options
+   * @param {Function} [authorizeMethod] - Caller's guard (method, { videoId, metadata, cost, cached })
+   * @returns {Function|undefined} - (method, { cached }) => settle callback, throwing when the method is vetoed;
+   *   cached is the cache entry about to be served instead of running the method
+   * @private
+   */
+  _createMethodGuard(videoId, metadata, options, authorizeMethod) {
+    if (options.maxCost === null && !authorizeMethod) return undefined;
+
+    return async (method, { cached = null } = {}) => {
+      const cost = cached
+        ? this.costEstimator.forResult({ ...cached, cached: true }, metadata)
+        : this.costEstimator.estimate(method, metadata, options.provider);
+
+      if (options.maxCost !== null && cost.pricePerMinute > 0) {
+        let message = null;
+        if (cost.amount === null) {
+          message = `Cost of ${method} cannot be estimated because the video duration is unknown (maxCost ${options.maxCost})`;
+        } else if (cost.amount > options.maxCost) {
+          message = `${method} would cost ${cost.amount} ${cost.currency}, more than maxCost ${options.maxCost}`;
+        }
+
+        if (message) {
+          const error = new Error(message);
+          error.code = ERROR_CODES.COST_LIMIT_EXCEEDED;
+          throw error;
+        }
+      }
+
+      return authorizeMethod ? authorizeMethod(method, { videoId, metadata, cost, cached: Boolean(cached) }) : undefined;
+    };
+  }
+
+  /**
+   * Check a cached transcript against the requested captionType
+   * @param {CachedTranscript} cached - Cached transcript
+   * @param {string} captionType - One of CAPTION_TYPES
+   * @returns {boolean}
+   * @private
+   */
+  _matchesCaptionType(cached, captionType) {
+    // Audio transcripts are the explicit fallback and have no caption type
+    if (captionType === CAPTION_TYPES.ANY || cached.method === TRANSCRIPT_METHODS.WHISPER_AUDIO) {
+      return true;
+    }
+    return cached.captionType === captionType;
+  }
+
+  /**
+   * Work out the caption type of a scraper result from the metadata's track list
+   *
+   * The scraping libraries do not report which track they used; when every track in
+   * the result's language has the same type, that is the one.
+   * @param {VideoMetadata} metadata - Video metadata
+   * @param {TranscriptResult} result - Extraction result
+   * @returns {'manual'|'auto'|null} - null when ambiguous, unknown or for audio
+   * @private
+   */
+  _inferCaptionType(metadata, result) {
+    if (result.method === TRANSCRIPT_METHODS.WHISPER_AUDIO || !result.language) return null;
+
+    const types = new Set((metadata.captionTracks || [])
+      .filter(track => languageHandler.isSameLanguage(track.languageCode, result.language))
+      .map(track => track.type));
+
+    return types.size === 1 ? [...types][0] : null;
+  }
+
+  /**
+   * Get video metadata from cache or YouTube, falling back to a minimal object
+   * @param {string} videoId - YouTube video ID
+   * @param {boolean} readFromCache - Whether cached metadata may be used
+   * @param {boolean} writeToCache - Whether fetched metadata should be cached
+   * @returns {Promise<VideoMetadata>}
+   * @private
+   */
+  async _getMetadata(videoId, readFromCache, writeToCache) {
+    const cachedMetadata = readFromCache ? await this.cache.getMetadata(videoId) : null;
+    if (readFromCache) {
+      this.metrics.recordCacheLookup('metadata', Boolean(cachedMetadata));
+    }
+    if (cachedMetadata) {
+      log.debug('Metadata served from cache', { videoId, title: cachedMetadata.title });
+      return cachedMetadata;
+    }
+
+    try {
+      const metadata = await this.metadataExtractor.getVideoMetadata(videoId);
+      log.debug('Metadata extracted', { videoId, title: metadata.title });
+      if (writeToCache) {
+        await this.cache.setMetadata(metadata);
+      }
+      return metadata;
+    } catch (metadataError) {
+      log.warn('Metadata extraction failed, continuing with transcript extraction', { videoId, error: metadataError });
+      // Create minimal metadata object
+      return {
+        videoId: videoId,
+        title: `Video ${videoId}`,
+        hasClosedCaptions: false,
+        availableLanguages: []
+      };
+    }
+  }
+
+  /**
+   * Determine the ordered list of extraction methods
+   * @param {VideoMetadata} metadata - Video metadata
+   * @param {ExtractionPreferences} preferences - User preferences
+   * @param {string} method - Requested method ('auto' or a specific method)
+   * @returns {TranscriptMethod[]}
+   * @private
+   */
+  _selectStrategies(metadata, preferences, method) {
+    let strategies;
+    if (method === 'auto') {
+      // If no captions detected or metadata failed, prioritize transcript methods that don't need metadata
+      if (!metadata.hasClosedCaptions || metadata.title.startsWith('Video ')) {
+        strategies = this.strategySelector.selectBlindStrategy(metadata, preferences);
+      } else {
+        strategies = this.strategySelector.selectStrategy(metadata, preferences);
+      }
+    } else {
+      // Force specific method
+      strategies = [method];
+      if (preferences.fallbackToAudio && method !== TRANSCRIPT_METHODS.WHISPER_AUDIO) {
+        strategies.push(TRANSCRIPT_METHODS.WHISPER_AUDIO);
+      }
+    }
+
+    if (strategies.length === 0) {
+      const error = new Error(`No ${preferences.captionType} captions available for this video`);
+      error.code = ERROR_CODES.NO_CAPTIONS_AVAILABLE;
+      throw error;
+    }
+    return strategies;
+  }
+}
+
+// Export singleton instance
+export const transcriptService = new TranscriptService();
@@ -0,0 +1,378 @@
+// services/transcription-providers.js
+// Speech-to-text backends used by the whisper-audio method
+
+import OpenAI from 'openai';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runCommand } from '../utils/child-process.js';
+
+/**
+ * Whisper API upload limit (25 MB) with a safety margin; larger audio is chunked
+ */
+const DEFAULT_MAX_UPLOAD_BYTES = parseInt(process.env.WHISPER_MAX_UPLOAD_BYTES) || 24 * 1024 * 1024;
+
+/**
+ * A transcription provider turns an audio file into Whisper-style output.
+ *
+ * Providers implement:
+ *   - name: string
+ *   - maxUploadBytes: number - larger audio is split into chunks first (Infinity disables chunking)
+ *   - isConfigured(): boolean
+ *   - configurationHint: string - shown when the provider is selected but not configured
+ *   - transcribe(audioPath, { language, signal }): Promise<TranscriptionOutput>
+ *
+ * TranscriptionOutput is { text, language, duration, segments: [{ text, start, end }] }
+ * with times in seconds.
+ */
+
+/**
+ * Provider for the OpenAI audio transcription API and OpenAI-compatible servers
+ * (e.g. faster-whisper-server, whisper.cpp server, LocalAI)
+ */
+export class OpenAITranscriptionProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.name='openai'] - Provider name
+   * @param {string} [options.apiKey] - API key
+   * @param {string} [options.baseURL] - API base URL (default: OpenAI)
+   * @param {boolean} [options.requireBaseURL=false] - Stay unconfigured without a base URL, so a
+   *   provider priced as self-hosted never falls back to the paid OpenAI API
+   * @param {string} [options.model='whisper-1'] - Transcription model
+   * @param {number} [options.maxUploadBytes] - Upload limit before chunking
+   * @param {string} [options.configurationHint] - Shown when not configured
+   */
+  constructor({
+    name = 'openai',
+    apiKey,
+    baseURL,
+    requireBaseURL = false,
+    model = 'whisper-1',
+    maxUploadBytes = DEFAULT_MAX_UPLOAD_BYTES,
+    configurationHint = 'set OPENAI_API_KEY'
+  } = {}) {
+    this.name = name;
+    this.model = model;
+    this.maxUploadBytes = maxUploadBytes;
+    this.configurationHint = configurationHint;
+    this.client = null;
+
+    // Self-hosted servers usually ignore the key, but the SDK requires one
+    if (baseURL || (apiKey && !requireBaseURL)) {
+      this.client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL });
+    }
+  }
+
+  isConfigured() {
+    return Boolean(this.client);
+  }
+
+  /**
+   * @param {string} audioPath - Audio file
+   * @param {Object} options - { language, signal }
+   * @returns {Promise<TranscriptionOutput>}
+   */
+  async transcribe(audioPath, { language, signal } = {}) {
+    // Always request segments so any registered output format can be rendered from them
+    const request = {
+      file: fs.createReadStream(audioPath),
+      model: this.model,
+      response_format: 'verbose_json',
+      timestamp_granularities: ['segment']
+    };
+
+    if (language) {
+      request.language = language;
+    }
+
+    const response = await this.client.audio.transcriptions.create(request, { signal });
+
+    return {
+      text: response.text || '',
+      language: response.language,
+      duration: response.duration,
+      segments: response.segments || []
+    };
+  }
+}
+
+/**
+ * Provider that runs a local speech-to-text CLI (openai-whisper, whisper.cpp, ...)
+ *
+ * The argument template is split on whitespace and supports the placeholders
+ * {input}, {outputDir} and {model}. The CLI must write a JSON transcript into
+ * {outputDir} or print one to stdout; both the openai-whisper shape
+ * ({ text, language, segments }) and the whisper.cpp shape ({ transcription }) are read.
+ */
+export class LocalCliTranscriptionProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.name='local'] - Provider name
+   * @param {string} [options.command] - Binary to run
+   * @param {string} [options.args] - Argument template
+   * @param {string} [options.languageArgs] - Appended when a language is known ({language})
+   * @param {string} [options.model='base'] - Model name passed as {model}
+   */
+  constructor({
+    name = 'local',
+    command,
+    args = '{input} --model {model} --output_format json --output_dir {outputDir}',
+    languageArgs = '--language {language}',
+    model = 'base'
+  } = {}) {
+    this.name = name;
+    this.command = command;
+    this.args = args;
+    this.languageArgs = languageArgs;
+    this.model = model;
+    this.maxUploadBytes = Infinity;
+    this.configurationHint = 'set LOCAL_TRANSCRIBE_COMMAND';
+  }
+
+  isConfigured() {
+    return Boolean(this.command);
+  }
+
+  /**
+   * @param {string} audioPath - Audio file
+   * @param {Object} options - { language, signal }
+   * @returns {Promise<TranscriptionOutput>}
+   */
+  async transcribe(audioPath, { language, signal } = {}) {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-stt-'));
+
+    try {
+      const values = { input: audioPath, outputDir, model: this.model, language };
+      const template = language && this.languageArgs
+        ? `${this.args} ${this.languageArgs}`
+        : this.args;
+      const args = template.split(/\s+/).filter(Boolean)
+        .map(arg => arg.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match));
+
+      const stdout = await runCommand(this.command, args, {
+        signal,
+        notFoundMessage: `${this.command} not found - check LOCAL_TRANSCRIBE_COMMAND`
+      });
+
+      const jsonFile = fs.readdirSync(outputDir).find(file => file.endsWith('.json'));
+      const output = jsonFile
+        ? JSON.parse(fs.readFileSync(path.join(outputDir, jsonFile), 'utf8'))
+        : JSON.parse(stdout);
+
+      return this._parseOutput(output, language);
+
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Normalize openai-whisper or whisper.cpp JSON output
+   * @param {Object} output - Parsed CLI output
+   * @param {string} [language] - Requested language
+   * @returns {TranscriptionOutput}
+   * @private
+   */
+  _parseOutput(output, language) {
+    // whisper.cpp: { result: { language }, transcription: [{ offsets: { from, to } (ms), text }] }
+    if (Array.isArray(output.transcription)) {
+      const segments = output.transcription.map(item => ({
+        text: item.text || '',
+        start: (item.offsets?.from || 0) / 1000,
+        end: (item.offsets?.to || 0) / 1000
+      }));
+
+      return {
+        text: segments.map(segment => segment.text.trim()).join(' '),
+        language: output.result?.language || language,
+        duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
+        segments
+      };
+    }
+
+    // openai-whisper: { text, language, segments: [{ start, end, text }] (seconds) }
+    const segments = output.segments || [];
+    return {
+      text: output.text || segments.map(segment => segment.text.trim()).join(' '),
+      language: output.language || language,
+      duration: segments.length > 0 ? segments[segments.length - 1].end : 0,
+      segments
+    };
+  }
+}
+
+/**
+ * Deterministic provider for tests and local development without audio backends
+ */
+export class StubTranscriptionProvider {
+  /**
+   * @param {Object} options
+   * @param {string} [options.name='stub'] - Provider name
+   * @param {string} [options.text] - Text returned for every file
+   * @param {number} [options.segmentSeconds=5] - Duration of each sentence segment
+   */
+  constructor({
+    name = 'stub',
+    text = 'This is a stub transcription. No audio was analysed.',
+    segmentSeconds = 5
+  } = {}) {
+    this.name = name;
+    this.text = text;
+    this.segmentSeconds = segmentSeconds;
+    this.maxUploadBytes = Infinity;
+    this.configurationHint = '';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * @param {string} audioPath - Audio file (ignored)
+   * @param {Object} options - { language }
+   * @returns {Promise<TranscriptionOutput>}
+   */
+  async transcribe(audioPath, { language } = {}) {
+    const sentences = this.text.match(/[^.!?]+[.!?]*/g) || [this.text];
+    const segments = sentences.map((sentence, i) => ({
+      text: sentence.trim(),
+      start: i * this.segmentSeconds,
+      end: (i + 1) * this.segmentSeconds
+    }));
+
+    return {
+      text: this.text,
+      language: language || 'en',
+      duration: segments.length * this.segmentSeconds,
+      segments
+    };
+  }
+}
+
+/**
+ * TranscriptionProviderRegistry class holding the available providers
+ */
+export class TranscriptionProviderRegistry {
+  /**
+   * @param {string} defaultName - Provider used when a request does not select one
+   */
+  constructor(defaultName = 'openai') {
+    this.defaultName = defaultName;
+    this.providers = new Map();
+  }
+
+  /**
+   * Register a provider (replaces an existing provider with the same name)
+   * @param {Object} provider - Provider implementing transcribe() and isConfigured()
+   * @returns {TranscriptionProviderRegistry}
+   */
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.transcribe !== 'function') {
+      throw new Error('Transcription provider requires a name and a transcribe() function');
+    }
+
+    this.providers.set(provider.name, provider);
+    return this;
+  }
+
+  /**
+   * Remove a provider
+   * @param {string} name - Provider name
+   * @returns {boolean}
+   */
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  /**
+   * @param {string} name - Provider name
+   * @returns {Object|null}
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * @param {string} name - Provider name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * List registered providers
+   * @returns {Object[]} - [{ name, configured, default }]
+   */
+  list() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      configured: provider.isConfigured(),
+      default: provider.name === this.defaultName
+    }));
+  }
+
+  /**
+   * Get a configured provider by name, or the default one
+   * @param {string} [name] - Provider name
+   * @returns {Object}
+   * @throws {Error} - When the provider is unknown or not configured
+   */
+  resolve(name) {
+    const providerName = name || this.defaultName;
+    const provider = this.get(providerName);
+
+    if (!provider) {
+      throw new Error(`Unknown transcription provider '${providerName}'`);
+    }
+
+    if (!provider.isConfigured()) {
+      throw new Error(
+        `Transcription provider '${providerName}' is not configured for audio transcription (${provider.configurationHint})`
+      );
+    }
+
+    return provider;
+  }
+}
+
+/**
+ * Create the provider registry from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {TranscriptionProviderRegistry}
+ */
+export function createTranscriptionProviders(env = process.env) {
+  const defaultName = env.TRANSCRIPTION_PROVIDER || 'openai';
+  const registry = new TranscriptionProviderRegistry(defaultName);
+
+  registry.register(new OpenAITranscriptionProvider({
+    apiKey: env.OPENAI_API_KEY
+  }));
+
+  registry.register(new OpenAITranscriptionProvider({
+    name: 'openai-compatible',
+    apiKey: env.TRANSCRIPTION_API_KEY,
+    baseURL: env.TRANSCRIPTION_BASE_URL,
+    requireBaseURL: true,
+    model: env.TRANSCRIPTION_MODEL || 'whisper-1',
+    maxUploadBytes: parseInt(env.TRANSCRIPTION_MAX_UPLOAD_BYTES) || DEFAULT_MAX_UPLOAD_BYTES,
+    configurationHint: 'set TRANSCRIPTION_BASE_URL'
+  }));
+
+  registry.register(new LocalCliTranscriptionProvider({
+    command: env.LOCAL_TRANSCRIBE_COMMAND,
+    args: env.LOCAL_TRANSCRIBE_ARGS || undefined,
+    languageArgs: env.LOCAL_TRANSCRIBE_LANGUAGE_ARGS ?? undefined,
+    model: env.LOCAL_TRANSCRIBE_MODEL || 'base'
+  }));
+
+  // The stub returns fixed text, so it is only exposed when explicitly chosen or under test
+  if (defaultName === 'stub' || env.NODE_ENV === 'test') {
+    registry.register(new StubTranscriptionProvider({ text: env.TRANSCRIPTION_STUB_TEXT || undefined }));
+  }
+
+  return registry;
+}
+
+// Export singleton instance
+export const transcriptionProviders = createTranscriptionProviders();
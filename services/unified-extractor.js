@@ -1,36 +1,89 @@
 // services/unified-extractor.js
 // Unified transcript extractor with intelligent fallback mechanism
 
-import { YoutubeTranscript } from 'youtube-transcript';
+import {
+  YoutubeTranscript,
+  YoutubeTranscriptDisabledError,
+  YoutubeTranscriptNotAvailableError,
+  YoutubeTranscriptNotAvailableLanguageError,
+  YoutubeTranscriptVideoUnavailableError
+} from 'youtube-transcript';
 import { getSubtitles, getVideoDetails } from 'youtube-caption-extractor';
-import OpenAI from 'openai';
 import ytdl from '@distube/ytdl-core';
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
 import { pipeline } from 'stream/promises';
-import { ERROR_CODES } from '../types/interfaces.js';
+import { ERROR_CODES, CAPTION_TYPES } from '../types/interfaces.js';
 import { TRANSCRIPT_METHODS } from './strategy-selector.js';
-import { languageHandler } from './language-handler.js';
+import { languageHandler, LANGUAGE_MATCH_SCORES } from './language-handler.js';
+import { formatRegistry } from './format-registry.js';
+import { audioChunker } from './audio-chunker.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { parseTimedText, TIMEDTEXT_FORMATS } from '../utils/timedtext-parser.js';
+import { transcriptionProviders as defaultTranscriptionProviders } from './transcription-providers.js';
+import { metrics as defaultMetrics } from './metrics.js';
+import { methodHealth as defaultMethodHealth, isMethodFailure } from './method-health.js';
+import { responseFormatter } from './response-formatter.js';
+import { logger } from '../utils/logger.js';
+
+const log = logger.child({ component: 'extractor' });
+
+/**
+ * Minimum interval between audio download progress events
+ */
+const PROGRESS_INTERVAL_MS = 250;
+
+/**
+ * Number of chunks transcribed in parallel
+ */
+const WHISPER_CHUNK_CONCURRENCY = parseInt(process.env.WHISPER_CHUNK_CONCURRENCY) || 3;
+
+/**
+ * Audio download guards: largest file, longest video and free disk space kept in reserve
+ */
+const AUDIO_MAX_BYTES = parseInt(process.env.AUDIO_MAX_BYTES) || 500 * 1024 * 1024;
+const AUDIO_MAX_DURATION_SECONDS = parseInt(process.env.AUDIO_MAX_DURATION_SECONDS) || 4 * 60 * 60;
+const AUDIO_MIN_FREE_DISK_BYTES = parseInt(process.env.AUDIO_MIN_FREE_DISK_BYTES) || 100 * 1024 * 1024;
+
+/**
+ * Timeout for a single timedtext request
+ */
+const TIMEDTEXT_TIMEOUT_MS = parseInt(process.env.TIMEDTEXT_TIMEOUT_MS) || 10000;
+
+/**
+ * Caption formats requested from the timedtext endpoint, in order of preference
+ */
+const TIMEDTEXT_FETCH_ORDER = [TIMEDTEXT_FORMATS.JSON3, TIMEDTEXT_FORMATS.SRV3, TIMEDTEXT_FORMATS.XML];
+
+/**
+ * Confidence the language identifier needs before it overrides the reported language
+ */
+const LANGUAGE_OVERRIDE_CONFIDENCE = parseFloat(process.env.LANGUAGE_OVERRIDE_CONFIDENCE) || 0.9;
+
+/**
+ * Bitrate of the mono chunks written by the audio chunker, used to estimate disk usage
+ */
+const CHUNK_BYTES_PER_SECOND = 48000 / 8;
 
 /**
  * UnifiedTranscriptExtractor class that wraps all extraction methods
  */
 export class UnifiedTranscriptExtractor {
-  constructor() {
-    this.openai = null;
-    this._initializeOpenAI();
-  }
-
   /**
-   * Initialize OpenAI client if API key is available
-   * @private
+   * @param {Object} options
+   * @param {TranscriptionProviderRegistry} [options.transcriptionProviders] - Speech-to-text backends for whisper-audio
+   * @param {TranscriptMetrics} [options.metrics] - Metrics recorder
+   * @param {MethodHealthTracker} [options.methodHealth] - Per-method health fed by fallback attempts
    */
-  _initializeOpenAI() {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (apiKey) {
-      this.openai = new OpenAI({ apiKey });
-    }
+  constructor({
+    transcriptionProviders = defaultTranscriptionProviders,
+    metrics = defaultMetrics,
+    methodHealth = defaultMethodHealth
+  } = {}) {
+    this.transcriptionProviders = transcriptionProviders;
+    this.metrics = metrics;
+    this.methodHealth = methodHealth;
   }
 
   /**
@@ -43,13 +96,16 @@ export class UnifiedTranscriptExtractor {
   async extractTranscript(videoId, method, config = {}) {
     const startTime = Date.now();
     
-    console.log(`🚀 Extracting transcript using method: ${method}`);
-    console.log(`🎬 Video ID: ${videoId}`);
+    log.debug('Extracting transcript', { videoId, method });
     
     try {
       let result;
       
       switch (method) {
+        case TRANSCRIPT_METHODS.YOUTUBE_TIMEDTEXT:
+          result = await this._extractWithTimedText(videoId, config);
+          break;
+          
         case TRANSCRIPT_METHODS.YOUTUBE_TRANSCRIPT:
           result = await this._extractWithYouTubeTranscript(videoId, config);
           break;
@@ -78,9 +134,9 @@ export class UnifiedTranscriptExtractor {
     } catch (error) {
       const extractionTime = Date.now() - startTime;
       
-      console.error(`❌ Method ${method} failed:`, error.message);
+      log.debug('Extraction method failed', { videoId, method, error });
       
-      return {
+      const failure = {
         success: false,
         transcript: '',
         format: config.format || 'txt',
@@ -89,6 +145,18 @@ export class UnifiedTranscriptExtractor {
         error: error.message,
         extractionTime
       };
+      if (error.code) {
+        failure.errorCode = error.code;
+      }
+      if (!isMethodFailure(error)) {
+        failure.methodFault = false;
+      }
+      // Paid audio transcribed before the failure still has to be settled
+      if (error.transcribedSeconds > 0) {
+        failure.transcribedSeconds = error.transcribedSeconds;
+        failure.transcriptionProvider = this.transcriptionProviders.resolve(config.provider).name;
+      }
+      return failure;
     }
   }
 
@@ -100,35 +168,99 @@ export class UnifiedTranscriptExtractor {
    * @returns {Promise<TranscriptResult>}
    */
   async extractWithFallback(videoId, methods, config = {}) {
-    console.log(`🔄 Starting fallback extraction for ${videoId}`);
-    console.log(`📋 Methods to try: ${methods.join(' → ')}`);
+    log.info('Starting fallback extraction', { videoId, methods });
     
     const errors = [];
+    let denial = null;
     
     for (let i = 0; i < methods.length; i++) {
       const method = methods[i];
-      console.log(`\n🔄 Attempting method ${i + 1}/${methods.length}: ${method}`);
+      this._throwIfAborted(config.signal);
+      
+      // A half-open circuit is probed by one request at a time; others move on
+      // unless the method is all they asked for
+      if (!this.methodHealth.beginAttempt(method) && methods.length > 1) {
+        const reason = 'Circuit half-open, trial attempt already running';
+        log.info('Extraction method skipped', { videoId, method, reason });
+        errors.push(`${method}: ${reason}`);
+        this.metrics.recordAttempt({ method, outcome: 'skipped', errorCode: ERROR_CODES.SERVICE_UNAVAILABLE });
+        this._emitProgress(config, { stage: 'method_skipped', method, reason, code: ERROR_CODES.SERVICE_UNAVAILABLE });
+        continue;
+      }
+      
+      // Let the caller veto a method (rate limits, scopes, budgets) before it runs;
+      // a returned settle(result) callback is told how the attempt went
+      let settle = null;
+      if (typeof config.authorizeMethod === 'function') {
+        try {
+          settle = await config.authorizeMethod(method);
+        } catch (error) {
+          this.methodHealth.releaseAttempt(method);
+          log.info('Extraction method skipped', { videoId, method, reason: error.message, code: error.code });
+          errors.push(`${method}: ${error.message}`);
+          denial = denial || error;
+          this.metrics.recordAttempt({ method, outcome: 'skipped', errorCode: responseFormatter.getErrorCode(error) });
+          this._emitProgress(config, { stage: 'method_skipped', method, reason: error.message, code: error.code });
+          continue;
+        }
+      }
+      
+      log.info('Attempting extraction method', { videoId, method, attempt: i + 1, total: methods.length });
+      this._emitProgress(config, { stage: 'method_start', method, attempt: i + 1, total: methods.length });
       
       try {
         const result = await this.extractTranscript(videoId, method, config);
+        await this._settleMethod(settle, result);
+        this._throwIfAborted(config.signal);
         
         if (result.success && result.transcript && result.transcript.length > 50) {
-          console.log(`✅ Success with ${method}!`);
-          console.log(`📊 Transcript length: ${result.transcript.length} characters`);
+          log.info('Extraction method succeeded', {
+            videoId,
+            method,
+            characters: result.transcript.length,
+            extractionTime: result.extractionTime
+          });
+          this.metrics.recordAttempt({ method, outcome: 'success', extractionTime: result.extractionTime });
+          this.methodHealth.record(method, { success: true, latencyMs: result.extractionTime });
+          this.metrics.recordExtraction({ method, success: true, fellThrough: errors.length > 0 });
+          this._emitProgress(config, { stage: 'method_success', method, extractionTime: result.extractionTime });
           return result;
         } else {
-          console.log(`⚠️ ${method} returned insufficient content`);
-          errors.push(`${method}: Insufficient content (${result.transcript?.length || 0} chars)`);
+          const reason = result.success
+            ? `Insufficient content (${result.transcript?.length || 0} chars)`
+            : result.error;
+          log.warn('Extraction attempt failed', { videoId, method, reason });
+          errors.push(`${method}: ${reason}`);
+          this.metrics.recordAttempt({
+            method,
+            outcome: 'failure',
+            errorCode: responseFormatter.getErrorCode({ code: result.errorCode, message: reason }),
+            extractionTime: result.extractionTime
+          });
+          // Missing captions or a too-short transcript say nothing about the method
+          if (result.success || result.methodFault === false) {
+            this.methodHealth.releaseAttempt(method);
+          } else {
+            this.methodHealth.record(method, { success: false, latencyMs: result.extractionTime, error: reason });
+          }
+          this._emitProgress(config, { stage: 'method_failed', method, reason });
         }
         
       } catch (error) {
-        console.log(`❌ ${method} failed: ${error.message}`);
+        this.methodHealth.releaseAttempt(method);
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        log.warn('Extraction attempt failed', { videoId, method, reason: error.message });
         errors.push(`${method}: ${error.message}`);
+        this.metrics.recordAttempt({ method, outcome: 'failure', errorCode: responseFormatter.getErrorCode(error) });
+        this._emitProgress(config, { stage: 'method_failed', method, reason: error.message });
       }
     }
     
     // All methods failed
-    console.log(`❌ All extraction methods failed for ${videoId}`);
+    log.error('All extraction methods failed', { videoId, errors });
+    this.metrics.recordExtraction({ method: 'none', success: false, fellThrough: errors.length > 0 });
     
     const error = new Error(`All extraction methods failed. Errors: ${errors.join('; ')}`);
     error.code = ERROR_CODES.ALL_METHODS_FAILED;
@@ -140,10 +272,193 @@ export class UnifiedTranscriptExtractor {
       language: config.language || 'en',
       method: 'none',
       error: error.message,
+      // A vetoed method is the actionable reason (e.g. retry after a rate limit)
+      errorCode: denial?.code,
+      retryAfter: denial?.retryAfter,
       extractionTime: 0
     };
   }
 
+  /**
+   * Report a method attempt to the settle callback returned by authorizeMethod
+   * @param {Function|null} settle - Callback from authorizeMethod
+   * @param {TranscriptResult} result - Attempt result
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _settleMethod(settle, result) {
+    if (typeof settle !== 'function') return;
+
+    try {
+      await settle(result);
+    } catch (error) {
+      log.warn('Could not settle method', { method: result.method, error });
+    }
+  }
+
+  /**
+   * Extract transcript from the caption track URLs found in the video metadata
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} config - Configuration (captionTracks from the metadata, optional translation plan)
+   * @returns {Promise<Object>}
+   * @private
+   */
+  async _extractWithTimedText(videoId, config) {
+    log.debug('Using youtube-timedtext method', { videoId });
+
+    const tracks = config.captionTracks || [];
+    if (tracks.length === 0) {
+      throw this._videoError('youtube-timedtext: No caption tracks in video metadata', ERROR_CODES.NO_CAPTIONS_AVAILABLE);
+    }
+
+    // With a translation plan, YouTube translates the source track server-side (tlang)
+    const plan = config.translation || null;
+    const fallbackLanguages = config.fallbackLanguages || config.languageConfig?.fallbackLanguages || [];
+    const track = plan
+      ? this._selectCaptionTrack(tracks.filter(track => track.isTranslatable), [plan.sourceLanguage], config.captionType)
+      : this._selectCaptionTrack(tracks, [config.language, ...fallbackLanguages], config.captionType);
+    log.debug('Selected caption track', {
+      languageCode: track.languageCode,
+      type: track.type,
+      translateTo: plan?.targetLanguage
+    });
+
+    let lastError;
+    for (const format of TIMEDTEXT_FETCH_ORDER) {
+      this._throwIfAborted(config.signal);
+      try {
+        const body = await this._fetchTimedText(track.baseUrl, format, config.signal, plan?.targetLanguage);
+        const items = parseTimedText(body);
+
+        if (items.length > 0) {
+          const result = this._formatTranscriptResult(
+            items,
+            { ...config, language: plan?.targetLanguage || track.languageCode || config.language },
+            TRANSCRIPT_METHODS.YOUTUBE_TIMEDTEXT
+          );
+          if (!plan) {
+            return { ...result, captionType: track.type, translation: null };
+          }
+
+          const translated = {
+            ...result,
+            captionType: track.type,
+            translation: {
+              machineTranslated: true,
+              sourceLanguage: track.languageCode,
+              sourceCaptionType: track.type,
+              sourceTrackName: track.name,
+              targetLanguage: plan.targetLanguage
+            }
+          };
+          // Render again so formats with notes (WebVTT) mention the translation
+          translated.transcript = this.renderTranscript(translated, translated.format, config);
+          return translated;
+        }
+        lastError = new Error(`empty ${format} track`);
+      } catch (error) {
+        this._throwIfAborted(config.signal);
+        log.debug('timedtext format failed', { format, error });
+        lastError = error;
+      }
+    }
+
+    throw new Error(`youtube-timedtext: ${lastError.message}`);
+  }
+
+  /**
+   * Pick the caption track for the requested languages
+   *
+   * Exact language matches beat base-language matches (en-GB for en), manual
+   * tracks beat automatic ones, and the first manual track is the last resort.
+   * @param {CaptionTrack[]} tracks - Caption tracks from the metadata
+   * @param {string[]} languages - Requested languages in order of preference
+   * @param {string} [captionType='any'] - Only consider tracks of this type
+   * @returns {CaptionTrack}
+   * @throws {Error} - When no track has the requested type
+   * @private
+   */
+  _selectCaptionTrack(tracks, languages, captionType = CAPTION_TYPES.ANY) {
+    const candidates = captionType === CAPTION_TYPES.ANY
+      ? tracks
+      : tracks.filter(track => track.type === captionType);
+    if (candidates.length === 0) {
+      throw this._videoError(`No ${captionType} caption tracks available`, ERROR_CODES.NO_CAPTIONS_AVAILABLE);
+    }
+
+    const byKind = [...candidates].sort((a, b) =>
+      (a.type === CAPTION_TYPES.AUTO) - (b.type === CAPTION_TYPES.AUTO)
+    );
+
+    for (const language of languages.filter(Boolean)) {
+      let match = null;
+      let bestScore = LANGUAGE_MATCH_SCORES.NONE;
+      for (const track of byKind) {
+        const score = languageHandler.compareLanguages(language, track.languageCode);
+        if (score > bestScore) {
+          match = track;
+          bestScore = score;
+        }
+      }
+      if (match) return match;
+    }
+
+    return byKind[0];
+  }
+
+  /**
+   * Download a caption track in the given format
+   * @param {string} baseUrl - Track URL from the player response
+   * @param {string} format - One of TIMEDTEXT_FORMATS
+   * @param {AbortSignal} [signal] - Abort signal
+   * @param {string} [translateTo] - Language to have YouTube machine-translate the track into
+   * @returns {Promise<string>} - Response body
+   * @private
+   */
+  async _fetchTimedText(baseUrl, format, signal, translateTo) {
+    const url = new URL(baseUrl, 'https://www.youtube.com');
+    if (format === TIMEDTEXT_FORMATS.XML) {
+      url.searchParams.delete('fmt');
+    } else {
+      url.searchParams.set('fmt', format);
+    }
+    if (translateTo) {
+      url.searchParams.set('tlang', translateTo);
+    }
+
+    // Abort on request cancellation or after the timeout, whichever comes first
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEDTEXT_TIMEOUT_MS);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      const response = await fetch(url, {
+        headers: { 'user-agent': process.env.YTDL_UA || 'Mozilla/5.0', 'accept-language': 'en-US,en;q=0.9' },
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`timedtext request failed with HTTP ${response.status}`);
+      }
+
+      const body = await response.text();
+      if (!body.trim()) {
+        // YouTube answers expired or unsigned track URLs with an empty 200
+        throw new Error('timedtext returned an empty response (track URL may have expired)');
+      }
+      return body;
+    } catch (error) {
+      if (error.name === 'AbortError' && !signal?.aborted) {
+        throw new Error(`timedtext request timed out after ${TIMEDTEXT_TIMEOUT_MS}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
   /**
    * Extract transcript using youtube-transcript library
    * @param {string} videoId - YouTube video ID
@@ -152,7 +467,7 @@ export class UnifiedTranscriptExtractor {
    * @private
    */
   async _extractWithYouTubeTranscript(videoId, config) {
-    console.log(`📥 Using youtube-transcript method`);
+    log.debug('Using youtube-transcript method', { videoId });
     
     const methods = [
       {
@@ -178,21 +493,30 @@ export class UnifiedTranscriptExtractor {
       });
     }
     
+    // The library's own errors say the video has no (such) transcript; anything
+    // else (network, rate limiting, changed page markup) is a method failure
+    let infrastructureError = null;
     for (const method of methods) {
       try {
-        console.log(`🔄 Trying ${method.name}...`);
+        log.debug('Trying youtube-transcript variant', { variant: method.name });
         const transcript = await method.fn();
         
         if (transcript && transcript.length > 0) {
-          console.log(`✅ Success with ${method.name}`);
+          log.debug('youtube-transcript variant succeeded', { variant: method.name });
           return this._formatTranscriptResult(transcript, config, 'youtube-transcript');
         }
       } catch (error) {
-        console.log(`⚠️ ${method.name} failed: ${error.message}`);
+        log.debug('youtube-transcript variant failed', { variant: method.name, error });
+        if (!this._isMissingTranscriptError(error)) {
+          infrastructureError = error;
+        }
       }
     }
     
-    throw new Error('youtube-transcript: No transcript data available');
+    if (infrastructureError) {
+      throw new Error(`youtube-transcript: ${infrastructureError.message}`);
+    }
+    throw this._videoError('youtube-transcript: No transcript data available', ERROR_CODES.NO_CAPTIONS_AVAILABLE);
   }
 
   /**
@@ -203,7 +527,7 @@ export class UnifiedTranscriptExtractor {
    * @private
    */
   async _extractWithCaptionExtractor(videoId, config) {
-    console.log(`📥 Using youtube-caption-extractor method`);
+    log.debug('Using youtube-caption-extractor method', { videoId });
     
     try {
       let subtitles;
@@ -212,41 +536,48 @@ export class UnifiedTranscriptExtractor {
       // Try with language configuration if available
       if (config.languageConfig && config.languageConfig.fallbackLanguages) {
         const languages = [config.language, ...config.languageConfig.fallbackLanguages];
+        let lastError = null;
         
         for (const lang of languages) {
           try {
-            console.log(`🔄 Trying language: ${lang}`);
+            log.debug('Trying caption language', { language: lang });
             subtitles = await getSubtitles({ videoID: videoId, lang: lang });
             usedLanguage = lang;
-            console.log(`✅ Success with language: ${lang}`);
+            log.debug('Caption language succeeded', { language: lang });
             break;
           } catch (error) {
-            console.log(`⚠️ Language ${lang} failed: ${error.message}`);
+            log.debug('Caption language failed', { language: lang, error });
+            lastError = error;
           }
         }
+        
+        // getSubtitles answers a video without captions with an empty list; throwing is a failure
+        if (!subtitles && lastError) {
+          throw lastError;
+        }
       } else {
         // Fallback to original method
         try {
           subtitles = await getSubtitles({ videoID: videoId, lang: config.language });
         } catch (error) {
-          console.log(`⚠️ Language ${config.language} failed, trying without language`);
+          log.debug('Caption language failed, trying without language', { language: config.language, error });
           subtitles = await getSubtitles({ videoID: videoId });
           usedLanguage = 'auto-detected';
         }
       }
       
       if (!subtitles || subtitles.length === 0) {
-        throw new Error('No subtitles found');
+        throw this._videoError('No subtitles found', ERROR_CODES.NO_CAPTIONS_AVAILABLE);
       }
       
-      console.log(`✅ Found ${subtitles.length} subtitle segments using language: ${usedLanguage}`);
+      log.debug('Subtitles found', { segments: subtitles.length, language: usedLanguage });
       
       // Get video details for additional info
       let videoDetails = null;
       try {
         videoDetails = await getVideoDetails({ videoID: videoId });
       } catch (error) {
-        console.log(`⚠️ Could not get video details: ${error.message}`);
+        log.debug('Could not get video details', { videoId, error });
       }
       
       const result = this._formatTranscriptResult(subtitles, config, 'youtube-caption-extractor', videoDetails);
@@ -255,7 +586,8 @@ export class UnifiedTranscriptExtractor {
       return result;
       
     } catch (error) {
-      throw new Error(`youtube-caption-extractor: ${error.message}`);
+      error.message = `youtube-caption-extractor: ${error.message}`;
+      throw error;
     }
   }
 
@@ -267,45 +599,75 @@ export class UnifiedTranscriptExtractor {
    * @private
    */
   async _extractWithWhisperAudio(videoId, config) {
-    console.log(`🤖 Using Whisper audio transcription method`);
-    
-    if (!this.openai) {
-      throw new Error('OpenAI API key not configured for audio transcription');
-    }
+    const provider = this.transcriptionProviders.resolve(config.provider);
+    log.debug('Using whisper-audio method', { videoId, provider: provider.name });
     
     const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
     
-    // Step 1: Download audio
-    console.log(`📥 Step 1: Downloading audio...`);
-    const audioBuffer = await this._downloadYouTubeAudio(videoUrl);
+    // Audio flows through files in this directory only; it is removed whatever happens
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'yt-audio-'));
     
-    if (!audioBuffer || audioBuffer.byteLength < 1000000) {
-      throw new Error(`Audio too small (${audioBuffer?.byteLength || 0} bytes) - likely not real content`);
+    try {
+      // Step 1: Download audio
+      log.debug('Downloading audio', { videoId });
+      this._emitProgress(config, { stage: 'download_start', method: TRANSCRIPT_METHODS.WHISPER_AUDIO });
+      const audio = await this._downloadYouTubeAudio(videoUrl, config, workDir, provider);
+      this.metrics.recordAudioDownload(provider.name, audio.sizeBytes);
+      
+      if (audio.sizeBytes < 1000000) {
+        throw this._videoError(`Audio too small (${audio.sizeBytes} bytes) - likely not real content`);
+      }
+      
+      log.info('Audio downloaded', { videoId, audioSizeBytes: audio.sizeBytes, durationSeconds: audio.durationSeconds });
+      
+      // Step 2: Transcribe with the selected provider
+      log.info('Transcribing audio', { videoId, provider: provider.name });
+      this._emitProgress(config, {
+        stage: 'transcribing',
+        method: TRANSCRIPT_METHODS.WHISPER_AUDIO,
+        provider: provider.name,
+        audioSizeBytes: audio.sizeBytes
+      });
+      const whisperResult = audio.sizeBytes > provider.maxUploadBytes
+        ? await this._transcribeInChunks(audio.path, workDir, { ...config, duration: audio.durationSeconds }, provider)
+        : await this._transcribeAudioFile(audio.path, config, provider);
+      
+      // Normalize Whisper output into canonical segments and render the requested format
+      const rawSegments = whisperResult.segments && whisperResult.segments.length > 0
+        ? this._normalizeWhisperSegments(whisperResult.segments)
+        : [{ text: whisperResult.text || '', offset: 0, duration: (audio.durationSeconds || 0) * 1000 }];
+      
+      const audioDurationSeconds = audio.durationSeconds || Math.round(whisperResult.duration || 0) || null;
+      this.metrics.recordTranscribedAudio(provider.name, audioDurationSeconds);
+      
+      const result = this._formatTranscriptResult(rawSegments, {
+        ...config,
+        language: whisperResult.language || config.language || 'en'
+      }, 'whisper-audio');
+      
+      return {
+        ...result,
+        confidence: 0.95, // Whisper generally has high confidence
+        audioSizeBytes: audio.sizeBytes,
+        audioDurationSeconds,
+        transcriptionProvider: provider.name
+      };
+      
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true }).catch(() => {});
     }
-    
-    console.log(`✅ Audio downloaded: ${(audioBuffer.byteLength / 1024 / 1024).toFixed(2)} MB`);
-    
-    // Step 2: Transcribe with Whisper
-    console.log(`🚀 Step 2: Transcribing with Whisper...`);
-    const whisperResult = await this._transcribeWithWhisper(audioBuffer, config);
-    
-    return {
-      transcript: whisperResult.text,
-      language: whisperResult.language || config.language || 'en',
-      confidence: 0.95, // Whisper generally has high confidence
-      segments: whisperResult.segments || [],
-      audioSizeBytes: audioBuffer.byteLength,
-      format: config.format || 'txt'
-    };
   }
 
   /**
-   * Download YouTube audio using ytdl-core
+   * Download YouTube audio to a file with ytdl-core, streaming straight to disk
    * @param {string} videoUrl - YouTube video URL
-   * @returns {Promise<ArrayBuffer>}
+   * @param {Object} config - Configuration (onProgress, signal)
+   * @param {string} workDir - Directory the audio file is written to
+   * @param {Object} provider - Transcription provider (decides whether chunks are needed)
+   * @returns {Promise<Object>} - { path, sizeBytes, durationSeconds }
    * @private
    */
-  async _downloadYouTubeAudio(videoUrl) {
+  async _downloadYouTubeAudio(videoUrl, config, workDir, provider) {
     const userAgent = process.env.YTDL_UA || 
       'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123 Safari/537.36';
     
@@ -330,96 +692,292 @@ export class UnifiedTranscriptExtractor {
     });
     
     if (!format) {
-      throw new Error('No suitable audio format found');
+      throw this._videoError('No suitable audio format found');
     }
     
-    // Create temporary file
-    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'yt-audio-'));
-    const audioPath = path.join(tmpDir, 'audio.webm');
+    const durationSeconds = parseInt(info.videoDetails?.lengthSeconds) ||
+      Math.round((parseInt(format.approxDurationMs) || 0) / 1000);
+    const expectedBytes = parseInt(format.contentLength) ||
+      Math.round(((format.audioBitrate || format.bitrate / 1000 || 0) * 1000 / 8) * durationSeconds);
     
-    try {
-      // Download audio
-      const audioStream = ytdl.downloadFromInfo(info, {
-        format: format,
-        requestOptions: { headers },
-        highWaterMark: 1 << 26 // 64MB buffer
-      });
-      
-      await pipeline(audioStream, fs.createWriteStream(audioPath));
-      
-      // Read file as buffer
-      const audioBuffer = fs.readFileSync(audioPath);
-      
-      // Clean up
-      fs.rmSync(tmpDir, { recursive: true, force: true });
+    await this._checkAudioLimits({ durationSeconds, expectedBytes, workDir, provider });
+    
+    const audioPath = path.join(workDir, 'audio.webm');
+    const audioStream = ytdl.downloadFromInfo(info, {
+      format: format,
+      requestOptions: { headers }
+    });
+    
+    // ytdl reports progress per chunk - throttle to a few events per second and
+    // stop downloads that grow past the size limit (live streams, missing contentLength)
+    let lastProgressAt = 0;
+    let sizeBytes = 0;
+    audioStream.on('progress', (_chunkLength, downloaded, total) => {
+      sizeBytes = downloaded;
+      if (downloaded > AUDIO_MAX_BYTES) {
+        audioStream.destroy(this._videoError(
+          `Audio download stopped: exceeded the ${this._formatMegabytes(AUDIO_MAX_BYTES)} limit (AUDIO_MAX_BYTES)`
+        ));
+        return;
+      }
       
-      return audioBuffer.buffer.slice(audioBuffer.byteOffset, audioBuffer.byteOffset + audioBuffer.byteLength);
+      const now = Date.now();
+      if (now - lastProgressAt < PROGRESS_INTERVAL_MS && downloaded < total) return;
+      lastProgressAt = now;
       
+      this._emitProgress(config, {
+        stage: 'download_progress',
+        method: TRANSCRIPT_METHODS.WHISPER_AUDIO,
+        downloadedBytes: downloaded,
+        totalBytes: total
+      });
+    });
+    
+    await pipeline(audioStream, fs.createWriteStream(audioPath), { signal: config.signal });
+    
+    const stats = await fs.promises.stat(audioPath);
+    sizeBytes = stats.size;
+    
+    return { path: audioPath, sizeBytes, durationSeconds };
+  }
+
+  /**
+   * Reject audio that is too long or too large, or that would not fit on disk
+   * @param {Object} params
+   * @param {number} params.durationSeconds - Video duration (0 if unknown)
+   * @param {number} params.expectedBytes - Expected audio size (0 if unknown)
+   * @param {string} params.workDir - Directory the audio will be written to
+   * @param {Object} params.provider - Transcription provider
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _checkAudioLimits({ durationSeconds, expectedBytes, workDir, provider }) {
+    if (durationSeconds > AUDIO_MAX_DURATION_SECONDS) {
+      throw this._videoError(
+        `Audio download rejected: video is ${Math.round(durationSeconds / 60)} minutes long, ` +
+        `the limit is ${Math.round(AUDIO_MAX_DURATION_SECONDS / 60)} minutes (AUDIO_MAX_DURATION_SECONDS)`
+      );
+    }
+    
+    if (expectedBytes > AUDIO_MAX_BYTES) {
+      throw this._videoError(
+        `Audio download rejected: audio is ${this._formatMegabytes(expectedBytes)}, ` +
+        `the limit is ${this._formatMegabytes(AUDIO_MAX_BYTES)} (AUDIO_MAX_BYTES)`
+      );
+    }
+    
+    // Audio over the provider's upload limit is also re-encoded into chunk files
+    const chunkBytes = expectedBytes > provider.maxUploadBytes
+      ? durationSeconds * CHUNK_BYTES_PER_SECOND
+      : 0;
+    const requiredBytes = expectedBytes + chunkBytes + AUDIO_MIN_FREE_DISK_BYTES;
+    
+    let freeBytes;
+    try {
+      const stats = await fs.promises.statfs(workDir);
+      freeBytes = stats.bavail * stats.bsize;
+    } catch {
+      return; // statfs is unavailable on some platforms - skip the check
+    }
+    
+    if (freeBytes < requiredBytes) {
+      throw new Error(
+        `Audio download failed: insufficient disk space in ${os.tmpdir()} ` +
+        `(${this._formatMegabytes(freeBytes)} free, ${this._formatMegabytes(requiredBytes)} needed)`
+      );
+    }
+  }
+
+  /**
+   * Create an error caused by the video or the request rather than the method,
+   * which the method's circuit breaker does not count
+   * @param {string} message - Error message
+   * @param {string} [code] - ERROR_CODES value
+   * @returns {Error}
+   * @private
+   */
+  _videoError(message, code) {
+    const error = new Error(message);
+    if (code) {
+      error.code = code;
+    }
+    error.methodFault = false;
+    return error;
+  }
+
+  /**
+   * Check whether a youtube-transcript error means the video has no usable transcript
+   * @param {Error} error - Error thrown by YoutubeTranscript.fetchTranscript
+   * @returns {boolean}
+   * @private
+   */
+  _isMissingTranscriptError(error) {
+    return error instanceof YoutubeTranscriptDisabledError ||
+      error instanceof YoutubeTranscriptNotAvailableError ||
+      error instanceof YoutubeTranscriptNotAvailableLanguageError ||
+      error instanceof YoutubeTranscriptVideoUnavailableError;
+  }
+
+  /**
+   * @param {number} bytes - Size in bytes
+   * @returns {string}
+   * @private
+   */
+  _formatMegabytes(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  /**
+   * Split audio into overlapping chunks, transcribe them in parallel and stitch the results
+   * @param {string} audioPath - Source audio file
+   * @param {string} workDir - Temporary directory for chunk files
+   * @param {Object} config - Configuration
+   * @param {Object} provider - Transcription provider
+   * @returns {Promise<Object>} - Whisper-style response ({ text, language, segments })
+   * @private
+   */
+  async _transcribeInChunks(audioPath, workDir, config, provider) {
+    let duration = config.duration;
+    try {
+      duration = duration || await audioChunker.probeDuration(audioPath);
     } catch (error) {
-      // Clean up on error
-      try {
-        fs.rmSync(tmpDir, { recursive: true, force: true });
-      } catch {}
+      throw new Error(`Whisper chunking failed: ${error.message}`);
+    }
+    
+    let chunks;
+    try {
+      chunks = await audioChunker.splitAudio(audioPath, workDir, duration, config.signal);
+    } catch (error) {
+      this._throwIfAborted(config.signal);
+      throw new Error(`Audio exceeds the ${provider.name} upload limit and could not be chunked: ${error.message}`);
+    }
+    
+    log.info('Audio split into chunks', { durationSeconds: Math.round(duration), chunks: chunks.length });
+    
+    let completed = 0;
+    let transcribedSeconds = 0;
+    let chunkResults;
+    try {
+      chunkResults = await mapWithConcurrency(chunks, WHISPER_CHUNK_CONCURRENCY, async (chunk) => {
+        const response = await this._transcribeAudioFile(chunk.path, config, provider);
+        
+        completed++;
+        transcribedSeconds += chunk.durationSeconds;
+        this._emitProgress(config, {
+          stage: 'transcribing_chunk',
+          method: TRANSCRIPT_METHODS.WHISPER_AUDIO,
+          chunk: chunk.index + 1,
+          completedChunks: completed,
+          totalChunks: chunks.length
+        });
+        
+        return { ...chunk, language: response.language, segments: response.segments || [] };
+      });
+    } catch (error) {
+      // Chunks transcribed before the failure were paid for all the same
+      error.transcribedSeconds = transcribedSeconds;
       throw error;
     }
+    
+    const segments = audioChunker.stitchSegments(chunkResults);
+    
+    return {
+      text: segments.map(segment => segment.text.trim()).join(' '),
+      language: chunkResults[0]?.language,
+      duration,
+      segments
+    };
   }
 
   /**
-   * Transcribe audio buffer with OpenAI Whisper
-   * @param {ArrayBuffer} audioBuffer - Audio data
+   * Transcribe a single audio file with the selected provider
+   * @param {string} audioPath - Audio file (must be under the provider's upload limit)
    * @param {Object} config - Configuration
-   * @returns {Promise<Object>}
+   * @param {Object} provider - Transcription provider
+   * @returns {Promise<Object>} - Whisper-style response ({ text, language, duration, segments })
    * @private
    */
-  async _transcribeWithWhisper(audioBuffer, config) {
-    // Create temporary file for Whisper API
-    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-'));
-    const audioPath = path.join(tmpDir, 'audio.webm');
-    
+  async _transcribeAudioFile(audioPath, config, provider) {
     try {
-      // Write buffer to file
-      fs.writeFileSync(audioPath, Buffer.from(audioBuffer));
-      
-      // Prepare Whisper API call with language detection
-      const transcriptionConfig = {
-        file: fs.createReadStream(audioPath),
-        model: config.model || 'whisper-1',
-        response_format: config.response_format || 'verbose_json'
-      };
-      
       // Add language hint if available and confidence is high enough
+      let language;
       if (config.languageHint && config.languageConfig?.matchConfidence > 0.7) {
-        transcriptionConfig.language = languageHandler.normalizeLanguageCode(config.languageHint);
-        console.log(`🌍 Using language hint: ${transcriptionConfig.language}`);
+        language = languageHandler.getBaseLanguage(config.languageHint);
+        log.debug('Using language hint', { language });
       } else if (config.language && config.language !== 'auto') {
-        transcriptionConfig.language = languageHandler.normalizeLanguageCode(config.language);
-        console.log(`🌍 Using specified language: ${transcriptionConfig.language}`);
+        language = languageHandler.getBaseLanguage(config.language);
+        log.debug('Using specified language', { language });
       } else {
-        console.log(`🌍 Using auto-detection (no language specified)`);
-      }
-      
-      if (config.timestamp_granularities) {
-        transcriptionConfig.timestamp_granularities = config.timestamp_granularities;
+        log.debug('Using language auto-detection');
       }
       
-      // Call Whisper API
-      const response = await this.openai.audio.transcriptions.create(transcriptionConfig);
-      
-      // Clean up
-      fs.rmSync(tmpDir, { recursive: true, force: true });
-      
-      return response;
+      return await provider.transcribe(audioPath, { language, signal: config.signal });
       
     } catch (error) {
-      // Clean up on error
-      try {
-        fs.rmSync(tmpDir, { recursive: true, force: true });
-      } catch {}
-      
-      throw new Error(`Whisper API error: ${error.message}`);
+      this._throwIfAborted(config.signal);
+      throw new Error(`Whisper transcription error (${provider.name}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Report a progress event to the caller, if it asked for them
+   * @param {Object} config - Configuration with optional onProgress callback
+   * @param {Object} event - Progress event ({ stage, method, ... })
+   * @private
+   */
+  _emitProgress(config, event) {
+    if (typeof config.onProgress !== 'function') return;
+
+    try {
+      config.onProgress(event);
+    } catch (error) {
+      log.warn('Progress listener failed', { error });
     }
   }
 
+  /**
+   * Throw an AbortError if the extraction was cancelled
+   * @param {AbortSignal} [signal] - Abort signal
+   * @private
+   */
+  _throwIfAborted(signal) {
+    if (signal?.aborted) {
+      const error = new Error('Extraction cancelled');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+
+  /**
+   * Render an extraction result's canonical segments in any registered format
+   * @param {TranscriptResult} result - Successful extraction result
+   * @param {string} format - Registered format name
+   * @param {Object} context - Additional format context (title, formatOptions, ...)
+   * @returns {string}
+   */
+  renderTranscript(result, format, context = {}) {
+    return formatRegistry.render(format, result.segments || [], {
+      ...(context.formatOptions || {}),
+      videoId: context.videoId,
+      title: context.title,
+      language: result.language,
+      source: result.source || result.method,
+      videoDetails: result.videoDetails || null,
+      translation: result.translation || null
+    });
+  }
+
+  /**
+   * Run raw caption items ({ text, offset, duration }) through the caption result pipeline
+   * @param {Array} rawTranscript - Raw caption items
+   * @param {Object} config - Configuration (format, language, videoId, title, formatOptions)
+   * @param {string} source - Source label
+   * @returns {Object} - Result with transcript, segments and format
+   */
+  formatCaptions(rawTranscript, config = {}, source = 'captions') {
+    return this._formatTranscriptResult(rawTranscript, config, source);
+  }
+
   /**
    * Format transcript result into consistent structure
    * @param {Array} rawTranscript - Raw transcript data
@@ -432,63 +990,73 @@ export class UnifiedTranscriptExtractor {
   _formatTranscriptResult(rawTranscript, config, source, videoDetails = null) {
     const format = config.format || 'txt';
     
-    // Convert to standard segment format
-    const segments = rawTranscript.map(item => ({
-      text: item.text,
-      start: item.offset || (parseFloat(item.start) * 1000) || 0,
-      duration: item.duration || (parseFloat(item.dur) * 1000) || 0
-    }));
+    // Convert to canonical segment format
+    const segments = rawTranscript.map(item => {
+      const segment = {
+        text: item.text,
+        start: item.offset || (parseFloat(item.start) * 1000) || 0,
+        duration: item.duration || (parseFloat(item.dur) * 1000) || 0
+      };
+      if (item.speaker) {
+        segment.speaker = item.speaker;
+      }
+      return segment;
+    });
     
-    // Generate different output formats
-    let transcript;
-    if (format === 'srt') {
-      transcript = this._formatAsSrt(segments);
-    } else if (format === 'json') {
-      transcript = JSON.stringify({ segments, source, videoDetails }, null, 2);
-    } else {
-      transcript = segments.map(s => s.text).join(' ');
+    // The reported language is only what was requested or what the source claims
+    const languageDetection = languageHandler.verifyLanguage(
+      config.language,
+      segments.map(segment => segment.text).join(' ')
+    );
+    let language = config.language || 'en';
+    if (languageDetection.matches === false && languageDetection.confidence >= LANGUAGE_OVERRIDE_CONFIDENCE) {
+      // Replacing a language name (Whisper's "english") with its code is routine
+      const level = languageHandler.parseLanguageTag(config.language || '') ? 'warn' : 'debug';
+      log[level]('Transcript language differs from the reported language', {
+        videoId: config.videoId,
+        source,
+        reportedLanguage: config.language,
+        detectedLanguage: languageDetection.detectedLanguage,
+        confidence: languageDetection.confidence
+      });
+      language = languageDetection.detectedLanguage;
     }
     
+    const transcript = formatRegistry.render(format, segments, {
+      ...(config.formatOptions || {}),
+      videoId: config.videoId,
+      title: config.title,
+      language,
+      source,
+      videoDetails
+    });
+    
     return {
       transcript,
-      language: config.language || 'en',
+      language,
+      languageDetection,
       confidence: 0.9, // Caption-based methods generally have high confidence
       segments,
       format,
-      source
+      source,
+      videoDetails
     };
   }
 
   /**
-   * Format segments as SRT subtitle format
-   * @param {Array} segments - Transcript segments
-   * @returns {string}
+   * Convert Whisper verbose_json segments (seconds) to raw offset/duration items (ms)
+   * @param {Array} whisperSegments - Segments from the Whisper API
+   * @returns {Array}
    * @private
    */
-  _formatAsSrt(segments) {
-    return segments.map((segment, index) => {
-      const startTime = this._formatSrtTime(segment.start);
-      const endTime = this._formatSrtTime(segment.start + segment.duration);
-      return `${index + 1}\n${startTime} --> ${endTime}\n${segment.text}\n`;
-    }).join('\n');
-  }
-
-  /**
-   * Format time for SRT format
-   * @param {number} milliseconds - Time in milliseconds
-   * @returns {string}
-   * @private
-   */
-  _formatSrtTime(milliseconds) {
-    const totalSeconds = Math.floor(milliseconds / 1000);
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = totalSeconds % 60;
-    const ms = milliseconds % 1000;
-    
-    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')},${ms.toString().padStart(3, '0')}`;
+  _normalizeWhisperSegments(whisperSegments = []) {
+    return whisperSegments.map(segment => ({
+      text: (segment.text || '').trim(),
+      offset: Math.round((segment.start || 0) * 1000),
+      duration: Math.max(0, Math.round(((segment.end || 0) - (segment.start || 0)) * 1000))
+    }));
   }
 }
 
 // Export singleton instance
-export const unifiedExtractor = new UnifiedTranscriptExtractor();
\ No newline at end of file
+export const unifiedExtractor = new UnifiedTranscriptExtractor();
@@ -0,0 +1,20 @@
+// tests/api-key-store.test.js
+// API key configuration parsing
+
+import { describe, it, expect } from 'vitest';
+import { parseApiKeyConfig, API_SCOPES } from '../services/api-key-store.js';
+
+describe('parseApiKeyConfig', () => {
+  it('grants bare keys the captions scope only, like JSON entries without scopes', () => {
+    const [bare] = parseApiKeyConfig('key-one,key-two');
+    const [json] = parseApiKeyConfig('[{ "key": "key-three" }]');
+
+    expect(bare.client.scopes).toEqual([API_SCOPES.CAPTIONS]);
+    expect(json.client.scopes).toEqual([API_SCOPES.CAPTIONS]);
+  });
+
+  it('keeps explicitly granted scopes', () => {
+    const [entry] = parseApiKeyConfig('[{ "key": "key-four", "scopes": ["captions", "audio"] }]');
+    expect(entry.client.scopes).toEqual([API_SCOPES.CAPTIONS, API_SCOPES.AUDIO]);
+  });
+});
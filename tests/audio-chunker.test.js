@@ -0,0 +1,75 @@
+// tests/audio-chunker.test.js
+// Chunk planning and stitching of chunked Whisper transcripts
+
+import { describe, it, expect } from 'vitest';
+import { AudioChunker } from '../services/audio-chunker.js';
+
+const chunker = new AudioChunker({ chunkSeconds: 600, overlapSeconds: 5 });
+
+const text = segments => segments.map(segment => segment.text).join(' ');
+
+describe('AudioChunker.planChunks', () => {
+  it('plans overlapping windows covering the whole duration', () => {
+    expect(chunker.planChunks(1200)).toEqual([
+      { index: 0, startSeconds: 0, durationSeconds: 600 },
+      { index: 1, startSeconds: 595, durationSeconds: 600 },
+      { index: 2, startSeconds: 1190, durationSeconds: 10 }
+    ]);
+  });
+});
+
+describe('AudioChunker.stitchSegments', () => {
+  it('keeps a segment that straddles the cut and drops its partial repeat', () => {
+    const stitched = chunker.stitchSegments([
+      {
+        startSeconds: 0,
+        durationSeconds: 600,
+        segments: [
+          { text: 'alpha beta', start: 580, end: 589 },
+          { text: 'gamma delta epsilon zeta', start: 589, end: 599 }
+        ]
+      },
+      {
+        startSeconds: 595,
+        durationSeconds: 600,
+        segments: [
+          { text: 'epsilon zeta', start: 0, end: 4 },
+          { text: 'eta theta', start: 4, end: 10 }
+        ]
+      }
+    ]);
+
+    expect(text(stitched)).toBe('alpha beta gamma delta epsilon zeta eta theta');
+    expect(stitched[1]).toMatchObject({ start: 589, end: 599 });
+  });
+
+  it('removes words repeated across the seam', () => {
+    const stitched = chunker.stitchSegments([
+      {
+        startSeconds: 0,
+        durationSeconds: 600,
+        segments: [{ text: 'one two three', start: 590, end: 596 }]
+      },
+      {
+        startSeconds: 595,
+        durationSeconds: 600,
+        segments: [{ text: 'two three four five', start: 0, end: 8 }]
+      }
+    ]);
+
+    expect(text(stitched)).toBe('one two three four five');
+    expect(stitched[1].start).toBe(596);
+  });
+
+  it('orders chunks by start time and shifts segments to absolute time', () => {
+    const stitched = chunker.stitchSegments([
+      { startSeconds: 595, durationSeconds: 100, segments: [{ text: 'later', start: 10, end: 12 }] },
+      { startSeconds: 0, durationSeconds: 600, segments: [{ text: 'first', start: 1, end: 2 }] }
+    ]);
+
+    expect(stitched).toEqual([
+      { text: 'first', start: 1, end: 2 },
+      { text: 'later', start: 605, end: 607 }
+    ]);
+  });
+});
@@ -0,0 +1,59 @@
+// tests/bcp47.test.js
+// BCP-47 tag parsing and Accept-Language priority lists
+
+import { describe, it, expect } from 'vitest';
+import { parseLanguageTag, formatLanguageTag, parseLanguagePriorityList } from '../utils/bcp47.js';
+
+describe('parseLanguageTag', () => {
+  it.each([
+    ['pt-br', 'pt-BR'],
+    ['zh_hant', 'zh-Hant'],
+    ['ZH-hant-tw', 'zh-Hant-TW'],
+    ['es-419', 'es-419'],
+    ['sl-rozaj-biske', 'sl-rozaj-biske'],
+    ['en-US-u-ca-gregory', 'en-US-u-ca-gregory'],
+    ['de-CH-x-phonebk', 'de-CH-x-phonebk']
+  ])('canonicalizes %s as %s', (tag, canonical) => {
+    expect(formatLanguageTag(parseLanguageTag(tag))).toBe(canonical);
+  });
+
+  it('splits a tag into its subtags', () => {
+    expect(parseLanguageTag('zh-yue-Hant-HK')).toEqual({
+      language: 'zh',
+      extlangs: ['yue'],
+      script: 'Hant',
+      region: 'HK',
+      variants: [],
+      extensions: [],
+      privateUse: null
+    });
+  });
+
+  it.each(['english', 'e', '', 'en--US', '../x', 'en-US-u', 'en-x', 'en-toolongsubtag', 42])(
+    'rejects %j',
+    (tag) => {
+      expect(parseLanguageTag(tag)).toBeNull();
+    }
+  );
+});
+
+describe('parseLanguagePriorityList', () => {
+  it('orders ranges by weight and keeps list order among equal weights', () => {
+    expect(parseLanguagePriorityList('en;q=0.5, fr, de;q=0.8, es')).toEqual([
+      { range: 'fr', quality: 1 },
+      { range: 'es', quality: 1 },
+      { range: 'de', quality: 0.8 },
+      { range: 'en', quality: 0.5 }
+    ]);
+  });
+
+  it('drops q=0 ranges and entries with malformed weights', () => {
+    expect(parseLanguagePriorityList('fr;q=0, de;q=2, *;q=0.1, it;q=abc')).toEqual([
+      { range: '*', quality: 0.1 }
+    ]);
+  });
+
+  it('returns an empty list for anything but a string', () => {
+    expect(parseLanguagePriorityList(undefined)).toEqual([]);
+  });
+});
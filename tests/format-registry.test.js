@@ -0,0 +1,109 @@
+// tests/format-registry.test.js
+// WebVTT and SRT serialization of canonical transcript segments
+
+import { describe, it, expect } from 'vitest';
+import { formatRegistry, formatTimestamp, parseVttCueSettings } from '../services/format-registry.js';
+
+const segments = [
+  { start: 0, duration: 1500, text: 'Hello <world> & friends' },
+  { start: 3723004, duration: 2000, text: 'Second line', speaker: 'Host  Name' }
+];
+
+describe('formatTimestamp', () => {
+  it('formats hours, minutes, seconds and milliseconds', () => {
+    expect(formatTimestamp(3723004, '.')).toBe('01:02:03.004');
+    expect(formatTimestamp(-5)).toBe('00:00:00,000');
+  });
+});
+
+describe('vtt format', () => {
+  it('renders the header, metadata note and escaped cues', () => {
+    const vtt = formatRegistry.render('vtt', segments, {
+      language: 'en',
+      videoId: 'dQw4w9WgXcQ',
+      title: 'A --> B',
+      source: 'youtube-timedtext'
+    });
+
+    expect(vtt).toBe([
+      'WEBVTT',
+      'Kind: captions',
+      'Language: en',
+      '',
+      'NOTE',
+      'Video: dQw4w9WgXcQ',
+      'Title: A -> B',
+      'Source: youtube-timedtext',
+      '',
+      '1',
+      '00:00:00.000 --> 00:00:01.500',
+      'Hello &lt;world&gt; &amp; friends',
+      '',
+      '2',
+      '01:02:03.004 --> 01:02:05.004',
+      '<v Host Name>Second line',
+      ''
+    ].join('\n'));
+  });
+
+  it('omits the note when vttNotes is false and the language when auto-detected', () => {
+    const vtt = formatRegistry.render('vtt', segments.slice(0, 1), {
+      language: 'auto-detected',
+      videoId: 'dQw4w9WgXcQ',
+      vttNotes: false
+    });
+
+    expect(vtt).toBe('WEBVTT\nKind: captions\n\n1\n00:00:00.000 --> 00:00:01.500\nHello &lt;world&gt; &amp; friends\n');
+  });
+
+  it('appends allowed cue settings to the timing line', () => {
+    const vtt = formatRegistry.render('vtt', segments.slice(0, 1), { vttNotes: false, cueSettings: 'line:90% align:center' });
+    expect(vtt).toContain('00:00:00.000 --> 00:00:01.500 line:90% align:center\n');
+  });
+
+  it('drops invalid cue settings instead of injecting them', () => {
+    const vtt = formatRegistry.render('vtt', segments.slice(0, 1), {
+      vttNotes: false,
+      cueSettings: 'align:center\n\n99\n00:00:00.000 --> 00:00:09.000'
+    });
+    expect(vtt).toContain('00:00:00.000 --> 00:00:01.500\n');
+    expect(vtt).not.toContain('00:00:09.000');
+  });
+
+  it('keeps cue text free of blank lines', () => {
+    const vtt = formatRegistry.render('vtt', [{ start: 0, duration: 1000, text: 'one\r\n\r\n2\n00:00:05.000 --> 00:00:06.000\ntwo' }], {
+      vttNotes: false
+    });
+    expect(vtt.trimEnd().split('\n\n')).toHaveLength(2);
+  });
+
+  it('keeps the metadata note free of blank lines', () => {
+    const vtt = formatRegistry.render('vtt', segments.slice(0, 1), {
+      videoId: 'dQw4w9WgXcQ',
+      title: 'Part one\n\n99\n00:00:00.000 --> 00:00:09.000\ninjected'
+    });
+    expect(vtt.trimEnd().split('\n\n')).toHaveLength(3);
+    expect(vtt).toContain('NOTE\nVideo: dQw4w9WgXcQ\nTitle: Part one\n99\n');
+  });
+});
+
+describe('parseVttCueSettings', () => {
+  it('accepts strings and objects of allowed settings', () => {
+    expect(parseVttCueSettings('line:90% align:center')).toEqual([['line', '90%'], ['align', 'center']]);
+    expect(parseVttCueSettings({ position: '10%', size: undefined })).toEqual([['position', '10%']]);
+    expect(parseVttCueSettings('')).toEqual([]);
+  });
+
+  it('rejects unknown keys, unsafe values and line breaks', () => {
+    expect(parseVttCueSettings('color:red')).toBeNull();
+    expect(parseVttCueSettings('align:<b>')).toBeNull();
+    expect(parseVttCueSettings('align:center\nline:0')).toBeNull();
+  });
+});
+
+describe('srt format', () => {
+  it('numbers cues and neutralizes timing arrows in the text', () => {
+    const srt = formatRegistry.render('srt', [{ start: 0, duration: 1500, text: 'a --> b\n\nc' }]);
+    expect(srt).toBe('1\n00:00:00,000 --> 00:00:01,500\na -> b\nc\n');
+  });
+});
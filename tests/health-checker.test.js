@@ -0,0 +1,28 @@
+// tests/health-checker.test.js
+// Readiness snapshots served by the public /health summary
+
+import { describe, it, expect, vi } from 'vitest';
+import { HealthChecker } from '../services/health-checker.js';
+
+describe('HealthChecker.getReadinessSnapshot', () => {
+  it('reuses a recent check and shares one check between concurrent callers', async () => {
+    const checker = new HealthChecker({ snapshotTtlMs: 60000 });
+    const readiness = { status: 'ready', ready: true };
+    checker.checkReadiness = vi.fn(async () => readiness);
+
+    const [first, second] = await Promise.all([checker.getReadinessSnapshot(), checker.getReadinessSnapshot()]);
+    expect(await checker.getReadinessSnapshot()).toBe(readiness);
+    expect(first).toBe(readiness);
+    expect(second).toBe(readiness);
+    expect(checker.checkReadiness).toHaveBeenCalledTimes(1);
+  });
+
+  it('checks again once the snapshot is older than its TTL', async () => {
+    const checker = new HealthChecker({ snapshotTtlMs: 0 });
+    checker.checkReadiness = vi.fn(async () => ({ status: 'ready', ready: true }));
+
+    await checker.getReadinessSnapshot();
+    await checker.getReadinessSnapshot();
+    expect(checker.checkReadiness).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,51 @@
+// tests/language-handler.test.js
+// Language tag validation, preference parsing and track matching
+
+import { describe, it, expect } from 'vitest';
+import { LanguageHandler } from '../services/language-handler.js';
+import { TranscriptService } from '../services/transcript-service.js';
+
+const handler = new LanguageHandler();
+
+describe('LanguageHandler tag validation', () => {
+  it('canonicalizes well-formed tags and rejects malformed ones', () => {
+    expect(handler.normalizeLanguageCode('pt_br')).toBe('pt-BR');
+    expect(handler.normalizeLanguageCode('iw')).toBe('he');
+    expect(handler.normalizeLanguageCode('english')).toBeNull();
+    expect(handler.normalizeLanguageCode('../x')).toBeNull();
+  });
+
+  it('skips malformed entries in preference lists and reports them', () => {
+    expect(handler.parseLanguagePreferences('fr,english;q=0.5,*')).toEqual([{ language: 'fr', quality: 1 }]);
+    expect(handler.findMalformedLanguages('fr,english;q=0.5,*')).toEqual(['english']);
+  });
+
+  it.each([
+    [{ lang: 'english' }, 'lang'],
+    [{ lang: 'fr,../x' }, 'lang'],
+    [{ langs: 'en,spanish' }, 'langs'],
+    [{ format: 'bilingual', lang: 'en', secondaryLang: 'es,español' }, 'secondaryLang']
+  ])('rejects %j as a bad %s', (params, field) => {
+    const request = new TranscriptService().parseRequest({ url: 'dQw4w9WgXcQ', ...params });
+    expect(request).toMatchObject({ isValid: false, field });
+  });
+});
+
+describe('LanguageHandler Norwegian tracks', () => {
+  it('keeps nb distinct from no', () => {
+    expect(handler.normalizeLanguageCode('nob')).toBe('nb');
+    expect(handler.isSameLanguage('nb', 'no')).toBe(false);
+    expect(handler.findBestLanguageMatch(['no', 'nb'], 'nb').selectedLanguage).toBe('nb');
+    expect(handler.findBestLanguageMatch(['nb', 'no'], 'no').selectedLanguage).toBe('no');
+  });
+
+  it('falls back to no only when there is no nb track', () => {
+    expect(handler.findBestLanguageMatch(['en', 'no'], 'nb')).toMatchObject({
+      selectedLanguage: 'no',
+      matchType: 'family',
+      matchedPreference: 'nb'
+    });
+    expect(handler.getLanguageVariants('nb')).toEqual(['nb', 'nb-NO', 'no']);
+    expect(handler.planTranslation([{ languageCode: 'no', type: 'manual', isTranslatable: true }], 'nb')).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+// tests/language-identifier.test.js
+// Offline language identification and its confidence calibration
+
+import { describe, it, expect } from 'vitest';
+import { identifyLanguage } from '../utils/language-identifier.js';
+
+/**
+ * Default LANGUAGE_OVERRIDE_CONFIDENCE: detections at or above it relabel a track
+ */
+const OVERRIDE_CONFIDENCE = 0.9;
+
+describe('identifyLanguage', () => {
+  it('reports too little text', () => {
+    expect(identifyLanguage('ok')).toMatchObject({ language: null, confidence: 0, method: 'insufficient-text' });
+  });
+
+  it('identifies languages with a script of their own', () => {
+    const result = identifyLanguage('안녕하세요 여러분 오늘은 맛있는 음식을 만드는 방법에 대해 이야기해 보겠습니다');
+    expect(result).toMatchObject({ language: 'ko', method: 'script' });
+    expect(result.confidence).toBeGreaterThanOrEqual(OVERRIDE_CONFIDENCE);
+  });
+
+  it('identifies Latin-script languages outside confusable groups with full confidence', () => {
+    const result = identifyLanguage(
+      'Hello everyone, today I want to show you how to bake a simple loaf of bread at home with just a few ingredients.'
+    );
+    expect(result).toMatchObject({ language: 'en', method: 'ngram' });
+    expect(result.confidence).toBeGreaterThanOrEqual(OVERRIDE_CONFIDENCE);
+  });
+
+  it.each([
+    ['uk', 'Привіт усім! Сьогодні ми поговоримо про те, як приготувати смачний борщ. Дякую, що дивитеся, і не забудьте підписатися на канал.'],
+    ['ru', 'Всем привет! Сегодня мы поговорим о том, как приготовить вкусный борщ. Спасибо, что смотрите, и не забудьте подписаться на канал.'],
+    ['fa', 'سلام به همه، امروز می‌خواهیم درباره این صحبت کنیم که چطور یک غذای خوشمزه درست کنیم. ممنون که تماشا کردید.'],
+    ['ur', 'سب کو سلام، آج ہم بات کریں گے کہ مزیدار کھانا کیسے بنایا جاتا ہے۔ دیکھنے کا بہت شکریہ۔'],
+    ['ar', 'مرحبا بالجميع، اليوم سوف نتحدث عن كيفية تحضير طعام لذيذ في المنزل. شكرا لكم على المشاهدة.']
+  ])('tells %s apart from other languages sharing its script', (language, text) => {
+    const result = identifyLanguage(text);
+    expect(result).toMatchObject({ language, method: 'ngram' });
+    expect(result.confidence).toBeLessThan(OVERRIDE_CONFIDENCE);
+  });
+
+  it.each([
+    ['no', 'Det er en fin dag i dag, og vi skal gå en tur med hunden. Etterpå skal vi spise middag hos bestemor, og så skal vi se på fotball på TV.'],
+    ['id', 'Pemerintah telah memutuskan bahwa sekolah akan dibuka kembali minggu depan. Para siswa tetap harus menjaga jarak dan guru harus sering mencuci tangan.']
+  ])('identifies %s without the confidence to relabel a closely related language', (language, text) => {
+    const result = identifyLanguage(text);
+    expect(result.language).toBe(language);
+    expect(result.confidence).toBeLessThan(OVERRIDE_CONFIDENCE);
+  });
+});
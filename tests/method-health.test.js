@@ -0,0 +1,127 @@
+// tests/method-health.test.js
+// Circuit breakers and the failures that feed them
+
+import { describe, it, expect, vi } from 'vitest';
+import { MethodHealthTracker, CIRCUIT_STATES, isMethodFailure } from '../services/method-health.js';
+import { UnifiedTranscriptExtractor } from '../services/unified-extractor.js';
+import { ERROR_CODES } from '../types/interfaces.js';
+
+const METHOD = 'youtube-timedtext';
+
+function createTracker() {
+  let now = 0;
+  const tracker = new MethodHealthTracker({ failureThreshold: 2, cooldownMs: 1000, now: () => now });
+  return { tracker, advance: ms => { now += ms; } };
+}
+
+function openCircuit(tracker) {
+  tracker.record(METHOD, { success: false, error: 'HTTP 500' });
+  tracker.record(METHOD, { success: false, error: 'HTTP 500' });
+}
+
+describe('MethodHealthTracker', () => {
+  it('opens after consecutive failures and turns half-open after the cooldown', () => {
+    const { tracker, advance } = createTracker();
+    openCircuit(tracker);
+    expect(tracker.getState(METHOD)).toBe(CIRCUIT_STATES.OPEN);
+    expect(tracker.isAvailable(METHOD)).toBe(false);
+
+    advance(1000);
+    expect(tracker.getState(METHOD)).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(tracker.isAvailable(METHOD)).toBe(true);
+  });
+
+  it('admits a single trial while half-open', () => {
+    const { tracker, advance } = createTracker();
+    openCircuit(tracker);
+    advance(1000);
+
+    expect(tracker.beginAttempt(METHOD)).toBe(true);
+    expect(tracker.beginAttempt(METHOD)).toBe(false);
+    expect(tracker.isAvailable(METHOD)).toBe(false);
+
+    tracker.record(METHOD, { success: true });
+    expect(tracker.getState(METHOD)).toBe(CIRCUIT_STATES.CLOSED);
+    expect(tracker.beginAttempt(METHOD)).toBe(true);
+  });
+
+  it('reopens on a failed trial and frees the trial slot on release or expiry', () => {
+    const { tracker, advance } = createTracker();
+    openCircuit(tracker);
+    advance(1000);
+
+    tracker.beginAttempt(METHOD);
+    tracker.releaseAttempt(METHOD);
+    expect(tracker.beginAttempt(METHOD)).toBe(true);
+
+    advance(1000);
+    expect(tracker.beginAttempt(METHOD)).toBe(true);
+
+    tracker.record(METHOD, { success: false, error: 'timeout' });
+    expect(tracker.getState(METHOD)).toBe(CIRCUIT_STATES.OPEN);
+  });
+});
+
+describe('isMethodFailure', () => {
+  it('ignores failures caused by the video or the client', () => {
+    expect(isMethodFailure({ code: ERROR_CODES.NO_CAPTIONS_AVAILABLE })).toBe(false);
+    expect(isMethodFailure({ code: ERROR_CODES.FORBIDDEN })).toBe(false);
+    expect(isMethodFailure({ methodFault: false })).toBe(false);
+  });
+
+  it('counts infrastructure failures', () => {
+    expect(isMethodFailure(new Error('timedtext request failed with HTTP 503'))).toBe(true);
+    expect(isMethodFailure({ code: ERROR_CODES.WHISPER_API_ERROR })).toBe(true);
+  });
+});
+
+describe('UnifiedTranscriptExtractor.extractWithFallback', () => {
+  function createExtractor(tracker, failure) {
+    const extractor = new UnifiedTranscriptExtractor({ methodHealth: tracker });
+    extractor.extractTranscript = vi.fn(async (videoId, method) => ({
+      success: false,
+      transcript: '',
+      method,
+      extractionTime: 5,
+      ...failure
+    }));
+    return extractor;
+  }
+
+  it('does not open circuits for videos without captions', async () => {
+    const { tracker } = createTracker();
+    const extractor = createExtractor(tracker, {
+      error: 'No manual caption tracks available',
+      errorCode: ERROR_CODES.NO_CAPTIONS_AVAILABLE,
+      methodFault: false
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await extractor.extractWithFallback('dQw4w9WgXcQ', [METHOD]);
+    }
+    expect(tracker.getState(METHOD)).toBe(CIRCUIT_STATES.CLOSED);
+    expect(tracker.getStats(METHOD).samples).toBe(0);
+  });
+
+  it('opens circuits for infrastructure failures', async () => {
+    const { tracker } = createTracker();
+    const extractor = createExtractor(tracker, { error: 'timedtext request failed with HTTP 502' });
+
+    await extractor.extractWithFallback('dQw4w9WgXcQ', [METHOD]);
+    await extractor.extractWithFallback('dQw4w9WgXcQ', [METHOD]);
+    expect(tracker.getState(METHOD)).toBe(CIRCUIT_STATES.OPEN);
+  });
+
+  it('skips a method whose half-open trial is already running', async () => {
+    const { tracker, advance } = createTracker();
+    openCircuit(tracker);
+    advance(1000);
+    tracker.beginAttempt(METHOD);
+
+    const extractor = createExtractor(tracker, { error: 'timedtext request failed with HTTP 502' });
+    await extractor.extractWithFallback('dQw4w9WgXcQ', [METHOD, 'youtube-transcript']);
+
+    expect(extractor.extractTranscript).toHaveBeenCalledTimes(1);
+    expect(extractor.extractTranscript).toHaveBeenCalledWith('dQw4w9WgXcQ', 'youtube-transcript', {});
+  });
+});
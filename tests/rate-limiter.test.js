@@ -0,0 +1,133 @@
+// tests/rate-limiter.test.js
+// Token buckets, daily quotas and failing closed when the store is unavailable
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { RateLimiter, MemoryRateLimitStore, createRateLimiter } from '../middleware/rate-limiter.js';
+import { ERROR_CODES } from '../types/interfaces.js';
+
+/**
+ * Minimal Express response recording status, headers and body
+ */
+function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+async function send(middleware, req) {
+  const res = createResponse();
+  const next = vi.fn();
+  await middleware(req, res, next);
+  return { res, passed: next.mock.calls.length === 1 };
+}
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('MemoryRateLimitStore', () => {
+  it('refills tokens over time', async () => {
+    vi.useFakeTimers();
+    const store = new MemoryRateLimitStore();
+    const bucket = { capacity: 2, refillPerSecond: 1 };
+
+    expect((await store.consumeTokens('k', bucket)).allowed).toBe(true);
+    expect((await store.consumeTokens('k', bucket)).allowed).toBe(true);
+    expect((await store.consumeTokens('k', bucket)).allowed).toBe(false);
+
+    vi.advanceTimersByTime(1000);
+    expect(await store.consumeTokens('k', bucket)).toEqual({ allowed: true, remaining: 0 });
+  });
+
+  it('counts quotas until they expire', async () => {
+    vi.useFakeTimers();
+    const store = new MemoryRateLimitStore();
+    const quota = { limit: 3, cost: 2, ttlSeconds: 60 };
+
+    expect(await store.consumeQuota('q', quota)).toEqual({ allowed: true, used: 2 });
+    expect(await store.consumeQuota('q', quota)).toEqual({ allowed: false, used: 2 });
+
+    vi.advanceTimersByTime(60 * 1000);
+    expect(await store.consumeQuota('q', quota)).toEqual({ allowed: true, used: 2 });
+  });
+});
+
+describe('RateLimiter', () => {
+  it('charges unverified clients to their IP and verified ones to their key', () => {
+    const limiter = new RateLimiter({ limits: { keyPerMinute: 100 } });
+
+    expect(limiter.identify({ ip: '10.0.0.1', headers: { 'x-api-key': 'made-up' } })).toMatchObject({
+      id: 'ip:10.0.0.1',
+      type: 'ip'
+    });
+    expect(limiter.identify({ ip: '10.0.0.1', client: { id: 'client-1', rateLimit: { keyPerMinute: 5 } } })).toMatchObject({
+      id: 'key:client-1',
+      type: 'key',
+      limits: { keyPerMinute: 5 }
+    });
+  });
+
+  it('rejects requests over the per-minute limit with 429 and Retry-After', async () => {
+    const middleware = new RateLimiter({ limits: { ipPerMinute: 2, dailyQuota: 0 } }).middleware();
+    const req = { ip: '10.0.0.2' };
+
+    expect((await send(middleware, req)).passed).toBe(true);
+    expect((await send(middleware, req)).passed).toBe(true);
+
+    const { res, passed } = await send(middleware, req);
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(429);
+    expect(res.body.code).toBe(ERROR_CODES.RATE_LIMIT_EXCEEDED);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(res.headers['x-ratelimit-remaining']).toBe('0');
+  });
+
+  it('rejects requests over the daily quota', async () => {
+    const middleware = new RateLimiter({ limits: { ipPerMinute: 0, dailyQuota: 1 } }).middleware();
+    const req = { ip: '10.0.0.3' };
+
+    await send(middleware, req);
+    const { res } = await send(middleware, req);
+    expect(res.statusCode).toBe(429);
+    expect(res.body.code).toBe(ERROR_CODES.QUOTA_EXCEEDED);
+  });
+
+  it('fails closed with 503 when the store is unavailable', async () => {
+    const store = {
+      consumeTokens: vi.fn().mockRejectedValue(new Error('ECONNREFUSED')),
+      consumeQuota: vi.fn().mockRejectedValue(new Error('ECONNREFUSED'))
+    };
+    const limiter = new RateLimiter({ store });
+
+    const { res, passed } = await send(limiter.middleware(), { ip: '10.0.0.4' });
+    expect(passed).toBe(false);
+    expect(res.statusCode).toBe(503);
+    expect(res.body.code).toBe(ERROR_CODES.SERVICE_UNAVAILABLE);
+    expect(res.headers['retry-after']).toBeDefined();
+
+    await expect(limiter.authorizeMethod(limiter.identify({ ip: '10.0.0.4' }), 'whisper-audio'))
+      .rejects.toMatchObject({ code: ERROR_CODES.SERVICE_UNAVAILABLE });
+  });
+
+  it('charges whisper-audio only when that method runs', async () => {
+    const limiter = new RateLimiter({ limits: { whisperPerHour: 1 } });
+    const client = limiter.identify({ ip: '10.0.0.5' });
+
+    await expect(limiter.authorizeMethod(client, 'youtube-timedtext')).resolves.toBeUndefined();
+    await expect(limiter.authorizeMethod(client, 'whisper-audio', { cached: true })).resolves.toBeUndefined();
+    await expect(limiter.authorizeMethod(client, 'whisper-audio')).resolves.toBeUndefined();
+    await expect(limiter.authorizeMethod(client, 'whisper-audio'))
+      .rejects.toMatchObject({ code: ERROR_CODES.RATE_LIMIT_EXCEEDED });
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('requires REDIS_URL for the redis backend', () => {
+    expect(() => createRateLimiter({ RATE_LIMIT_BACKEND: 'redis' })).toThrow(/REDIS_URL/);
+  });
+});
@@ -0,0 +1,53 @@
+// tests/segment-aligner.test.js
+// Pairing of two transcript tracks by timestamp overlap
+
+import { describe, it, expect } from 'vitest';
+import { alignSegments } from '../utils/segment-aligner.js';
+
+const segment = (start, duration, text) => ({ start, duration, text });
+
+describe('alignSegments', () => {
+  it('pairs each secondary segment with the primary segment it overlaps most', () => {
+    const cues = alignSegments(
+      [segment(0, 2000, 'Hello'), segment(2000, 2000, 'everyone')],
+      [segment(100, 1500, 'Hola'), segment(1800, 2100, 'a todos')]
+    );
+
+    expect(cues).toEqual([
+      { start: 0, duration: 2000, primary: 'Hello', secondary: 'Hola' },
+      { start: 2000, duration: 2000, primary: 'everyone', secondary: 'a todos' }
+    ]);
+  });
+
+  it('joins several secondary segments on one primary cue', () => {
+    const cues = alignSegments(
+      [segment(0, 4000, 'Welcome back to the channel')],
+      [segment(0, 2000, 'Bienvenidos'), segment(2000, 2000, 'de nuevo al canal')]
+    );
+
+    expect(cues[0].secondary).toBe('Bienvenidos de nuevo al canal');
+  });
+
+  it('bridges small gaps and keeps distant secondary segments as their own cues', () => {
+    const cues = alignSegments(
+      [segment(0, 1000, 'One'), segment(10000, 1000, 'Two')],
+      [segment(1500, 1000, 'Uno'), segment(5000, 1000, 'Dos')],
+      { maxGap: 1000 }
+    );
+
+    expect(cues).toEqual([
+      { start: 0, duration: 1000, primary: 'One', secondary: 'Uno' },
+      { start: 5000, duration: 1000, primary: null, secondary: 'Dos' },
+      { start: 10000, duration: 1000, primary: 'Two', secondary: null }
+    ]);
+  });
+
+  it('prefers the earlier primary segment on equal overlap and flattens line breaks', () => {
+    const cues = alignSegments(
+      [segment(0, 1000, 'First'), segment(1000, 1000, 'Second')],
+      [segment(500, 1000, 'Primero\ny segundo'), segment(3000, 0, '  ')]
+    );
+
+    expect(cues.map(cue => cue.secondary)).toEqual(['Primero y segundo', null]);
+  });
+});
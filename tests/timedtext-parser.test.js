@@ -0,0 +1,47 @@
+// tests/timedtext-parser.test.js
+// Timedtext parsers against the saved caption fixtures
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import {
+  parseTimedText,
+  detectTimedTextFormat,
+  decodeEntities,
+  TIMEDTEXT_FORMATS
+} from '../utils/timedtext-parser.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/timedtext/', import.meta.url));
+const expected = JSON.parse(fs.readFileSync(`${FIXTURES}expected.json`, 'utf8'));
+
+const readFixture = name => fs.readFileSync(`${FIXTURES}${name}`, 'utf8');
+
+describe('parseTimedText', () => {
+  it.each(Object.keys(expected))('parses %s', (name) => {
+    expect(parseTimedText(readFixture(name))).toEqual(expected[name]);
+  });
+
+  it('rejects bodies in no known format', () => {
+    expect(() => parseTimedText('<html></html>')).toThrow();
+  });
+});
+
+describe('detectTimedTextFormat', () => {
+  it.each([
+    ['captions.xml', TIMEDTEXT_FORMATS.XML],
+    ['captions.srv3.xml', TIMEDTEXT_FORMATS.SRV3],
+    ['captions.json3.json', TIMEDTEXT_FORMATS.JSON3]
+  ])('detects %s as %s', (name, format) => {
+    expect(detectTimedTextFormat(readFixture(name))).toBe(format);
+  });
+
+  it('returns null for empty bodies', () => {
+    expect(detectTimedTextFormat('')).toBeNull();
+  });
+});
+
+describe('decodeEntities', () => {
+  it('decodes named and numeric references and keeps unknown ones', () => {
+    expect(decodeEntities('Fish &amp; chips &#39;n&#x27; caf&eacute;')).toBe("Fish & chips 'n' caf&eacute;");
+  });
+});
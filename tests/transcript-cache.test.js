@@ -0,0 +1,45 @@
+// tests/transcript-cache.test.js
+// Transcript cache keys per method, provider and caption track
+
+import { describe, it, expect } from 'vitest';
+import { TranscriptCache, MemoryCacheStore } from '../services/transcript-cache.js';
+
+const VIDEO_ID = 'dQw4w9WgXcQ';
+
+function result(overrides) {
+  return {
+    success: true,
+    language: 'en',
+    method: 'youtube-timedtext',
+    segments: [{ start: 0, duration: 1000, text: overrides.text }],
+    ...overrides
+  };
+}
+
+describe('TranscriptCache', () => {
+  it('keeps manual, auto and machine-translated tracks of one language apart', async () => {
+    const cache = new TranscriptCache(new MemoryCacheStore());
+    await cache.setTranscript(VIDEO_ID, 'en', result({ text: 'manual', captionType: 'manual' }));
+    await cache.setTranscript(VIDEO_ID, 'en', result({ text: 'auto', captionType: 'auto' }));
+    await cache.setTranscript(VIDEO_ID, 'en', result({
+      text: 'translated',
+      captionType: 'manual',
+      translation: { sourceLanguage: 'de', targetLanguage: 'en' }
+    }));
+
+    const find = async tracks => (await cache.findTranscript(VIDEO_ID, 'en', ['youtube-timedtext'], {}, tracks))?.segments[0].text;
+
+    expect(await find([{ captionType: 'manual' }])).toBe('manual');
+    expect(await find([{ captionType: 'auto' }])).toBe('auto');
+    expect(await find([{ captionType: 'manual', translatedFrom: 'de' }])).toBe('translated');
+    expect(await find([{ captionType: 'auto', translatedFrom: 'de' }])).toBeUndefined();
+  });
+
+  it('keys whisper transcripts by provider', async () => {
+    const cache = new TranscriptCache(new MemoryCacheStore());
+    await cache.setTranscript(VIDEO_ID, 'en', result({ text: 'stub', method: 'whisper-audio', transcriptionProvider: 'stub' }));
+
+    expect(await cache.findTranscript(VIDEO_ID, 'en', ['whisper-audio'], { 'whisper-audio': 'openai' })).toBeNull();
+    expect(await cache.findTranscript(VIDEO_ID, 'en', ['whisper-audio'], { 'whisper-audio': 'stub' })).toMatchObject({ method: 'whisper-audio' });
+  });
+});
@@ -0,0 +1,149 @@
+// tests/transcript-pipeline.test.js
+// Request parsing, strategy selection, whisper-audio extraction, caching and costing
+// end to end, with the stub transcription provider standing in for a speech-to-text API
+
+import { describe, it, expect, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { TranscriptService } from '../services/transcript-service.js';
+import { TranscriptStrategySelector } from '../services/strategy-selector.js';
+import { UnifiedTranscriptExtractor } from '../services/unified-extractor.js';
+import { MethodHealthTracker } from '../services/method-health.js';
+import { TranscriptCache, MemoryCacheStore } from '../services/transcript-cache.js';
+import { TranscriptionProviderRegistry, StubTranscriptionProvider } from '../services/transcription-providers.js';
+import { CostEstimator } from '../services/cost-estimator.js';
+
+const VIDEO_ID = 'dQw4w9WgXcQ';
+const STUB_TEXT = 'Welcome back to the channel. Today we are looking at how caption files work. Thanks for watching.';
+
+/**
+ * Build a transcript service whose only outside dependencies are stubbed:
+ * metadata comes from a fixture object and audio "downloads" write a local file
+ */
+function createService() {
+  const methodHealth = new MethodHealthTracker();
+  const transcriptionProviders = new TranscriptionProviderRegistry('stub')
+    .register(new StubTranscriptionProvider({ text: STUB_TEXT }));
+
+  const transcriptExtractor = new UnifiedTranscriptExtractor({ transcriptionProviders, methodHealth });
+  transcriptExtractor._downloadYouTubeAudio = async (videoUrl, config, workDir) => {
+    const audioPath = path.join(workDir, 'audio.webm');
+    const sizeBytes = 1024 * 1024 + 1;
+    await fs.promises.writeFile(audioPath, Buffer.alloc(sizeBytes));
+    return { path: audioPath, sizeBytes, durationSeconds: 15 };
+  };
+
+  return new TranscriptService({
+    metadataExtractor: {
+      getVideoMetadata: async videoId => ({
+        videoId,
+        title: 'Caption formats explained',
+        duration: 15,
+        hasClosedCaptions: false,
+        availableLanguages: [],
+        captionTracks: []
+      })
+    },
+    strategySelector: new TranscriptStrategySelector({ health: methodHealth }),
+    transcriptExtractor,
+    cache: new TranscriptCache(new MemoryCacheStore()),
+    transcriptionProviders,
+    costEstimator: new CostEstimator()
+  });
+}
+
+function parse(service, params) {
+  const request = service.parseRequest({ url: `https://www.youtube.com/watch?v=${VIDEO_ID}`, ...params });
+  expect(request.isValid).toBe(true);
+  return request.options;
+}
+
+describe('TranscriptService.parseRequest', () => {
+  it.each(['manual', 'auto'])('rejects captionType=%s with method=whisper-audio', (captionType) => {
+    const request = createService().parseRequest({ url: VIDEO_ID, method: 'whisper-audio', captionType });
+    expect(request).toMatchObject({ isValid: false, field: 'captionType' });
+  });
+
+  it('rejects translate=true with method=whisper-audio', () => {
+    const request = createService().parseRequest({ url: VIDEO_ID, method: 'whisper-audio', translate: 'true' });
+    expect(request).toMatchObject({ isValid: false, field: 'translate' });
+  });
+});
+
+describe('transcript pipeline with the stub provider', () => {
+  it('transcribes audio, renders the requested format and serves repeats from cache', async () => {
+    const service = createService();
+    const options = parse(service, { method: 'whisper-audio', provider: 'stub', format: 'srt', lang: 'en' });
+    const stages = [];
+
+    const first = await service.getTranscript(VIDEO_ID, options, { onProgress: event => stages.push(event.stage) });
+
+    expect(first.cacheStatus).toBe('MISS');
+    expect(first.result).toMatchObject({
+      success: true,
+      method: 'whisper-audio',
+      language: 'en',
+      transcriptionProvider: 'stub'
+    });
+    expect(first.result.segments).toHaveLength(3);
+    expect(first.result.transcript).toBe([
+      '1',
+      '00:00:00,000 --> 00:00:05,000',
+      'Welcome back to the channel.',
+      '',
+      '2',
+      '00:00:05,000 --> 00:00:10,000',
+      'Today we are looking at how caption files work.',
+      '',
+      '3',
+      '00:00:10,000 --> 00:00:15,000',
+      'Thanks for watching.',
+      ''
+    ].join('\n'));
+    expect(first.result.languageDetection).toMatchObject({ detectedLanguage: 'en', matches: true });
+    expect(stages).toEqual(expect.arrayContaining(['metadata', 'strategy', 'download_start', 'transcribing', 'completed']));
+
+    const second = await service.getTranscript(VIDEO_ID, parse(service, {
+      method: 'whisper-audio',
+      provider: 'stub',
+      format: 'txt',
+      lang: 'en'
+    }));
+
+    expect(second.cacheStatus).toBe('HIT');
+    expect(second.result.transcript).toBe(STUB_TEXT);
+    expect(second.result.cost.amount).toBe(0);
+  });
+
+  it('runs the method guard before serving a cache hit', async () => {
+    const service = createService();
+    const options = parse(service, { method: 'whisper-audio', provider: 'stub' });
+    await service.getTranscript(VIDEO_ID, options);
+
+    const forbidden = Object.assign(new Error("API key lacks the 'audio' scope"), { code: 'FORBIDDEN' });
+    await expect(service.getTranscript(VIDEO_ID, options, {
+      authorizeMethod: async () => { throw forbidden; }
+    })).rejects.toMatchObject({ code: 'FORBIDDEN' });
+
+    const settle = vi.fn();
+    const authorizeMethod = vi.fn(async () => settle);
+    const hit = await service.getTranscript(VIDEO_ID, options, { authorizeMethod });
+
+    expect(hit.cacheStatus).toBe('HIT');
+    expect(authorizeMethod).toHaveBeenCalledWith('whisper-audio', expect.objectContaining({
+      cached: true,
+      cost: expect.objectContaining({ amount: 0 })
+    }));
+    expect(settle).toHaveBeenCalledWith(expect.objectContaining({ cached: true }));
+  });
+
+  it('rejects the request when the audio method is vetoed', async () => {
+    const service = createService();
+    const options = parse(service, { method: 'whisper-audio', provider: 'stub' });
+    const veto = Object.assign(new Error('Budget exceeded'), { code: 'BUDGET_EXCEEDED' });
+
+    await expect(service.getTranscript(VIDEO_ID, options, {
+      authorizeMethod: async () => { throw veto; }
+    })).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+  });
+});
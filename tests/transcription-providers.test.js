@@ -0,0 +1,17 @@
+// tests/transcription-providers.test.js
+// Provider configuration from the environment
+
+import { describe, it, expect } from 'vitest';
+import { createTranscriptionProviders } from '../services/transcription-providers.js';
+
+describe('createTranscriptionProviders', () => {
+  it('leaves openai-compatible unconfigured without a base URL', () => {
+    const providers = createTranscriptionProviders({ TRANSCRIPTION_API_KEY: 'sk-test' });
+    expect(providers.get('openai-compatible').isConfigured()).toBe(false);
+  });
+
+  it('configures openai-compatible with a base URL and no key', () => {
+    const providers = createTranscriptionProviders({ TRANSCRIPTION_BASE_URL: 'http://localhost:8000/v1' });
+    expect(providers.get('openai-compatible').isConfigured()).toBe(true);
+  });
+});
@@ -9,6 +9,28 @@
  * @property {string|null} error - Error message if validation failed
  */
 
+/**
+ * @typedef {Object} ParsedYouTubeUrl
+ * @property {boolean} isValid - Whether the input is a recognised YouTube URL
+ * @property {'video'|'playlist'|'channel'|'handle'|null} type - Kind of resource the URL points to
+ * @property {string|null} videoId - Video ID (type 'video')
+ * @property {string|null} playlistId - Playlist ID (type 'playlist', or a video opened from a playlist)
+ * @property {string|null} channelId - Channel ID (UC...)
+ * @property {string|null} handle - Channel handle including '@'
+ * @property {string|null} customName - Legacy /c/ or /user/ channel name
+ * @property {boolean} isLive - Whether the URL is a /live/ URL
+ * @property {string|null} normalizedUrl - Canonical URL for the resource
+ * @property {string|null} error - Error message if parsing failed
+ */
+
+/**
+ * @typedef {Object} PlaylistVideo
+ * @property {string} videoId - YouTube video ID
+ * @property {string} title - Video title
+ * @property {number|null} durationSeconds - Video duration in seconds, if known
+ * @property {number} position - 1-based position in the playlist
+ */
+
 /**
  * @typedef {Object} VideoMetadata
  * @property {string} videoId - YouTube video ID
@@ -19,11 +41,24 @@
  * @property {boolean} isUpcoming - Whether video is scheduled for future
  * @property {boolean} hasClosedCaptions - Whether video has captions available
  * @property {string[]} availableLanguages - List of available caption languages
+ * @property {CaptionTrack[]} [captionTracks] - Caption tracks from the player response
+ * @property {string[]} [translationLanguages] - Languages YouTube can machine-translate translatable tracks into
  * @property {string} thumbnailUrl - Video thumbnail URL
  * @property {string} channelName - Channel name
  * @property {string} publishDate - Video publish date
  */
 
+/**
+ * @typedef {Object} CaptionTrack
+ * @property {string|null} languageCode - Track language
+ * @property {string} name - Display name (e.g. "English (auto-generated)")
+ * @property {'manual'|'auto'} type - Human-authored (uploaded) or automatic speech recognition captions
+ * @property {string|null} kind - YouTube track kind ('asr' for automatic captions)
+ * @property {string|null} vssId - YouTube track identifier (".en", "a.en")
+ * @property {boolean} isTranslatable - Whether YouTube can machine-translate the track
+ * @property {string} baseUrl - Signed timedtext URL (expires after some hours)
+ */
+
 /**
  * @typedef {Object} AvailabilityStatus
  * @property {boolean} isAvailable - Whether video is accessible
@@ -35,8 +70,13 @@
 /**
  * @typedef {Object} ExtractionPreferences
  * @property {string} [preferredLanguage] - Preferred caption language (default: 'en')
- * @property {'txt'|'srt'|'json'} format - Output format (default: 'txt')
+ * @property {LanguagePreference[]} [preferredLanguages] - Ranked preferences; preferredLanguage is the first
+ * @property {string} format - Output format (default: 'txt')
  * @property {boolean} fallbackToAudio - Whether to fallback to audio transcription (default: true)
+ * @property {Object} [formatOptions] - Format-specific options passed to the serializer (e.g. cueSettings, vttNotes)
+ * @property {string} [transcriptionProvider] - Speech-to-text provider for whisper-audio (default: TRANSCRIPTION_PROVIDER)
+ * @property {'manual'|'auto'|'any'} [captionType] - Which caption tracks are acceptable (default: 'any')
+ * @property {boolean} [translate] - Machine-translate a caption track when none is in the preferred language (default: false)
  */
 
 /**
@@ -49,7 +89,73 @@
  * @property {TranscriptSegment[]} [segments] - Transcript segments with timestamps
  * @property {number} [confidence] - Confidence score (0-1)
  * @property {number} [audioSizeBytes] - Audio file size if audio method used
+ * @property {string} [transcriptionProvider] - Speech-to-text provider if audio method used
+ * @property {'manual'|'auto'|null} [captionType] - Kind of caption track used (null when unknown or for audio)
+ * @property {TranslationInfo|null} [translation] - Set when the captions were machine-translated by YouTube
+ * @property {LanguageDetection} [languageDetection] - Language identified from the transcript text
+ * @property {LanguageNegotiation} [languageNegotiation] - How the language was chosen from the request's preferences
+ * @property {number} [audioDurationSeconds] - Length of the transcribed audio if audio method used
+ * @property {number} [transcribedSeconds] - Audio already transcribed (and paid for) when an audio attempt failed
+ * @property {CostEstimate} [cost] - What producing this result cost (0 for cache hits)
  * @property {string|null} error - Error message if extraction failed
+ * @property {string} [errorCode] - ERROR_CODES value of the failure, when known
+ * @property {boolean} [methodFault] - False when the failure was caused by the video or the request, not the method
+ */
+
+/**
+ * @typedef {Object} LanguageDetection
+ * @property {string|null} reportedLanguage - Language the extraction method reported
+ * @property {string|null} detectedLanguage - Most likely language of the text (null for too little text)
+ * @property {number} confidence - Confidence of detectedLanguage (0-1)
+ * @property {Array<{language: string, confidence: number}>} candidates - Most likely languages, best first
+ * @property {boolean|null} matches - Whether the text is in the reported language (null when it cannot be checked)
+ */
+
+/**
+ * @typedef {Object} LanguagePreference
+ * @property {string} language - Canonical language tag
+ * @property {number} quality - Weight from the priority list (0-1]
+ */
+
+/**
+ * @typedef {Object} LanguageNegotiation
+ * @property {LanguagePreference[]} requested - Preferences, best first
+ * @property {'lang'|'accept-language'|'default'} source - Where the preferences came from
+ * @property {string} selectedLanguage - Language of the transcript
+ * @property {'exact'|'family'|'priority_fallback'|'first_available'|'translated'|'none'} matchType - How it was chosen
+ * @property {string|null} matchedPreference - Preference the transcript satisfies (null for fallbacks)
+ * @property {number} confidence - Match confidence scaled by the preference's weight (0-1)
+ */
+
+/**
+ * @typedef {Object} TranslationInfo
+ * @property {boolean} machineTranslated - Always true: YouTube translated the track automatically
+ * @property {string} sourceLanguage - Language of the caption track that was translated
+ * @property {'manual'|'auto'} sourceCaptionType - Kind of the source track
+ * @property {string} sourceTrackName - Display name of the source track
+ * @property {string} targetLanguage - Language the track was translated into
+ */
+
+/**
+ * @typedef {Object} LanguageDefinition
+ * @property {string} code - ISO 639-1 code, or ISO 639-3 for languages without one (fil, yue)
+ * @property {string} name - English name
+ * @property {string[]} [aliases] - ISO 639-2/3 and deprecated codes resolving to this language (iw, nob)
+ * @property {string[]} [variants] - Regional and script tags tried as caption fallbacks
+ * @property {string[]} [fallbacks] - Related languages served when a video has no track in this one (nb → no)
+ * @property {string|null} [country] - Default ISO 3166-1 region
+ * @property {string|null} [defaultScript] - Script assumed when a tag has none (Hans for zh)
+ * @property {Object.<string, string>} [regionScripts] - Script assumed per region (zh-TW is Hant)
+ */
+
+/**
+ * @typedef {Object} ParsedLanguageTag
+ * @property {string} tag - Canonical tag (zh-Hant-TW, pt-BR)
+ * @property {string} language - Registered primary language code (aliases resolved)
+ * @property {string|null} script - Explicit script subtag
+ * @property {string|null} region - Region subtag
+ * @property {string|null} likelyScript - Explicit script, or the one assumed for the language and region
+ * @property {boolean} known - Whether the language is in the registry
  */
 
 /**
@@ -58,17 +164,47 @@
  * @property {number} start - Start time in milliseconds
  * @property {number} duration - Duration in milliseconds
  * @property {number} [confidence] - Confidence score for this segment
+ * @property {string} [speaker] - Speaker name, rendered as a <v> tag in WebVTT
+ * @property {string|Object} [settings] - WebVTT cue settings for this segment
+ */
+
+/**
+ * @typedef {Object} BilingualCue
+ * @property {number} start - Start time in milliseconds
+ * @property {number} duration - Duration in milliseconds
+ * @property {string|null} primary - Primary language text (null for secondary text no primary cue is near)
+ * @property {string|null} secondary - Secondary language text aligned to this cue (null when none overlaps)
+ */
+
+/**
+ * @typedef {Object} OutputFormat
+ * @property {string} name - Format name used in the `format` parameter
+ * @property {string} extension - File extension for downloads
+ * @property {string} mimeType - Content-Type for downloads
+ * @property {(segments: TranscriptSegment[], context: FormatContext) => string} serialize - Serializer
+ */
+
+/**
+ * @typedef {Object} FormatContext
+ * @property {string} [videoId] - YouTube video ID
+ * @property {string} [title] - Video title
+ * @property {string} [language] - Transcript language
+ * @property {string} [source] - Extraction method that produced the segments
+ * @property {Object} [videoDetails] - Optional video details from the extraction library
+ * @property {string|Object} [cueSettings] - WebVTT cue settings applied to every cue
+ * @property {boolean} [vttNotes] - Whether to include NOTE metadata blocks in WebVTT output
+ * @property {TranslationInfo|null} [translation] - Machine translation details, noted in WebVTT output
  */
 
 /**
- * @typedef {'youtube-transcript'|'youtube-caption-extractor'|'whisper-audio'} TranscriptMethod
+ * @typedef {'youtube-timedtext'|'youtube-transcript'|'youtube-caption-extractor'|'whisper-audio'} TranscriptMethod
  */
 
 /**
  * @typedef {Object} TranscriptRequest
  * @property {string} [url] - YouTube URL
  * @property {string} [videoId] - YouTube video ID
- * @property {'txt'|'srt'|'json'} [format] - Output format
+ * @property {string} [format] - Output format
  * @property {string} [language] - Preferred language
  * @property {boolean} [fallbackToAudio] - Whether to fallback to audio transcription
  */
@@ -93,9 +229,57 @@
  * @property {number} segments - Number of transcript segments
  * @property {number} [duration] - Video duration in seconds
  * @property {number} [confidence] - Overall confidence score
+ * @property {CostEstimate} [cost] - Actual spend for this request
  * @property {number} extractionTime - Time taken for extraction in ms
  */
 
+/**
+ * @typedef {Object} CachedTranscript
+ * @property {string} videoId - YouTube video ID
+ * @property {string} language - Language reported by the extraction
+ * @property {TranscriptMethod} method - Extraction method that produced the segments
+ * @property {string} source - Source method
+ * @property {TranscriptSegment[]} segments - Canonical transcript segments
+ * @property {number} [confidence] - Confidence score (0-1)
+ * @property {'manual'|'auto'|null} [captionType] - Kind of caption track used
+ * @property {TranslationInfo|null} [translation] - Machine translation details
+ * @property {LanguageDetection|null} [languageDetection] - Language identified from the transcript text
+ * @property {number} [audioSizeBytes] - Audio file size if audio method used
+ * @property {Object|null} videoDetails - Optional video details from the extraction library
+ * @property {string} cachedAt - ISO timestamp of when the entry was stored
+ */
+
+/**
+ * @typedef {Object} CachedTrack
+ * @property {'manual'|'auto'|null} [captionType] - Kind of caption track (null for audio and unknown kinds)
+ * @property {string|null} [translatedFrom] - Source language of a machine translation
+ */
+
+/**
+ * @typedef {Object} TranscriptOutcome
+ * @property {TranscriptResult} result - Successful extraction (or cache) result
+ * @property {VideoMetadata} metadata - Video metadata used for strategy selection
+ * @property {ExtractionPreferences} preferences - User preferences
+ * @property {Object} config - Method configuration passed to the extractor
+ * @property {'HIT'|'MISS'} cacheStatus - Whether the result came from the cache
+ */
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id - Job ID
+ * @property {string|null} requestId - Correlation ID of the request that queued the job
+ * @property {'queued'|'running'|'completed'|'failed'|'cancelled'} status - Job status
+ * @property {Object} payload - { videoId, options, authorizeMethod, owner } passed to the transcript pipeline; owner is key:<id> or ip:<address>
+ * @property {Object} progress - Latest progress event ({ stage, method, percent, ... })
+ * @property {TranscriptMethod|null} currentStrategy - Method currently being attempted
+ * @property {Object[]} attempts - Failed method attempts ({ method, error })
+ * @property {TranscriptOutcome|null} result - Pipeline outcome once completed
+ * @property {string|null} error - Error message if failed or cancelled
+ * @property {string} createdAt - ISO timestamp
+ * @property {string|null} startedAt - ISO timestamp
+ * @property {string|null} finishedAt - ISO timestamp
+ */
+
 /**
  * @typedef {Object} ProcessingContext
  * @property {string} videoId - YouTube video ID
@@ -127,6 +311,7 @@ export const ERROR_CODES = {
   VIDEO_NOT_FOUND: 'VIDEO_NOT_FOUND',
   VIDEO_PRIVATE: 'VIDEO_PRIVATE',
   VIDEO_RESTRICTED: 'VIDEO_RESTRICTED',
+  PLAYLIST_NOT_FOUND: 'PLAYLIST_NOT_FOUND',
   
   // Extraction errors (500/502)
   NO_CAPTIONS_AVAILABLE: 'NO_CAPTIONS_AVAILABLE',
@@ -134,17 +319,41 @@ export const ERROR_CODES = {
   WHISPER_API_ERROR: 'WHISPER_API_ERROR',
   ALL_METHODS_FAILED: 'ALL_METHODS_FAILED',
   
+  // Authentication errors (401/403)
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  
   // Rate limiting errors (429)
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
-  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED'
+  QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+  
+  // Cost errors (402)
+  COST_LIMIT_EXCEEDED: 'COST_LIMIT_EXCEEDED',
+  BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
+  
+  // Job errors (404/409/503)
+  JOB_NOT_FOUND: 'JOB_NOT_FOUND',
+  JOB_NOT_READY: 'JOB_NOT_READY',
+  QUEUE_FULL: 'QUEUE_FULL',
+
+  // Backing service errors (503)
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE'
 };
 
-// Supported formats
-export const SUPPORTED_FORMATS = ['txt', 'srt', 'json'];
+/**
+ * Caption track kinds accepted by the `captionType` preference
+ */
+export const CAPTION_TYPES = {
+  MANUAL: 'manual', // Uploaded by the creator (human-authored)
+  AUTO: 'auto',     // YouTube automatic speech recognition (kind 'asr')
+  ANY: 'any'
+};
 
 // Default preferences
 export const DEFAULT_PREFERENCES = {
   preferredLanguage: 'en',
   format: 'txt',
-  fallbackToAudio: true
+  fallbackToAudio: true,
+  captionType: CAPTION_TYPES.ANY,
+  translate: false
 };
\ No newline at end of file
@@ -0,0 +1,156 @@
+// utils/bcp47.js
+// BCP-47 language tag parsing and case canonicalization (RFC 5646)
+
+/**
+ * @typedef {Object} LanguageTagParts
+ * @property {string} language - Primary language subtag (lowercase)
+ * @property {string[]} extlangs - Extended language subtags (zh-yue)
+ * @property {string|null} script - ISO 15924 script (Titlecase, e.g. Hant)
+ * @property {string|null} region - ISO 3166-1 or UN M.49 region (uppercase, e.g. BR or 419)
+ * @property {string[]} variants - Registered variants (lowercase)
+ * @property {string[]} extensions - Extension sequences (e.g. u-ca-gregory)
+ * @property {string|null} privateUse - Private use sequence (e.g. x-foo)
+ */
+
+const ALPHA = /^[a-z]+$/i;
+const DIGITS = /^\d+$/;
+const ALPHANUMERIC = /^[a-z0-9]+$/i;
+
+/**
+ * Parse a BCP-47 language tag
+ *
+ * Underscores are accepted as separators (en_US). Grandfathered tags and tags
+ * that are only a private use sequence are not supported.
+ * @param {string} tag - Language tag
+ * @returns {LanguageTagParts|null} - null when the tag is not well-formed
+ */
+export function parseLanguageTag(tag) {
+  if (typeof tag !== 'string') return null;
+
+  const subtags = tag.trim().split(/[-_]/);
+  if (subtags.some(subtag => !ALPHANUMERIC.test(subtag) || subtag.length > 8)) return null;
+
+  let i = 0;
+  const language = subtags[i++];
+  // 5-8 letter language subtags are reserved and none are assigned; rejecting them
+  // keeps language names ("english") from passing as tags
+  if (!ALPHA.test(language) || language.length < 2 || language.length > 3) return null;
+
+  const parts = {
+    language: language.toLowerCase(),
+    extlangs: [],
+    script: null,
+    region: null,
+    variants: [],
+    extensions: [],
+    privateUse: null
+  };
+
+  // Up to three extended language subtags
+  while (parts.extlangs.length < 3 && isAlpha(subtags[i], 3)) {
+    parts.extlangs.push(subtags[i++].toLowerCase());
+  }
+
+  if (isAlpha(subtags[i], 4)) {
+    const script = subtags[i++];
+    parts.script = script[0].toUpperCase() + script.slice(1).toLowerCase();
+  }
+
+  if (isAlpha(subtags[i], 2) || (subtags[i] && DIGITS.test(subtags[i]) && subtags[i].length === 3)) {
+    parts.region = subtags[i++].toUpperCase();
+  }
+
+  while (i < subtags.length && isVariant(subtags[i])) {
+    parts.variants.push(subtags[i++].toLowerCase());
+  }
+
+  while (i < subtags.length && subtags[i].length === 1 && subtags[i].toLowerCase() !== 'x') {
+    const singleton = subtags[i++].toLowerCase();
+    const values = [];
+    while (i < subtags.length && subtags[i].length >= 2) {
+      values.push(subtags[i++].toLowerCase());
+    }
+    if (values.length === 0) return null;
+    parts.extensions.push([singleton, ...values].join('-'));
+  }
+
+  if (i < subtags.length && subtags[i].toLowerCase() === 'x') {
+    const values = subtags.slice(i + 1).map(subtag => subtag.toLowerCase());
+    if (values.length === 0) return null;
+    parts.privateUse = ['x', ...values].join('-');
+    i = subtags.length;
+  }
+
+  return i === subtags.length ? parts : null;
+}
+
+/**
+ * Format tag parts in canonical case (language-Script-REGION-variant)
+ * @param {LanguageTagParts} parts - Tag parts
+ * @returns {string}
+ */
+export function formatLanguageTag(parts) {
+  return [
+    parts.language,
+    ...(parts.extlangs || []),
+    parts.script,
+    parts.region,
+    ...(parts.variants || []),
+    ...(parts.extensions || []),
+    parts.privateUse
+  ].filter(Boolean).join('-');
+}
+
+/**
+ * @param {string} [subtag] - Subtag
+ * @param {number} length - Required length
+ * @returns {boolean}
+ */
+function isAlpha(subtag, length) {
+  return Boolean(subtag) && subtag.length === length && ALPHA.test(subtag);
+}
+
+/**
+ * @param {string} subtag - Subtag
+ * @returns {boolean} - 5-8 alphanumerics, or a digit followed by three alphanumerics
+ */
+function isVariant(subtag) {
+  return (subtag.length >= 5 && subtag.length <= 8) || (subtag.length === 4 && /^\d/.test(subtag));
+}
+
+/**
+ * @typedef {Object} WeightedLanguageRange
+ * @property {string} range - Language range as given (a tag or '*')
+ * @property {number} quality - Weight from 0 to 1
+ */
+
+/**
+ * Parse a weighted language priority list (Accept-Language syntax, RFC 4647)
+ *
+ * `fr,de;q=0.8,en;q=0.5` yields fr (1), de (0.8), en (0.5). Ranges with q=0 are
+ * unacceptable and dropped; entries with a malformed weight are skipped.
+ * @param {string} value - Priority list
+ * @returns {WeightedLanguageRange[]} - Highest weight first, list order among equal weights
+ */
+export function parseLanguagePriorityList(value) {
+  if (typeof value !== 'string') return [];
+
+  const ranges = [];
+  for (const entry of value.split(',')) {
+    const [range, ...params] = entry.split(';').map(part => part.trim());
+    if (!range) continue;
+
+    let quality = 1;
+    const weight = params.find(param => /^q\s*=/i.test(param));
+    if (weight) {
+      const match = /^q\s*=\s*(0(?:\.\d{0,3})?|1(?:\.0{0,3})?)$/i.exec(weight);
+      if (!match) continue;
+      quality = parseFloat(match[1]);
+    }
+
+    if (quality > 0) ranges.push({ range, quality });
+  }
+
+  // Array.prototype.sort is stable, so equal weights keep their list order
+  return ranges.sort((a, b) => b.quality - a.quality);
+}
@@ -0,0 +1,41 @@
+// utils/child-process.js
+// Helpers for running external binaries (ffmpeg, local speech-to-text CLIs)
+
+import { spawn } from 'child_process';
+import path from 'path';
+
+/**
+ * Run a binary and collect stdout
+ * @param {string} command - Binary
+ * @param {string[]} args - Arguments
+ * @param {Object} options
+ * @param {AbortSignal} [options.signal] - Kills the process when aborted
+ * @param {string} [options.notFoundMessage] - Error message used when the binary is missing
+ * @returns {Promise<string>} - stdout
+ */
+export function runCommand(command, args, { signal, notFoundMessage } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { signal, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', data => { stdout += data; });
+    child.stderr.on('data', data => { stderr += data; });
+
+    child.on('error', (error) => {
+      if (error.code === 'ENOENT') {
+        reject(new Error(notFoundMessage || `${command} not found`));
+      } else {
+        reject(error);
+      }
+    });
+
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(stdout);
+      } else {
+        reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim().slice(0, 500)}`));
+      }
+    });
+  });
+}
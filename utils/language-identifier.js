@@ -0,0 +1,272 @@
+// utils/language-identifier.js
+// Offline language identification from writing script and character trigrams
+
+import { LANGUAGE_SAMPLES } from './language-profiles.js';
+
+/**
+ * Characters examined per text; transcripts are long and a sample is plenty
+ */
+const MAX_SAMPLE_CHARS = 4000;
+
+/**
+ * Letters needed before any language is reported
+ */
+const MIN_LETTERS = 20;
+
+/**
+ * Add-alpha smoothing for trigrams missing from a profile
+ */
+const SMOOTHING = 0.5;
+
+/**
+ * Trigrams are not independent, so summed log-likelihoods would make the posterior
+ * wildly overconfident. The mean log-likelihood is scaled by the square root of the
+ * trigram count instead, capped so long texts do not push every gap to certainty.
+ */
+const EVIDENCE_SCALE = 2.5;
+const MAX_EVIDENCE = 40;
+
+/**
+ * Highest confidence reported: the samples are small and cannot rule out other languages
+ */
+const MAX_CONFIDENCE = 0.99;
+
+/**
+ * Closely related languages the samples cannot reliably tell apart: picking one
+ * member over another is never reported with more than GROUP_MAX_CONFIDENCE, which
+ * stays below the confidence that replaces a track's reported language.
+ */
+const CONFUSABLE_GROUPS = [
+  ['no', 'da'],
+  ['id', 'ms'],
+  ['ru', 'uk', 'bg'],
+  ['ar', 'fa', 'ur']
+];
+const GROUP_MAX_CONFIDENCE = 0.85;
+
+/**
+ * Writing systems. Scripts with a `language` are used by a single supported
+ * language; the others are scored against the trigram profiles of the languages
+ * written in them. CJK characters stand for a syllable or word, so they weigh
+ * more than one alphabetic letter.
+ */
+const SCRIPTS = [
+  { name: 'latin', pattern: /\p{Script=Latin}/gu, weight: 1 },
+  { name: 'cyrillic', pattern: /\p{Script=Cyrillic}/gu, weight: 1 },
+  { name: 'arabic', pattern: /\p{Script=Arabic}/gu, weight: 1 },
+  { name: 'devanagari', pattern: /\p{Script=Devanagari}/gu, weight: 1, language: 'hi' },
+  { name: 'hebrew', pattern: /\p{Script=Hebrew}/gu, weight: 1, language: 'he' },
+  { name: 'thai', pattern: /\p{Script=Thai}/gu, weight: 1, language: 'th' },
+  { name: 'hangul', pattern: /\p{Script=Hangul}/gu, weight: 2, language: 'ko' },
+  { name: 'kana', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu, weight: 2 },
+  { name: 'han', pattern: /\p{Script=Han}/gu, weight: 2 }
+];
+
+/**
+ * Share of kana among CJK characters above which text is Japanese rather than Chinese
+ */
+const MIN_KANA_SHARE = 0.05;
+
+const PROFILES = buildProfiles(LANGUAGE_SAMPLES);
+
+/**
+ * Languages the identifier can report
+ */
+export const IDENTIFIABLE_LANGUAGES = [
+  ...Object.keys(LANGUAGE_SAMPLES),
+  ...SCRIPTS.map(script => script.language).filter(Boolean),
+  'ja',
+  'zh'
+];
+
+/**
+ * @typedef {Object} LanguageCandidate
+ * @property {string} language - Language code
+ * @property {number} confidence - Estimated probability that the text is in this language (0-1)
+ */
+
+/**
+ * @typedef {Object} LanguageIdentification
+ * @property {string|null} language - Most likely language (null when the text is too short)
+ * @property {number} confidence - Confidence of the most likely language (0-1)
+ * @property {LanguageCandidate[]} candidates - Most likely languages, best first
+ * @property {'script'|'ngram'|'insufficient-text'} method - How the language was determined
+ */
+
+/**
+ * Identify the language of a text
+ *
+ * The dominant writing system settles languages with a script of their own; Latin,
+ * Cyrillic and Arabic text is scored against the character trigram profiles of the
+ * languages written in that script with naive Bayes. Mixed-script text lowers the
+ * confidence by the dominant script's share of the letters.
+ * @param {string} text - Text to identify
+ * @param {Object} [options]
+ * @param {number} [options.maxCandidates=3] - Candidates to return
+ * @returns {LanguageIdentification}
+ */
+export function identifyLanguage(text, { maxCandidates = 3 } = {}) {
+  const sample = String(text || '').normalize('NFC').slice(0, MAX_SAMPLE_CHARS);
+
+  const weights = {};
+  let totalWeight = 0;
+  for (const script of SCRIPTS) {
+    const count = sample.match(script.pattern)?.length || 0;
+    weights[script.name] = count * script.weight;
+    totalWeight += count * script.weight;
+  }
+
+  if (totalWeight < MIN_LETTERS) {
+    return { language: null, confidence: 0, candidates: [], method: 'insufficient-text' };
+  }
+
+  // Kana and Han together form one CJK block that competes with the other scripts
+  const cjkWeight = weights.kana + weights.han;
+  const [dominant, dominantWeight] = Object.entries({ ...weights, cjk: cjkWeight })
+    .filter(([name]) => name !== 'kana' && name !== 'han')
+    .sort((a, b) => b[1] - a[1])[0];
+  const share = dominantWeight / totalWeight;
+
+  let candidates;
+  let method = 'script';
+  const script = SCRIPTS.find(entry => entry.name === dominant);
+  if (script && !script.language) {
+    candidates = scoreTrigrams(sample, script).map(({ language, probability }) => ({ language, probability: probability * share }));
+    method = 'ngram';
+  } else if (dominant === 'cjk') {
+    const japanese = weights.kana / cjkWeight >= MIN_KANA_SHARE;
+    candidates = japanese
+      ? [{ language: 'ja', probability: share }]
+      // Han-only text is almost always Chinese, though kanji-only Japanese exists
+      : [{ language: 'zh', probability: share * 0.95 }, { language: 'ja', probability: share * 0.05 }];
+  } else {
+    candidates = [{ language: script.language, probability: share }];
+  }
+
+  const ranked = candidates
+    .map(({ language, probability }) => ({ language, confidence: round(Math.min(maxConfidence(language), probability)) }))
+    .slice(0, maxCandidates);
+
+  return {
+    language: ranked[0].language,
+    confidence: ranked[0].confidence,
+    candidates: ranked,
+    method
+  };
+}
+
+/**
+ * Score text against the trigram profiles of the languages written in a script
+ * @param {string} text - Text sample
+ * @param {Object} script - Entry of SCRIPTS
+ * @returns {Array} - [{ language, probability }] best first
+ */
+function scoreTrigrams(text, script) {
+  // Combining marks (Arabic vowel signs) belong to no script but are part of the word
+  const trigrams = extractTrigrams(text, new RegExp(`^(?:${script.pattern.source}|\\p{M})+$`, 'u'));
+  let count = 0;
+  for (const occurrences of trigrams.values()) count += occurrences;
+
+  const profiles = Object.entries(PROFILES).filter(([, profile]) => profile.script === script.name);
+  const meanLogLikelihoods = profiles.map(([language, profile]) => {
+    let logLikelihood = 0;
+    for (const [trigram, occurrences] of trigrams) {
+      logLikelihood += occurrences * (profile.logProbabilities.get(trigram) ?? profile.unseenLogProbability);
+    }
+    return { language, score: count > 0 ? logLikelihood / count : 0 };
+  });
+
+  const evidence = EVIDENCE_SCALE * Math.min(MAX_EVIDENCE, Math.sqrt(count));
+  const best = Math.max(...meanLogLikelihoods.map(entry => entry.score));
+  const exponents = meanLogLikelihoods.map(entry => ({
+    language: entry.language,
+    value: Math.exp((entry.score - best) * evidence)
+  }));
+  const total = exponents.reduce((sum, entry) => sum + entry.value, 0);
+
+  return exponents
+    .map(entry => ({ language: entry.language, probability: entry.value / total }))
+    .sort((a, b) => b.probability - a.probability);
+}
+
+/**
+ * Highest confidence reported for a language
+ * @param {string} language - Language code
+ * @returns {number}
+ */
+function maxConfidence(language) {
+  return CONFUSABLE_GROUPS.some(group => group.includes(language)) ? GROUP_MAX_CONFIDENCE : MAX_CONFIDENCE;
+}
+
+/**
+ * Build smoothed trigram log-probabilities for every sample
+ * @param {Object.<string, string>} samples - Sample text per language
+ * @returns {Object.<string, Object>} - { script, logProbabilities, unseenLogProbability } per language
+ */
+function buildProfiles(samples) {
+  const counts = Object.entries(samples).map(([language, sample]) => ({
+    language,
+    script: dominantScript(sample),
+    trigrams: extractTrigrams(sample)
+  }));
+
+  const profiles = {};
+  for (const { language, script, trigrams } of counts) {
+    // Smoothing only spans the vocabulary of languages sharing the script
+    const vocabulary = new Set(counts
+      .filter(entry => entry.script === script)
+      .flatMap(entry => [...entry.trigrams.keys()]));
+    const vocabularySize = vocabulary.size + 1;
+
+    let total = 0;
+    for (const occurrences of trigrams.values()) total += occurrences;
+
+    const denominator = total + SMOOTHING * vocabularySize;
+    const logProbabilities = new Map();
+    for (const [trigram, occurrences] of trigrams) {
+      logProbabilities.set(trigram, Math.log((occurrences + SMOOTHING) / denominator));
+    }
+    profiles[language] = { script, logProbabilities, unseenLogProbability: Math.log(SMOOTHING / denominator) };
+  }
+  return profiles;
+}
+
+/**
+ * @param {string} text - Sample text
+ * @returns {string} - Name of the script most of the letters are written in
+ */
+function dominantScript(text) {
+  return SCRIPTS
+    .map(script => ({ name: script.name, count: text.match(script.pattern)?.length || 0 }))
+    .sort((a, b) => b.count - a.count)[0].name;
+}
+
+/**
+ * Count the character trigrams of the words in a text (words padded with spaces)
+ * @param {string} text - Text
+ * @param {RegExp} [wordFilter] - Only count words matching this pattern
+ * @returns {Map<string, number>}
+ */
+function extractTrigrams(text, wordFilter) {
+  const trigrams = new Map();
+  const words = text.toLowerCase().split(/[^\p{L}\p{M}]+/u).filter(Boolean);
+
+  for (const word of words) {
+    if (wordFilter && !wordFilter.test(word)) continue;
+
+    const padded = ` ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      const trigram = padded.slice(i, i + 3);
+      trigrams.set(trigram, (trigrams.get(trigram) || 0) + 1);
+    }
+  }
+  return trigrams;
+}
+
+/**
+ * @param {number} value - Probability
+ * @returns {number} - Rounded to three decimals
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,209 @@
+// utils/language-profiles.js
+// Sample texts the character trigram profiles of languages sharing a script are built from
+
+/**
+ * Conversational sample text per language (video intro/outro phrasing plus
+ * article 1 of the Universal Declaration of Human Rights). Languages written in
+ * a script of their own are identified by script and need no sample; languages
+ * sharing Latin, Cyrillic or Arabic script are told apart by these profiles.
+ */
+export const LANGUAGE_SAMPLES = {
+  en: `Hello everyone and welcome back to the channel. Today we are going to talk about something that a lot of you
+    have been asking about for a while. All human beings are born free and equal in dignity and rights. They are
+    endowed with reason and conscience and should act towards one another in a spirit of brotherhood. So if you want
+    to follow along, you can find the link in the description below. What I would like to show you first is how this
+    works, because it is not as difficult as it looks. There was a time when I thought that I would never understand
+    it, but then I tried it myself and it just made sense. Let me know what you think in the comments, and don't
+    forget to subscribe if you enjoyed this video. Thank you so much for watching and I will see you in the next one.`,
+
+  es: `Hola a todos y bienvenidos de nuevo al canal. Hoy vamos a hablar de algo que muchos de ustedes me han estado
+    preguntando desde hace tiempo. Todos los seres humanos nacen libres e iguales en dignidad y derechos y, dotados
+    como están de razón y conciencia, deben comportarse fraternalmente los unos con los otros. Si queréis seguir el
+    tutorial, podéis encontrar el enlace en la descripción. Lo primero que me gustaría enseñaros es cómo funciona,
+    porque no es tan difícil como parece. Hubo una época en la que pensaba que nunca lo iba a entender, pero después
+    lo probé yo mismo y todo tuvo sentido. Decidme qué os parece en los comentarios y no olvidéis suscribiros si os
+    ha gustado este vídeo. Muchas gracias por vernos y nos vemos en el próximo.`,
+
+  fr: `Bonjour à tous et bienvenue sur la chaîne. Aujourd'hui, on va parler de quelque chose que beaucoup d'entre
+    vous me demandent depuis longtemps. Tous les êtres humains naissent libres et égaux en dignité et en droits. Ils
+    sont doués de raison et de conscience et doivent agir les uns envers les autres dans un esprit de fraternité. Si
+    vous voulez suivre, vous trouverez le lien dans la description juste en dessous. Ce que j'aimerais vous montrer
+    d'abord, c'est comment ça marche, parce que ce n'est pas aussi difficile que ça en a l'air. Il fut un temps où je
+    pensais que je ne comprendrais jamais, mais ensuite j'ai essayé moi-même et tout est devenu clair. Dites-moi ce
+    que vous en pensez dans les commentaires et n'oubliez pas de vous abonner si cette vidéo vous a plu. Merci
+    beaucoup d'avoir regardé et à la prochaine.`,
+
+  de: `Hallo zusammen und willkommen zurück auf dem Kanal. Heute sprechen wir über etwas, wonach viele von euch schon
+    seit einer ganzen Weile gefragt haben. Alle Menschen sind frei und gleich an Würde und Rechten geboren. Sie sind
+    mit Vernunft und Gewissen begabt und sollen einander im Geist der Brüderlichkeit begegnen. Wenn ihr mitmachen
+    wollt, findet ihr den Link unten in der Beschreibung. Zuerst möchte ich euch zeigen, wie das funktioniert, denn es
+    ist gar nicht so schwierig, wie es aussieht. Es gab eine Zeit, in der ich dachte, dass ich das nie verstehen
+    würde, aber dann habe ich es selbst ausprobiert und plötzlich ergab alles einen Sinn. Schreibt mir in die
+    Kommentare, was ihr davon haltet, und vergesst nicht zu abonnieren, wenn euch das Video gefallen hat. Vielen Dank
+    fürs Zuschauen und bis zum nächsten Mal.`,
+
+  pt: `Olá a todos e bem-vindos de volta ao canal. Hoje vamos falar sobre uma coisa que muitos de vocês têm me
+    perguntado há bastante tempo. Todos os seres humanos nascem livres e iguais em dignidade e em direitos. Dotados
+    de razão e de consciência, devem agir uns para com os outros em espírito de fraternidade. Se vocês quiserem
+    acompanhar, o link está na descrição logo abaixo. A primeira coisa que eu gostaria de mostrar é como isso
+    funciona, porque não é tão difícil quanto parece. Houve uma época em que eu achava que nunca ia entender, mas
+    depois eu mesmo experimentei e tudo fez sentido. Digam nos comentários o que vocês acharam e não se esqueçam de
+    se inscrever no canal se gostaram deste vídeo. Muito obrigado por assistirem e até o próximo.`,
+
+  it: `Ciao a tutti e bentornati sul canale. Oggi parliamo di una cosa che molti di voi mi chiedono da parecchio
+    tempo. Tutti gli esseri umani nascono liberi ed eguali in dignità e diritti. Essi sono dotati di ragione e di
+    coscienza e devono agire gli uni verso gli altri in spirito di fratellanza. Se volete seguire, trovate il link
+    nella descrizione qui sotto. La prima cosa che vorrei mostrarvi è come funziona, perché non è così difficile come
+    sembra. C'è stato un periodo in cui pensavo che non l'avrei mai capito, ma poi l'ho provato io stesso e tutto ha
+    avuto senso. Fatemi sapere cosa ne pensate nei commenti e non dimenticate di iscrivervi se questo video vi è
+    piaciuto. Grazie mille per la visione e ci vediamo al prossimo.`,
+
+  nl: `Hallo allemaal en welkom terug op het kanaal. Vandaag gaan we het hebben over iets waar veel van jullie al een
+    tijdje naar vragen. Alle mensen worden vrij en gelijk in waardigheid en rechten geboren. Zij zijn begiftigd met
+    verstand en geweten, en behoren zich jegens elkander in een geest van broederschap te gedragen. Als je mee wilt
+    doen, vind je de link hieronder in de beschrijving. Het eerste wat ik jullie wil laten zien is hoe het werkt, want
+    het is niet zo moeilijk als het lijkt. Er was een tijd dat ik dacht dat ik het nooit zou begrijpen, maar toen heb
+    ik het zelf geprobeerd en ineens was het duidelijk. Laat in de reacties weten wat jullie ervan vinden en vergeet
+    je niet te abonneren als je deze video leuk vond. Heel erg bedankt voor het kijken en tot de volgende keer.`,
+
+  sv: `Hej allihopa och välkomna tillbaka till kanalen. Idag ska vi prata om något som många av er har frågat om
+    ganska länge. Alla människor är födda fria och lika i värde och rättigheter. De har utrustats med förnuft och
+    samvete och bör handla gentemot varandra i en anda av broderskap. Om ni vill följa med hittar ni länken i
+    beskrivningen här nedanför. Det första jag skulle vilja visa er är hur det fungerar, för det är inte så svårt som
+    det ser ut. Det fanns en tid när jag trodde att jag aldrig skulle förstå det, men sedan testade jag själv och då
+    blev allt tydligt. Berätta gärna vad ni tycker i kommentarerna och glöm inte att prenumerera om ni gillade den här
+    videon. Tack så mycket för att ni tittade och vi ses i nästa.`,
+
+  no: `Hei alle sammen og velkommen tilbake til kanalen. I dag skal vi snakke om noe som mange av dere har spurt om
+    ganske lenge. Alle mennesker er født frie og med samme menneskeverd og menneskerettigheter. De er utstyrt med
+    fornuft og samvittighet og bør handle mot hverandre i brorskapets ånd. Hvis dere vil følge med, finner dere lenken
+    i beskrivelsen nedenfor. Det første jeg vil vise dere er hvordan det fungerer, for det er ikke så vanskelig som
+    det ser ut. Det var en tid da jeg trodde at jeg aldri kom til å forstå det, men så prøvde jeg selv og da ga alt
+    mening. Fortell meg hva dere synes i kommentarene, og ikke glem å abonnere hvis dere likte denne videoen. Tusen
+    takk for at dere så på, og vi sees i neste video. Det blir veldig spennende å se hva som skjer nå, og jeg håper
+    at dere synes det er like gøy som meg. Vi må huske hvordan vi gjorde det forrige gang, ellers blir det bare rot.
+    Nå er det sommer, og været har vært veldig fint de siste ukene. Vi har vært mye ute, både på fjellet og ved sjøen.
+    Barna har hatt ferie fra skolen, så vi har kjørt rundt og besøkt familien. Etterpå spiste vi middag hos
+    besteforeldrene, og det var kjempegodt. Regjeringen sier at prisene på strøm kommer til å gå opp i høst, så mange
+    lurer på hva de skal gjøre. Jeg synes det er viktig å snakke om dette, fordi det angår oss alle.`,
+
+  da: `Hej allesammen og velkommen tilbage til kanalen. I dag skal vi tale om noget, som mange af jer har spurgt om i
+    et stykke tid. Alle mennesker er født frie og lige i værdighed og rettigheder. De er udstyret med fornuft og
+    samvittighed, og de bør handle mod hverandre i en broderskabets ånd. Hvis I vil følge med, kan I finde linket i
+    beskrivelsen herunder. Det første, jeg gerne vil vise jer, er hvordan det virker, for det er ikke så svært, som
+    det ser ud. Der var engang, hvor jeg troede, at jeg aldrig ville forstå det, men så prøvede jeg det selv, og
+    pludselig gav det hele mening. Skriv gerne i kommentarerne, hvad I synes, og glem ikke at abonnere, hvis I kunne
+    lide videoen. Mange tak fordi I så med, og vi ses i den næste. Det bliver rigtig spændende at se, hvad der sker
+    nu, og jeg håber, at I synes, det er lige så sjovt som mig. Vi skal huske, hvordan vi gjorde det sidste gang,
+    ellers bliver det bare noget rod, og det er meget vigtigt. Nu er det sommer, og vejret har været rigtig godt de
+    sidste uger. Vi har været meget ude, både i skoven og ved stranden. Børnene har haft ferie fra skolen, så vi har
+    kørt rundt og besøgt familien. Bagefter spiste vi aftensmad hos bedsteforældrene, og det var vildt lækkert.
+    Regeringen siger, at priserne på strøm kommer til at stige i efteråret, så mange spekulerer på, hvad de skal gøre.
+    Jeg synes, det er vigtigt at tale om det, fordi det angår os alle.`,
+
+  fi: `Hei kaikki ja tervetuloa takaisin kanavalle. Tänään puhumme asiasta, jota moni teistä on kysynyt jo pitkään.
+    Kaikki ihmiset syntyvät vapaina ja tasavertaisina arvoltaan ja oikeuksiltaan. Heille on annettu järki ja
+    omatunto, ja heidän on toimittava toisiaan kohtaan veljeyden hengessä. Jos haluatte seurata mukana, linkki löytyy
+    alla olevasta kuvauksesta. Ensimmäiseksi haluaisin näyttää teille, miten tämä toimii, koska se ei ole niin
+    vaikeaa kuin miltä se näyttää. Oli aika, jolloin ajattelin, etten koskaan ymmärtäisi sitä, mutta sitten kokeilin
+    itse ja kaikki alkoi tuntua järkevältä. Kertokaa kommenteissa, mitä mieltä olette, ja muistakaa tilata kanava, jos
+    pidit tästä videosta. Kiitos paljon katsomisesta ja nähdään seuraavassa videossa.`,
+
+  pl: `Cześć wszystkim i witajcie z powrotem na kanale. Dzisiaj porozmawiamy o czymś, o co wielu z was pyta już od
+    dłuższego czasu. Wszyscy ludzie rodzą się wolni i równi pod względem swej godności i swych praw. Są oni obdarzeni
+    rozumem i sumieniem i powinni postępować wobec innych w duchu braterstwa. Jeśli chcecie robić to razem ze mną,
+    link znajdziecie w opisie poniżej. Najpierw chciałbym wam pokazać, jak to działa, bo to wcale nie jest takie
+    trudne, jak się wydaje. Był czas, kiedy myślałem, że nigdy tego nie zrozumiem, ale potem sam spróbowałem i
+    wszystko nabrało sensu. Dajcie znać w komentarzach, co o tym myślicie, i nie zapomnijcie zasubskrybować, jeżeli
+    podobał wam się ten film. Dziękuję bardzo za oglądanie i do zobaczenia w następnym odcinku.`,
+
+  tr: `Herkese merhaba ve kanala tekrar hoş geldiniz. Bugün birçoğunuzun uzun zamandır sorduğu bir konu hakkında
+    konuşacağız. Bütün insanlar hür, haysiyet ve haklar bakımından eşit doğarlar. Akıl ve vicdana sahiptirler ve
+    birbirlerine karşı kardeşlik zihniyeti ile hareket etmelidirler. Eğer benimle birlikte yapmak isterseniz,
+    bağlantıyı aşağıdaki açıklamada bulabilirsiniz. Size ilk olarak bunun nasıl çalıştığını göstermek istiyorum,
+    çünkü göründüğü kadar zor değil. Bir zamanlar bunu asla anlayamayacağımı düşünüyordum, ama sonra kendim denedim
+    ve her şey anlam kazandı. Ne düşündüğünüzü yorumlarda yazın ve videoyu beğendiyseniz abone olmayı unutmayın.
+    İzlediğiniz için çok teşekkür ederim, bir sonraki videoda görüşmek üzere.`,
+
+  vi: `Xin chào tất cả các bạn và chào mừng các bạn quay trở lại với kênh. Hôm nay chúng ta sẽ nói về một điều mà rất
+    nhiều bạn đã hỏi từ lâu. Tất cả mọi người sinh ra đều được tự do và bình đẳng về nhân phẩm và quyền lợi. Mọi con
+    người đều được tạo hóa ban cho lý trí và lương tâm và cần phải đối xử với nhau trong tình anh em. Nếu các bạn
+    muốn làm theo, các bạn có thể tìm thấy đường dẫn ở phần mô tả bên dưới. Điều đầu tiên mình muốn cho các bạn xem
+    là cách nó hoạt động, bởi vì nó không khó như các bạn nghĩ. Đã có lúc mình nghĩ rằng mình sẽ không bao giờ hiểu
+    được, nhưng sau đó mình tự thử và mọi thứ trở nên dễ hiểu. Hãy cho mình biết các bạn nghĩ gì trong phần bình luận
+    và đừng quên đăng ký kênh nếu các bạn thích video này. Cảm ơn các bạn rất nhiều vì đã xem và hẹn gặp lại trong
+    video tiếp theo.`,
+
+  id: `Halo semuanya dan selamat datang kembali di channel ini. Hari ini kita akan membahas sesuatu yang sudah lama
+    ditanyakan oleh banyak dari kalian. Semua orang dilahirkan merdeka dan mempunyai martabat dan hak-hak yang sama.
+    Mereka dikaruniai akal dan hati nurani dan hendaknya bergaul satu sama lain dalam semangat persaudaraan. Kalau
+    kalian mau mengikuti, tautannya bisa kalian temukan di deskripsi di bawah. Yang pertama ingin saya tunjukkan
+    adalah bagaimana cara kerjanya, karena ini tidak sesulit kelihatannya. Dulu saya sempat berpikir bahwa saya tidak
+    akan pernah mengerti, tapi kemudian saya mencobanya sendiri dan semuanya jadi masuk akal. Beri tahu saya pendapat
+    kalian di kolom komentar dan jangan lupa subscribe kalau kalian suka video ini. Terima kasih banyak sudah menonton
+    dan sampai jumpa di video berikutnya. Sekarang sedang musim hujan, jadi hampir setiap sore turun hujan deras.
+    Kemarin kami pergi ke rumah nenek untuk makan bersama, dan masakannya enak sekali. Pemerintah bilang harga bahan
+    bakar akan naik bulan depan, jadi banyak orang bingung harus bagaimana. Menurut saya ini penting untuk
+    dibicarakan, karena semua orang pasti terkena dampaknya. Anak-anak juga sudah mulai sekolah lagi, tapi mereka
+    masih harus pakai masker.`,
+
+  ms: `Hai semua dan selamat kembali ke saluran ini. Hari ini kita akan bercakap tentang sesuatu yang ramai daripada
+    anda telah lama bertanya. Semua manusia dilahirkan bebas dan samarata dari segi kemuliaan dan hak-hak. Mereka
+    mempunyai pemikiran dan perasaan hati dan hendaklah bertindak di antara satu sama lain dengan semangat
+    persaudaraan. Jika anda mahu ikut sekali, pautan boleh didapati dalam keterangan di bawah. Perkara pertama yang
+    saya ingin tunjukkan ialah bagaimana ia berfungsi, kerana ia tidaklah sesukar yang disangka. Dahulu saya fikir
+    saya tidak akan faham langsung, tetapi kemudian saya mencubanya sendiri dan semuanya menjadi jelas. Beritahu saya
+    apa pendapat anda di ruangan komen dan jangan lupa melanggan jika anda suka video ini. Terima kasih kerana
+    menonton dan jumpa lagi dalam video seterusnya. Sekarang musim tengkujuh, jadi hampir setiap petang hujan lebat.
+    Semalam kami pergi ke rumah nenek untuk makan bersama-sama, dan masakannya sedap sangat. Kerajaan berkata harga
+    minyak akan naik bulan hadapan, jadi ramai orang keliru apa yang patut dibuat. Pada pendapat saya perkara ini
+    penting untuk dibincangkan, kerana semua orang pasti terkesan. Budak-budak juga sudah mula bersekolah semula,
+    tetapi mereka masih perlu memakai pelitup muka.`,
+
+  ru: `Всем привет и добро пожаловать обратно на канал. Сегодня мы поговорим о том, о чём многие из вас спрашивали
+    уже давно. Все люди рождаются свободными и равными в своём достоинстве и правах. Они наделены разумом и совестью
+    и должны поступать в отношении друг друга в духе братства. Если хотите повторять вместе со мной, ссылку вы
+    найдёте в описании под видео. Сначала я хочу показать вам, как это работает, потому что это не так сложно, как
+    кажется. Было время, когда я думал, что никогда в этом не разберусь, но потом попробовал сам, и всё стало
+    понятно. Напишите в комментариях, что вы об этом думаете, и не забудьте подписаться, если вам понравилось это
+    видео. Большое спасибо за просмотр, увидимся в следующем видео.`,
+
+  uk: `Всім привіт і ласкаво просимо назад на канал. Сьогодні ми поговоримо про те, про що багато хто з вас питав уже
+    давно. Всі люди народжуються вільними і рівними у своїй гідності та правах. Вони наділені розумом і совістю і
+    повинні діяти у відношенні один до одного в дусі братерства. Якщо хочете повторювати разом зі мною, посилання ви
+    знайдете в описі під відео. Спочатку я хочу показати вам, як це працює, тому що це не так складно, як здається.
+    Був час, коли я думав, що ніколи в цьому не розберуся, але потім спробував сам, і все стало зрозуміло. Напишіть
+    у коментарях, що ви про це думаєте, і не забудьте підписатися, якщо вам сподобалося це відео. Дуже дякую за
+    перегляд, побачимося в наступному відео.`,
+
+  bg: `Здравейте на всички и добре дошли отново в канала. Днес ще говорим за нещо, за което много от вас питат от
+    доста време. Всички хора се раждат свободни и равни по достойнство и права. Те са надарени с разум и съвест и
+    следва да се отнасят помежду си в дух на братство. Ако искате да следите заедно с мен, ще намерите линка в
+    описанието под видеото. Първо искам да ви покажа как работи това, защото не е толкова трудно, колкото изглежда.
+    Имаше време, когато мислех, че никога няма да го разбера, но после опитах сам и всичко стана ясно. Напишете в
+    коментарите какво мислите и не забравяйте да се абонирате, ако видеото ви е харесало. Много благодаря, че
+    гледахте, и до скоро в следващото видео.`,
+
+  ar: `مرحباً بكم جميعاً وأهلاً بكم من جديد في القناة. اليوم سنتحدث عن شيء سألني عنه الكثير منكم منذ فترة طويلة.
+    يولد جميع الناس أحراراً متساوين في الكرامة والحقوق. وقد وهبوا عقلاً وضميراً وعليهم أن يعامل بعضهم بعضاً بروح
+    الإخاء. إذا أردتم المتابعة معي، ستجدون الرابط في الوصف بالأسفل. أول شيء أريد أن أريكم إياه هو كيف يعمل هذا،
+    لأنه ليس صعباً كما يبدو. كان هناك وقت ظننت فيه أنني لن أفهمه أبداً، لكنني جربته بنفسي فأصبح كل شيء واضحاً.
+    أخبروني برأيكم في التعليقات ولا تنسوا الاشتراك في القناة إذا أعجبكم هذا الفيديو. شكراً جزيلاً على المشاهدة
+    ونراكم في الفيديو القادم.`,
+
+  fa: `سلام به همه و دوباره به کانال خوش آمدید. امروز می‌خواهیم درباره چیزی صحبت کنیم که خیلی از شما مدت‌هاست
+    درباره‌اش می‌پرسید. تمام افراد بشر آزاد به دنیا می‌آیند و از لحاظ حیثیت و حقوق با هم برابرند. همه دارای عقل و
+    وجدان هستند و باید نسبت به یکدیگر با روح برادری رفتار کنند. اگر می‌خواهید همراه من انجام دهید، لینک را در
+    توضیحات پایین پیدا می‌کنید. اول می‌خواهم به شما نشان بدهم که این چطور کار می‌کند، چون آن‌قدرها که به نظر
+    می‌رسد سخت نیست. زمانی فکر می‌کردم که هیچ‌وقت آن را نمی‌فهمم، ولی بعد خودم امتحانش کردم و همه چیز روشن شد.
+    نظرتان را در کامنت‌ها بنویسید و اگر این ویدیو را دوست داشتید فراموش نکنید که کانال را دنبال کنید. خیلی ممنون
+    که تماشا کردید و در ویدیوی بعدی می‌بینمتان.`,
+
+  ur: `سب کو السلام علیکم اور چینل پر دوبارہ خوش آمدید۔ آج ہم ایک ایسی چیز کے بارے میں بات کریں گے جس کے بارے میں
+    آپ میں سے بہت سے لوگ کافی عرصے سے پوچھ رہے ہیں۔ تمام انسان آزاد اور حقوق و عزت کے اعتبار سے برابر پیدا ہوئے
+    ہیں۔ انہیں ضمیر اور عقل ودیعت ہوئی ہے۔ اس لیے انہیں ایک دوسرے کے ساتھ بھائی چارے کا سلوک کرنا چاہیے۔ اگر آپ
+    میرے ساتھ ساتھ کرنا چاہتے ہیں تو لنک نیچے تفصیل میں مل جائے گا۔ سب سے پہلے میں آپ کو دکھانا چاہتا ہوں کہ یہ
+    کیسے کام کرتا ہے، کیونکہ یہ اتنا مشکل نہیں جتنا لگتا ہے۔ ایک وقت تھا جب میں سوچتا تھا کہ میں اسے کبھی نہیں
+    سمجھ پاؤں گا، لیکن پھر میں نے خود کوشش کی اور سب کچھ سمجھ میں آ گیا۔ کمنٹس میں بتائیں کہ آپ کیا سوچتے ہیں اور
+    اگر آپ کو یہ ویڈیو پسند آئی تو چینل کو سبسکرائب کرنا نہ بھولیں۔ دیکھنے کا بہت شکریہ، اگلی ویڈیو میں ملتے ہیں۔`
+};
@@ -0,0 +1,172 @@
+// utils/logger.js
+// Leveled logger with JSON or human-readable output and per-request context
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Log levels in increasing severity
+ */
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+/**
+ * Logger class writing one line per entry
+ *
+ * Context set with runWithContext() (e.g. the request ID) follows async work
+ * started inside it and is added to every entry, so concurrent requests can be
+ * told apart in interleaved logs.
+ */
+export class Logger {
+  /**
+   * @param {Object} options
+   * @param {string} [options.level='info'] - Lowest level written (or 'silent')
+   * @param {'pretty'|'json'} [options.format='pretty'] - Output format
+   * @param {Object} [options.bindings] - Fields added to every entry of this logger
+   * @param {AsyncLocalStorage} [options.storage] - Context storage shared by child loggers
+   * @param {Object} [options.stdout] - Stream for debug and info entries
+   * @param {Object} [options.stderr] - Stream for warn and error entries
+   */
+  constructor({
+    level = 'info',
+    format = 'pretty',
+    bindings = {},
+    storage = new AsyncLocalStorage(),
+    stdout = process.stdout,
+    stderr = process.stderr
+  } = {}) {
+    this.level = LOG_LEVELS[level] !== undefined ? level : 'info';
+    this.format = format === 'json' ? 'json' : 'pretty';
+    this.bindings = bindings;
+    this.storage = storage;
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+
+  /**
+   * Create a logger that adds fixed fields (e.g. the service name) to every entry
+   * @param {Object} bindings - Fields
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      bindings: { ...this.bindings, ...bindings },
+      storage: this.storage,
+      stdout: this.stdout,
+      stderr: this.stderr
+    });
+  }
+
+  /**
+   * Run a function with context fields added to every entry logged while it runs
+   * @param {Object} context - Fields (e.g. { requestId, videoId })
+   * @param {Function} fn - Function to run
+   * @returns {*} - The function's return value
+   */
+  runWithContext(context, fn) {
+    return this.storage.run({ ...this.getContext(), ...context }, fn);
+  }
+
+  /**
+   * @returns {Object} - Context of the current async execution
+   */
+  getContext() {
+    return this.storage.getStore() || {};
+  }
+
+  /**
+   * @param {string} level - Log level
+   * @returns {boolean} - Whether entries at this level are written
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this._write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this._write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this._write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this._write('error', message, fields);
+  }
+
+  /**
+   * Write an entry if its level is enabled
+   * @param {string} level - Log level
+   * @param {string} message - Message
+   * @param {Object} [fields] - Structured fields
+   * @private
+   */
+  _write(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const entry = { ...this.bindings, ...this.getContext(), ...this._serializeFields(fields) };
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? this.stderr : this.stdout;
+
+    if (this.format === 'json') {
+      stream.write(JSON.stringify({ time: new Date().toISOString(), level, msg: message, ...entry }) + '\n');
+      return;
+    }
+
+    const { requestId, ...rest } = entry;
+    const prefix = requestId ? ` [${requestId}]` : '';
+    const details = Object.entries(rest)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+      .join(' ');
+
+    stream.write(
+      `${new Date().toISOString()} ${level.toUpperCase().padEnd(5)}${prefix} ${message}${details ? ` ${details}` : ''}\n`
+    );
+  }
+
+  /**
+   * Turn Error values into plain objects so they survive JSON output
+   * @param {Object} fields - Structured fields
+   * @returns {Object}
+   * @private
+   */
+  _serializeFields(fields) {
+    const serialized = {};
+    for (const [key, value] of Object.entries(fields || {})) {
+      if (value instanceof Error) {
+        serialized[key] = value.code ? { message: value.message, code: value.code } : value.message;
+        if (this.isLevelEnabled('debug') && value.stack) {
+          serialized.stack = value.stack;
+        }
+      } else {
+        serialized[key] = value;
+      }
+    }
+    return serialized;
+  }
+}
+
+/**
+ * Create the logger from environment variables
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {Logger}
+ */
+export function createLogger(env = process.env) {
+  return new Logger({
+    level: env.LOG_LEVEL || (env.NODE_ENV === 'test' ? 'warn' : 'info'),
+    format: env.LOG_FORMAT || 'pretty'
+  });
+}
+
+// Export singleton instance
+export const logger = createLogger();
@@ -0,0 +1,245 @@
+// utils/metrics-registry.js
+// Minimal Prometheus metric types and text exposition format
+
+/**
+ * Default histogram buckets in seconds (100ms to 10min)
+ */
+export const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {a="1",b="2"}
+ * @param {Object} labels - Label values
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base class holding one series per label combination
+ */
+class Metric {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Description
+   * @param {string[]} [options.labelNames] - Label names
+   */
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Get (or create) the series for a label set
+   * @param {Object} labels - Label values (missing labels become '')
+   * @param {Function} create - () => initial series state
+   * @returns {Object}
+   * @protected
+   */
+  _getSeries(labels, create) {
+    const values = {};
+    for (const name of this.labelNames) {
+      values[name] = labels[name] ?? '';
+    }
+
+    const key = JSON.stringify(values);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: values, ...create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * @returns {string[]} - HELP and TYPE lines
+   * @protected
+   */
+  _header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+/**
+ * Monotonically increasing counter
+ */
+export class Counter extends Metric {
+  constructor(options) {
+    super(options);
+    this.type = 'counter';
+  }
+
+  /**
+   * @param {Object} [labels] - Label values
+   * @param {number} [value=1] - Amount to add (must not be negative)
+   */
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) return;
+    this._getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    const lines = this._header();
+    for (const series of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(series.labels)} ${series.value}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Value that can go up and down, optionally computed at scrape time
+ */
+export class Gauge extends Metric {
+  /**
+   * @param {Object} options - Metric options
+   * @param {Function} [options.collect] - (gauge) => void, called before rendering to refresh values
+   */
+  constructor(options) {
+    super(options);
+    this.type = 'gauge';
+    this.collect = options.collect || null;
+  }
+
+  set(labels = {}, value) {
+    this._getSeries(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this._getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this._getSeries(labels, () => ({ value: 0 })).value -= value;
+  }
+
+  render() {
+    if (this.collect) {
+      try {
+        this.collect(this);
+      } catch {
+        // A failing collector must not break the whole scrape
+      }
+    }
+
+    const lines = this._header();
+    for (const series of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(series.labels)} ${series.value}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Cumulative histogram with fixed buckets
+ */
+export class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric options
+   * @param {number[]} [options.buckets] - Upper bounds in increasing order
+   */
+  constructor(options) {
+    super(options);
+    this.type = 'histogram';
+    this.buckets = options.buckets || DEFAULT_BUCKETS;
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels = {}, value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return;
+
+    const series = this._getSeries(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) series.counts[i]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = this._header();
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * MetricsRegistry class collecting metrics for one /metrics endpoint
+ */
+export class MetricsRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} [options.prefix=''] - Prefix added to every metric name
+   */
+  constructor({ prefix = '' } = {}) {
+    this.prefix = prefix;
+    this.metrics = new Map();
+    this.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+  }
+
+  counter(options) {
+    return this._register(new Counter({ ...options, name: this.prefix + options.name }));
+  }
+
+  gauge(options) {
+    return this._register(new Gauge({ ...options, name: this.prefix + options.name }));
+  }
+
+  histogram(options) {
+    return this._register(new Histogram({ ...options, name: this.prefix + options.name }));
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format
+   * @returns {string}
+   */
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * @param {Metric} metric - Metric
+   * @returns {Metric}
+   * @private
+   */
+  _register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+}
@@ -0,0 +1,125 @@
+// utils/segment-aligner.js
+// Timestamp alignment of two transcript tracks whose cue boundaries differ
+
+/**
+ * Default distance (ms) within which a secondary segment that overlaps no primary
+ * segment still joins the nearest one
+ */
+export const DEFAULT_MAX_GAP_MS = 1000;
+
+/**
+ * Pair the segments of two tracks by timestamp overlap
+ *
+ * The primary track sets the cue timing. Each secondary segment joins the primary
+ * segment it overlaps most (the earlier one on ties), or the nearest one within
+ * maxGap; segments joining the same primary segment are concatenated. Secondary
+ * segments too far from any primary segment become cues of their own.
+ * @param {TranscriptSegment[]} primary - Primary track segments (start/duration in ms)
+ * @param {TranscriptSegment[]} secondary - Secondary track segments
+ * @param {Object} [options]
+ * @param {number} [options.maxGap=1000] - Largest gap (ms) bridged for non-overlapping segments
+ * @returns {BilingualCue[]} - Cues ordered by start time
+ */
+export function alignSegments(primary, secondary, { maxGap = DEFAULT_MAX_GAP_MS } = {}) {
+  const primarySpans = toSpans(primary);
+  const secondarySpans = toSpans(secondary);
+  const attached = primarySpans.map(() => []);
+  const unattached = [];
+
+  // Primary segments starting before this bound cannot reach a secondary segment
+  const longest = primarySpans.reduce((max, span) => Math.max(max, span.end - span.start), 0);
+
+  for (const span of secondarySpans) {
+    const index = findPartner(primarySpans, span, longest, maxGap);
+    if (index === -1) {
+      unattached.push(span);
+    } else {
+      attached[index].push(span.text);
+    }
+  }
+
+  const cues = primarySpans.map((span, index) => ({
+    start: span.start,
+    duration: span.end - span.start,
+    primary: span.text,
+    secondary: attached[index].length > 0 ? attached[index].join(' ') : null
+  }));
+
+  for (const span of unattached) {
+    cues.push({ start: span.start, duration: span.end - span.start, primary: null, secondary: span.text });
+  }
+
+  // Array.prototype.sort is stable, so a primary cue stays ahead of a secondary-only one at the same time
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Normalize segments into sorted { start, end, text } spans, dropping empty text
+ * @param {TranscriptSegment[]} segments - Transcript segments
+ * @returns {Array}
+ */
+function toSpans(segments = []) {
+  return segments
+    .map(segment => ({
+      start: Math.max(0, segment.start || 0),
+      end: Math.max(0, segment.start || 0) + Math.max(0, segment.duration || 0),
+      // Line breaks inside a caption would blur which line belongs to which language
+      text: String(segment.text || '').replace(/\s+/g, ' ').trim()
+    }))
+    .filter(span => span.text)
+    .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the primary span a secondary span belongs to
+ * @param {Array} primarySpans - Primary spans sorted by start
+ * @param {Object} span - Secondary span
+ * @param {number} longest - Longest primary span duration
+ * @param {number} maxGap - Largest gap bridged without overlap
+ * @returns {number} - Index into primarySpans, -1 when none is close enough
+ */
+function findPartner(primarySpans, span, longest, maxGap) {
+  let bestIndex = -1;
+  let bestOverlap = 0;
+  let nearestIndex = -1;
+  let nearestGap = Infinity;
+
+  // Candidates start before span.end + maxGap and no earlier than span.start - maxGap - longest
+  const lowerBound = span.start - maxGap - longest;
+  for (let i = firstStartingAtOrAfter(primarySpans, span.end + maxGap) - 1; i >= 0; i--) {
+    const candidate = primarySpans[i];
+    if (candidate.start < lowerBound) break;
+
+    const overlap = Math.min(candidate.end, span.end) - Math.max(candidate.start, span.start);
+    // Walking backwards, >= keeps the earlier span on ties
+    if (overlap > 0 && overlap >= bestOverlap) {
+      bestIndex = i;
+      bestOverlap = overlap;
+    } else if (overlap <= 0 && -overlap <= maxGap && -overlap <= nearestGap) {
+      nearestIndex = i;
+      nearestGap = -overlap;
+    }
+  }
+
+  return bestIndex !== -1 ? bestIndex : nearestIndex;
+}
+
+/**
+ * Binary search for the first span starting at or after a time
+ * @param {Array} spans - Spans sorted by start
+ * @param {number} time - Time in ms
+ * @returns {number}
+ */
+function firstStartingAtOrAfter(spans, time) {
+  let low = 0;
+  let high = spans.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (spans[middle].start < time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
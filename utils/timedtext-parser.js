@@ -0,0 +1,169 @@
+// utils/timedtext-parser.js
+// Parsers for YouTube timedtext caption formats (XML, srv3, json3)
+
+/**
+ * Caption formats served by the timedtext endpoint (`fmt` query parameter)
+ */
+export const TIMEDTEXT_FORMATS = {
+  XML: 'xml',     // Default format: <transcript><text start="s" dur="s">
+  SRV3: 'srv3',   // <timedtext format="3"><body><p t="ms" d="ms"><s>word</s></p>
+  JSON3: 'json3'  // { events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }
+};
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' '
+};
+
+/**
+ * Decode XML/HTML character references
+ * @param {string} text - Encoded text
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(codePoint) && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Detect the format of a timedtext response body
+ * @param {string} body - Response body
+ * @returns {string|null} - One of TIMEDTEXT_FORMATS, or null if unrecognised
+ */
+export function detectTimedTextFormat(body) {
+  const trimmed = (body || '').trimStart();
+
+  if (trimmed.startsWith('{')) return TIMEDTEXT_FORMATS.JSON3;
+  if (/<timedtext\b[^>]*\bformat="3"/.test(trimmed)) return TIMEDTEXT_FORMATS.SRV3;
+  if (/<transcript\b/.test(trimmed)) return TIMEDTEXT_FORMATS.XML;
+
+  return null;
+}
+
+/**
+ * Parse a timedtext response in any supported format
+ * @param {string} body - Response body
+ * @param {string} [format] - Format (detected from the body when omitted)
+ * @returns {Array} - Raw caption items ({ text, offset, duration } in ms)
+ * @throws {Error} - When the format is not recognised or the body is malformed
+ */
+export function parseTimedText(body, format = detectTimedTextFormat(body)) {
+  switch (format) {
+    case TIMEDTEXT_FORMATS.JSON3:
+      return parseJson3(body);
+    case TIMEDTEXT_FORMATS.SRV3:
+      return parseSrv3(body);
+    case TIMEDTEXT_FORMATS.XML:
+      return parseXmlTranscript(body);
+    default:
+      throw new Error('Unrecognised timedtext format');
+  }
+}
+
+/**
+ * Parse the default XML format (times in seconds)
+ * @param {string} body - <transcript> document
+ * @returns {Array} - Raw caption items
+ */
+export function parseXmlTranscript(body) {
+  const items = [];
+
+  for (const [, attributes, content] of body.matchAll(/<text\b((?:[^>/]|\/(?!>))*)>([\s\S]*?)<\/text>/g)) {
+    const attrs = parseAttributes(attributes);
+    // Text in this format is escaped twice (&amp;#39; for an apostrophe) and may carry <font> styling
+    const text = cleanText(decodeEntities(decodeEntities(content)).replace(/<[^>]+>/g, ''));
+    if (!text) continue;
+
+    items.push({
+      text,
+      offset: Math.round((parseFloat(attrs.start) || 0) * 1000),
+      duration: Math.round((parseFloat(attrs.dur) || 0) * 1000)
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Parse the srv3 format (times in milliseconds, optional word-level <s> spans)
+ * @param {string} body - <timedtext format="3"> document
+ * @returns {Array} - Raw caption items
+ */
+export function parseSrv3(body) {
+  const items = [];
+
+  for (const [, attributes, content] of body.matchAll(/<p\b((?:[^>/]|\/(?!>))*)>([\s\S]*?)<\/p>/g)) {
+    const attrs = parseAttributes(attributes);
+    const text = cleanText(decodeEntities(content.replace(/<br\s*\/?>/g, ' ').replace(/<[^>]+>/g, '')));
+    if (!text) continue;
+
+    items.push({
+      text,
+      offset: parseInt(attrs.t) || 0,
+      duration: parseInt(attrs.d) || 0
+    });
+  }
+
+  return items;
+}
+
+/**
+ * Parse the json3 format (times in milliseconds)
+ * @param {string|Object} body - JSON document or parsed object
+ * @returns {Array} - Raw caption items
+ */
+export function parseJson3(body) {
+  const data = typeof body === 'string' ? JSON.parse(body) : body;
+  if (!data || !Array.isArray(data.events)) {
+    throw new Error('json3 document has no events');
+  }
+
+  const items = [];
+  for (const event of data.events) {
+    // Events without segments only define windows and styles
+    if (!Array.isArray(event.segs)) continue;
+
+    const text = cleanText(event.segs.map(seg => seg.utf8 || '').join(''));
+    if (!text) continue;
+
+    items.push({
+      text,
+      offset: event.tStartMs || 0,
+      duration: event.dDurationMs || 0
+    });
+  }
+
+  return items;
+}
+
+/**
+ * @param {string} source - Attribute list (a="1" b="2")
+ * @returns {Object}
+ */
+function parseAttributes(source) {
+  const attrs = {};
+  for (const [, name, value] of source.matchAll(/([\w:-]+)="([^"]*)"/g)) {
+    attrs[name] = value;
+  }
+  return attrs;
+}
+
+/**
+ * Collapse whitespace and line breaks
+ * @param {string} text - Caption text
+ * @returns {string}
+ */
+function cleanText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
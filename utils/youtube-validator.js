@@ -1,6 +1,16 @@
 // utils/youtube-validator.js
 // YouTube URL validation and normalization utilities
 
+/**
+ * Types of YouTube URLs recognised by parseYouTubeUrl
+ */
+export const URL_TYPES = {
+  VIDEO: 'video',
+  PLAYLIST: 'playlist',
+  CHANNEL: 'channel',
+  HANDLE: 'handle'
+};
+
 /**
  * Validates and extracts video ID from various YouTube URL formats
  * @param {string} input - YouTube URL or video ID
@@ -22,11 +32,16 @@ export function validateYouTubeUrl(input) {
   const videoId = extractVideoId(trimmedInput);
   
   if (!videoId) {
+    // Point collection URLs at the endpoint that can expand them
+    const parsed = parseYouTubeUrl(trimmedInput);
+    const isCollection = parsed.isValid && parsed.type !== URL_TYPES.VIDEO;
     return {
       isValid: false,
       videoId: null,
       normalizedUrl: null,
-      error: 'Invalid YouTube URL format or video ID'
+      error: isCollection
+        ? `URL points to a ${parsed.type}, not a single video. Use /playlist to expand it`
+        : 'Invalid YouTube URL format or video ID'
     };
   }
 
@@ -79,9 +94,116 @@ export function extractVideoId(input) {
   const shortsMatch = input.match(/youtube\.com\/shorts\/([a-zA-Z0-9_-]{11})/);
   if (shortsMatch) return shortsMatch[1];
 
+  // YouTube live URL: https://www.youtube.com/live/VIDEO_ID
+  const liveMatch = input.match(/youtube\.com\/live\/([a-zA-Z0-9_-]{11})/);
+  if (liveMatch) return liveMatch[1];
+
   return null;
 }
 
+/**
+ * Parses any YouTube URL into a typed result (video, playlist, channel or handle)
+ * @param {string} input - YouTube URL, video ID, playlist ID, channel ID or @handle
+ * @returns {ParsedYouTubeUrl}
+ */
+export function parseYouTubeUrl(input) {
+  const result = {
+    isValid: false,
+    type: null,
+    videoId: null,
+    playlistId: null,
+    channelId: null,
+    handle: null,
+    customName: null,
+    isLive: false,
+    normalizedUrl: null,
+    error: null
+  };
+
+  if (!input || typeof input !== 'string') {
+    return { ...result, error: 'Input must be a non-empty string' };
+  }
+
+  const trimmedInput = input.trim();
+  const playlistMatch = trimmedInput.match(/[?&]list=([a-zA-Z0-9_-]{2,64})/);
+  const playlistId = playlistMatch ? playlistMatch[1] : (isValidPlaylistId(trimmedInput) ? trimmedInput : null);
+
+  // Single videos (possibly opened from within a playlist)
+  const videoId = extractVideoId(trimmedInput);
+  if (videoId && isValidVideoId(videoId)) {
+    return {
+      ...result,
+      isValid: true,
+      type: URL_TYPES.VIDEO,
+      videoId,
+      playlistId,
+      isLive: /youtube\.com\/live\//.test(trimmedInput),
+      normalizedUrl: `https://www.youtube.com/watch?v=${videoId}`
+    };
+  }
+
+  // Playlist: https://www.youtube.com/playlist?list=PLAYLIST_ID or a bare playlist ID
+  if (playlistId) {
+    return {
+      ...result,
+      isValid: true,
+      type: URL_TYPES.PLAYLIST,
+      playlistId,
+      normalizedUrl: `https://www.youtube.com/playlist?list=${playlistId}`
+    };
+  }
+
+  // Channel: https://www.youtube.com/channel/UC... or a bare channel ID
+  const channelMatch = trimmedInput.match(/youtube\.com\/channel\/(UC[a-zA-Z0-9_-]{22})/) ||
+    trimmedInput.match(/^(UC[a-zA-Z0-9_-]{22})$/);
+  if (channelMatch) {
+    return {
+      ...result,
+      isValid: true,
+      type: URL_TYPES.CHANNEL,
+      channelId: channelMatch[1],
+      normalizedUrl: `https://www.youtube.com/channel/${channelMatch[1]}`
+    };
+  }
+
+  // Handle: https://www.youtube.com/@handle or a bare @handle
+  const handleMatch = trimmedInput.match(/youtube\.com\/(@[a-zA-Z0-9._-]{3,30})/) ||
+    trimmedInput.match(/^(@[a-zA-Z0-9._-]{3,30})$/);
+  if (handleMatch) {
+    return {
+      ...result,
+      isValid: true,
+      type: URL_TYPES.HANDLE,
+      handle: handleMatch[1],
+      normalizedUrl: `https://www.youtube.com/${handleMatch[1]}`
+    };
+  }
+
+  // Legacy custom channel URLs: https://www.youtube.com/c/NAME or /user/NAME
+  const customMatch = trimmedInput.match(/youtube\.com\/(c|user)\/([a-zA-Z0-9._-]+)/);
+  if (customMatch) {
+    return {
+      ...result,
+      isValid: true,
+      type: URL_TYPES.CHANNEL,
+      customName: customMatch[2],
+      normalizedUrl: `https://www.youtube.com/${customMatch[1]}/${customMatch[2]}`
+    };
+  }
+
+  return { ...result, error: 'Unrecognized YouTube URL' };
+}
+
+/**
+ * Validates playlist ID format (PL, UU, OL, FL, RD... prefixes)
+ * @param {string} playlistId - Playlist ID to validate
+ * @returns {boolean} - True if valid format
+ */
+export function isValidPlaylistId(playlistId) {
+  if (!playlistId || typeof playlistId !== 'string') return false;
+  return /^(PL|UU|LL|FL|OL|RD|OLAK5uy_)[a-zA-Z0-9_-]{10,}$/.test(playlistId);
+}
+
 /**
  * Normalizes YouTube URL to standard watch format
  * @param {string} input - YouTube URL or video ID
@@ -107,7 +229,7 @@ export function isValidVideoId(videoId) {
 /**
  * Determines the type of YouTube URL
  * @param {string} input - YouTube URL
- * @returns {string} - URL type (watch, short, embed, shorts, videoId, invalid)
+ * @returns {string} - URL type (watch, short, embed, shorts, live, playlist, channel, handle, videoId, invalid)
  */
 export function getUrlType(input) {
   if (!input) return 'invalid';
@@ -117,6 +239,10 @@ export function getUrlType(input) {
   if (input.includes('youtu.be/')) return 'short';
   if (input.includes('youtube.com/embed/')) return 'embed';
   if (input.includes('youtube.com/shorts/')) return 'shorts';
+  if (input.includes('youtube.com/live/')) return 'live';
+  if (input.includes('youtube.com/playlist')) return 'playlist';
+  if (/youtube\.com\/(channel|c|user)\//.test(input)) return 'channel';
+  if (input.includes('youtube.com/@')) return 'handle';
   
   return 'invalid';
 }
\ No newline at end of file
@@ -0,0 +1,141 @@
+// utils/zip.js
+// Minimal in-memory ZIP archive writer (deflate or store, no zip64)
+
+import zlib from 'zlib';
+
+/**
+ * ZIP record signatures and flags
+ */
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const VERSION = 20;          // 2.0: deflate
+const UTF8_NAMES = 0x0800;   // General purpose bit 11: names are UTF-8
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Without zip64 records, counts are 16-bit and sizes and offsets 32-bit
+ */
+const MAX_ENTRIES = 0xffff;
+const MAX_SIZE = 0xffffffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Path inside the archive
+ * @property {string|Buffer} content - File content (strings are written as UTF-8)
+ * @property {Date} [modified] - Modification time (default: now)
+ */
+
+/**
+ * Compute the CRC-32 checksum used by ZIP and gzip
+ * @param {Buffer} buffer - Data
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+export function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP archive
+ *
+ * Entries are deflated unless that does not make them smaller.
+ * @param {ZipEntry[]} entries - Files to archive
+ * @returns {Buffer}
+ * @throws {Error} - When the archive would need zip64 (too many or too large entries)
+ */
+export function createZip(entries) {
+  if (entries.length > MAX_ENTRIES) {
+    throw new Error(`ZIP archives without zip64 hold at most ${MAX_ENTRIES} entries`);
+  }
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(String(entry.content), 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    const method = deflated.length < data.length ? METHOD_DEFLATE : METHOD_STORE;
+    const stored = method === METHOD_DEFLATE ? deflated : data;
+    const { time, date } = toDosDateTime(entry.modified || new Date());
+    const checksum = crc32(data);
+
+    if (data.length > MAX_SIZE || offset > MAX_SIZE) {
+      throw new Error(`ZIP entry '${entry.name}' is too large for an archive without zip64`);
+    }
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+    local.writeUInt16LE(VERSION, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28); // Extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+    central.writeUInt16LE(VERSION, 4); // Version made by
+    central.writeUInt16LE(VERSION, 6); // Version needed to extract
+    central.writeUInt16LE(UTF8_NAMES, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    // Extra field, comment, disk number, internal and external attributes stay 0
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, stored);
+    centralParts.push(central, name);
+    offset += local.length + name.length + stored.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  if (offset > MAX_SIZE) {
+    throw new Error('ZIP archive is too large without zip64');
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields (local time, 2-second precision)
+ * @param {Date} value - Date
+ * @returns {Object} - { time, date }
+ */
+function toDosDateTime(value) {
+  // DOS dates start in 1980
+  const year = Math.max(1980, value.getFullYear());
+  return {
+    time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+  };
+}